@@ -0,0 +1,110 @@
+import { jest } from '@jest/globals'
+import { DEFAULT_SETTLE_MS } from '../modules/waiting.js'
+
+// Just enough of the extension APIs for content.js to load and answer messages
+const messageListeners = []
+globalThis.chrome = {
+  runtime: {
+    sendMessage: jest.fn(() => Promise.resolve()),
+    onMessage: { addListener: listener => messageListeners.push(listener) }
+  },
+  storage: {
+    local: { get: async () => ({}), set: async () => {} },
+    onChanged: { addListener: () => {} }
+  }
+}
+
+const send = (message) => new Promise(resolve => messageListeners[0](message, {}, resolve))
+
+const waitFor = async (condition, timeoutMs = 2000) => {
+  const started = Date.now()
+  while (!condition() && Date.now() - started < timeoutMs) {
+    await new Promise(resolve => setTimeout(resolve, 20))
+  }
+  return condition()
+}
+
+describe('expansion runs', () => {
+  let rectSpy
+
+  beforeAll(async () => {
+    // jsdom has no layout; give every element a size so it counts as visible
+    rectSpy = jest.spyOn(Element.prototype, 'getBoundingClientRect')
+      .mockReturnValue({ width: 100, height: 30, top: 0, left: 0, bottom: 30, right: 100 })
+    jest.spyOn(console, 'log').mockImplementation(() => {})
+    await import('../content.js')
+  })
+
+  afterAll(() => {
+    rectSpy.mockRestore()
+  })
+
+  test('an auto run on a paged listing follows the next page link', async () => {
+    document.body.innerHTML = `
+      <ul class="posts">${'<li class="post"><a href="/p">Post title</a><p>A summary long enough to read as content.</p></li>'.repeat(5)}</ul>
+      <nav class="pagination"><a href="/page/1">1</a><a href="/page/2" rel="next">Next</a></nav>
+    `
+    let followed = false
+    document.querySelector('[rel="next"]').addEventListener('click', event => {
+      event.preventDefault()
+      followed = true
+    })
+
+    expect((await send({ type: 'SCAN_PAGE_CONTENT' })).data.detectionSummary.recommendedMethod).toBe('pagination')
+    expect(await send({ type: 'START_EXPANSION', options: { method: 'auto', viewportMode: 'background' } })).toEqual({ success: true })
+    expect(await waitFor(() => followed)).toBe(true)
+
+    // The pending batch wait ends once the page settles after a change
+    await send({ type: 'STOP_EXPANSION' })
+    document.body.innerHTML = ''
+    await new Promise(resolve => setTimeout(resolve, DEFAULT_SETTLE_MS + 50))
+
+    // The script handled the click in place, so leaving the page later is not the run's doing
+    window.dispatchEvent(new Event('pagehide'))
+    expect(chrome.runtime.sendMessage.mock.calls.some(([message]) => message.type === 'EXPANSION_NAVIGATING')).toBe(false)
+  })
+
+  test('an auto run follows a load more link that leads to another page', async () => {
+    document.body.innerHTML = `
+      <ul class="posts">${'<li class="post"><a href="/p">Post title</a><p>A summary long enough to read as content.</p></li>'.repeat(5)}</ul>
+      <a href="/archive/2" class="load-more" aria-label="Load more posts">Load more posts</a>
+    `
+    let followed = false
+    document.querySelector('.load-more').addEventListener('click', event => {
+      event.preventDefault()
+      followed = true
+    })
+
+    expect((await send({ type: 'SCAN_PAGE_CONTENT' })).data.detectionSummary.recommendedMethod).toBe('pagination')
+    await send({ type: 'START_EXPANSION', options: { method: 'auto', viewportMode: 'background' } })
+    expect(await waitFor(() => followed)).toBe(true)
+
+    await send({ type: 'STOP_EXPANSION' })
+    document.body.innerHTML = ''
+    await new Promise(resolve => setTimeout(resolve, DEFAULT_SETTLE_MS + 50))
+  })
+
+  test('announces a navigation only once the page unloads', async () => {
+    const navigations = () => chrome.runtime.sendMessage.mock.calls.filter(([message]) => message.type === 'EXPANSION_NAVIGATING')
+    document.body.innerHTML = `
+      <ul class="posts">${'<li class="post"><a href="/p">Post title</a><p>A summary long enough to read as content.</p></li>'.repeat(5)}</ul>
+      <a href="?page=2" class="load-more">Load more</a>
+    `
+    let clicked = false
+    document.querySelector('.load-more').addEventListener('click', event => {
+      event.preventDefault()
+      clicked = true
+    })
+
+    await send({ type: 'START_EXPANSION', options: { method: 'button', viewportMode: 'background' } })
+    expect(await waitFor(() => clicked)).toBe(true)
+    expect(navigations()).toHaveLength(0)
+
+    window.dispatchEvent(new Event('pagehide'))
+    expect(navigations()).toEqual([[expect.objectContaining({ url: 'http://localhost/?page=2' })]])
+
+    await send({ type: 'STOP_EXPANSION' })
+    document.body.innerHTML = ''
+    await new Promise(resolve => setTimeout(resolve, DEFAULT_SETTLE_MS + 50))
+  })
+})
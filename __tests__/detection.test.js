@@ -1,4 +1,13 @@
-import { analyzePageContent } from '../modules/detection.js'
+import { jest } from '@jest/globals'
+import {
+  analyzePageContent,
+  calculateElementConfidence,
+  classifyLinkHref,
+  generateElementSelector,
+  probeInfiniteScroll,
+  scoreElementSignals
+} from '../modules/detection.js'
+import { resolveSelectorPath } from '../modules/utils.js'
 
 describe('analyzePageContent', () => {
   beforeEach(() => {
@@ -39,13 +48,189 @@ describe('analyzePageContent', () => {
 
   test('sorts detections by confidence and returns contentCount', () => {
     document.body.innerHTML = `
-      <div class="content-card">Item</div>
+      <div class="feed">
+        <div class="content-card"><h3>Item</h3><p>First item</p></div>
+        <div class="content-card"><h3>Item</h3><p>Second item</p></div>
+        <div class="content-card"><h3>Item</h3><p>Third item</p></div>
+      </div>
       <button class="load-more">Load More</button>
       <a class="view-more" href="#">View More</a>
     `
     const result = analyzePageContent()
-    expect(result.contentCount).toBeGreaterThanOrEqual(1)
+    expect(result.contentCount).toBe(3)
+    expect(result.feed.itemCount).toBe(3)
     expect(Array.isArray(result.patterns.buttons)).toBe(true)
     expect(Array.isArray(result.patterns.links)).toBe(true)
   })
-})
\ No newline at end of file
+
+  test('returns a result that survives message serialization', () => {
+    document.body.innerHTML = `
+      <button class="load-more">Load More</button>
+      <a class="view-more" href="/page/2">View More</a>
+    `
+    const result = analyzePageContent()
+    expect(JSON.parse(JSON.stringify(result))).toEqual(result)
+    expect(resolveSelectorPath(result.patterns.buttons[0].selector).textContent).toBe('Load More')
+  })
+
+  test('detects load more buttons in other languages', () => {
+    document.documentElement.lang = 'de'
+    document.body.innerHTML = `
+      <button>Mehr laden</button>
+      <button>Weniger anzeigen</button>
+    `
+    const result = analyzePageContent()
+    expect(result.patterns.buttons.length).toBe(1)
+    expect(result.patterns.buttons[0].text).toBe('mehr laden')
+    document.documentElement.lang = ''
+  })
+
+  test('falls back to all locale packs when the page language is unknown', () => {
+    document.body.innerHTML = `
+      <button>Ver más</button>
+      <button>もっと見る</button>
+      <a href="#">Afficher plus</a>
+    `
+    const result = analyzePageContent()
+    expect(result.patterns.buttons.length).toBe(2)
+    expect(result.patterns.links.length).toBe(1)
+  })
+
+  test('detects buttons inside open shadow roots with a resolvable selector', () => {
+    document.body.innerHTML = '<comment-thread></comment-thread>'
+    const host = document.querySelector('comment-thread')
+    host.attachShadow({ mode: 'open' }).innerHTML = '<button class="load-more">Load More</button>'
+
+    const result = analyzePageContent()
+    expect(result.patterns.buttons.length).toBe(1)
+
+    const selector = result.patterns.buttons[0].selector
+    expect(selector).toContain('>>>')
+    expect(resolveSelectorPath(selector)).toBe(host.shadowRoot.querySelector('button'))
+    expect(generateElementSelector(host)).toBe('comment-thread')
+  })
+})
+
+describe('probeInfiniteScroll', () => {
+  const item = (n) => `<li><h3>Post ${n}</h3><p>Some body text for post number ${n}.</p></li>`
+  let scrollSpy
+
+  beforeEach(() => {
+    document.body.innerHTML = `<ul class="feed">${[1, 2, 3].map(item).join('')}</ul>`
+  })
+
+  afterEach(() => {
+    scrollSpy.mockRestore()
+  })
+
+  test('reports measured growth when scrolling loads new items', async () => {
+    let loaded = false
+    scrollSpy = jest.spyOn(window, 'scrollTo').mockImplementation(() => {
+      if (!loaded) {
+        loaded = true
+        setTimeout(() => document.querySelector('.feed').insertAdjacentHTML('beforeend', [4, 5, 6].map(item).join('')), 0)
+      }
+    })
+
+    const result = await probeInfiniteScroll({ duration: 20 })
+    expect(result.measured).toBe(true)
+    expect(result.detected).toBe(true)
+    expect(result.evidence.itemsBefore).toBe(3)
+    expect(result.evidence.itemsAfter).toBe(6)
+    expect(result.confidence).toBeGreaterThanOrEqual(60)
+  })
+
+  test('restores the scroll position and reports no growth on static pages', async () => {
+    scrollSpy = jest.spyOn(window, 'scrollTo').mockImplementation(() => {})
+
+    const result = await probeInfiniteScroll({ duration: 10 })
+    expect(result.detected).toBe(false)
+    expect(result.confidence).toBe(0)
+    expect(scrollSpy).toHaveBeenLastCalledWith(window.scrollX, window.scrollY)
+  })
+})
+
+describe('confidence breakdown', () => {
+  let rectSpy
+
+  beforeEach(() => {
+    document.body.innerHTML = ''
+    // jsdom has no layout; give every element a size so it counts as visible
+    rectSpy = jest.spyOn(Element.prototype, 'getBoundingClientRect')
+      .mockReturnValue({ width: 100, height: 30, top: 0, left: 0, bottom: 30, right: 100 })
+  })
+
+  afterEach(() => {
+    rectSpy.mockRestore()
+  })
+
+  test('lists the signals that make up a candidate score', () => {
+    document.body.innerHTML = '<button class="load-more" aria-label="Load more posts">Load More</button>'
+    const button = document.querySelector('button')
+
+    const { confidence, signals } = scoreElementSignals(button, 'load more', 'load-more', 'load more posts')
+    expect(signals).toEqual([
+      { signal: 'text-phrase', weight: 40 },
+      { signal: 'class-load-more', weight: 30 },
+      { signal: 'aria-phrase', weight: 20 },
+      { signal: 'visible', weight: 10 }
+    ])
+    expect(confidence).toBe(100)
+    expect(calculateElementConfidence(button, 'load more', 'load-more', 'load more posts')).toBe(confidence)
+  })
+
+  test('records why candidates are rejected', () => {
+    document.body.innerHTML = `
+      <button class="load-more">Load More</button>
+      <button class="load-more" disabled>Show More</button>
+      <button>See more</button>
+      <button class="load-more" style="display: none">View More</button>
+      <button class="load-more">Show less</button>
+    `
+    const result = analyzePageContent()
+    const rejections = Object.fromEntries(result.patterns.buttons.map(button => [button.text, button.rejection]))
+
+    expect(rejections).toEqual({
+      'load more': null,
+      'show more': 'disabled',
+      'see more': 'below-threshold',
+      'view more': 'hidden',
+      'show less': 'negative-phrase'
+    })
+    const disabled = result.patterns.buttons.find(button => button.text === 'show more')
+    expect(disabled.signals).toContainEqual({ signal: 'disabled', weight: -20 })
+    const showLess = result.patterns.buttons.find(button => button.text === 'show less')
+    expect(showLess.signals).toContainEqual({ signal: 'negative-phrase', weight: -50 })
+  })
+})
+
+describe('classifyLinkHref', () => {
+  const base = 'https://news.test/world?sort=new'
+
+  test.each([
+    ['', 'same-document'],
+    ['#', 'same-document'],
+    ['#comments', 'same-document'],
+    ['https://news.test/world?sort=new#top', 'same-document'],
+    ['javascript:void(0)', 'javascript'],
+    ['?sort=new&page=2', 'same-path-query'],
+    ['/world?page=2', 'same-path-query'],
+    ['/world/article-123', 'navigation'],
+    ['https://other.test/world', 'navigation']
+  ])('classifies %p as %s', (href, expected) => {
+    expect(classifyLinkHref(href, base)).toBe(expected)
+  })
+
+  test('attaches the link type to detections and penalizes navigating links', () => {
+    document.body.innerHTML = `
+      <a class="read-more" href="/articles/42">Read more</a>
+      <a class="show-more" href="#">Show more</a>
+    `
+    const links = Object.fromEntries(analyzePageContent().patterns.links.map(link => [link.text, link]))
+
+    expect(links['read more'].linkType).toBe('navigation')
+    expect(links['read more'].signals).toContainEqual({ signal: 'navigates-away', weight: -20 })
+    expect(links['show more'].linkType).toBe('same-document')
+    expect(links['show more'].signals.map(({ signal }) => signal)).not.toContain('navigates-away')
+  })
+})
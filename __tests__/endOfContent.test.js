@@ -0,0 +1,100 @@
+import { jest } from '@jest/globals'
+import { createEndOfContentDetector, findEndOfContentMessage } from '../modules/endOfContent.js'
+import { matchEndOfContent, getAllLocalePacks } from '../modules/locales.js'
+
+describe('end of content', () => {
+  let rectSpy
+
+  beforeEach(() => {
+    document.body.innerHTML = ''
+    // jsdom has no layout; give every element a size so it counts as visible
+    rectSpy = jest.spyOn(Element.prototype, 'getBoundingClientRect')
+      .mockReturnValue({ width: 100, height: 30, top: 0, left: 0, bottom: 30, right: 100 })
+  })
+
+  afterEach(() => {
+    rectSpy.mockRestore()
+  })
+
+  test('matches terminal messages across locales', () => {
+    const packs = getAllLocalePacks()
+    expect(matchEndOfContent('You’ve reached the end!', packs)).toBe("you've reached the end")
+    expect(matchEndOfContent('Keine weiteren Ergebnisse', packs)).toBe('keine weiteren ergebnisse')
+    expect(matchEndOfContent('No hay más resultados.', packs)).toBe('no hay más resultados')
+    expect(matchEndOfContent('これ以上ありません', packs)).toBe('これ以上ありません')
+    expect(matchEndOfContent('Load more results', packs)).toBeNull()
+  })
+
+  test('finds visible messages, also when split across inline tags', () => {
+    document.body.innerHTML = `
+      <ul><li>Post</li></ul>
+      <p class="feed-end">You've reached <strong>the end</strong></p>
+    `
+    const message = findEndOfContentMessage()
+    expect(message.phrase).toBe("you've reached the end")
+    expect(message.element).toBe(document.querySelector('.feed-end'))
+  })
+
+  test('keeps phrases with apostrophes on word boundaries', () => {
+    const packs = getAllLocalePacks()
+    expect(matchEndOfContent("That's all, folks", packs)).toBe("that's all")
+    expect(matchEndOfContent("That's allowed here", packs)).toBeNull()
+  })
+
+  test('ignores feed items and text above the feed', () => {
+    document.body.innerHTML = `
+      <p class="intro">No more results yesterday, try again</p>
+      <ul class="feed">
+        <li class="post">No more results for my search?</li>
+        <li class="post">Second post</li>
+        <li class="post">Third post</li>
+      </ul>
+    `
+    expect(findEndOfContentMessage()).toBeNull()
+
+    document.querySelector('.feed').insertAdjacentHTML('afterend', '<div class="done">No more results</div>')
+    expect(findEndOfContentMessage().element).toBe(document.querySelector('.done'))
+  })
+
+  test('ignores hidden messages and long text that quotes one', () => {
+    rectSpy.mockReturnValue({ width: 0, height: 0, top: 0, left: 0, bottom: 0, right: 0 })
+    document.body.innerHTML = '<div class="template">No more results</div>'
+    expect(findEndOfContentMessage()).toBeNull()
+
+    rectSpy.mockReturnValue({ width: 100, height: 30, top: 0, left: 0, bottom: 30, right: 100 })
+    document.body.innerHTML = `<p>${'Some long article text. '.repeat(5)}It said no more results and moved on.</p>`
+    expect(findEndOfContentMessage()).toBeNull()
+  })
+
+  test('stops when the clicked button is disabled or removed', () => {
+    document.body.innerHTML = '<button class="load-more">Load more</button>'
+    const button = document.querySelector('button')
+    let height = 1000
+    const detector = createEndOfContentDetector({ measure: () => ({ height: height += 100, items: 0 }) })
+
+    detector.recordClick(button)
+    expect(detector.check({ candidateAvailable: true })).toBeNull()
+
+    button.disabled = true
+    expect(detector.check({ candidateAvailable: true })).toEqual({ reason: 'button-disabled', detail: 'Load more' })
+
+    button.remove()
+    expect(detector.check({ candidateAvailable: true })).toBeNull()
+    expect(detector.check({ candidateAvailable: false }).reason).toBe('button-removed')
+  })
+
+  test('stops after the page stops growing for the configured cycles', () => {
+    const sizes = [{ height: 1000, items: 10 }, { height: 1500, items: 20 }, { height: 1500, items: 20 }, { height: 1500, items: 20 }]
+    const detector = createEndOfContentDetector({ stallCycles: 2, measure: () => sizes.shift() || { height: 1500, items: 20 } })
+
+    expect(detector.check()).toBeNull()
+    expect(detector.check()).toBeNull()
+    expect(detector.check()).toEqual({ reason: 'height-stalled', detail: 'No growth in 2 cycles' })
+  })
+
+  test('reports a visible end message first', () => {
+    document.body.innerHTML = '<div class="end">That’s all</div>'
+    const detector = createEndOfContentDetector({ measure: () => ({ height: 0, items: 0 }) })
+    expect(detector.check()).toEqual({ reason: 'end-message', detail: 'That’s all' })
+  })
+})
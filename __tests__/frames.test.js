@@ -0,0 +1,58 @@
+import { aggregateFrameResults, isScannableFrame } from '../modules/frames.js'
+
+const scanResponse = (confidences, contentCount = 0) => ({
+  success: true,
+  data: {
+    patterns: { buttons: confidences.map(confidence => ({ confidence })), links: [] },
+    contentCount,
+    detectionSummary: { recommendedMethod: 'button' }
+  }
+})
+
+describe('isScannableFrame', () => {
+  const top = { frameId: 0, parentFrameId: -1, url: 'https://example.com/article' }
+  const ad = { frameId: 5, parentFrameId: 0, url: 'https://ads.example.net/' }
+  const frames = [top, ad]
+
+  test('accepts the top frame, same-origin and inherited-origin frames', () => {
+    expect(isScannableFrame(top, frames)).toBe(true)
+    expect(isScannableFrame({ frameId: 3, parentFrameId: 0, url: 'https://example.com/comments' }, frames)).toBe(true)
+    expect(isScannableFrame({ frameId: 4, parentFrameId: 0, url: 'about:srcdoc' }, frames)).toBe(true)
+  })
+
+  test('rejects cross-origin frames', () => {
+    expect(isScannableFrame(ad, frames)).toBe(false)
+    expect(isScannableFrame({ frameId: 6, parentFrameId: 0, url: 'not a url' }, frames)).toBe(false)
+  })
+
+  test('checks the parent origin of about:blank and srcdoc frames', () => {
+    const blank = { frameId: 7, parentFrameId: 5, url: 'about:blank' }
+    const nested = { frameId: 8, parentFrameId: 7, url: 'about:srcdoc' }
+    expect(isScannableFrame(blank, [...frames, blank])).toBe(false)
+    expect(isScannableFrame(nested, [...frames, blank, nested])).toBe(false)
+    expect(isScannableFrame({ frameId: 9, parentFrameId: 42, url: 'about:blank' }, frames)).toBe(false)
+  })
+})
+
+describe('aggregateFrameResults', () => {
+  test('summarises frames by frameId and picks the most confident one', () => {
+    const result = aggregateFrameResults([
+      { frameId: 7, parentFrameId: 0, url: 'https://example.com/comments', response: scanResponse([90], 12) },
+      { frameId: 0, url: 'https://example.com/', response: scanResponse([40, 20], 5) },
+      { frameId: 9, parentFrameId: 0, url: 'about:blank', response: { error: 'No receiver' } }
+    ])
+
+    expect(result.frames.map(frame => frame.frameId)).toEqual([0, 7, 9])
+    expect(result.totals).toEqual({ buttons: 3, links: 0, contentCount: 17 })
+    expect(result.bestFrameId).toBe(7)
+    expect(result.frames[2].error).toBe('No receiver')
+  })
+
+  test('defaults to the top frame when nothing was detected', () => {
+    const result = aggregateFrameResults([
+      { frameId: 0, url: 'https://example.com/', response: scanResponse([]) },
+      { frameId: 2, url: 'https://example.com/x', response: scanResponse([]) }
+    ])
+    expect(result.bestFrameId).toBe(0)
+  })
+})
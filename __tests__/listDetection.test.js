@@ -0,0 +1,70 @@
+import { detectPrimaryList, getFeedItems, getItemSignature } from '../modules/listDetection.js'
+
+const card = (title) => `
+  <article class="card">
+    <img src="/thumb.jpg" alt="" />
+    <h2><a href="/post">${title}</a></h2>
+    <p>A reasonably long summary of the post so that it reads like real content.</p>
+  </article>
+`
+
+describe('detectPrimaryList', () => {
+  beforeEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  test('finds the repeated item group instead of navigation', () => {
+    document.body.innerHTML = `
+      <nav><ul>${'<li><a href="#">Menu</a></li>'.repeat(8)}</ul></nav>
+      <main>
+        <div class="wrapper">
+          <section class="feed">${['One', 'Two', 'Three', 'Four'].map(card).join('')}</section>
+        </div>
+      </main>
+    `
+    const feed = detectPrimaryList()
+    expect(feed.container.className).toBe('feed')
+    expect(feed.signature).toBe('article|card')
+    expect(getFeedItems(feed)).toHaveLength(4)
+  })
+
+  test('groups items with modifier classes by tag and shape', () => {
+    document.body.innerHTML = `
+      <section class="feed">
+        ${card('One')}${card('Two')}
+        <article class="card featured"><img src="/a.jpg" alt="" /><h2><a href="/x">Three</a></h2><p>Featured post summary text.</p></article>
+      </section>
+    `
+    const feed = detectPrimaryList()
+    expect(getFeedItems(feed)).toHaveLength(3)
+  })
+
+  test('re-reads live items after new content is appended', () => {
+    document.body.innerHTML = `<section class="feed">${['One', 'Two', 'Three'].map(card).join('')}</section>`
+    const feed = detectPrimaryList()
+    feed.container.insertAdjacentHTML('beforeend', card('Four') + '<div class="spinner"></div>')
+    expect(getFeedItems(feed)).toHaveLength(4)
+  })
+
+  test('finds a list inside an open shadow root', () => {
+    document.body.innerHTML = '<feed-view></feed-view>'
+    const shadow = document.querySelector('feed-view').attachShadow({ mode: 'open' })
+    shadow.innerHTML = `<section class="feed">${['One', 'Two', 'Three'].map(card).join('')}</section>`
+
+    const feed = detectPrimaryList()
+    expect(feed.container).toBe(shadow.querySelector('.feed'))
+    expect(getFeedItems(feed)).toHaveLength(3)
+  })
+
+  test('returns null when there is no repeated list', () => {
+    document.body.innerHTML = '<div><p>Just a paragraph</p></div>'
+    expect(detectPrimaryList()).toBeNull()
+  })
+})
+
+describe('getItemSignature', () => {
+  test('ignores hashed classes and class order', () => {
+    document.body.innerHTML = '<li class="b a css-1x2y3z"></li>'
+    expect(getItemSignature(document.querySelector('li'))).toBe('li|a b')
+  })
+})
@@ -0,0 +1,45 @@
+import { getActiveLocalePacks, getLocalePack, matchLexicon, registerLocalePack } from '../modules/locales.js'
+
+describe('getActiveLocalePacks', () => {
+  afterEach(() => {
+    document.documentElement.lang = ''
+  })
+
+  test('uses the page language plus English', () => {
+    document.documentElement.lang = 'de-DE'
+    const packs = getActiveLocalePacks(document, { languages: [], language: '' })
+    expect(packs).toContain(getLocalePack('de'))
+    expect(packs).toContain(getLocalePack('en'))
+    expect(packs).not.toContain(getLocalePack('ja'))
+  })
+
+  test('adds browser locales', () => {
+    document.documentElement.lang = 'es'
+    const packs = getActiveLocalePacks(document, { languages: ['pl-PL', 'en-US'], language: 'pl-PL' })
+    expect(packs).toContain(getLocalePack('es'))
+    expect(packs).toContain(getLocalePack('pl'))
+  })
+
+  test('falls back to all packs when the page language is unknown', () => {
+    const packs = getActiveLocalePacks(document, { languages: ['en-US'], language: 'en-US' })
+    expect(packs).toContain(getLocalePack('fr'))
+    expect(packs).toContain(getLocalePack('ja'))
+  })
+})
+
+describe('matchLexicon', () => {
+  const packs = [getLocalePack('en'), getLocalePack('de'), getLocalePack('ja')]
+
+  test('matches phrases, keywords and negatives per locale', () => {
+    expect(matchLexicon('mehr laden', packs).phrase).toBe(true)
+    expect(matchLexicon('もっと見る', packs).keyword).toBe(true)
+    expect(matchLexicon('weniger anzeigen', packs).negative).toBe(true)
+    expect(matchLexicon('moreover', packs).keyword).toBe(false)
+  })
+
+  test('supports registering additional packs', () => {
+    registerLocalePack('it', { phrases: ['Carica altri'], keywords: ['altri'], negative: ['mostra meno'] })
+    expect(matchLexicon('carica altri', [getLocalePack('it')]).phrase).toBe(true)
+    expect(matchLexicon('mostra meno', [getLocalePack('it')]).negative).toBe(true)
+  })
+})
@@ -0,0 +1,120 @@
+import {
+  clearNetworkRequests,
+  didLoadFromNetworkSince,
+  getLearnedEndpoint,
+  inferPagingParameter,
+  recordNetworkRequest
+} from '../modules/networkLearning.js'
+import { handlePageMessage } from '../modules/pageBridge.js'
+
+// Summaries as injected.js posts them for a fixture API serving 20 items per page
+function request(url, overrides = {}) {
+  return {
+    url,
+    method: 'GET',
+    bodyParams: {},
+    status: 200,
+    startedAt: 1000,
+    afterClick: true,
+    kind: 'json',
+    arrayLength: 20,
+    cursorFields: {},
+    ...overrides
+  }
+}
+
+describe('inferPagingParameter', () => {
+  test('learns a page number that advances by one', () => {
+    const endpoint = inferPagingParameter([
+      request('https://shop.test/api/items?page=2&limit=20&_=1700000000123', { startedAt: 1000 }),
+      request('https://shop.test/api/items?page=3&limit=20&_=1700000004567', { startedAt: 2000 }),
+      request('https://shop.test/analytics?event=click', { startedAt: 2100, arrayLength: 0 })
+    ])
+
+    expect(endpoint).toMatchObject({
+      endpoint: 'https://shop.test/api/items',
+      parameter: 'page',
+      kind: 'page',
+      step: 1,
+      nextValue: '4',
+      itemsPerResponse: 20,
+      requestCount: 2
+    })
+    expect(new URL(endpoint.nextUrl).searchParams.get('page')).toBe('4')
+    expect(endpoint.confidence).toBeGreaterThanOrEqual(90)
+  })
+
+  test('learns an offset from the step between requests', () => {
+    const endpoint = inferPagingParameter([
+      request('https://shop.test/search?q=lamp&start=0', { startedAt: 1000, afterClick: false }),
+      request('https://shop.test/search?q=lamp&start=24', { startedAt: 2000 }),
+      request('https://shop.test/search?q=lamp&start=48', { startedAt: 3000 })
+    ])
+
+    expect(endpoint).toMatchObject({ parameter: 'start', kind: 'offset', step: 24, nextValue: '72' })
+  })
+
+  test('learns a cursor echoed from the previous response', () => {
+    const endpoint = inferPagingParameter([
+      request('https://social.test/graphql', { method: 'POST', bodyParams: { query: 'Feed' }, cursorFields: { endCursor: 'YXJyYXk6MjA=' }, startedAt: 1000 }),
+      request('https://social.test/graphql', { method: 'POST', bodyParams: { query: 'Feed', after: 'YXJyYXk6MjA=' }, cursorFields: { endCursor: 'YXJyYXk6NDA=' }, startedAt: 2000 }),
+      request('https://social.test/graphql', { method: 'POST', bodyParams: { query: 'Feed', after: 'YXJyYXk6NDA=' }, cursorFields: { endCursor: 'YXJyYXk6NjA=' }, startedAt: 3000 })
+    ])
+
+    expect(endpoint).toMatchObject({
+      parameter: 'after',
+      kind: 'after',
+      cursorField: 'endCursor',
+      nextValue: 'YXJyYXk6NjA=',
+      // POST bodies cannot be replayed as a URL
+      nextUrl: null
+    })
+  })
+
+  test('learns a fingerprinted cursor without offering its value', () => {
+    const endpoint = inferPagingParameter([
+      request('https://social.test/feed', { cursorFields: { endCursor: '~1a2b' }, startedAt: 1000 }),
+      request('https://social.test/feed?after=~1a2b', { cursorFields: { endCursor: '~3c4d' }, startedAt: 2000 }),
+      request('https://social.test/feed?after=~3c4d', { cursorFields: { endCursor: '~5e6f' }, startedAt: 3000 })
+    ])
+
+    expect(endpoint).toMatchObject({ parameter: 'after', cursorField: 'endCursor', nextValue: null, nextUrl: null })
+  })
+
+  test('accepts a single clicked request already asking for a later page', () => {
+    const endpoint = inferPagingParameter([request('https://blog.test/posts.json?page=2')])
+    expect(endpoint).toMatchObject({ parameter: 'page', nextValue: '3', requestCount: 1 })
+    expect(endpoint.confidence).toBeLessThan(70)
+  })
+
+  test('ignores failed requests and parameters that do not page', () => {
+    expect(inferPagingParameter([
+      request('https://shop.test/api/items?page=2', { status: 500 }),
+      request('https://shop.test/api/items?page=3', { status: 500, startedAt: 2000 }),
+      request('https://shop.test/api/poll?ts=1700000000123', { afterClick: false }),
+      request('https://shop.test/api/poll?ts=1700000009000', { afterClick: false, startedAt: 2000 })
+    ])).toBeNull()
+  })
+})
+
+describe('network request log', () => {
+  beforeEach(() => {
+    clearNetworkRequests()
+  })
+
+  test('records requests posted through the page bridge', () => {
+    handlePageMessage({ type: 'NETWORK_REQUEST', request: request('https://shop.test/api/items?page=2', { startedAt: 1000 }) })
+    handlePageMessage({ type: 'NETWORK_REQUEST', request: request('https://shop.test/api/items?page=3', { startedAt: 2000 }) })
+    handlePageMessage({ type: 'NETWORK_REQUEST', request: { url: 'not a url', startedAt: 3000 } })
+
+    expect(getLearnedEndpoint()).toMatchObject({ parameter: 'page', requestCount: 2 })
+  })
+
+  test('tells clicks that fetched content apart from no-op clicks', () => {
+    recordNetworkRequest(request('https://shop.test/api/items?page=2', { startedAt: 1000 }))
+    recordNetworkRequest(request('https://shop.test/api/ping', { startedAt: 5000, arrayLength: 0 }))
+
+    expect(didLoadFromNetworkSince(900)).toBe(true)
+    expect(didLoadFromNetworkSince(4000)).toBe(false)
+  })
+})
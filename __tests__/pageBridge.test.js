@@ -0,0 +1,47 @@
+import { getLoadingSentinels, handlePageMessage, SENTINEL_ATTRIBUTE, sortSentinelsByFeed } from '../modules/pageBridge.js'
+
+describe('getLoadingSentinels', () => {
+  beforeEach(() => {
+    handlePageMessage({ type: 'SENTINELS_UPDATED', sentinels: [] })
+    document.body.innerHTML = ''
+  })
+
+  test('resolves reported sentinels by their page-assigned id in document order', () => {
+    document.body.innerHTML = `
+      <div class="feed"><div ${SENTINEL_ATTRIBUTE}="2" class="loader"></div></div>
+      <div class="panel"><div ${SENTINEL_ATTRIBUTE}="7"></div></div>
+    `
+    handlePageMessage({
+      type: 'SENTINELS_UPDATED',
+      sentinels: [
+        { id: '7', reason: 'triggered-growth' },
+        { id: '2', reason: 'keyword' }
+      ]
+    })
+
+    const sentinels = getLoadingSentinels()
+    expect(sentinels.map(({ report }) => report.id)).toEqual(['2', '7'])
+    expect(sentinels[0].element.className).toBe('loader')
+  })
+
+  test('orders sentinels nearest the feed first', () => {
+    document.body.innerHTML = `
+      <aside><div ${SENTINEL_ATTRIBUTE}="1"></div></aside>
+      <main><ul class="feed"><li>A</li><li>B</li></ul><div ${SENTINEL_ATTRIBUTE}="2"></div></main>
+    `
+    handlePageMessage({ type: 'SENTINELS_UPDATED', sentinels: [{ id: '1' }, { id: '2' }] })
+
+    const feed = { container: document.querySelector('.feed') }
+    expect(sortSentinelsByFeed(getLoadingSentinels(), feed).map(({ report }) => report.id)).toEqual(['2', '1'])
+    expect(sortSentinelsByFeed(getLoadingSentinels(), null).map(({ report }) => report.id)).toEqual(['1', '2'])
+  })
+
+  test('ignores detached sentinels and malformed ids', () => {
+    document.body.innerHTML = `<div ${SENTINEL_ATTRIBUTE}="1"></div>`
+    handlePageMessage({
+      type: 'SENTINELS_UPDATED',
+      sentinels: [{ id: '1' }, { id: '3' }, { id: '"] , *' }]
+    })
+    expect(getLoadingSentinels()).toHaveLength(1)
+  })
+})
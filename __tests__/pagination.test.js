@@ -0,0 +1,112 @@
+import { buildPageUrl, findNextPageLink, parsePagination } from '../modules/pagination.js'
+import { analyzePageContent } from '../modules/detection.js'
+
+// jsdom pages live at http://localhost/
+const url = path => new URL(path, window.location.href).href
+
+describe('parsePagination', () => {
+  beforeEach(() => {
+    document.head.innerHTML = ''
+    document.body.innerHTML = ''
+  })
+
+  test('returns null without pagination', () => {
+    document.body.innerHTML = '<ul><li>Item</li></ul>'
+    expect(parsePagination()).toBeNull()
+  })
+
+  test('reads numbered pages, the current marker and the total from the last link', () => {
+    document.body.innerHTML = `
+      <nav class="pagination">
+        <a href="/list?page=1">1</a>
+        <a href="/list?page=2" aria-current="page">2</a>
+        <a href="/list?page=3">3</a>
+        <span>…</span>
+        <a href="/list?page=9">Last</a>
+      </nav>
+    `
+    const model = parsePagination()
+    expect(model.current).toBe(2)
+    expect(model.total).toBe(9)
+    expect(model.scheme).toEqual({ type: 'query-page', parameter: 'page', perPage: null })
+    expect(model.nextUrl).toBe(url('/list?page=3'))
+    expect(model.prevUrl).toBe(url('/list?page=1'))
+    expect(model.pageUrls).toHaveLength(9)
+    expect(model.pageUrls[6]).toEqual({ page: 7, url: url('/list?page=7') })
+  })
+
+  test('recognizes offset and path schemes', () => {
+    document.body.innerHTML = `
+      <div class="pagination">
+        <span class="current">1</span>
+        <a href="/search?q=lamp&start=20">2</a>
+        <a href="/search?q=lamp&start=40">3</a>
+      </div>
+    `
+    const offset = parsePagination()
+    expect(offset.scheme).toEqual({ type: 'query-offset', parameter: 'start', perPage: 20 })
+    expect(offset.current).toBe(1)
+    expect(offset.nextUrl).toBe(url('/search?q=lamp&start=20'))
+
+    document.body.innerHTML = `
+      <nav aria-label="Pagination">
+        <a href="/blog/page/2">2</a>
+        <a href="/blog/page/3">3</a>
+      </nav>
+    `
+    const path = parsePagination()
+    expect(path.scheme).toMatchObject({ type: 'path', parameter: 'page' })
+    expect(path.current).toBe(1)
+    expect(buildPageUrl(url('/blog/page/2'), path.scheme, 5)).toBe(url('/blog/page/5'))
+  })
+
+  test('follows rel=next and "Page X of Y" texts', () => {
+    document.head.innerHTML = '<link rel="next" href="/archive?p=4">'
+    document.body.innerHTML = '<div class="pager">Page 3 of 12</div>'
+
+    const model = parsePagination()
+    expect(model.current).toBe(3)
+    expect(model.total).toBe(12)
+    expect(model.nextUrl).toBe(url('/archive?p=4'))
+  })
+
+  test('does not read item ranges as page numbers', () => {
+    document.body.innerHTML = '<div class="pagination">Showing 1–20 of 340</div>'
+    const model = parsePagination()
+    expect(model.current).toBeNull()
+    expect(model.total).toBeNull()
+  })
+
+  test('exposes the model through analyzePageContent', () => {
+    document.body.innerHTML = '<nav class="pagination"><span aria-current="page">1</span><a href="/?page=2">2</a></nav>'
+    const result = analyzePageContent()
+    expect(result.patterns.pagination).toBe(true)
+    expect(result.pagination).toMatchObject({ current: 1, total: 2 })
+  })
+})
+
+describe('findNextPageLink', () => {
+  beforeEach(() => {
+    document.head.innerHTML = ''
+  })
+
+  test('finds next links by label, glyph or numbered page', () => {
+    document.body.innerHTML = '<nav class="pagination"><a href="/?page=1">‹</a><a id="next" href="/?page=3">›</a></nav>'
+    expect(findNextPageLink().id).toBe('next')
+
+    document.body.innerHTML = '<div class="pager"><a href="/?page=1">Zurück</a><a id="next" href="/?page=3">Weiter</a></div>'
+    expect(findNextPageLink().id).toBe('next')
+
+    document.body.innerHTML = `
+      <nav class="pagination">
+        <a href="/?page=1">1</a><span aria-current="page">2</span><a id="next" href="/?page=3">3</a>
+      </nav>
+    `
+    expect(findNextPageLink().id).toBe('next')
+  })
+
+  test('returns null on the last page', () => {
+    document.body.innerHTML = '<nav class="pagination"><a href="/?page=1">1</a><span aria-current="page">2</span></nav>'
+    expect(findNextPageLink()).toBeNull()
+  })
+})
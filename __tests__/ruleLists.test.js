@@ -0,0 +1,150 @@
+import { analyzePageContent } from '../modules/detection.js'
+import {
+  addRuleList,
+  findActiveRule,
+  findRuleConflicts,
+  getSubscribedRules,
+  loadRuleLists,
+  loadSubscribedRules,
+  parseRuleList,
+  removeRuleList,
+  setRuleTier
+} from '../modules/ruleLists.js'
+import { DEFAULT_RULE_LIST } from '../modules/defaultRules.js'
+
+const fakeStorage = (initial = {}) => {
+  const data = { ...initial }
+  return {
+    get: async (key) => (key in data ? { [key]: data[key] } : {}),
+    set: async (items) => { Object.assign(data, items) }
+  }
+}
+
+const LIST = `! Title: Forum pack
+! Version: 3
+! Threads load in batches
+forum.example/threads* | more: button.load-more | list: ul.threads | end: .no-more | delay: 800
+
+shop.example/* | method: scroll | exclude: .ads | exclude: .promo
+* | more: button
+news.example/* more: button
+news.example/* | colour: red
+forum.example/threads* | more: a.next
+slow.example/* | delay: 600000
+`
+
+afterEach(() => {
+  setRuleTier('user', [])
+  setRuleTier('subscribed', [])
+  setRuleTier('builtin', parseRuleList(DEFAULT_RULE_LIST, { source: 'builtin' }).rules)
+})
+
+describe('parseRuleList', () => {
+  test('reads header fields and rules with their line numbers', () => {
+    const list = parseRuleList(LIST, { listId: 'pack' })
+
+    expect(list).toMatchObject({ title: 'Forum pack', version: '3' })
+    expect(list.rules[0]).toMatchObject({
+      id: 'pack:4',
+      source: 'subscribed',
+      urlPattern: 'forum.example/threads*',
+      loadMoreSelector: 'button.load-more',
+      listSelector: 'ul.threads',
+      delayMs: 800,
+      stopConditions: { untilSelector: '.no-more' }
+    })
+    expect(list.rules[1]).toMatchObject({ line: 6, method: 'scroll', excludeSelectors: ['.ads', '.promo'] })
+  })
+
+  test('reports the lines it skips', () => {
+    expect(parseRuleList(LIST).errors.map(({ line, reason }) => [line, reason])).toEqual([
+      [7, 'Pattern matches every site: *'],
+      [8, 'Fields must be separated by " | "'],
+      [9, 'Unknown field: colour: red'],
+      [10, 'Duplicate pattern (first on line 4)'],
+      [11, 'Delay above 60000 ms: 600000']
+    ])
+  })
+
+  test('gives path-less patterns the whole site, as matching does', () => {
+    const { rules, errors } = parseRuleList('shop.example | method: scroll\nshop.example/* | method: button')
+    expect(rules.map(rule => rule.urlPattern)).toEqual(['shop.example/*'])
+    expect(errors.map(error => error.reason)).toEqual(['Duplicate pattern (first on line 1)'])
+  })
+
+  test('the built-in list parses cleanly', () => {
+    const { rules, errors } = parseRuleList(DEFAULT_RULE_LIST, { source: 'builtin' })
+    expect(errors).toEqual([])
+    expect(rules.length).toBeGreaterThan(0)
+  })
+})
+
+describe('precedence', () => {
+  const url = 'https://forum.example/threads?page=2'
+
+  test('saved rules beat subscribed lists, which beat built-in rules', () => {
+    const subscribed = parseRuleList(LIST, { listId: 'pack' }).rules
+    setRuleTier('subscribed', subscribed)
+    setRuleTier('builtin', [{ id: 'builtin:1', urlPattern: 'forum.example/*', method: 'pagination' }])
+    expect(findActiveRule(url).id).toBe('pack:4')
+
+    setRuleTier('user', [{ id: 'mine', urlPattern: 'forum.example/*', method: 'button' }])
+    expect(findActiveRule(url)).toMatchObject({ id: 'mine', source: 'user' })
+    expect(findActiveRule('https://other.example/')).toBeNull()
+  })
+
+  test('built-in rules apply when no other tier matches', () => {
+    expect(findActiveRule('https://news.ycombinator.com/news?p=2')).toMatchObject({ method: 'stitch', source: 'builtin' })
+    expect(findActiveRule('https://x.com/home')).toMatchObject({ method: 'scroll', source: 'builtin' })
+    expect(findActiveRule('https://stackoverflow.com/questions?tab=newest&page=2')).toMatchObject({ method: 'stitch' })
+    expect(findActiveRule('https://news.ycombinator.com/item?id=1')).toBeNull()
+    expect(findActiveRule('https://stackoverflow.com/questions/123/how-to')).toBeNull()
+    expect(findActiveRule('https://old.reddit.com/r/javascript/comments/abc/title/')).toBeNull()
+  })
+
+  test('reports patterns defined in more than one place', () => {
+    const tiers = {
+      user: [{ id: 'mine', urlPattern: 'forum.example/threads*' }],
+      subscribed: getSubscribedRules([{ id: 'pack', text: LIST }]),
+      builtin: []
+    }
+    expect(findRuleConflicts(tiers)).toEqual([{
+      urlPattern: 'forum.example/threads*',
+      used: { source: 'user', listId: null, line: null, id: 'mine' },
+      overridden: [{ source: 'subscribed', listId: 'pack', line: 4, id: 'pack:4' }]
+    }])
+  })
+
+  test('detection applies the active rule by default', () => {
+    document.body.innerHTML = '<span id="more-posts">Continue</span>'
+    setRuleTier('subscribed', parseRuleList(`localhost/* | more: #more-posts`).rules)
+
+    const { patterns, siteRule } = analyzePageContent()
+    expect(siteRule).toMatchObject({ urlPattern: 'localhost/*', source: 'subscribed' })
+    expect(patterns.buttons[0]).toMatchObject({ selector: '#more-posts', fromRule: true })
+  })
+})
+
+describe('stored lists', () => {
+  test('adds, replaces by name and removes lists', async () => {
+    const storage = fakeStorage()
+    const { list, report } = await addRuleList({ name: 'forum.txt', text: LIST }, storage)
+    expect(report.rules).toHaveLength(2)
+
+    await addRuleList({ name: 'forum.txt', text: 'forum.example/* | method: button' }, storage)
+    expect(await loadRuleLists(storage)).toEqual([expect.objectContaining({ id: list.id, text: 'forum.example/* | method: button' })])
+
+    await expect(addRuleList({ name: 'bad.txt', text: '* | more: button' }, storage)).rejects.toThrow('No usable rules (line 1')
+    expect(await removeRuleList(list.id, storage)).toBe(true)
+    expect(await loadRuleLists(storage)).toEqual([])
+  })
+
+  test('keeps the parsed rules next to the lists', async () => {
+    const storage = fakeStorage()
+    const { list } = await addRuleList({ name: 'forum.txt', text: LIST }, storage)
+    expect(await loadSubscribedRules(storage)).toEqual(parseRuleList(LIST, { listId: list.id }).rules)
+
+    const older = fakeStorage({ ruleLists: [{ id: 'pack', name: 'forum.txt', text: LIST, addedAt: 1 }] })
+    expect(await loadSubscribedRules(older)).toHaveLength(2)
+  })
+})
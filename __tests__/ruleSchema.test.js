@@ -0,0 +1,133 @@
+import {
+  exportRules,
+  isCatchAllPattern,
+  mergeImportedRules,
+  parseRuleFile,
+  RULE_FILE_FORMAT,
+  RULE_SCHEMA_VERSION
+} from '../modules/ruleSchema.js'
+import { normalizeSiteRule } from '../modules/siteRules.js'
+
+const saved = normalizeSiteRule({
+  id: 'rule-local',
+  urlPattern: 'forum.example/threads*',
+  description: 'Thread lists',
+  loadMoreSelector: 'button.more',
+  method: 'button',
+  delayMs: 800,
+  stopConditions: { itemTarget: '200' },
+  excludeSelectors: ['.promo']
+}, 1000)
+
+const file = (rules, extra = {}) => ({ format: RULE_FILE_FORMAT, version: RULE_SCHEMA_VERSION, rules, ...extra })
+
+describe('exportRules / parseRuleFile', () => {
+  test('round-trips saved rules', () => {
+    const exported = exportRules([{ ...saved, lastUsed: 5 }], Date.UTC(2026, 0, 2))
+    expect(exported).toMatchObject({ format: RULE_FILE_FORMAT, version: RULE_SCHEMA_VERSION, exportedAt: '2026-01-02T00:00:00.000Z' })
+    expect(exported.rules[0]).not.toHaveProperty('lastUsed')
+
+    const { rules, rejected } = parseRuleFile(JSON.stringify(exported))
+    expect(rejected).toEqual([])
+    expect(rules).toEqual([saved])
+  })
+
+  test('rejects unusable files outright', () => {
+    expect(() => parseRuleFile('{nope')).toThrow('not valid JSON')
+    expect(() => parseRuleFile({ rules: [] })).toThrow('not a site rules export')
+    expect(() => parseRuleFile(file([], { version: RULE_SCHEMA_VERSION + 1 }))).toThrow('reads up to version')
+    expect(() => parseRuleFile(file(null))).toThrow('no rules list')
+  })
+
+  test('rejects malformed and dangerous entries, keeping the rest', () => {
+    const { rules, rejected } = parseRuleFile(file([
+      { urlPattern: 'shop.example/*', method: 'scroll' },
+      { urlPattern: '*' },
+      { urlPattern: '*://*.com/*' },
+      { urlPattern: 'file:///home/*.example/*' },
+      { urlPattern: 'news.example/*', loadMoreSelector: 'button[' },
+      { urlPattern: 'news.example/*', stopConditions: { runScript: 'alert(1)' } },
+      { urlPattern: 'news.example/*', onLoad: 'alert(1)' },
+      { urlPattern: 'news.example/*', delayMs: '500' },
+      { urlPattern: 'shop.example/*' },
+      'forum.example/*'
+    ]))
+
+    expect(rules.map(rule => rule.urlPattern)).toEqual(['shop.example/*'])
+    expect(rejected.map(({ index, reason }) => [index, reason])).toEqual([
+      [1, 'Pattern matches every site: *'],
+      [2, 'Pattern matches every site: *://*.com/*'],
+      [3, 'Only http and https pages can have rules: file:///home/*.example/*'],
+      [4, 'Invalid load more selector: button['],
+      [5, 'Unknown stop condition: runScript'],
+      [6, 'Unknown field: onLoad'],
+      [7, 'delayMs must be a number'],
+      [8, 'Another rule in the file has the same pattern'],
+      [9, 'Rule is not an object']
+    ])
+  })
+
+  test('gives path-less patterns the whole site, as matching does', () => {
+    const { rules, rejected } = parseRuleFile(file([
+      { urlPattern: 'shop.example', method: 'scroll' },
+      { urlPattern: 'shop.example/*', method: 'button' }
+    ]))
+    expect(rules.map(rule => rule.urlPattern)).toEqual(['shop.example/*'])
+    expect(rejected).toEqual([{ index: 1, urlPattern: 'shop.example/*', reason: 'Another rule in the file has the same pattern' }])
+
+    const merged = mergeImportedRules([{ ...saved, urlPattern: 'shop.example' }], rules, 'replace')
+    expect(merged).toMatchObject({ added: 0, replaced: 1 })
+  })
+
+  test('checks selectors with the browser parser, not just their brackets', () => {
+    const { rejected } = parseRuleFile(file([
+      { urlPattern: 'news.example/*', loadMoreSelector: 'div::::x' },
+      { urlPattern: 'shop.example/*', excludeSelectors: ['a:foo('] }
+    ]))
+
+    expect(rejected.map(({ reason }) => reason)).toEqual([
+      'Invalid load more selector: div::::x',
+      'Invalid excluded selector: a:foo('
+    ])
+  })
+
+  test('treats patterns without a concrete host as catch-all', () => {
+    expect(isCatchAllPattern('*/*')).toBe(true)
+    expect(isCatchAllPattern('https://*/forum/*')).toBe(true)
+    expect(isCatchAllPattern('*.example.com/*')).toBe(false)
+    expect(isCatchAllPattern('http://localhost:3000/*')).toBe(false)
+    expect(isCatchAllPattern('*e.c*')).toBe(true)
+    expect(isCatchAllPattern('*.co.uk/*')).toBe(true)
+    expect(isCatchAllPattern('*google.com/*')).toBe(true)
+    expect(isCatchAllPattern('news.*.com/*')).toBe(true)
+    expect(isCatchAllPattern('*.bbc.co.uk/*')).toBe(false)
+    expect(isCatchAllPattern('*://forum.example/*')).toBe(false)
+  })
+})
+
+describe('mergeImportedRules', () => {
+  const older = { ...saved, id: 'rule-remote', method: 'scroll', updatedAt: 500, createdAt: 100 }
+  const newer = { ...older, updatedAt: 5000 }
+  const fresh = { ...saved, id: 'rule-local', urlPattern: 'shop.example/*' }
+
+  test('keeps the newer rule by default and the local id', () => {
+    const kept = mergeImportedRules([saved], [older])
+    expect(kept).toMatchObject({ added: 0, replaced: 0, kept: 1, conflicts: [{ urlPattern: saved.urlPattern, resolution: 'existing' }] })
+    expect(kept.rules).toEqual([saved])
+
+    const replaced = mergeImportedRules([saved], [newer])
+    expect(replaced.rules).toEqual([{ ...newer, id: 'rule-local', createdAt: saved.createdAt }])
+  })
+
+  test('honors the chosen strategy and avoids id collisions', () => {
+    expect(mergeImportedRules([saved], [newer], 'keep-existing').rules).toEqual([saved])
+    expect(mergeImportedRules([saved], [older], 'replace').rules[0].method).toBe('scroll')
+
+    const { rules, added } = mergeImportedRules([saved], [fresh])
+    expect(added).toBe(1)
+    expect(rules[1].urlPattern).toBe('shop.example/*')
+    expect(rules[1].id).not.toBe('rule-local')
+
+    expect(() => mergeImportedRules([], [], 'merge-somehow')).toThrow('Unknown merge strategy')
+  })
+})
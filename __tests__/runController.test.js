@@ -0,0 +1,125 @@
+import { jest } from '@jest/globals'
+import {
+  beginWait,
+  endWait,
+  getRunState,
+  isCurrentRun,
+  isRunActive,
+  pauseRun,
+  resetRunController,
+  resumeRun,
+  RUN_STATES,
+  scheduleStep,
+  startRun,
+  stopRun,
+  transitionRun
+} from '../modules/runController.js'
+
+describe('runController', () => {
+  beforeEach(() => {
+    jest.useFakeTimers()
+    resetRunController()
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  test('starts idle and runs through to finished', () => {
+    expect(getRunState().state).toBe(RUN_STATES.IDLE)
+    expect(isRunActive()).toBe(false)
+
+    const runId = startRun({ method: 'auto', maxClicks: 5 })
+    expect(getRunState()).toMatchObject({ runId, state: 'running', method: 'auto', maxClicks: 5 })
+
+    beginWait(runId)
+    expect(getRunState().state).toBe('waiting')
+    endWait(runId)
+    expect(getRunState().state).toBe('running')
+
+    expect(transitionRun(runId, RUN_STATES.FINISHED, { stopReason: 'end-message' })).toBe(true)
+    expect(getRunState()).toMatchObject({ state: 'finished', stopReason: 'end-message' })
+    expect(isCurrentRun(runId)).toBe(false)
+
+    // Finished runs cannot be revived
+    expect(transitionRun(runId, RUN_STATES.RUNNING)).toBe(false)
+  })
+
+  test('ignores steps scheduled by a superseded run', () => {
+    const staleStep = jest.fn()
+    const freshStep = jest.fn()
+
+    const firstRun = startRun()
+    scheduleStep(firstRun, staleStep, 500)
+
+    const secondRun = startRun()
+    expect(scheduleStep(firstRun, staleStep, 0)).toBe(false)
+    expect(transitionRun(firstRun, RUN_STATES.FINISHED)).toBe(false)
+    scheduleStep(secondRun, freshStep, 500)
+
+    jest.advanceTimersByTime(1000)
+    expect(staleStep).not.toHaveBeenCalled()
+    expect(freshStep).toHaveBeenCalledTimes(1)
+  })
+
+  test('holds the next step while paused and runs it on resume', () => {
+    const step = jest.fn()
+    const runId = startRun()
+    scheduleStep(runId, step, 500)
+
+    expect(pauseRun()).toBe(true)
+    expect(getRunState().state).toBe('paused')
+    jest.advanceTimersByTime(1000)
+    expect(step).not.toHaveBeenCalled()
+
+    expect(resumeRun()).toBe(true)
+    jest.advanceTimersByTime(0)
+    expect(step).toHaveBeenCalledTimes(1)
+    expect(resumeRun()).toBe(false)
+  })
+
+  test('applies a pause requested while waiting once the wait ends', () => {
+    const step = jest.fn()
+    const runId = startRun()
+    beginWait(runId)
+
+    expect(pauseRun()).toBe(true)
+    expect(getRunState().state).toBe('paused')
+    endWait(runId)
+    expect(getRunState().state).toBe('paused')
+
+    scheduleStep(runId, step, 0)
+    jest.advanceTimersByTime(100)
+    expect(step).not.toHaveBeenCalled()
+
+    resumeRun()
+    jest.advanceTimersByTime(0)
+    expect(step).toHaveBeenCalledTimes(1)
+  })
+
+  test('lets an explicit pause take over an activity pause', () => {
+    startRun()
+    expect(pauseRun('activity')).toBe(true)
+    expect(getRunState().pauseReason).toBe('activity')
+    expect(pauseRun('activity')).toBe(false)
+
+    expect(pauseRun()).toBe(true)
+    expect(getRunState()).toMatchObject({ state: 'paused', pauseReason: 'user' })
+
+    resumeRun()
+    expect(getRunState()).toMatchObject({ state: 'running', pauseReason: null })
+  })
+
+  test('stops at the user request and cancels pending steps', () => {
+    const step = jest.fn()
+    const runId = startRun()
+    scheduleStep(runId, step, 500)
+
+    expect(stopRun()).toBe(true)
+    jest.advanceTimersByTime(1000)
+    expect(step).not.toHaveBeenCalled()
+    expect(getRunState()).toMatchObject({ state: 'finished', stopReason: 'stopped' })
+    expect(stopRun()).toBe(false)
+    expect(pauseRun()).toBe(false)
+  })
+})
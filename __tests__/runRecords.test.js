@@ -0,0 +1,53 @@
+import {
+  applyProgress,
+  beginNextPage,
+  createRunRecord,
+  expectNavigation,
+  finishRunRecord,
+  getContinuationOptions,
+  isExpectedNavigation,
+  NAVIGATION_TIMEOUT_MS
+} from '../modules/runRecords.js'
+
+const options = { maxClicks: 20, method: 'pagination', stopConditions: { itemTarget: '100' } }
+const start = () => createRunRecord({ tabId: 4, frameId: 0, options, url: 'https://forum.example/t?page=1', now: 1000 })
+
+describe('run records', () => {
+  test('keeps one run with per-page stats across a navigation', () => {
+    let record = applyProgress(start(), { action: 'clicked', count: 3, itemsLoaded: 40 }, 2000)
+    record = expectNavigation(applyProgress(record, { action: 'pagination', count: 3, itemsLoaded: 45 }), 'https://forum.example/t?page=2', 3000)
+    expect(record.status).toBe('navigating')
+
+    expect(isExpectedNavigation(record, 'https://forum.example/t?page=2', 4000)).toBe(true)
+    record = beginNextPage(record, 'https://forum.example/t?page=2', 4000)
+    expect(getContinuationOptions(record)).toEqual({
+      ...options,
+      continuation: { startedAt: 1000, clickCount: 3, itemsLoaded: 45, page: 2 }
+    })
+
+    // Counters reported by the continued run are run-wide
+    record = applyProgress(record, { action: 'complete', count: 5, itemsLoaded: 70, stopReason: 'last-page' }, 5000)
+    expect(record).toMatchObject({ status: 'finished', stopReason: 'last-page', clickCount: 5, itemsLoaded: 70 })
+    expect(record.pages.map(({ url, clickCount, itemsLoaded }) => ({ url, clickCount, itemsLoaded }))).toEqual([
+      { url: 'https://forum.example/t?page=1', clickCount: 3, itemsLoaded: 45 },
+      { url: 'https://forum.example/t?page=2', clickCount: 2, itemsLoaded: 25 }
+    ])
+  })
+
+  test('only continues announced, recent, same-origin navigations', () => {
+    const running = start()
+    expect(isExpectedNavigation(running, 'https://forum.example/t?page=2', 2000)).toBe(false)
+
+    const navigating = expectNavigation(running, 'https://forum.example/t?page=2', 2000)
+    expect(isExpectedNavigation(navigating, 'https://forum.example/login?next=t', 2500)).toBe(true)
+    expect(isExpectedNavigation(navigating, 'https://elsewhere.example/', 2500)).toBe(false)
+    expect(isExpectedNavigation(navigating, 'https://forum.example/t?page=2', 2000 + NAVIGATION_TIMEOUT_MS + 1)).toBe(false)
+  })
+
+  test('finished runs ignore later announcements', () => {
+    const stopped = finishRunRecord(start(), 'stopped', 'Stopped by user')
+    const record = expectNavigation(stopped, 'https://forum.example/t?page=2')
+    expect(record.status).toBe('finished')
+    expect(isExpectedNavigation(record, 'https://forum.example/t?page=2')).toBe(false)
+  })
+})
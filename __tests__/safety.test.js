@@ -0,0 +1,87 @@
+import { evaluateClickSafety, guardClick } from '../modules/safety.js'
+import { clickElement } from '../modules/execution.js'
+import { clearRunLog, getRunLog } from '../modules/runLog.js'
+
+const location = new URL('https://shop.test/catalog')
+
+describe('evaluateClickSafety', () => {
+  beforeEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  test('allows plain load more controls', () => {
+    document.body.innerHTML = `
+      <div class="feed-footer"><button class="load-more">Load more</button></div>
+      <a href="/catalog?page=2">Show more</a>
+      <a href="javascript:void(0)">More</a>
+    `
+    document.querySelectorAll('button, a').forEach(element => {
+      expect(evaluateClickSafety(element, { location })).toEqual({ safe: true, reason: null, detail: '' })
+    })
+  })
+
+  test('refuses form submits', () => {
+    document.body.innerHTML = `
+      <form action="/search"><input name="q"><button>Show more results</button></form>
+    `
+    expect(evaluateClickSafety(document.querySelector('button'), { location }).reason).toBe('form-submit')
+  })
+
+  test('refuses download and cross-origin links', () => {
+    document.body.innerHTML = `
+      <a id="download" href="/catalog.pdf" download>Load more</a>
+      <a id="external" href="https://partner.test/more">View more</a>
+      <a id="mail" href="mailto:sales@shop.test">More</a>
+    `
+    expect(evaluateClickSafety(document.getElementById('download'), { location }).reason).toBe('download-link')
+    expect(evaluateClickSafety(document.getElementById('external'), { location }).reason).toBe('cross-origin-link')
+    expect(evaluateClickSafety(document.getElementById('mail'), { location }).reason).toBe('cross-origin-link')
+  })
+
+  test('refuses destructive text in the control or its context', () => {
+    document.body.innerHTML = `
+      <button id="checkout">Continue to checkout</button>
+      <button id="payment">Next: Payment</button>
+      <a id="logout" href="/account/logout">Continue</a>
+      <div><span>Delete this comment?</span><button id="confirm" type="button">Yes</button></div>
+      <button id="cart" class="add-to-cart">More</button>
+      <button id="german">Jetzt kaufen</button>
+    `
+    const reasons = ['checkout', 'payment', 'logout', 'confirm', 'cart', 'german']
+      .map(id => evaluateClickSafety(document.getElementById(id), { location }))
+
+    reasons.forEach(verdict => expect(verdict.reason).toBe('destructive-text'))
+    expect(reasons[0].detail).toBe('checkout')
+  })
+
+  test('matches destructive words on word boundaries', () => {
+    document.body.innerHTML = '<button class="display-more">Display more</button>'
+    expect(evaluateClickSafety(document.querySelector('button'), { location }).safe).toBe(true)
+  })
+})
+
+describe('guardClick', () => {
+  beforeEach(() => {
+    clearRunLog()
+  })
+
+  test('records refusals in the run log and blocks clickElement', () => {
+    document.body.innerHTML = '<button type="button">Unsubscribe</button>'
+    const button = document.querySelector('button')
+    let clicked = false
+    button.addEventListener('click', () => { clicked = true })
+
+    expect(clickElement(button)).toBe(false)
+    expect(clicked).toBe(false)
+
+    const [entry] = getRunLog('click-refused')
+    expect(entry).toMatchObject({ source: 'clickElement', reason: 'destructive-text', detail: 'unsubscribe', text: 'Unsubscribe' })
+    expect(document.querySelector(entry.selector)).toBe(button)
+  })
+
+  test('lets safe clicks through without logging', () => {
+    document.body.innerHTML = '<button type="button">Load more</button>'
+    expect(guardClick(document.querySelector('button'), 'test')).toBe(true)
+    expect(getRunLog()).toHaveLength(0)
+  })
+})
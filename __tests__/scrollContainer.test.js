@@ -0,0 +1,125 @@
+import { jest } from '@jest/globals'
+import {
+  createScrollTarget,
+  findOpenModal,
+  findScrollContainer,
+  getScrollTarget,
+  isScrollable
+} from '../modules/scrollContainer.js'
+
+const item = (n) => `<li><h3>Message ${n}</h3><p>Preview text of message number ${n}.</p></li>`
+const list = (count) => `<ul class="messages">${Array.from({ length: count }, (_, i) => item(i + 1)).join('')}</ul>`
+
+// jsdom has no layout; give an element the sizes of an overflowing box
+const makeOverflowing = (element, scrollHeight = 2000, clientHeight = 500) => {
+  Object.defineProperty(element, 'scrollHeight', { configurable: true, value: scrollHeight })
+  Object.defineProperty(element, 'clientHeight', { configurable: true, value: clientHeight })
+}
+
+describe('findScrollContainer', () => {
+  beforeEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  test('finds the overflowing ancestor of the list', () => {
+    document.body.innerHTML = `<div class="app"><div class="pane" style="overflow-y: auto">${list(5)}</div></div>`
+    const pane = document.querySelector('.pane')
+    makeOverflowing(pane)
+
+    expect(isScrollable(pane)).toBe(true)
+    expect(findScrollContainer(document.querySelector('.messages'))).toBe(pane)
+  })
+
+  test('ignores overflow containers with nothing to scroll and hidden overflow', () => {
+    document.body.innerHTML = `<div class="clip" style="overflow: hidden"><div class="pane" style="overflow-y: auto">${list(5)}</div></div>`
+    makeOverflowing(document.querySelector('.clip'))
+    makeOverflowing(document.querySelector('.pane'), 500, 500)
+
+    expect(findScrollContainer(document.querySelector('.messages'))).toBeNull()
+  })
+
+  test('crosses shadow roots to reach the scrolling host', () => {
+    document.body.innerHTML = '<chat-log style="overflow-y: scroll"></chat-log>'
+    const host = document.querySelector('chat-log')
+    const shadow = host.attachShadow({ mode: 'open' })
+    shadow.innerHTML = list(5)
+    makeOverflowing(host)
+
+    expect(findScrollContainer(shadow.querySelector('.messages'))).toBe(host)
+  })
+})
+
+describe('getScrollTarget', () => {
+  let rectSpy
+
+  beforeEach(() => {
+    document.body.innerHTML = ''
+    rectSpy = jest.spyOn(Element.prototype, 'getBoundingClientRect')
+      .mockReturnValue({ width: 400, height: 300, top: 0, left: 0, bottom: 300, right: 400 })
+  })
+
+  afterEach(() => {
+    rectSpy.mockRestore()
+  })
+
+  test('falls back to the window when the page itself scrolls', () => {
+    document.body.innerHTML = `<main>${list(5)}</main>`
+    const target = getScrollTarget()
+
+    expect(target.isWindow).toBe(true)
+    expect(target.element).toBeNull()
+  })
+
+  test('drives an inner container through scrollTop', () => {
+    document.body.innerHTML = `<div class="pane" style="overflow: auto">${list(6)}</div>`
+    const pane = document.querySelector('.pane')
+    makeOverflowing(pane)
+
+    const target = getScrollTarget()
+    expect(target.element).toBe(pane)
+    expect(target.scrollHeight).toBe(2000)
+    expect(target.isNearBottom()).toBe(false)
+
+    target.scrollToBottom()
+    expect(pane.scrollTop).toBe(2000)
+  })
+
+  test('prefers the list inside an open modal over the page feed', () => {
+    document.body.innerHTML = `
+      <main>${list(8)}</main>
+      <div role="dialog" aria-modal="true"><div class="dialog-body" style="overflow-y: auto">${list(4)}</div></div>
+    `
+    const body = document.querySelector('.dialog-body')
+    makeOverflowing(body)
+
+    expect(findOpenModal()).toBe(document.querySelector('[role="dialog"]'))
+    const target = getScrollTarget()
+    expect(target.element).toBe(body)
+    expect(target.inModal).toBe(true)
+  })
+
+  test('ignores non-modal dialogs and modals without a list', () => {
+    document.body.innerHTML = `
+      <main>${list(8)}</main>
+      <div role="dialog" class="chat"><div class="chat-body" style="overflow-y: auto">${list(4)}</div></div>
+      <div aria-modal="true" class="consent"><div class="terms" style="overflow-y: auto"><p>Terms</p></div></div>
+    `
+    makeOverflowing(document.querySelector('.chat-body'))
+    makeOverflowing(document.querySelector('.terms'))
+
+    expect(findOpenModal()).toBe(document.querySelector('.consent'))
+    expect(getScrollTarget().inModal).toBe(false)
+  })
+})
+
+describe('createScrollTarget', () => {
+  test('scrolls the window when no element is given', () => {
+    const scrollSpy = jest.spyOn(window, 'scrollTo').mockImplementation(() => {})
+    const target = createScrollTarget(null)
+
+    target.scrollTo(300)
+    expect(scrollSpy).toHaveBeenCalledWith(0, 300)
+    expect(target.clientHeight).toBe(window.innerHeight)
+    scrollSpy.mockRestore()
+  })
+})
@@ -0,0 +1,65 @@
+import { buildUniqueSelector, isHashedClassName, verifySelector, XPATH_PREFIX } from '../modules/selectorGenerator.js'
+import { generateElementSelector } from '../modules/detection.js'
+import { resolveSelectorPath } from '../modules/utils.js'
+
+describe('isHashedClassName', () => {
+  test('flags CSS-in-JS and CSS module hashes', () => {
+    expect(isHashedClassName('css-1x2y3z')).toBe(true)
+    expect(isHashedClassName('sc-bdVaJa')).toBe(true)
+    expect(isHashedClassName('Button_root__3xYzq')).toBe(true)
+    expect(isHashedClassName('x1a2b3c')).toBe(true)
+  })
+
+  test('keeps readable class names', () => {
+    expect(isHashedClassName('load-more')).toBe(false)
+    expect(isHashedClassName('css-grid')).toBe(false)
+    expect(isHashedClassName('item12')).toBe(false)
+    expect(isHashedClassName('btn_primary')).toBe(false)
+  })
+})
+
+describe('buildUniqueSelector', () => {
+  beforeEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  test('prefers stable attributes over classes', () => {
+    document.body.innerHTML = `
+      <button class="btn css-1a2b3c" data-testid="feed-load-more">More</button>
+      <button class="btn">Other</button>
+    `
+    const button = document.querySelector('[data-testid]')
+    expect(buildUniqueSelector(button)).toBe('button[data-testid="feed-load-more"]')
+  })
+
+  test('ignores hashed classes and builds an ancestor path until unique', () => {
+    document.body.innerHTML = `
+      <section class="comments"><div class="row"><button class="Btn_x__9fK2a">More</button></div></section>
+      <section class="related"><div class="row"><button class="Btn_x__9fK2a">More</button></div></section>
+    `
+    const target = document.querySelector('.related button')
+    const selector = buildUniqueSelector(target)
+    expect(selector).not.toContain('__9fK2a')
+    expect(document.querySelectorAll(selector)).toHaveLength(1)
+    expect(document.querySelector(selector)).toBe(target)
+  })
+
+  test('every generated selector round-trips to the same element', () => {
+    document.body.innerHTML = `
+      <ul>${'<li><a href="#">More</a></li>'.repeat(5)}</ul>
+      <ul>${'<li><a href="#">More</a></li>'.repeat(5)}</ul>
+    `
+    document.querySelectorAll('a').forEach(link => {
+      const selector = generateElementSelector(link)
+      expect(resolveSelectorPath(selector)).toBe(link)
+    })
+  })
+
+  test('XPath selectors are verified like CSS selectors', () => {
+    document.body.innerHTML = '<div><span></span><span></span></div>'
+    const span = document.querySelectorAll('span')[1]
+    expect(verifySelector(`${XPATH_PREFIX}/html/body/div[1]/span[2]`, span)).toBe(true)
+    expect(resolveSelectorPath(`${XPATH_PREFIX}/html/body/div[1]/span[2]`)).toBe(span)
+    expect(verifySelector(`${XPATH_PREFIX}/html/body/div[1]/span[1]`, span)).toBe(false)
+  })
+})
@@ -0,0 +1,137 @@
+import { analyzePageContent } from '../modules/detection.js'
+import { getCanonicalFeed, resetCanonicalFeed, setFeedContainerSelector } from '../modules/listDetection.js'
+import {
+  deleteSiteRule,
+  findSiteRule,
+  isExcludedByRule,
+  loadSiteRules,
+  matchesUrlPattern,
+  mergeRuleOptions,
+  normalizeUrlPattern,
+  normalizeSiteRule,
+  saveSiteRule,
+  SITE_RULES_KEY
+} from '../modules/siteRules.js'
+
+// Promise-based stand-in for chrome.storage.local
+const fakeStorage = (initial = {}) => {
+  const data = { ...initial }
+  return {
+    data,
+    get: async (key) => (key in data ? { [key]: data[key] } : {}),
+    set: async (items) => { Object.assign(data, items) }
+  }
+}
+
+describe('URL patterns', () => {
+  test('matches globs with or without a scheme', () => {
+    expect(matchesUrlPattern('https://forum.example/threads*', 'https://forum.example/threads?page=2')).toBe(true)
+    expect(matchesUrlPattern('https://forum.example/threads*', 'http://forum.example/threads')).toBe(false)
+    expect(matchesUrlPattern('forum.example/*/replies', 'https://forum.example/t/42/replies')).toBe(true)
+    expect(matchesUrlPattern('*.example.com/*', 'https://example.com/feed')).toBe(true)
+    expect(matchesUrlPattern('*.example.com/*', 'https://news.example.com/feed')).toBe(true)
+    expect(matchesUrlPattern('*.example.com/*', 'https://example.com.evil/feed')).toBe(false)
+    expect(matchesUrlPattern('*google.com/*', 'https://evil.net/google.com/')).toBe(false)
+    expect(matchesUrlPattern('forum.*/threads', 'https://forum.example/a/threads')).toBe(false)
+    expect(matchesUrlPattern('*://forum.example/*', 'http://forum.example/t/1')).toBe(true)
+  })
+
+  test('a pattern without a path covers the whole host', () => {
+    expect(matchesUrlPattern('example.com', 'https://example.com/')).toBe(true)
+    expect(matchesUrlPattern('example.com', 'https://example.com/feed?page=2')).toBe(true)
+    expect(matchesUrlPattern('*.example.com', 'https://news.example.com/')).toBe(true)
+    expect(matchesUrlPattern('https://example.com', 'https://example.com/a')).toBe(true)
+    expect(matchesUrlPattern('example.com', 'https://example.com.evil/')).toBe(false)
+    expect(normalizeUrlPattern(' *://example.com ')).toBe('*://example.com/*')
+    expect(normalizeUrlPattern('example.com/feed')).toBe('example.com/feed')
+  })
+
+  test('the most specific matching pattern wins', () => {
+    const rules = [
+      { id: 'site', urlPattern: 'forum.example/*' },
+      { id: 'threads', urlPattern: 'forum.example/threads*' }
+    ]
+    expect(findSiteRule(rules, 'https://forum.example/threads?page=3').id).toBe('threads')
+    expect(findSiteRule(rules, 'https://forum.example/users').id).toBe('site')
+    expect(findSiteRule(rules, 'https://other.example/threads')).toBeNull()
+  })
+})
+
+describe('normalizeSiteRule', () => {
+  test('fills defaults and rejects unusable fields', () => {
+    expect(normalizeSiteRule({ urlPattern: 'forum.example/*', delayMs: '800' }, 1000)).toMatchObject({
+      method: 'auto',
+      delayMs: 800,
+      loadMoreSelector: null,
+      excludeSelectors: [],
+      createdAt: 1000
+    })
+    expect(normalizeSiteRule({ urlPattern: 'forum.example' }).urlPattern).toBe('forum.example/*')
+    expect(() => normalizeSiteRule({})).toThrow('URL pattern')
+    expect(() => normalizeSiteRule({ urlPattern: 'a/*', loadMoreSelector: 'button[' })).toThrow('Invalid load more selector')
+    expect(() => normalizeSiteRule({ urlPattern: 'a/*', method: 'teleport' })).toThrow('Unknown method')
+    expect(() => normalizeSiteRule({ urlPattern: 'a/*', stopConditions: { untilSelector: 'div[' } })).toThrow('Invalid stop selector')
+  })
+})
+
+describe('rule storage', () => {
+  test('saves, replaces by pattern and deletes', async () => {
+    const storage = fakeStorage()
+    const first = await saveSiteRule({ urlPattern: 'forum.example/*', method: 'button' }, storage)
+    const second = await saveSiteRule({ urlPattern: 'forum.example/*', method: 'scroll' }, storage)
+
+    expect(second.id).toBe(first.id)
+    expect(second.createdAt).toBe(first.createdAt)
+    expect(await loadSiteRules(storage)).toEqual([second])
+
+    expect(await deleteSiteRule(first.id, storage)).toBe(true)
+    expect(await deleteSiteRule(first.id, storage)).toBe(false)
+    expect(storage.data[SITE_RULES_KEY]).toEqual([])
+  })
+})
+
+describe('mergeRuleOptions', () => {
+  const rule = { method: 'button', delayMs: 1200, stopConditions: { itemTarget: '200', untilText: 'Archive' } }
+
+  test('fills what the options leave unset', () => {
+    expect(mergeRuleOptions({ method: 'auto', maxClicks: 20, stopConditions: { itemTarget: '', untilText: 'Older' } }, rule)).toEqual({
+      method: 'button',
+      maxClicks: 20,
+      delayMs: 1200,
+      stopConditions: { itemTarget: '200', untilText: 'Older' }
+    })
+    expect(mergeRuleOptions({ method: 'scroll' }, rule).method).toBe('scroll')
+    expect(mergeRuleOptions({ method: 'auto' }, null)).toEqual({ method: 'auto' })
+  })
+})
+
+describe('applying a rule to detection', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <ul class="sidebar">${'<li class="tag">Tag</li>'.repeat(8)}</ul>
+      <section id="results"><div class="hit">A</div><div class="hit">B</div><div class="hit">C</div></section>
+      <button class="load-more">Load more</button>
+      <div class="promo"><button class="load-more">Load more offers</button></div>
+      <span id="next-batch">Continue</span>
+    `
+    resetCanonicalFeed()
+  })
+
+  afterEach(() => setFeedContainerSelector(null))
+
+  test('ranks the rule control first and drops excluded elements', () => {
+    const rule = { id: 'r1', urlPattern: '*', loadMoreSelector: '#next-batch', excludeSelectors: ['.promo'] }
+    const { patterns, siteRule } = analyzePageContent({ siteRule: rule })
+
+    expect(siteRule).toEqual({ id: 'r1', urlPattern: '*', source: 'user' })
+    expect(patterns.buttons[0]).toMatchObject({ selector: '#next-batch', confidence: 100, fromRule: true })
+    expect(patterns.buttons.some(candidate => candidate.text.includes('offers'))).toBe(false)
+    expect(isExcludedByRule(document.querySelector('.promo button'), rule)).toBe(true)
+  })
+
+  test('detects the feed inside the rule list container', () => {
+    expect(getCanonicalFeed().container.className).toBe('sidebar')
+    setFeedContainerSelector('#results')
+    expect(getCanonicalFeed().container.id).toBe('results')
+  })
+})
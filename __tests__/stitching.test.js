@@ -0,0 +1,92 @@
+import { jest } from '@jest/globals'
+import { countFeedItems, getCanonicalFeed, resetCanonicalFeed } from '../modules/listDetection.js'
+import {
+  createStitcher,
+  extractPageItems,
+  isStitchableUrl,
+  parsePageHtml,
+  STITCH_DIVIDER_CLASS
+} from '../modules/stitching.js'
+
+const url = path => new URL(path, window.location.href).href
+const post = (n) => `<li class="post"><a href="/t/${n}">Thread ${n}</a><p>Replies to thread number ${n}.</p></li>`
+const page = (numbers, next) => `
+  <html><body>
+    <ul class="threads">${numbers.map(post).join('')}</ul>
+    <nav class="pagination">${next ? `<a rel="next" href="${next}">Next</a>` : ''}</nav>
+  </body></html>
+`
+
+// Responds with the markup registered for each URL
+const fakeFetch = (pages) => jest.fn(async (requested) => ({
+  ok: requested in pages,
+  status: requested in pages ? 200 : 404,
+  url: requested,
+  text: async () => pages[requested]
+}))
+
+describe('extractPageItems', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `<ul class="threads">${[1, 2, 3].map(post).join('')}</ul>`
+    resetCanonicalFeed()
+  })
+
+  test('takes the items matching the live list structure', () => {
+    const doc = parsePageHtml(`
+      <aside><ul><li>Popular</li><li>Recent</li><li>Tags</li><li>About</li></ul></aside>
+      <ul class="threads">${[4, 5].map(post).join('')}</ul>
+    `, url('/forum?page=2'))
+
+    const items = extractPageItems(doc, getCanonicalFeed())
+    expect(items.map(item => item.querySelector('a').textContent)).toEqual(['Thread 4', 'Thread 5'])
+  })
+})
+
+describe('createStitcher', () => {
+  beforeEach(() => {
+    document.body.innerHTML = page([1, 2, 3], '/forum?page=2')
+    resetCanonicalFeed()
+  })
+
+  test('appends each following page after a divider until there is no next link', async () => {
+    const fetchImpl = fakeFetch({
+      [url('/forum?page=2')]: page([4, 5, 6], '?page=3'),
+      [url('/forum?page=3')]: page([7])
+    })
+    const stitcher = createStitcher({ feed: getCanonicalFeed(), nextUrl: url('/forum?page=2'), fetchImpl })
+
+    const first = await stitcher.stitchNext()
+    expect(first).toMatchObject({ outcome: 'stitched', page: 2, itemsAdded: 3 })
+    expect(fetchImpl).toHaveBeenCalledWith(url('/forum?page=2'), expect.objectContaining({ credentials: 'include' }))
+    expect(stitcher.nextUrl).toBe(url('/forum?page=3'))
+
+    expect((await stitcher.stitchNext()).outcome).toBe('stitched')
+    expect((await stitcher.stitchNext()).outcome).toBe('no-next')
+
+    // Dividers are not counted as items
+    expect(countFeedItems()).toBe(7)
+    const dividers = document.querySelectorAll(`.${STITCH_DIVIDER_CLASS}`)
+    expect(Array.from(dividers).map(divider => divider.textContent)).toEqual(['Page 2', 'Page 3'])
+    expect(document.querySelector('.threads').lastElementChild.querySelector('a').getAttribute('href')).toBe(url('/t/7'))
+    expect(stitcher.pagesStitched).toBe(2)
+  })
+
+  test('stops on pagers that loop back and fails on HTTP errors', async () => {
+    const looping = createStitcher({
+      feed: getCanonicalFeed(),
+      nextUrl: url('/forum?page=2'),
+      fetchImpl: fakeFetch({ [url('/forum?page=2')]: page([4, 5], window.location.href) })
+    })
+    await looping.stitchNext()
+    expect((await looping.stitchNext()).outcome).toBe('repeat')
+
+    const missing = createStitcher({ feed: getCanonicalFeed(), nextUrl: url('/forum?page=9'), fetchImpl: fakeFetch({}) })
+    await expect(missing.stitchNext()).rejects.toThrow('status 404')
+  })
+
+  test('never fetches other origins', () => {
+    expect(isStitchableUrl('https://elsewhere.example/forum?page=2')).toBe(false)
+    expect(isStitchableUrl(url('/forum?page=2'))).toBe(true)
+    expect(createStitcher({ feed: getCanonicalFeed(), nextUrl: 'https://elsewhere.example/' }).nextUrl).toBeNull()
+  })
+})
@@ -0,0 +1,79 @@
+import { checkStopConditions, getItemDate, normalizeStopConditions } from '../modules/stopConditions.js'
+
+const baseState = { startedAt: 0, itemsLoaded: 0, now: 0 }
+
+describe('normalizeStopConditions', () => {
+  test('converts popup values and leaves unset conditions null', () => {
+    expect(normalizeStopConditions({ itemTarget: '50', timeBudgetMinutes: '1.5', untilText: '  March 3 ', olderThan: '2024-03-03' }))
+      .toEqual({
+        itemTarget: 50,
+        timeBudgetMs: 90000,
+        untilSelector: null,
+        untilText: 'March 3',
+        olderThan: Date.UTC(2024, 2, 3),
+        dateAttribute: null
+      })
+    expect(normalizeStopConditions()).toMatchObject({ itemTarget: null, timeBudgetMs: null, olderThan: null })
+    expect(normalizeStopConditions({ itemTarget: '0', timeBudgetMinutes: 'abc' })).toMatchObject({ itemTarget: null, timeBudgetMs: null })
+  })
+
+  test('rejects unusable selectors and dates', () => {
+    expect(() => normalizeStopConditions({ untilSelector: 'div[' })).toThrow('Invalid stop selector')
+    expect(() => normalizeStopConditions({ untilSelector: 'xpath://div[' })).toThrow('Invalid stop selector')
+    expect(() => normalizeStopConditions({ olderThan: 'last spring' })).toThrow('Invalid cutoff date')
+    expect(normalizeStopConditions({ untilSelector: 'feed-list >>> #post-42' }).untilSelector).toBe('feed-list >>> #post-42')
+  })
+})
+
+describe('checkStopConditions', () => {
+  beforeEach(() => {
+    document.body.innerHTML = ''
+  })
+
+  test('stops on the item target and the time budget', () => {
+    const conditions = normalizeStopConditions({ itemTarget: 40, timeBudgetMinutes: 2 })
+    expect(checkStopConditions(conditions, { ...baseState, itemsLoaded: 39, now: 60000 })).toBeNull()
+    expect(checkStopConditions(conditions, { ...baseState, itemsLoaded: 40 }).reason).toBe('item-target')
+    expect(checkStopConditions(conditions, { ...baseState, now: 120000 })).toEqual({ reason: 'time-budget', detail: 'Ran for 2 min' })
+  })
+
+  test('stops once a selector or text appears', () => {
+    const conditions = normalizeStopConditions({ untilSelector: '#post-42', untilText: 'march 3' })
+    document.body.innerHTML = '<ul><li id="post-41">Posted March 4</li></ul>'
+    expect(checkStopConditions(conditions, baseState)).toBeNull()
+
+    document.querySelector('ul').insertAdjacentHTML('beforeend', '<li>Posted March 3</li>')
+    expect(checkStopConditions(conditions, baseState)).toEqual({ reason: 'text-found', detail: 'march 3' })
+
+    document.querySelector('ul').insertAdjacentHTML('beforeend', '<li id="post-42">Posted March 2</li>')
+    expect(checkStopConditions(conditions, baseState).reason).toBe('selector-found')
+  })
+
+  test('stops once an item is dated before the cutoff', () => {
+    document.body.innerHTML = `
+      <ul>
+        <li><time datetime="2024-03-05T10:00:00Z">Mar 5</time></li>
+        <li data-timestamp="1709510400">Mar 4</li>
+      </ul>
+    `
+    const conditions = normalizeStopConditions({ olderThan: '2024-03-04' })
+    const items = () => Array.from(document.querySelectorAll('li'))
+    expect(checkStopConditions(conditions, { ...baseState, items: items() })).toBeNull()
+
+    document.querySelector('ul').insertAdjacentHTML('beforeend', '<li><time datetime="2024-03-02">Mar 2</time></li>')
+    expect(checkStopConditions(conditions, { ...baseState, items: items() })).toEqual({ reason: 'date-cutoff', detail: '2024-03-02' })
+  })
+})
+
+describe('getItemDate', () => {
+  test('prefers a site-specific attribute and ignores undated items', () => {
+    document.body.innerHTML = `
+      <article data-posted="2023-12-24" data-date="not a date"></article>
+      <article><span>No date</span></article>
+    `
+    const [dated, undated] = document.querySelectorAll('article')
+    expect(getItemDate(dated, 'data-posted')).toBe(Date.UTC(2023, 11, 24))
+    expect(getItemDate(dated)).toBeNull()
+    expect(getItemDate(undated)).toBeNull()
+  })
+})
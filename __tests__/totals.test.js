@@ -0,0 +1,65 @@
+import { detectPageTotals, parseCountText } from '../modules/totals.js'
+import { analyzePageContent } from '../modules/detection.js'
+
+describe('parseCountText', () => {
+  test.each([
+    ['Showing 1–20 of 340', { total: 340, shown: 20, perBatch: 20, remaining: null }],
+    ['Results 21 - 40 of 1,234', { total: 1234, shown: 40, perBatch: 20, remaining: null }],
+    ['1.234 Ergebnisse', { total: 1234, shown: null, perBatch: null, remaining: null }],
+    ['12 345 résultats', { total: 12345, shown: null, perBatch: null, remaining: null }],
+    ['View all 87 comments', { total: 87, shown: null, perBatch: null, remaining: null }],
+    ['Show 25 more', { total: null, shown: null, perBatch: 25, remaining: null }],
+    ['25 weitere laden', { total: null, shown: null, perBatch: 25, remaining: null }],
+    ['Load more (120)', { total: null, shown: null, perBatch: null, remaining: 120 }],
+    ['48 remaining', { total: null, shown: null, perBatch: null, remaining: 48 }],
+    ['1.2k comments', { total: 1200, shown: null, perBatch: null, remaining: null }],
+    ['340件', { total: 340, shown: null, perBatch: null, remaining: null }]
+  ])('parses %p', (text, expected) => {
+    expect(parseCountText(text)).toEqual(expected)
+  })
+
+  test('ignores texts without counts', () => {
+    expect(parseCountText('Load more')).toBeNull()
+    expect(parseCountText('Posted in 2024')).toBeNull()
+    expect(parseCountText('12 komentarzy')).toEqual({ total: 12, shown: null, perBatch: null, remaining: null })
+  })
+})
+
+describe('detectPageTotals', () => {
+  const items = count => Array.from({ length: count }, (_, index) =>
+    `<li class="card"><h3>Item ${index}</h3><p class="comment-count">${index + 2} comments</p></li>`
+  ).join('')
+
+  test('reads the status line beside the list and the batch size from the button', () => {
+    document.body.innerHTML = `
+      <section>
+        <p class="summary">Showing 1–20 of 340 products</p>
+        <ul>${items(20)}</ul>
+        <button class="load-more">Show 20 more</button>
+      </section>
+    `
+    const result = analyzePageContent()
+    expect(result.totals).toEqual({
+      total: 340,
+      perBatch: 20,
+      remaining: 320,
+      sources: ['Showing 1–20 of 340 products']
+    })
+  })
+
+  test('ignores per-item counts inside the list', () => {
+    document.body.innerHTML = `<ul>${items(5)}</ul>`
+    const container = document.querySelector('ul')
+    expect(detectPageTotals({ feed: { container }, itemCount: 5 })).toBeNull()
+  })
+
+  test('derives the total from a remaining count', () => {
+    document.body.innerHTML = '<ul></ul>'
+    const totals = detectPageTotals({
+      feed: { container: document.querySelector('ul') },
+      controlTexts: ['load more (30)'],
+      itemCount: 10
+    })
+    expect(totals).toMatchObject({ total: 40, remaining: 30, perBatch: null })
+  })
+})
@@ -0,0 +1,100 @@
+import { jest } from '@jest/globals'
+import {
+  captureViewport,
+  createActivityMonitor,
+  normalizeViewportMode
+} from '../modules/userActivity.js'
+
+describe('normalizeViewportMode', () => {
+  test('defaults to follow and rejects unknown modes', () => {
+    expect(normalizeViewportMode()).toBe('follow')
+    expect(normalizeViewportMode('background')).toBe('background')
+    expect(() => normalizeViewportMode('stealth')).toThrow('Unknown viewport mode')
+  })
+})
+
+describe('createActivityMonitor', () => {
+  let monitor
+
+  beforeEach(() => {
+    jest.useFakeTimers()
+    document.body.innerHTML = '<p>Some article text the user may select.</p>'
+  })
+
+  afterEach(() => {
+    monitor?.stop()
+    document.getSelection().removeAllRanges()
+    jest.useRealTimers()
+  })
+
+  test('reports activity once and idleness after the quiet period', () => {
+    const onActive = jest.fn()
+    const onIdle = jest.fn()
+    monitor = createActivityMonitor({ idleMs: 1000, onActive, onIdle, trustedOnly: false })
+    monitor.start()
+
+    window.dispatchEvent(new Event('wheel'))
+    jest.advanceTimersByTime(600)
+    window.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown' }))
+    expect(onActive).toHaveBeenCalledTimes(1)
+    expect(onActive).toHaveBeenCalledWith('wheel')
+    expect(monitor.isActive()).toBe(true)
+
+    // Each event restarts the quiet period
+    jest.advanceTimersByTime(600)
+    expect(onIdle).not.toHaveBeenCalled()
+    jest.advanceTimersByTime(400)
+    expect(onIdle).toHaveBeenCalledTimes(1)
+    expect(monitor.isActive()).toBe(false)
+  })
+
+  test('stays active while the user holds a text selection', () => {
+    const onIdle = jest.fn()
+    monitor = createActivityMonitor({ idleMs: 500, onIdle, trustedOnly: false })
+    monitor.start()
+
+    const range = document.createRange()
+    range.selectNodeContents(document.querySelector('p'))
+    document.getSelection().addRange(range)
+    document.dispatchEvent(new Event('selectionchange'))
+
+    jest.advanceTimersByTime(2000)
+    expect(onIdle).not.toHaveBeenCalled()
+
+    document.getSelection().removeAllRanges()
+    jest.advanceTimersByTime(500)
+    expect(onIdle).toHaveBeenCalledTimes(1)
+  })
+
+  test('ignores events synthesized by page scripts and stops listening', () => {
+    const onActive = jest.fn()
+    monitor = createActivityMonitor({ onActive })
+    monitor.start()
+    window.dispatchEvent(new Event('touchstart'))
+    expect(onActive).not.toHaveBeenCalled()
+
+    const untrusted = createActivityMonitor({ onActive, trustedOnly: false })
+    untrusted.start()
+    untrusted.stop()
+    window.dispatchEvent(new Event('touchstart'))
+    expect(onActive).not.toHaveBeenCalled()
+  })
+})
+
+describe('captureViewport', () => {
+  test('puts the window and the scroll container back', () => {
+    document.body.innerHTML = '<div class="pane"></div>'
+    const pane = document.querySelector('.pane')
+    pane.scrollTop = 120
+    const scrollSpy = jest.spyOn(window, 'scrollTo').mockImplementation(() => {})
+
+    const viewport = captureViewport({ element: pane })
+    expect(viewport.restore()).toBe(false)
+
+    pane.scrollTop = 900
+    expect(viewport.restore()).toBe(true)
+    expect(pane.scrollTop).toBe(120)
+    expect(scrollSpy).not.toHaveBeenCalled()
+    scrollSpy.mockRestore()
+  })
+})
@@ -1,5 +1,5 @@
 import { jest } from '@jest/globals'
-import { throttle, queryElements } from '../modules/utils.js'
+import { throttle, queryElements, collectShadowRoots, resolveSelectorPath, splitSelectorPath } from '../modules/utils.js'
 
 jest.useFakeTimers()
 
@@ -61,4 +61,41 @@ describe('queryElements', () => {
     expect(buttons.length).toBe(1)
     expect(links.length).toBe(1)
   })
-})
\ No newline at end of file
+})
+describe('shadow DOM queries', () => {
+  const buildShadowTree = () => {
+    document.body.innerHTML = '<my-feed></my-feed>'
+    const host = document.querySelector('my-feed')
+    const root = host.attachShadow({ mode: 'open' })
+    root.innerHTML = '<inner-list></inner-list>'
+    const innerHost = root.querySelector('inner-list')
+    innerHost.attachShadow({ mode: 'open' }).innerHTML = '<button class="load-more">Load More</button>'
+    return innerHost.shadowRoot.querySelector('button')
+  }
+
+  test('deep mode finds elements inside nested open shadow roots', () => {
+    const button = buildShadowTree()
+    expect(queryElements('button.load-more')).toEqual([])
+    expect(queryElements('button.load-more', document, false, true)).toEqual([button])
+    expect(queryElements('button.load-more', document, true, true)).toBe(button)
+    expect(collectShadowRoots().length).toBe(2)
+  })
+
+  test('resolveSelectorPath descends through shadow hosts', () => {
+    const button = buildShadowTree()
+    expect(resolveSelectorPath('my-feed >>> inner-list >>> button.load-more')).toBe(button)
+    expect(resolveSelectorPath('my-feed >>> missing >>> button')).toBeNull()
+  })
+
+  test('splits paths only at combinators outside quotes and brackets', () => {
+    expect(splitSelectorPath('my-feed >>> button[title="a >>> b"]')).toEqual(['my-feed', 'button[title="a >>> b"]'])
+    expect(splitSelectorPath("xpath://a[text()='next >>>'] >>> span")).toEqual(["xpath://a[text()='next >>>']", 'span'])
+    expect(splitSelectorPath("button:not([data-x='>>>']) >>> span[title='it\\'s >>> x']")).toEqual([
+      "button:not([data-x='>>>'])",
+      "span[title='it\\'s >>> x']"
+    ])
+
+    document.body.innerHTML = '<button title="a >>> b">More</button>'
+    expect(resolveSelectorPath("xpath://button[@title='a >>> b']")).toBe(document.querySelector('button'))
+  })
+})
@@ -0,0 +1,65 @@
+import { isBusy, waitForBatch } from '../modules/waiting.js'
+
+const countItems = () => document.querySelectorAll('li').length
+const addItems = (count) => {
+  document.querySelector('ul').insertAdjacentHTML('beforeend', '<li>Item</li>'.repeat(count))
+}
+
+describe('isBusy', () => {
+  test('recognizes aria-busy, disabled and spinner states', () => {
+    document.body.innerHTML = `
+      <button id="idle">Load more</button>
+      <button id="disabled" disabled>Load more</button>
+      <div aria-busy="true"><button id="aria">Load more</button></div>
+      <button id="spinner"><span class="spinner"></span></button>
+      <button id="class" class="btn is-loading">Load more</button>
+    `
+    expect(isBusy(document.getElementById('idle'))).toBe(false)
+    ;['disabled', 'aria', 'spinner', 'class'].forEach(id => {
+      expect(isBusy(document.getElementById(id))).toBe(true)
+    })
+    expect(isBusy(null)).toBe(false)
+  })
+})
+
+describe('waitForBatch', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<ul><li>Item</li></ul><button>Load more</button>'
+  })
+
+  test('resolves once the list has grown and the DOM is quiet', async () => {
+    setTimeout(() => addItems(2), 5)
+    setTimeout(() => addItems(1), 15)
+
+    const batch = await waitForBatch({ baselineCount: 1, countItems, settleMs: 30, timeout: 1000 })
+    expect(batch.outcome).toBe('grew')
+    expect(batch.itemCount).toBe(4)
+    expect(batch.latencyMs).toBeGreaterThanOrEqual(0)
+    expect(batch.latencyMs).toBeLessThan(batch.waitedMs)
+  })
+
+  test('resolves when the clicked control leaves its busy state', async () => {
+    const button = document.querySelector('button')
+    button.setAttribute('aria-busy', 'true')
+    setTimeout(() => button.removeAttribute('aria-busy'), 10)
+
+    const batch = await waitForBatch({ baselineCount: 1, countItems, control: button, timeout: 1000 })
+    expect(batch.outcome).toBe('control-ready')
+    expect(batch.itemCount).toBe(1)
+  })
+
+  test('does not treat a control that was never busy as ready', async () => {
+    const button = document.querySelector('button')
+    setTimeout(() => button.setAttribute('title', 'Load more'), 5)
+
+    const batch = await waitForBatch({ baselineCount: 1, countItems, control: button, timeout: 50 })
+    expect(batch).toMatchObject({ outcome: 'timeout', latencyMs: null, itemCount: 1 })
+  })
+
+  test('settles on any change when items are replaced rather than added', async () => {
+    setTimeout(() => { document.querySelector('ul').innerHTML = '<li>Page 2 item</li>' }, 5)
+
+    const batch = await waitForBatch({ baselineCount: 1, countItems, requireGrowth: false, settleMs: 20, timeout: 1000 })
+    expect(batch.outcome).toBe('settled')
+  })
+})
@@ -0,0 +1,49 @@
+/**
+ * @jest-environment node
+ */
+import { exportRules, mergeImportedRules, parseRuleFile, RULE_FILE_FORMAT } from '../modules/ruleSchema.js'
+import { loadSiteRules, replaceSiteRules } from '../modules/siteRules.js'
+
+// The background worker has no document; rule code it runs must not need one
+const fakeStorage = () => {
+  const data = {}
+  return {
+    get: async (key) => (key in data ? { [key]: data[key] } : {}),
+    set: async (items) => { Object.assign(data, items) }
+  }
+}
+
+const rule = (urlPattern, updatedAt) => ({
+  id: `rule-${updatedAt}`,
+  urlPattern,
+  loadMoreSelector: 'button.more',
+  method: 'button',
+  excludeSelectors: [],
+  stopConditions: {},
+  createdAt: 1,
+  updatedAt
+})
+
+test('runs without a document', () => {
+  expect(typeof document).toBe('undefined')
+})
+
+test('merges, stores and exports rules validated elsewhere', async () => {
+  const storage = fakeStorage()
+  await replaceSiteRules([rule('forum.example/*', 5)], storage)
+
+  const { rules, added, replaced } = mergeImportedRules(
+    await loadSiteRules(storage),
+    [rule('forum.example/*', 9), rule('shop.example/*', 9)],
+    'newest'
+  )
+  await replaceSiteRules(rules, storage)
+
+  expect({ added, replaced }).toEqual({ added: 1, replaced: 1 })
+  expect(exportRules(await loadSiteRules(storage)).rules.map(saved => saved.urlPattern)).toEqual(['forum.example/*', 'shop.example/*'])
+})
+
+test('refuses to check selectors instead of rejecting every rule', () => {
+  const { rejected } = parseRuleFile({ format: RULE_FILE_FORMAT, version: 1, rules: [{ urlPattern: 'forum.example/*', loadMoreSelector: 'button.more' }] })
+  expect(rejected[0].reason).toBe('Selectors can only be checked where a DOM exists')
+})
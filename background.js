@@ -0,0 +1,256 @@
+// Background service worker for Load More Extension
+// Coordinates scans and expansion across the frames of a tab, and owns the
+// record of each run so it survives the navigations it causes
+
+import { aggregateFrameResults, isScannableFrame } from './modules/frames.js';
+import {
+  applyProgress,
+  beginNextPage,
+  createRunRecord,
+  expectNavigation,
+  finishRunRecord,
+  getContinuationOptions,
+  isExpectedNavigation
+} from './modules/runRecords.js';
+
+// Run records live in session storage because the worker may be suspended mid-run
+const RUN_RECORD_PREFIX = 'runRecord:';
+
+// Pending record updates per tab; progress reports arrive faster than storage round-trips
+const recordUpdates = new Map();
+
+/**
+ * Reads the run record of a tab
+ * @param {number} tabId - Tab to look up
+ * @returns {Promise<Object|null>} - Run record or null
+ */
+async function loadRunRecord(tabId) {
+  const key = `${RUN_RECORD_PREFIX}${tabId}`;
+  const stored = await chrome.storage.session.get(key);
+  return stored[key] || null;
+}
+
+/**
+ * Updates a tab's run record one change at a time and tells the popup
+ * @param {number} tabId - Tab whose record changes
+ * @param {Function} update - Receives the current record (or null) and returns the new one
+ * @returns {Promise<Object|null>} - The stored record
+ */
+function updateRunRecord(tabId, update) {
+  const previous = recordUpdates.get(tabId) || Promise.resolve();
+  const next = previous.then(async () => {
+    const record = update(await loadRunRecord(tabId));
+    if (!record) return null;
+    await chrome.storage.session.set({ [`${RUN_RECORD_PREFIX}${tabId}`]: record });
+    chrome.runtime.sendMessage({ type: 'RUN_RECORD_UPDATED', tabId, record }).catch(() => {
+      // Popup might be closed, ignore errors
+    });
+    return record;
+  });
+
+  // A failed update must not block the ones queued behind it
+  recordUpdates.set(tabId, next.catch(() => null));
+  return next;
+}
+
+/**
+ * Sends SCAN_PAGE_CONTENT to every same-origin frame of a tab and merges the results
+ * @param {number} tabId - Tab to scan
+ * @param {Object} options - SCAN_PAGE_CONTENT options (e.g. { probeScroll: true })
+ * @returns {Promise<Object>} - Aggregated per-frame results
+ */
+async function scanAllFrames(tabId, options = {}) {
+  const frames = await chrome.webNavigation.getAllFrames({ tabId }) || [];
+  const targets = frames.filter(frame => isScannableFrame(frame, frames));
+
+  const responses = await Promise.all(targets.map(async (frame) => {
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, { type: 'SCAN_PAGE_CONTENT', options }, { frameId: frame.frameId });
+      return { ...frame, response };
+    } catch (error) {
+      // Frames without a content script (e.g. still loading) just report the error
+      return { ...frame, response: { error: error.message } };
+    }
+  }));
+
+  return aggregateFrameResults(responses);
+}
+
+/**
+ * Starts expansion in a specific frame and records the run
+ * @param {number} tabId - Target tab
+ * @param {number} frameId - Target frame (0 for the top frame)
+ * @param {Object} options - START_EXPANSION options
+ * @returns {Promise<Object>} - Content script response
+ */
+async function startFrameExpansion(tabId, frameId = 0, options = {}) {
+  const frame = await chrome.webNavigation.getFrame({ tabId, frameId });
+  await updateRunRecord(tabId, () => createRunRecord({ tabId, frameId, options, url: frame?.url || '' }));
+  return sendToFrameOrInject(tabId, frameId, { type: 'START_EXPANSION', options });
+}
+
+/**
+ * Stops expansion in whichever frame of the tab is running it
+ * @param {number} tabId - Target tab
+ * @returns {Promise<Object>} - Content script response
+ */
+async function stopFrameExpansion(tabId) {
+  const record = await updateRunRecord(tabId, current => current && finishRunRecord(current, 'stopped', 'Stopped by user'));
+  return chrome.tabs.sendMessage(tabId, { type: 'STOP_EXPANSION' }, { frameId: record?.frameId ?? 0 });
+}
+
+/**
+ * Sends a run command (pause, resume, state query) to the frame running the expansion
+ * @param {number} tabId - Target tab
+ * @param {string} type - PAUSE_EXPANSION, RESUME_EXPANSION or GET_EXPANSION_STATE
+ * @returns {Promise<Object>} - Content script response
+ */
+async function sendToExpansionFrame(tabId, type) {
+  const record = await loadRunRecord(tabId);
+  return chrome.tabs.sendMessage(tabId, { type }, { frameId: record?.frameId ?? 0 });
+}
+
+/**
+ * Sends a message to the content script of a frame
+ * The manifest already loads content.js everywhere, so it is only injected
+ * when the frame has no listener (e.g. the page loaded before the extension)
+ * @param {number} tabId - Tab id
+ * @param {number} frameId - Frame id
+ * @param {Object} message - Message to send
+ * @returns {Promise<*>} - The content script's response
+ */
+async function sendToFrameOrInject(tabId, frameId, message) {
+  try {
+    return await chrome.tabs.sendMessage(tabId, message, { frameId });
+  } catch (error) {
+    if (!error?.message?.includes('Receiving end does not exist')) throw error;
+    await chrome.scripting.executeScript({ target: { tabId, frameIds: [frameId] }, files: ['content.js'] });
+    return chrome.tabs.sendMessage(tabId, message, { frameId });
+  }
+}
+
+/**
+ * Continues a run on the page it navigated to
+ * @param {number} tabId - Tab that finished loading
+ * @param {number} frameId - Frame that finished loading
+ * @param {string} url - Loaded URL
+ */
+async function continueExpansion(tabId, frameId, url) {
+  const record = await loadRunRecord(tabId);
+  if (!record || record.frameId !== frameId || !isExpectedNavigation(record, url)) return;
+
+  const continued = await updateRunRecord(tabId, current => beginNextPage(current, url));
+  const message = { type: 'CONTINUE_EXPANSION', options: getContinuationOptions(continued) };
+  try {
+    await sendToFrameOrInject(tabId, frameId, message);
+  } catch (error) {
+    console.error('Error continuing expansion:', error);
+    await updateRunRecord(tabId, current => current && finishRunRecord(current, 'error', error.message));
+  }
+}
+
+// Popup commands relayed to the expanding frame
+const FRAME_RUN_COMMANDS = {
+  PAUSE_FRAME_EXPANSION: 'PAUSE_EXPANSION',
+  RESUME_FRAME_EXPANSION: 'RESUME_EXPANSION',
+  GET_FRAME_EXPANSION_STATE: 'GET_EXPANSION_STATE'
+};
+
+// Listen for messages from the popup and content scripts
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message || typeof message.type !== 'string') {
+    return false;
+  }
+
+  switch (message.type) {
+    case 'SCAN_ALL_FRAMES':
+      scanAllFrames(message.tabId, message.options || {})
+        .then(data => sendResponse({ success: true, data }))
+        .catch(error => {
+          console.error('Error scanning frames:', error);
+          sendResponse({ error: 'Failed to scan frames', details: error.message });
+        });
+      return true;
+
+    case 'START_FRAME_EXPANSION':
+      startFrameExpansion(message.tabId, message.frameId, message.options || {})
+        .then(response => sendResponse(response || { success: true }))
+        .catch(error => {
+          console.error('Error starting frame expansion:', error);
+          sendResponse({ error: 'Failed to start frame expansion', details: error.message });
+        });
+      return true;
+
+    case 'STOP_FRAME_EXPANSION':
+      stopFrameExpansion(message.tabId)
+        .then(response => sendResponse(response || { success: true }))
+        .catch(error => {
+          console.error('Error stopping frame expansion:', error);
+          sendResponse({ error: 'Failed to stop frame expansion', details: error.message });
+        });
+      return true;
+
+    case 'PAUSE_FRAME_EXPANSION':
+    case 'RESUME_FRAME_EXPANSION':
+    case 'GET_FRAME_EXPANSION_STATE':
+      sendToExpansionFrame(message.tabId, FRAME_RUN_COMMANDS[message.type])
+        .then(response => sendResponse(response || { success: true }))
+        .catch(error => {
+          console.error(`Error relaying ${message.type}:`, error);
+          sendResponse({ error: 'Failed to reach the expanding frame', details: error.message });
+        });
+      return true;
+
+    case 'GET_RUN_RECORD':
+      loadRunRecord(message.tabId)
+        .then(record => sendResponse({ success: true, data: record }))
+        .catch(error => {
+          console.error('Error reading run record:', error);
+          sendResponse({ error: 'Failed to read run record', details: error.message });
+        });
+      return true;
+
+    case 'EXPANSION_PROGRESS':
+      // Reports from the expanding frame keep the record's counters current
+      if (sender.tab?.id !== undefined) {
+        updateRunRecord(sender.tab.id, record => (
+          record && record.frameId === sender.frameId && record.status !== 'finished' ? applyProgress(record, message) : null
+        )).catch(error => console.error('Error recording progress:', error));
+      }
+      return false;
+
+    case 'EXPANSION_NAVIGATING':
+      // The run is about to leave the page; continue it once the next one loads
+      if (sender.tab?.id !== undefined) {
+        updateRunRecord(sender.tab.id, record => (
+          record && record.frameId === sender.frameId ? expectNavigation(applyProgress(record, message), message.url) : null
+        )).catch(error => console.error('Error recording navigation:', error));
+      }
+      return false;
+
+    default:
+      // Other reports from content scripts are meant for the popup
+      return false;
+  }
+});
+
+// A navigation the run did not announce ends it; the page it was working on is gone
+chrome.webNavigation.onCommitted.addListener(({ tabId, frameId }) => {
+  updateRunRecord(tabId, record => (
+    record && record.frameId === frameId && record.status === 'running'
+      ? finishRunRecord(record, 'page-left', 'The page navigated away')
+      : null
+  )).catch(error => console.error('Error ending run record:', error));
+});
+
+chrome.webNavigation.onCompleted.addListener(({ tabId, frameId, url }) => {
+  continueExpansion(tabId, frameId, url)
+    .catch(error => console.error('Error continuing expansion:', error));
+});
+
+// Forget run records when a tab goes away
+chrome.tabs.onRemoved.addListener((tabId) => {
+  recordUpdates.delete(tabId);
+  chrome.storage.session.remove(`${RUN_RECORD_PREFIX}${tabId}`)
+    .catch(error => console.error('Error removing run record:', error));
+});
@@ -2,12 +2,71 @@
 // Runs in the context of web pages to detect and interact with content
 
 // Import modular components
-import { queryElements, throttle } from './modules/utils.js';
+import { queryElements, resolveSelectorPath, throttle } from './modules/utils.js';
 import { SELECTORS } from './modules/selectors.js';
+import { getActiveLocalePacks, getLoadMorePhrases, matchLexicon } from './modules/locales.js';
+import { countFeedItems, getCanonicalFeed, getFeedItems, setFeedContainerSelector } from './modules/listDetection.js';
+import {
+  getLoadingSentinels,
+  NETWORK_LEARNING_WINDOW_MS,
+  NETWORK_RUN_WINDOW_MS,
+  observeNetwork,
+  requestSentinelReport,
+  sortSentinelsByFeed,
+  startPageBridge
+} from './modules/pageBridge.js';
+import { didLoadFromNetworkSince, getLearnedEndpoint } from './modules/networkLearning.js';
+import { guardClick } from './modules/safety.js';
+import { clearRunLog, getRunLog, logRunEvent } from './modules/runLog.js';
+import { findNextPageLink, parsePagination } from './modules/pagination.js';
+import { createEndOfContentDetector } from './modules/endOfContent.js';
+import { DEFAULT_BATCH_TIMEOUT_MS, waitForBatch } from './modules/waiting.js';
+import {
+  beginWait,
+  endWait,
+  getRunState,
+  isCurrentRun,
+  isRunActive,
+  pauseRun,
+  resumeRun,
+  RUN_STATES,
+  scheduleStep,
+  startRun,
+  stopRun,
+  transitionRun,
+  updateRun
+} from './modules/runController.js';
+import { checkStopConditions, normalizeStopConditions } from './modules/stopConditions.js';
+import { getScrollTarget } from './modules/scrollContainer.js';
+import { createStitcher, isStitchableUrl } from './modules/stitching.js';
+import {
+  isExcludedByRule,
+  loadSiteRules,
+  mergeRuleOptions,
+  RULE_METHODS,
+  saveSiteRule,
+  SITE_RULES_KEY,
+  suggestUrlPattern
+} from './modules/siteRules.js';
+import {
+  findActiveRule,
+  loadSubscribedRules,
+  setRuleTier,
+  SUBSCRIBED_RULES_KEY
+} from './modules/ruleLists.js';
+import {
+  captureViewport,
+  createActivityMonitor,
+  DEFAULT_IDLE_MS,
+  normalizeViewportMode,
+  VIEWPORT_MODES
+} from './modules/userActivity.js';
 import { 
   analyzePageContent, 
   isElementVisible, 
-  generateElementSelector 
+  generateElementSelector,
+  probeInfiniteScroll,
+  classifyLinkHref
 } from './modules/detection.js';
 import { 
   executeLoadMore, 
@@ -15,6 +74,16 @@ import {
   expandHiddenContent 
 } from './modules/execution.js';
 
+// The manifest injects this script into every frame; page-level conveniences
+// such as auto-scrolling only make sense in the top frame
+const IS_TOP_FRAME = window === window.top;
+
+// The popup or the background worker injects this script again when a frame
+// has no listener yet; a copy that finds one already loaded stays inert so
+// every step is taken once
+const IS_FIRST_COPY = !window.__loadMoreContentScript;
+window.__loadMoreContentScript = true;
+
 // Throttled scroll functions for performance
 const throttledScrollTo = throttle((x, y) => {
   window.scrollTo(x, y);
@@ -47,7 +116,7 @@ const pageAnalysisCache = {
   
   // Generate a simple hash of key DOM elements for change detection
   generateDomHash() {
-    const keyElements = queryElements(SELECTORS.CACHE_KEY_ELEMENTS);
+    const keyElements = queryElements(SELECTORS.CACHE_KEY_ELEMENTS, document, false, true);
     return keyElements.length.toString() + document.body.children.length.toString();
   },
   
@@ -70,8 +139,47 @@ const pageAnalysisCache = {
   }
 };
 
+// Saved site rules, kept in sync with chrome.storage so scans need no round-trip;
+// they are the top tier of the rule lists, above subscribed and built-in lists
+let siteRules = [];
+
+function setSiteRules(rules) {
+  siteRules = rules;
+  setRuleTier('user', rules);
+  pageAnalysisCache.clear();
+}
+
+// Runs wait for this so a rule's method and selectors apply from the first step
+const siteRulesLoaded = Promise.all([loadSiteRules(), loadSubscribedRules()])
+  .then(([rules, subscribedRules]) => {
+    setRuleTier('subscribed', subscribedRules);
+    setSiteRules(rules);
+  })
+  .catch(error => console.warn('Load More Extension: Could not read site rules:', error));
+
+// Bumped by every start and stop; a start still waiting for the rules gives way to a later one
+let expansionRequest = 0;
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (!IS_FIRST_COPY) return;
+  if (areaName !== 'local') return;
+  if (changes[SUBSCRIBED_RULES_KEY]) {
+    setRuleTier('subscribed', changes[SUBSCRIBED_RULES_KEY].newValue || []);
+    pageAnalysisCache.clear();
+  }
+  if (changes[SITE_RULES_KEY]) {
+    setSiteRules(changes[SITE_RULES_KEY].newValue || []);
+  }
+});
+
+// Rule for the page this frame shows (saved, subscribed or built-in), or null
+function getActiveSiteRule() {
+  return findActiveRule(window.location.href);
+}
+
 // Enhanced global error handler for the extension
 window.addEventListener('error', (event) => {
+  if (!IS_FIRST_COPY) return;
   console.error('Blind nudist Extension: Uncaught error:', {
     message: event.message,
     filename: event.filename,
@@ -104,6 +212,7 @@ window.addEventListener('error', (event) => {
 
 // Handle unhandled promise rejections
 window.addEventListener('unhandledrejection', (event) => {
+  if (!IS_FIRST_COPY) return;
   console.error('Blind nudist Extension: Unhandled promise rejection:', {
     reason: event.reason,
     promise: event.promise,
@@ -128,11 +237,13 @@ window.addEventListener('unhandledrejection', (event) => {
 
 // Auto-scroll to load more buttons when page loads
 document.addEventListener('DOMContentLoaded', () => {
+  if (!IS_FIRST_COPY || !IS_TOP_FRAME) return;
   setTimeout(scrollToLoadMoreButton, 1000); // Delay to ensure page is fully loaded
 });
 
 // Also handle when page is fully loaded (for cases where DOMContentLoaded already fired)
 window.addEventListener('load', () => {
+  if (!IS_FIRST_COPY || !IS_TOP_FRAME) return;
   setTimeout(scrollToLoadMoreButton, 1500); // Slightly longer delay for full page load
 });
 
@@ -141,7 +252,7 @@ const setupMutationObserver = () => {
   // Create a throttled version of scrollToLoadMoreButton for the observer
   const throttledCheckForNewButtons = throttle(() => {
     // Only check if we haven't already found and scrolled to a button
-    if (!window.loadMoreButtonFound) {
+    if (IS_TOP_FRAME && !window.loadMoreButtonFound) {
       const pageAnalysis = scanPageContent();
       if (pageAnalysis.patterns.buttons.length > 0 || pageAnalysis.patterns.links.length > 0) {
         scrollToLoadMoreButton();
@@ -179,6 +290,7 @@ const setupMutationObserver = () => {
 
 // Initialize mutation observer after page load
 window.addEventListener('load', () => {
+  if (!IS_FIRST_COPY || !IS_TOP_FRAME) return;
   // Set a flag to track if we've found a button
   window.loadMoreButtonFound = false;
   
@@ -199,46 +311,14 @@ window.addEventListener('load', () => {
   }
 });
 
-// Function to automatically scroll to the first load more button
-function scrollToLoadMoreButton(retryCount = 0) {
-  const maxRetries = 5
+// Function to automatically scroll to the first load more button.
+// Uses the same detection as expansion so the popup and page agree on the target.
+function scrollToLoadMoreButton(retryCount = 0, maxRetries = 5) {
   const retryDelay = 500
   
-  const loadMoreSelectors = [
-    'button[class*="load"], button[class*="more"], button[class*="show"]',
-    'a[class*="load"], a[class*="more"], a[class*="show"]',
-    '[class*="load-more"], [class*="show-more"], [class*="view-more"]',
-    '.pagination a, .pager a',
-    '[data-testid*="load"], [data-testid*="more"]',
-    'button:contains("Load"), button:contains("More"), button:contains("Show")',
-    'a:contains("Load"), a:contains("More"), a:contains("Show")'
-  ]
-  
-  let targetElement = null
-  
-  // Find the best target element
-  for (const selector of loadMoreSelectors) {
-    try {
-      const elements = document.querySelectorAll(selector)
-      if (elements.length > 0) {
-        // Find the first visible or below-viewport element
-        for (const element of elements) {
-          const rect = element.getBoundingClientRect()
-          const isVisible = rect.width > 0 && rect.height > 0
-          const isInOrBelowViewport = rect.top >= -100 // Allow some margin above viewport
-          
-          if (isVisible && isInOrBelowViewport) {
-            targetElement = element
-            break
-          }
-        }
-        if (targetElement) break
-      }
-    } catch (e) {
-      // Skip invalid selectors (like :contains which isn't valid CSS)
-      continue
-    }
-  }
+  // Skip buttons well above the viewport; the user has already scrolled past them
+  const candidate = findBestLoadMoreButton()
+  const targetElement = candidate && candidate.getBoundingClientRect().top >= -100 ? candidate : null
   
   if (targetElement) {
     // Calculate position to place button at top of viewport with margin
@@ -246,12 +326,9 @@ function scrollToLoadMoreButton(retryCount = 0) {
     const scrollTop = window.pageYOffset || document.documentElement.scrollTop
     const targetY = scrollTop + rect.top - 80 // 80px margin from top
     
-    // Use throttled smooth scrolling
-    throttledScroll(() => {
-      window.scrollTo({
-        top: Math.max(0, targetY),
-        behavior: 'smooth'
-      })
+    window.scrollTo({
+      top: Math.max(0, targetY),
+      behavior: 'smooth'
     })
     
     // Add visual highlight
@@ -280,7 +357,7 @@ function scrollToLoadMoreButton(retryCount = 0) {
   } else if (retryCount < maxRetries) {
     // Retry after delay if no element found
     setTimeout(() => {
-      scrollToLoadMoreButton(retryCount + 1)
+      scrollToLoadMoreButton(retryCount + 1, maxRetries)
     }, retryDelay)
     return false
   }
@@ -333,6 +410,12 @@ const scrollManager = {
   // Find the main content container on the page
   findMainContentContainer() {
     try {
+      // The structurally detected feed is the most reliable container
+      const feed = getCanonicalFeed();
+      if (feed) {
+        return feed.container;
+      }
+      
       // Common content container selectors
       const contentSelectors = [
         'main',
@@ -447,19 +530,18 @@ const scrollManager = {
     try {
       if (newContentCount <= previousContentCount) return false;
       
-      const contentContainer = this.findMainContentContainer();
-      if (!contentContainer) return false;
-      
-      // Find new content elements (assuming they're at the bottom)
-      const allContentItems = contentContainer.children;
+      // New items are the feed items beyond the previous count
+      const feedItems = getFeedItems(getCanonicalFeed());
       const newItemsCount = newContentCount - previousContentCount;
-      const newItems = Array.from(allContentItems).slice(-newItemsCount);
+      const newItems = feedItems.slice(previousContentCount);
       
       if (newItems.length > 0) {
         const firstNewItem = newItems[0];
         const rect = firstNewItem.getBoundingClientRect();
-        const currentScrollY = window.pageYOffset || document.documentElement.scrollTop;
-        const targetY = rect.top + currentScrollY - 100; // 100px offset from top
+        const scrollTarget = getScrollTarget();
+        // Inner containers measure from their own top edge
+        const originTop = scrollTarget.isWindow ? 0 : scrollTarget.element.getBoundingClientRect().top;
+        const targetY = rect.top - originTop + scrollTarget.scrollTop - 100; // 100px offset from top
         
         console.log('Blind nudist Extension: Scrolling to new content', {
           newItemsCount,
@@ -467,7 +549,11 @@ const scrollManager = {
           firstNewItem
         });
         
-        throttledScrollTo(0, Math.max(0, targetY));
+        if (scrollTarget.isWindow) {
+          throttledScrollTo(0, Math.max(0, targetY));
+        } else {
+          scrollTarget.scrollTo(Math.max(0, targetY));
+        }
         return true;
       }
       
@@ -479,65 +565,68 @@ const scrollManager = {
   }
 };
 
-try {
-  // Maximum retry attempts
-  const MAX_RETRIES = 3;
+// Subframes (ads, embeds, widgets) only act when the background worker asks them to
+if (IS_FIRST_COPY && IS_TOP_FRAME) {
+  try {
+    // Maximum retry attempts
+    const MAX_RETRIES = 3;
   
-  // Scan page for load more buttons
-  const pageAnalysis = scanPageContent();
-  let targetElement = null;
-  let elementType = '';
+    // Scan page for load more buttons
+    const pageAnalysis = scanPageContent();
+    let targetElement = null;
+    let elementType = '';
   
-  // Check if we have load more buttons
-  if (pageAnalysis.patterns.buttons.length > 0) {
-    targetElement = document.querySelector(pageAnalysis.patterns.buttons[0].selector);
-    elementType = 'button';
-  } else if (pageAnalysis.patterns.links.length > 0) {
-    // Try links if no buttons found
-    targetElement = document.querySelector(pageAnalysis.patterns.links[0].selector);
-    elementType = 'link';
-  }
+    // Check if we have load more buttons
+    if (pageAnalysis.patterns.buttons.length > 0) {
+      targetElement = resolveSelectorPath(pageAnalysis.patterns.buttons[0].selector);
+      elementType = 'button';
+    } else if (pageAnalysis.patterns.links.length > 0) {
+      // Try links if no buttons found
+      targetElement = resolveSelectorPath(pageAnalysis.patterns.links[0].selector);
+      elementType = 'link';
+    }
   
-  if (targetElement && isElementVisible(targetElement)) {
-    // Scroll to the element with smooth behavior
-    try {
-      throttledScrollIntoView(targetElement, { 
-        behavior: 'smooth', 
-        block: 'center'
-      });
-      console.log(`Load More Extension: Auto-scrolled to load more ${elementType}`);
+    if (targetElement && isElementVisible(targetElement)) {
+      // Scroll to the element with smooth behavior
+      try {
+        throttledScrollIntoView(targetElement, { 
+          behavior: 'smooth', 
+          block: 'center'
+        });
+        console.log(`Load More Extension: Auto-scrolled to load more ${elementType}`);
       
-      // Mark that we've found a button
-      window.loadMoreButtonFound = true;
+        // Mark that we've found a button
+        window.loadMoreButtonFound = true;
       
-      // Verify scroll position after a short delay
-      setTimeout(() => {
-        verifyScrollPosition(targetElement);
-      }, 500);
-    } catch (scrollError) {
-      console.error('Load More Extension: Error during scroll operation:', scrollError);
-      // Fallback to window.scrollTo if scrollIntoView fails
-      const rect = targetElement.getBoundingClientRect();
-      const scrollY = window.scrollY + rect.top - (window.innerHeight / 2);
-      throttledScrollTo(0, scrollY);
-      console.log('Load More Extension: Used fallback scroll method');
-    }
-  } else {
-    console.log(`Load More Extension: Load more element not visible or not found (attempt ${retryCount + 1})`);
-    
-    // Retry with increasing delay if element not found and under max retries
-    if (retryCount < MAX_RETRIES) {
-      const nextRetryDelay = 1000 * (retryCount + 1); // Increasing delay: 1s, 2s, 3s
-      console.log(`Load More Extension: Will retry in ${nextRetryDelay}ms`);
-      setTimeout(() => {
-        scrollToLoadMoreButton(retryCount + 1);
-      }, nextRetryDelay);
+        // Verify scroll position after a short delay
+        setTimeout(() => {
+          verifyScrollPosition(targetElement);
+        }, 500);
+      } catch (scrollError) {
+        console.error('Load More Extension: Error during scroll operation:', scrollError);
+        // Fallback to window.scrollTo if scrollIntoView fails
+        const rect = targetElement.getBoundingClientRect();
+        const scrollY = window.scrollY + rect.top - (window.innerHeight / 2);
+        throttledScrollTo(0, scrollY);
+        console.log('Load More Extension: Used fallback scroll method');
+      }
     } else {
-      console.log('Load More Extension: Maximum retry attempts reached');
+      console.log(`Load More Extension: Load more element not visible or not found (attempt ${retryCount + 1})`);
+    
+      // Retry with increasing delay if element not found and under max retries
+      if (retryCount < MAX_RETRIES) {
+        const nextRetryDelay = 1000 * (retryCount + 1); // Increasing delay: 1s, 2s, 3s
+        console.log(`Load More Extension: Will retry in ${nextRetryDelay}ms`);
+        setTimeout(() => {
+          scrollToLoadMoreButton(retryCount + 1);
+        }, nextRetryDelay);
+      } else {
+        console.log('Load More Extension: Maximum retry attempts reached');
+      }
     }
+  } catch (error) {
+    console.error('Load More Extension: Error during auto-scroll:', error);
   }
-} catch (error) {
-  console.error('Load More Extension: Error during auto-scroll:', error);
 }
 
 // Verify that the element is actually visible in the viewport after scrolling
@@ -576,15 +665,16 @@ function verifyScrollPosition(element, targetY = null) {
 
 // Keyboard navigation support for accessibility
 document.addEventListener('keydown', (event) => {
+  if (!IS_FIRST_COPY) return
   // Alt + L: Start load more expansion
-  if (event.altKey && event.key.toLowerCase() === 'l' && !window.loadMoreActive) {
+  if (event.altKey && event.key.toLowerCase() === 'l' && !isRunActive()) {
     event.preventDefault()
     startContentExpansion({ method: 'auto' })
     notifyProgress('started', 0, 'Keyboard shortcut activated')
   }
   
   // Alt + S: Stop expansion
-  if (event.altKey && event.key.toLowerCase() === 's' && window.loadMoreActive) {
+  if (event.altKey && event.key.toLowerCase() === 's' && isRunActive()) {
     event.preventDefault()
     stopContentExpansion()
     notifyProgress('stopped', 0, 'Stopped via keyboard shortcut')
@@ -593,6 +683,7 @@ document.addEventListener('keydown', (event) => {
 
 // Listen for messages from popup
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!IS_FIRST_COPY) return;
   try {
     if (!message || typeof message.type !== 'string') {
       sendResponse({ error: 'Invalid message format' });
@@ -602,7 +693,20 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     switch (message.type) {
       case 'SCAN_PAGE_CONTENT':
         try {
+          // The scroll probe is opt-in because it briefly moves the viewport
+          if (message.options?.probeScroll) {
+            scanPageContentWithProbe()
+              .then(result => sendResponse({ success: true, data: result }))
+              .catch(error => {
+                console.error('Error probing page content:', error);
+                sendResponse({ error: 'Failed to probe page content', details: error.message });
+              });
+            return true;
+          }
+          
           const result = scanPageContent();
+          // Learn from the load-more click the user may make next; a run keeps its own window
+          if (!isRunActive()) observeNetwork(NETWORK_LEARNING_WINDOW_MS);
           sendResponse({ success: true, data: result });
         } catch (error) {
           console.error('Error scanning page content:', error);
@@ -612,8 +716,14 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         
       case 'START_EXPANSION':
         try {
+          // Reject unusable stop conditions before touching the page
+          normalizeStopConditions(message.options?.stopConditions);
+          const viewportMode = normalizeViewportMode(message.options?.viewportMode);
+          
           // Scroll to content bottom before starting expansion
-          scrollManager.scrollToContentBottom({ smooth: true, offset: 150 });
+          if (viewportMode !== VIEWPORT_MODES.BACKGROUND) {
+            scrollManager.scrollToContentBottom({ smooth: true, offset: 150 });
+          }
           
           startContentExpansion(message.options || {});
           sendResponse({ success: true });
@@ -623,6 +733,17 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         }
         break
         
+      case 'CONTINUE_EXPANSION':
+        try {
+          // Sent by the background worker after the run navigated here; the viewport stays put
+          startContentExpansion(message.options || {});
+          sendResponse({ success: true });
+        } catch (error) {
+          console.error('Error continuing content expansion:', error);
+          sendResponse({ error: 'Failed to continue content expansion', details: error.message });
+        }
+        break
+        
       case 'STOP_EXPANSION':
         try {
           stopContentExpansion();
@@ -633,6 +754,50 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         }
         break
         
+      case 'PAUSE_EXPANSION':
+        if (pauseContentExpansion()) {
+          sendResponse({ success: true, data: getRunState() });
+        } else {
+          sendResponse({ error: 'No running expansion to pause', details: getRunState().state });
+        }
+        break
+        
+      case 'RESUME_EXPANSION':
+        if (resumeContentExpansion()) {
+          sendResponse({ success: true, data: getRunState() });
+        } else {
+          sendResponse({ error: 'No paused expansion to resume', details: getRunState().state });
+        }
+        break
+        
+      case 'GET_EXPANSION_STATE':
+        sendResponse({ success: true, data: getRunState() });
+        break
+        
+      case 'SCROLL_TO_LOAD_MORE':
+        try {
+          // No retries: the popup wants an immediate answer
+          const found = scrollToLoadMoreButton(0, 0);
+          sendResponse({ success: true, data: { found } });
+        } catch (error) {
+          console.error('Error scrolling to load more button:', error);
+          sendResponse({ error: 'Failed to scroll to load more button', details: error.message });
+        }
+        break
+        
+      case 'SAVE_SITE_RULE':
+        saveRuleFromLastRun(message.urlPattern)
+          .then(rule => sendResponse({ success: true, data: rule }))
+          .catch(error => {
+            console.error('Error saving site rule:', error);
+            sendResponse({ error: 'Failed to save site rule', details: error.message });
+          });
+        return true;
+        
+      case 'GET_RUN_LOG':
+        sendResponse({ success: true, data: { entries: getRunLog() } });
+        break
+        
       case 'START_AUTO_DETECTION':
         try {
           autoDetectionState.startAutoDetection();
@@ -689,6 +854,10 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
  * 
  * @returns {Object} Analysis results containing:
  *   - patterns: Detected UI patterns (buttons, links, infiniteScroll, etc.)
+ *   - learnedEndpoint: Paging request inferred from the page's own fetch/XHR traffic, or null
+ *   - totals: Counts the page displays ({ total, perBatch, remaining, sources }), or null
+ *   - estimatedTotal: Total item count from those counts or the page count, or null if unknown
+ *   - siteRule: The rule applied to this page ({ id, urlPattern, source }), or null
  *   - pageInfo: Basic page metadata (URL, title, dimensions)
  *   - detectionSummary: Summary of findings and recommended expansion method
  * 
@@ -700,27 +869,37 @@ function scanPageContent() {
     const cachedResult = pageAnalysisCache.get();
     if (cachedResult) {
       console.log('Load More Extension: Using cached page analysis');
-      return cachedResult;
+      // Requests keep arriving after the scan, so the endpoint is always fresh
+      return { ...cachedResult, learnedEndpoint: getLearnedEndpoint() };
     }
     
-    // Use the imported analyzePageContent function for actual analysis
-    const patterns = analyzePageContent();
+    // A saved rule for this page names the list and the control, ahead of the heuristics
+    const rule = getActiveSiteRule();
+    setFeedContainerSelector(rule?.listSelector || null);
     
-    // Count content items for additional metadata
-    const contentElements = queryElements(SELECTORS.CONTENT_CONTAINERS);
-    const maxContentCount = contentElements.length;
+    // Use the imported analyzePageContent function for actual analysis
+    const { patterns, contentCount: maxContentCount, feed, pagination, totals, scrollContainer, siteRule } = analyzePageContent({ siteRule: rule });
     
-    // Get page dimensions
-    const scrollHeight = document.documentElement.scrollHeight;
-    const clientHeight = document.documentElement.clientHeight;
+    // Get dimensions of whatever scrolls the feed (usually the page)
+    const scrollTarget = getScrollTarget();
+    const scrollHeight = scrollTarget.scrollHeight;
+    const clientHeight = scrollTarget.isWindow ? document.documentElement.clientHeight : scrollTarget.clientHeight;
   
     const result = {
       patterns,
       contentCount: maxContentCount,
-      estimatedTotal: Math.max(maxContentCount * 2, 50),
+      feed,
+      pagination,
+      totals,
+      scrollContainer,
+      siteRule,
+      learnedEndpoint: getLearnedEndpoint(),
+      // Only figures the page states; null when it shows no count
+      estimatedTotal: totals?.total ?? (pagination?.total && maxContentCount ? pagination.total * maxContentCount : null),
       pageInfo: {
         url: window.location.href,
         title: document.title,
+        isTopFrame: IS_TOP_FRAME,
         scrollHeight,
         clientHeight
       },
@@ -730,8 +909,8 @@ function scanPageContent() {
         hasInfiniteScroll: patterns.infiniteScroll,
         hasPagination: patterns.pagination,
         hasLazyLoadedImages: patterns.lazyLoad,
-        hasHiddenContent: patterns.hiddenContent.length > 0,
-        recommendedMethod: determineRecommendedMethod(patterns)
+        hasHiddenContent: patterns.hiddenContent,
+        recommendedMethod: determineRecommendedMethod(patterns, rule)
       }
     }
     
@@ -743,20 +922,50 @@ function scanPageContent() {
     console.error('Error in scanPageContent:', error);
     // Return minimal safe response on error
     return {
-      patterns: { buttons: [], links: [], infiniteScroll: false, pagination: false, lazyLoad: false, hiddenContent: [] },
+      patterns: { buttons: [], links: [], infiniteScroll: false, pagination: false, lazyLoad: false, hiddenContent: false },
       contentCount: 0,
-      estimatedTotal: 0,
-      pageInfo: { url: window.location.href, title: document.title, scrollHeight: 0, clientHeight: 0 },
+      feed: null,
+      pagination: null,
+      totals: null,
+      siteRule: null,
+      learnedEndpoint: null,
+      estimatedTotal: null,
+      pageInfo: { url: window.location.href, title: document.title, isTopFrame: IS_TOP_FRAME, scrollHeight: 0, clientHeight: 0 },
       detectionSummary: { hasLoadMoreButtons: false, hasLoadMoreLinks: false, hasInfiniteScroll: false, hasPagination: false, hasLazyLoadedImages: false, hasHiddenContent: false, recommendedMethod: 'none' },
       error: error.message
     }
   }
 }
 
+/**
+ * Scans the page and adds measured infinite scroll evidence from a probe scroll
+ * 
+ * @returns {Promise<Object>} Scan result whose patterns carry infiniteScrollEvidence
+ */
+async function scanPageContentWithProbe() {
+  const scan = scanPageContent();
+  const infiniteScrollEvidence = await probeInfiniteScroll();
+  const patterns = { ...scan.patterns, infiniteScrollEvidence };
+  
+  const result = {
+    ...scan,
+    patterns,
+    detectionSummary: {
+      ...scan.detectionSummary,
+      hasInfiniteScroll: infiniteScrollEvidence.detected,
+      recommendedMethod: determineRecommendedMethod(patterns, getActiveSiteRule())
+    }
+  };
+  
+  pageAnalysisCache.set(result);
+  return result;
+}
+
 /**
  * Analyzes detected patterns to recommend the optimal content expansion method
  * 
  * Priority order:
+ * 0. The method of a saved site rule for this page
  * 1. Infinite scroll (if detected and reliable)
  * 2. High-confidence load more buttons
  * 3. Lazy-loaded images (scroll method)
@@ -766,26 +975,39 @@ function scanPageContent() {
  * @param {Object} patterns - Detected page patterns from scanPageContent
  * @param {Array} patterns.buttons - Detected load more buttons with confidence scores
  * @param {Array} patterns.links - Detected load more links
- * @param {boolean} patterns.infiniteScroll - Whether infinite scroll is detected
+ * @param {boolean} patterns.infiniteScroll - Whether infinite scroll is guessed from class names
+ * @param {Object} [patterns.infiniteScrollEvidence] - Measured probe result, preferred over the guess
  * @param {boolean} patterns.lazyLoad - Whether lazy-loaded content is present
+ * @param {Object|null} [siteRule=null] - Matching site rule
  * 
- * @returns {string} Recommended method: 'click', 'scroll', 'expand', or 'none'
+ * @returns {string} Recommended method: 'button', 'pagination', 'scroll', 'expand', 'auto'
+ *   (try each in turn) or the site rule's method
  */
-function determineRecommendedMethod(patterns) {
+function determineRecommendedMethod(patterns, siteRule = null) {
   // Determine the best method to expand content based on detected patterns
   
+  // A rule saved for this site already knows what works
+  if (siteRule && siteRule.method !== 'auto') {
+    return siteRule.method;
+  }
+  
   // If we have high-confidence buttons, use them first
   if (patterns.buttons.length > 0 && patterns.buttons[0].confidence > 70) {
     return 'button';
   }
   
-  // If we have high-confidence links, use them next
+  // If we have high-confidence links, use them next: one leading to another page is
+  // followed as pagination, one handled in place is clicked like a button
   if (patterns.links.length > 0 && patterns.links[0].confidence > 70) {
-    return 'link';
+    return patterns.links[0].linkType === 'navigation' ? 'pagination' : 'button';
   }
   
-  // If we have detected infinite scroll, use that
-  if (patterns.infiniteScroll) {
+  // If we have detected infinite scroll, use that. Measured probe evidence
+  // overrides the class-name guess in both directions.
+  const hasInfiniteScroll = patterns.infiniteScrollEvidence
+    ? patterns.infiniteScrollEvidence.detected
+    : patterns.infiniteScroll;
+  if (hasInfiniteScroll) {
     return 'scroll';
   }
   
@@ -800,7 +1022,7 @@ function determineRecommendedMethod(patterns) {
   }
   
   // If we have hidden content, use expand method
-  if (patterns.hiddenContent.length > 0) {
+  if (patterns.hiddenContent) {
     return 'expand';
   }
   
@@ -820,23 +1042,156 @@ function determineRecommendedMethod(patterns) {
  * - Handling different expansion methods (click, scroll, expand)
  * 
  * @param {Object} options - Configuration options for expansion
- * @param {string} [options.method='auto'] - Expansion method: 'auto', 'click', 'scroll', 'expand'
+ * @param {string} [options.method='auto'] - Expansion method: 'auto', 'button', 'scroll', 'expand',
+ *   'stitch' or 'pagination'; only 'pagination' follows links that navigate to another page, and
+ *   only 'stitch' (given here or by the site rule) fetches such pages and appends their items to this one
  * @param {number} [options.maxClicks=10] - Maximum number of expansion attempts
- * @param {number} [options.delay=2000] - Delay between expansion attempts (ms)
+ * @param {number} [options.delayMs=500] - Pause between expansion steps (ms)
+ * @param {Object} [options.stopConditions] - Further reasons to stop: { itemTarget, timeBudgetMinutes,
+ *   untilSelector, untilText, olderThan, dateAttribute } (see normalizeStopConditions)
+ * @param {number} [options.timeout=DEFAULT_BATCH_TIMEOUT_MS] - Longest wait for a batch to load (ms);
+ *   waits end earlier once the list has grown and settled or the clicked control is no longer busy
+ * @param {string} [options.viewportMode='follow'] - 'follow' scrolls to buttons and new items, 'polite'
+ *   also pauses while the user interacts with the page, 'background' leaves the viewport where it was
+ * @param {number} [options.idleMs=DEFAULT_IDLE_MS] - Polite mode: quiet period before resuming (ms)
+ * @param {Object} [options.continuation] - Set by the background worker when a run continues after
+ *   navigating: { startedAt, clickCount, itemsLoaded, page } carried over from the earlier pages
  * @param {boolean} [options.stopOnError=false] - Whether to stop on first error
  * 
+ * A saved site rule matching the page fills in the method, delay and stop
+ * conditions the options leave unset (see mergeRuleOptions).
+ * 
+ * @returns {Promise<void>} Resolves once the site rules are loaded and the run has started
  * @throws {Error} When expansion setup fails or critical errors occur during execution
  */
-function startContentExpansion(options = {}) {
+async function startContentExpansion(options = {}) {
+  const request = ++expansionRequest
+  await siteRulesLoaded
+  if (request !== expansionRequest) return
+  
   try {
-    const { maxClicks = 10, delay = 2000, method = 'auto' } = options
+    const siteRule = getActiveSiteRule()
+    options = mergeRuleOptions(options, siteRule)
+    const { maxClicks = 10, timeout = DEFAULT_BATCH_TIMEOUT_MS, method = 'auto', idleMs = DEFAULT_IDLE_MS, delayMs = 500 } = options
+    
+    const stopConditions = normalizeStopConditions(options.stopConditions)
+    const viewportMode = normalizeViewportMode(options.viewportMode)
+    const movesViewport = viewportMode !== VIEWPORT_MODES.BACKGROUND
     
-    // Set global flags
-    window.loadMoreActive = true
-    window.loadMoreStopped = false
+    // A run continued after a navigation keeps its clock and counters
+    const continuation = options.continuation || null
+    const runStartedAt = continuation?.startedAt ?? Date.now()
     
-    let clickCount = 0
+    let clickCount = continuation?.clickCount ?? 0
     let lastContentCount = getCurrentContentCount()
+    const initialContentCount = lastContentCount
+    const itemsLoadedBefore = continuation?.itemsLoaded ?? 0
+    
+    // Supersedes any earlier run; its pending steps see a different id and do nothing
+    releaseActivityMonitor()
+    const runId = startRun({
+      method,
+      maxClicks,
+      viewportMode,
+      clickCount,
+      initialItemCount: initialContentCount,
+      itemsLoadedBefore,
+      page: continuation?.page ?? 1,
+      // Kept as entered so "Save as rule" can store them
+      stopConditions: options.stopConditions || {},
+      delayMs,
+      siteRuleId: siteRule?.id ?? null
+    })
+    
+    // Sentinel scrolls that produced no new items; after a few the sentinels are ignored
+    let fruitlessSentinelScrolls = 0
+    const fruitlessSentinels = new WeakSet()
+    const MAX_FRUITLESS_SENTINEL_SCROLLS = 3
+    
+    // Button clicks that neither fetched anything nor added items; the button is dead after a few
+    let noOpClicks = 0
+    const MAX_NO_OP_CLICKS = 3
+    
+    // Revealed hidden content renders without a request
+    const EXPAND_TIMEOUT_MS = 1000
+    
+    // Fetches following pages of classic pagination into this one; created on first use
+    let stitcher = null
+    
+    // Candidates refused by the click safety policy or skipped as navigating
+    // links; later cycles try the next best one
+    const skippedElements = new Set()
+    clearRunLog()
+    
+    requestSentinelReport()
+    observeNetwork(NETWORK_RUN_WINDOW_MS)
+    
+    // Terminal messages, dead buttons and a page that stopped growing end the run
+    const endDetector = createEndOfContentDetector({
+      measure: () => ({ height: getScrollTarget().scrollHeight, items: getCurrentContentCount() })
+    })
+    // Background mode puts back whatever a step scrolled once its batch is in
+    let stepViewport = null
+    // Waits for the batch an action triggered and records how long it took
+    const awaitBatch = async (action, baselineCount, waitOptions = {}) => {
+      beginWait(runId)
+      const batch = await waitForBatch({ baselineCount, countItems: getCurrentContentCount, timeout, ...waitOptions })
+      endWait(runId)
+      stepViewport?.restore()
+      logRunEvent('batch-waited', { action, ...batch, itemsAdded: Math.max(0, batch.itemCount - baselineCount) })
+      return batch
+    }
+    // Polite mode follows new content only while the user is idle
+    const followNewContent = async (previousCount, newCount) => {
+      if (!movesViewport || activityMonitor?.isActive()) return
+      await scrollToNewlyLoadedContent(previousCount, newCount)
+    }
+    const finishRun = (stopReason, details = '') => {
+      if (!transitionRun(runId, RUN_STATES.FINISHED, { stopReason, details, clickCount })) return
+      releaseActivityMonitor()
+      observeNetwork(0)
+      logRunEvent('run-finished', { stopReason, details, clickCount })
+      notifyProgress('complete', clickCount, details, { stopReason })
+    }
+    const failRun = (error) => {
+      console.error('Error in performExpansion:', error);
+      if (!transitionRun(runId, RUN_STATES.ERRORED, { details: error.message, clickCount })) return
+      releaseActivityMonitor()
+      observeNetwork(0)
+      logRunEvent('run-errored', { details: error.message, clickCount })
+      notifyProgress('error', clickCount, error.message)
+    }
+    const runStep = () => {
+      observeNetwork(NETWORK_RUN_WINDOW_MS)
+      return performExpansion().catch(failRun)
+    }
+    // Document navigations end this script; the background worker continues the run on the next page
+    const announceNavigation = (url) => {
+      logRunEvent('navigated', { url })
+      chrome.runtime.sendMessage({ type: 'EXPANSION_NAVIGATING', url, count: clickCount, itemsLoaded: getRunItemsLoaded() })
+        .catch(() => {
+          // Without the background worker the run simply ends with the page
+        })
+    }
+    // Scripts often handle such clicks in place, so a click is announced only once the page
+    // really unloads; returns a function withdrawing the announcement once the batch is in
+    const announceOnUnload = (url) => {
+      const announce = () => {
+        withdraw()
+        announceNavigation(url)
+      }
+      const withdraw = () => {
+        window.removeEventListener('beforeunload', announce)
+        window.removeEventListener('pagehide', announce)
+      }
+      window.addEventListener('beforeunload', announce)
+      window.addEventListener('pagehide', announce)
+      return withdraw
+    }
+    const leavesDocument = (element) => {
+      const anchor = element.closest('a[href]')
+      return anchor && ['navigation', 'same-path-query'].includes(classifyLinkHref(anchor.getAttribute('href'))) ? anchor.href : null
+    }
     
     // Get page patterns for smarter expansion
     const pageAnalysis = scanPageContent()
@@ -844,137 +1199,317 @@ function startContentExpansion(options = {}) {
     
     // Use recommended method if auto is selected
     const expansionMethod = method === 'auto' ? recommendedMethod : method
+    updateRun(runId, { expansionMethod })
     
-    async function performExpansion() {
-      try {
-        if (window.loadMoreStopped || clickCount >= maxClicks) {
-          window.loadMoreActive = false
-          notifyProgress('complete', clickCount)
-          return
+    // Links to other pages end the run, so only pagination runs follow them,
+    // whether asked for or recommended for an auto run
+    const allowNavigation = expansionMethod === 'pagination'
+    const isClickAllowed = (element, source) => {
+      const anchor = element.closest('a[href]')
+      if (!allowNavigation && anchor && classifyLinkHref(anchor.getAttribute('href')) === 'navigation') {
+        logRunEvent('link-skipped', { source, href: anchor.href, text: anchor.textContent?.trim().slice(0, 50) || '' })
+        return false
+      }
+      return guardClick(element, source)
+    }
+    
+    logRunEvent(continuation ? 'run-continued' : 'run-started', {
+      method: expansionMethod,
+      maxClicks,
+      stopConditions,
+      viewportMode,
+      page: continuation?.page ?? 1,
+      siteRule: siteRule ? `${siteRule.source || 'user'}: ${siteRule.urlPattern}` : null
+    })
+    
+    if (viewportMode === VIEWPORT_MODES.POLITE) {
+      activityMonitor = createActivityMonitor({
+        idleMs,
+        onActive: (trigger) => {
+          if (!pauseRun('activity')) return
+          logRunEvent('run-paused', { reason: 'activity', trigger, clickCount })
+          notifyProgress('paused', clickCount, 'Paused while you use the page', { pauseReason: 'activity' })
+        },
+        onIdle: () => {
+          if (getRunState().pauseReason !== 'activity' || !resumeRun()) return
+          logRunEvent('run-resumed', { reason: 'idle', clickCount })
+          notifyProgress('resumed', clickCount)
         }
-      } catch (error) {
-        console.error('Error in performExpansion:', error);
-        window.loadMoreActive = false
-        notifyProgress('error', clickCount, error.message)
+      })
+      activityMonitor.start()
+    }
+    
+    if (pageAnalysis.pagination) {
+      const { current, total } = pageAnalysis.pagination
+      logRunEvent('pagination-plan', { current, total, remaining: current !== null && total !== null ? total - current : null })
+    }
+    
+    async function performExpansion() {
+      // Stopped, finished or superseded by a newer run
+      if (!isCurrentRun(runId)) return
+      if (clickCount >= maxClicks) {
+        finishRun('max-clicks', `Reached the limit of ${maxClicks} clicks`)
+        return
+      }
+      
+      const feed = getCanonicalFeed()
+      const stop = checkStopConditions(stopConditions, {
+        startedAt: runStartedAt,
+        itemsLoaded: itemsLoadedBefore + getCurrentContentCount() - initialContentCount,
+        items: getFeedItems(feed),
+        textRoot: feed?.container || document.body
+      })
+      if (stop) {
+        finishRun(stop.reason, stop.detail)
         return
       }
+      
+      stepViewport = movesViewport ? null : captureViewport(getScrollTarget(feed))
 
-    let actionTaken = false
-    
-    // Track if content count has increased
-    const currentContentCount = getCurrentContentCount()
-    const contentIncreased = currentContentCount > lastContentCount
-    
-    // Method 1: Click visible load more buttons
-    if (expansionMethod === 'auto' || expansionMethod === 'button') {
-      const loadMoreButton = findBestLoadMoreButton()
-      if (loadMoreButton && isElementVisible(loadMoreButton)) {
-        try {
-          // Scroll button into view (throttled)
-          throttledScrollIntoView(loadMoreButton, { behavior: 'smooth', block: 'center' })
-          await sleep(500)
+      let actionTaken = false
+      let clickedAt = null
+      let clickedElement = null
+      let navigated = false
+      let withdrawAnnouncement = null
+      let batch = null
+      
+      // Track if content count has increased
+      const currentContentCount = getCurrentContentCount()
+      const contentIncreased = currentContentCount > lastContentCount
+      
+      // Method 1: Click visible load more buttons
+      if (expansionMethod === 'auto' || expansionMethod === 'button') {
+        let loadMoreButton = findBestLoadMoreButton(skippedElements)
+        while (loadMoreButton && !isClickAllowed(loadMoreButton, 'performExpansion')) {
+          skippedElements.add(loadMoreButton)
+          loadMoreButton = findBestLoadMoreButton(skippedElements)
+        }
+        if (loadMoreButton && isElementVisible(loadMoreButton)) {
+          try {
+            // Scroll button into view (throttled); an instant scroll needs no wait before the click.
+            // Background runs click it where it is.
+            if (movesViewport) {
+              throttledScrollIntoView(loadMoreButton, { behavior: 'auto', block: 'center' })
+            }
           
-          // Click the button
-          loadMoreButton.click()
-          clickCount++
-          actionTaken = true
+            // Click the button
+            clickedAt = Date.now()
+            clickedElement = loadMoreButton
+            const destination = leavesDocument(loadMoreButton)
+            if (destination) withdrawAnnouncement = announceOnUnload(destination)
+            loadMoreButton.click()
+            clickCount++
+            updateRun(runId, { clickCount, loadMoreSelector: generateElementSelector(loadMoreButton) })
+            actionTaken = true
           
-          notifyProgress('clicked', clickCount, loadMoreButton.textContent?.trim().substring(0, 30))
+            notifyProgress('clicked', clickCount, loadMoreButton.textContent?.trim().substring(0, 30))
           
-        } catch (error) {
-          console.warn('Failed to click load more button:', error)
+          } catch (error) {
+            withdrawAnnouncement?.()
+            console.warn('Failed to click load more button:', error)
+          }
         }
       }
-    }
-    
-    // Method 2: Infinite scroll
-    if (!actionTaken && (expansionMethod === 'auto' || expansionMethod === 'scroll')) {
-      const currentScroll = window.pageYOffset
-      const maxScroll = document.documentElement.scrollHeight - window.innerHeight
       
-      if (currentScroll < maxScroll * 0.9) {
-        // Store current content count before scrolling
+      // Method 2a: Scroll one of the page's own IntersectionObserver sentinels into view,
+      // the one nearest the feed first; one that loads nothing is skipped in later cycles.
+      // scrollIntoView also scrolls inner scroll containers, which window scrolling misses.
+      const sentinel = fruitlessSentinelScrolls < MAX_FRUITLESS_SENTINEL_SCROLLS
+        ? sortSentinelsByFeed(getLoadingSentinels(), getCanonicalFeed()).find(({ element }) => !fruitlessSentinels.has(element))
+        : null
+      if (!actionTaken && sentinel && (expansionMethod === 'auto' || expansionMethod === 'scroll')) {
         const preScrollContentCount = getCurrentContentCount()
-        
-        throttledScrollTo(0, document.documentElement.scrollHeight)
+      
+        sentinel.element.scrollIntoView({ behavior: 'auto', block: 'end' })
         actionTaken = true
-        notifyProgress('scrolled', clickCount)
+        notifyProgress('scrolled', clickCount, `Loading sentinel (${sentinel.report.reason})`)
+      
+        batch = await awaitBatch('sentinel-scroll', preScrollContentCount)
+        if (!isCurrentRun(runId)) return
+        const postScrollContentCount = batch.itemCount
+      
+        if (postScrollContentCount > preScrollContentCount) {
+          fruitlessSentinelScrolls = 0
+          await followNewContent(preScrollContentCount, postScrollContentCount)
+        } else {
+          fruitlessSentinelScrolls++
+          fruitlessSentinels.add(sentinel.element)
+        }
+      }
+      
+      // Method 2: Infinite scroll
+      if (!actionTaken && (expansionMethod === 'auto' || expansionMethod === 'scroll')) {
+        // The feed may live in an inner overflow container or a modal rather than the page
+        const scrollTarget = getScrollTarget()
+        const currentScroll = scrollTarget.scrollTop
+        const maxScroll = scrollTarget.scrollHeight - scrollTarget.clientHeight
+      
+        if (currentScroll < maxScroll * 0.9) {
+          // Store current content count before scrolling
+          const preScrollContentCount = getCurrentContentCount()
         
-        // Wait for potential lazy loading, then check for new content
-        await sleep(delay)
-        const postScrollContentCount = getCurrentContentCount()
+          if (scrollTarget.isWindow) {
+            throttledScrollTo(0, scrollTarget.scrollHeight)
+          } else {
+            scrollTarget.scrollToBottom()
+          }
+          actionTaken = true
+          logRunEvent('scrolled', { container: scrollTarget.isWindow ? 'window' : 'element', inModal: scrollTarget.inModal })
+          notifyProgress('scrolled', clickCount)
         
-        if (postScrollContentCount > preScrollContentCount) {
-          // New content was loaded, scroll to show it
-          await scrollToNewlyLoadedContent(preScrollContentCount, postScrollContentCount)
+          // Wait for potential lazy loading, then check for new content
+          batch = await awaitBatch('scroll', preScrollContentCount)
+          if (!isCurrentRun(runId)) return
+          const postScrollContentCount = batch.itemCount
+        
+          if (postScrollContentCount > preScrollContentCount) {
+            // New content was loaded, scroll to show it
+            await followNewContent(preScrollContentCount, postScrollContentCount)
+          }
         }
       }
-    }
-    
-    // Method 3: Expand hidden content
-    if (!actionTaken && (expansionMethod === 'auto' || expansionMethod === 'expand')) {
-      const preExpandContentCount = getCurrentContentCount()
-      const expandedCount = expandHiddenContent()
-      if (expandedCount > 0) {
-        actionTaken = true
-        notifyProgress('expanded', clickCount, `${expandedCount} hidden elements`)
+      
+      // Method 3: Expand hidden content
+      if (!actionTaken && (expansionMethod === 'auto' || expansionMethod === 'expand')) {
+        const preExpandContentCount = getCurrentContentCount()
+        const expandedCount = expandHiddenContent()
+        if (expandedCount > 0) {
+          actionTaken = true
+          notifyProgress('expanded', clickCount, `${expandedCount} hidden elements`)
         
-        // Wait for content to render, then scroll to newly visible content
-        await sleep(300)
-        const postExpandContentCount = getCurrentContentCount()
+          batch = await awaitBatch('expand', preExpandContentCount, { timeout: Math.min(timeout, EXPAND_TIMEOUT_MS) })
+          if (!isCurrentRun(runId)) return
+          const postExpandContentCount = batch.itemCount
         
-        if (postExpandContentCount > preExpandContentCount) {
-          await scrollToNewlyLoadedContent(preExpandContentCount, postExpandContentCount)
+          if (postExpandContentCount > preExpandContentCount) {
+            await followNewContent(preExpandContentCount, postExpandContentCount)
+          }
         }
       }
-    }
-    
-    // Method 4: Handle pagination
-    if (!actionTaken && (expansionMethod === 'auto' || expansionMethod === 'pagination')) {
-      const nextPageLink = findNextPageLink()
-      if (nextPageLink) {
-        try {
-          // Store current content count in sessionStorage before navigating
-          sessionStorage.setItem('loadMoreExtension_prevCount', currentContentCount)
-          nextPageLink.click()
+      
+      // Method 4: Handle pagination, planned from the parsed page model.
+      // Re-parsed each cycle because in-place pagination replaces the page list.
+      const pagination = parsePagination()
+      const onLastPage = pagination?.current != null && pagination?.total != null && pagination.current >= pagination.total
+      
+      // When stitching was asked for, pages that load as new documents are
+      // fetched and stitched into this one
+      const stitchFeed = getCanonicalFeed()
+      if (!actionTaken && !stitcher && expansionMethod === 'stitch' && !onLastPage && stitchFeed) {
+        const nextPageLink = findNextPageLink()
+        const nextUrl = nextPageLink
+          ? (['navigation', 'same-path-query'].includes(classifyLinkHref(nextPageLink.getAttribute('href'))) ? nextPageLink.href : null)
+          : pagination?.nextUrl
+        if (nextUrl && isStitchableUrl(nextUrl)) {
+          const startPage = pagination?.current ?? 1
+          stitcher = createStitcher({ feed: stitchFeed, nextUrl, startPage })
+          logRunEvent('stitch-plan', { nextUrl, startPage, total: pagination?.total ?? null })
+        }
+      }
+      
+      if (!actionTaken && stitcher) {
+        beginWait(runId)
+        const stitch = await stitcher.stitchNext()
+        endWait(runId)
+        if (!isCurrentRun(runId)) return
+        logRunEvent('page-stitched', stitch)
+      
+        if (stitch.outcome !== 'stitched') {
+          finishRun('last-page', stitch.outcome === 'no-items'
+            ? `Page ${stitch.page} has no matching items`
+            : `Stitched ${stitcher.pagesStitched} page(s)`)
+          return
+        }
+        actionTaken = true
+        batch = { outcome: 'grew', latencyMs: stitch.latencyMs, waitedMs: stitch.latencyMs, itemCount: getCurrentContentCount() }
+        notifyProgress('stitched', clickCount, `Page ${stitch.page} (${stitch.itemsAdded} items)`)
+      }
+      
+      if (!actionTaken && !onLastPage && (expansionMethod === 'auto' || expansionMethod === 'pagination')) {
+        // Auto runs also choose pagination for a load more link leading to another page
+        const nextPageLink = findNextPageLink() || (expansionMethod === 'pagination' ? findNavigatingLoadMoreLink() : null)
+        const target = pagination?.total ? `page ${pagination.current + 1} of ${pagination.total}` : 'next page'
+      
+        if (nextPageLink && isElementVisible(nextPageLink) && isClickAllowed(nextPageLink, 'pagination')) {
+          try {
+            const destination = leavesDocument(nextPageLink)
+            if (destination) withdrawAnnouncement = announceOnUnload(destination)
+            nextPageLink.click()
+            actionTaken = true
+            navigated = true
+            notifyProgress('pagination', clickCount, `Navigating to ${target}`)
+          } catch (error) {
+            withdrawAnnouncement?.()
+            console.warn('Failed to navigate to next page:', error)
+          }
+        } else if (!nextPageLink && allowNavigation && pagination?.nextUrl &&
+                   new URL(pagination.nextUrl).origin === window.location.origin) {
+          // Only <link rel="next"> (or the URL scheme) knows the next page
+          announceNavigation(pagination.nextUrl)
+          window.location.assign(pagination.nextUrl)
           actionTaken = true
-          notifyProgress('pagination', clickCount, 'Navigating to next page')
-        } catch (error) {
-          console.warn('Failed to navigate to next page:', error)
+          navigated = true
+          notifyProgress('pagination', clickCount, `Navigating to ${target}`)
         }
       }
-    }
-    
-    if (actionTaken) {
-      // Wait for content to load
-      await sleep(delay)
-      
-      // Check if new content was loaded
-      const newContentCount = getCurrentContentCount()
-      if (newContentCount > lastContentCount) {
-        lastContentCount = newContentCount
-        notifyProgress('loaded', clickCount, `${newContentCount} items`)
+      
+      if (actionTaken) {
+        // Wait for content to load unless the action already waited for it;
+        // in-place pagination replaces items rather than adding them
+        if (!batch) {
+          batch = await awaitBatch(navigated ? 'pagination' : 'click', currentContentCount, {
+            control: clickedElement,
+            requireGrowth: !navigated
+          })
+          withdrawAnnouncement?.()
+          // Stopped or superseded while waiting
+          if (!isCurrentRun(runId)) return
+        }
+      
+        // Check if new content was loaded
+        const newContentCount = getCurrentContentCount()
+        const networkConfirmed = clickedAt !== null && didLoadFromNetworkSince(clickedAt)
+        if (newContentCount > lastContentCount) {
+          lastContentCount = newContentCount
+          notifyProgress('loaded', clickCount, `${newContentCount} items`, { networkConfirmed, latencyMs: batch.latencyMs })
         
-        // Scroll to newly loaded content
-        await scrollToNewlyLoadedContent(currentContentCount, newContentCount)
-      }
+          // Scroll to newly loaded content
+          await followNewContent(currentContentCount, newContentCount)
+        }
+      
+        if (clickedAt !== null) {
+          noOpClicks = networkConfirmed || newContentCount > currentContentCount ? 0 : noOpClicks + 1
+          if (noOpClicks >= MAX_NO_OP_CLICKS) {
+            finishRun('no-op-clicks', 'Load more clicks no longer fetch content')
+            return
+          }
+        }
+      
+        // In-place pagination swaps items without growing the page, and its
+        // last page is known from the pagination model
+        if (!navigated) {
+          endDetector.recordClick(clickedElement)
+          const end = endDetector.check({ candidateAvailable: findBestLoadMoreButton(skippedElements) !== null })
+          if (end) {
+            finishRun(end.reason, end.detail)
+            return
+          }
+        }
       
-      // Continue expansion
-      if (!window.loadMoreStopped) {
-        setTimeout(performExpansion, 500)
+        // Continue expansion; a paused run holds the step until it resumes
+        scheduleStep(runId, runStep, delayMs)
+      } else if (onLastPage) {
+        finishRun('last-page', `Page ${pagination.current} of ${pagination.total}`)
+      } else {
+        // No more actions available
+        finishRun('no-action', 'Nothing left to click, scroll or expand')
       }
-    } else {
-      // No more actions available
-      window.loadMoreActive = false
-      notifyProgress('complete', clickCount)
-    }
     }
     
-    performExpansion()
+    runStep()
   } catch (error) {
     console.error('Error in startContentExpansion:', error);
-    window.loadMoreActive = false
-    window.loadMoreStopped = true
+    transitionRun(getRunState().runId, RUN_STATES.ERRORED, { details: error.message })
     notifyProgress('error', 0, error.message)
   }
 }
@@ -993,36 +1528,12 @@ async function scrollToNewlyLoadedContent(previousCount, newCount) {
 
     console.log(`Blind nudist Extension: Scrolling to newly loaded content (${previousCount} -> ${newCount})`);
     
-    // Wait a moment for content to render
-    await sleep(500);
-    
     // Use the enhanced scroll manager
     const scrolled = scrollManager.scrollToNewContent(previousCount, newCount);
     
     if (!scrolled) {
-      // Fallback: try to find new content elements manually
-      const contentElements = queryElements(SELECTORS.CONTENT_CONTAINERS);
-      
-      if (contentElements.length >= previousCount + 1) {
-        // Find the first newly loaded element (at index previousCount)
-        const firstNewElement = contentElements[previousCount];
-        
-        if (firstNewElement && isElementVisible(firstNewElement)) {
-          console.log('Blind nudist Extension: Scrolling to first new item (fallback)');
-          
-          // Use throttled scroll with smooth behavior
-          throttledScrollIntoView(firstNewElement, {
-            behavior: 'smooth',
-            block: 'start',
-            inline: 'nearest'
-          });
-          
-          return;
-        }
-      }
-      
-      // Ultimate fallback: scroll to content bottom
-      console.log('Blind nudist Extension: Ultimate fallback - scroll to content bottom');
+      // Fallback: scroll to content bottom
+      console.log('Blind nudist Extension: Fallback - scroll to content bottom');
       scrollManager.scrollToContentBottom({ smooth: true, offset: 100 });
     }
     
@@ -1031,19 +1542,26 @@ async function scrollToNewlyLoadedContent(previousCount, newCount) {
   }
 }
 
-function findBestLoadMoreButton() {
+// The best load more link detection did not reject that leads to another page
+function findNavigatingLoadMoreLink() {
+  const link = scanPageContent().patterns.links.find(candidate => !candidate.rejection && candidate.linkType === 'navigation');
+  return link ? resolveSelectorPath(link.selector) : null;
+}
+
+// Elements in `exclude` (e.g. refused by the click safety policy) are skipped
+function findBestLoadMoreButton(exclude = null) {
   // Get page analysis with confidence scores
   const pageAnalysis = scanPageContent();
   
-  // First try buttons with high confidence scores
+  // First try buttons detection did not reject (hidden, disabled, low confidence...)
   if (pageAnalysis.patterns.buttons.length > 0) {
     // Sort by confidence (already done in scanPageContent)
-    const highConfidenceButtons = pageAnalysis.patterns.buttons.filter(btn => btn.confidence > 60);
+    const highConfidenceButtons = pageAnalysis.patterns.buttons.filter(btn => !btn.rejection);
     
     for (const buttonInfo of highConfidenceButtons) {
       try {
-        const element = queryElements(buttonInfo.selector, document, true);
-        if (element && isElementVisible(element)) {
+        const element = resolveSelectorPath(buttonInfo.selector);
+        if (element && isElementVisible(element) && !exclude?.has(element)) {
           return element;
         }
       } catch (error) {
@@ -1054,12 +1572,12 @@ function findBestLoadMoreButton() {
   
   // Then try links with high confidence scores
   if (pageAnalysis.patterns.links.length > 0) {
-    const highConfidenceLinks = pageAnalysis.patterns.links.filter(link => link.confidence > 60);
+    const highConfidenceLinks = pageAnalysis.patterns.links.filter(link => !link.rejection);
     
     for (const linkInfo of highConfidenceLinks) {
       try {
-        const element = queryElements(linkInfo.selector, document, true);
-        if (element && isElementVisible(element)) {
+        const element = resolveSelectorPath(linkInfo.selector);
+        if (element && isElementVisible(element) && !exclude?.has(element)) {
           return element;
         }
       } catch (error) {
@@ -1082,17 +1600,23 @@ function findBestLoadMoreButton() {
     '[role="button"]'
   ]
   
-  const loadMoreTexts = ['load more', 'show more', 'view more', 'see more', 'next']
+  const localePacks = getActiveLocalePacks()
+  const loadMoreTexts = [...getLoadMorePhrases(localePacks), 'next']
+  const siteRule = getActiveSiteRule()
   
   for (const selector of selectors) {
-    const elements = document.querySelectorAll(selector)
+    const elements = queryElements(selector, document, false, true)
     
     for (const element of elements) {
-      if (!isElementVisible(element)) continue // Skip hidden elements
+      if (!isElementVisible(element) || exclude?.has(element)) continue // Skip hidden elements
+      if (isExcludedByRule(element, siteRule)) continue
       
       const text = element.textContent?.toLowerCase().trim() || ''
       const ariaLabel = element.getAttribute('aria-label')?.toLowerCase() || ''
       
+      // Skip "show less" style controls in any active locale
+      if (matchLexicon(text, localePacks).negative || matchLexicon(ariaLabel, localePacks).negative) continue
+      
       if (loadMoreTexts.some(pattern => text.includes(pattern) || ariaLabel.includes(pattern))) {
         return element
       }
@@ -1102,25 +1626,98 @@ function findBestLoadMoreButton() {
   return null
 }
 
+// Counts items of the canonical feed detected by structural similarity
 function getCurrentContentCount() {
-  const contentElements = queryElements(SELECTORS.CONTENT_CONTAINERS)
-  return contentElements.length || queryElements(SELECTORS.ALL_ELEMENTS).length
+  return countFeedItems()
+}
+
+// Items loaded by the current run, including pages it navigated away from
+function getRunItemsLoaded() {
+  const run = getRunState()
+  if (typeof run.initialItemCount !== 'number') return 0
+  return run.itemsLoadedBefore + Math.max(0, getCurrentContentCount() - run.initialItemCount)
+}
+
+/**
+ * Saves what the last finished run used as a rule for this site
+ * @param {string} [urlPattern] - Pattern the rule applies to (default: this page's origin and path)
+ * @returns {Promise<Object>} The saved rule
+ * @throws {Error} When no run has finished in this frame
+ */
+async function saveRuleFromLastRun(urlPattern) {
+  const run = getRunState()
+  if (run.state !== RUN_STATES.FINISHED || !run.expansionMethod) {
+    throw new Error('No finished run to save')
+  }
+  
+  const pattern = urlPattern || suggestUrlPattern(window.location.href)
+  const existing = siteRules.find(rule => rule.urlPattern === pattern)
+  const feed = getCanonicalFeed()
+  const rule = await saveSiteRule({
+    id: existing?.id,
+    urlPattern: pattern,
+    description: existing?.description,
+    loadMoreSelector: run.loadMoreSelector || existing?.loadMoreSelector || null,
+    listSelector: feed ? generateElementSelector(feed.container) : existing?.listSelector || null,
+    method: RULE_METHODS.includes(run.expansionMethod) ? run.expansionMethod : 'auto',
+    delayMs: run.delayMs,
+    stopConditions: run.stopConditions,
+    // Exclusions are edited by hand and survive re-saving
+    excludeSelectors: existing?.excludeSelectors || []
+  })
+  
+  setSiteRules([...siteRules.filter(saved => saved.id !== rule.id), rule])
+  return rule
+}
+
+// Activity monitor of the current polite-mode run
+let activityMonitor = null
+
+function releaseActivityMonitor() {
+  activityMonitor?.stop()
+  activityMonitor = null
 }
 
 function stopContentExpansion() {
-  window.loadMoreStopped = true
-  window.loadMoreActive = false
-  notifyProgress('stopped', 0)
+  expansionRequest++
+  stopRun()
+  releaseActivityMonitor()
+  observeNetwork(0)
+  notifyProgress('stopped', getRunState().clickCount)
+}
+
+/**
+ * Pauses the running expansion after its current step
+ * @returns {boolean} True if a run was paused
+ */
+function pauseContentExpansion() {
+  if (!pauseRun()) return false
+  logRunEvent('run-paused', { clickCount: getRunState().clickCount })
+  notifyProgress('paused', getRunState().clickCount)
+  return true
+}
+
+/**
+ * Resumes a paused expansion
+ * @returns {boolean} True if a run was resumed
+ */
+function resumeContentExpansion() {
+  if (!resumeRun()) return false
+  logRunEvent('run-resumed', { clickCount: getRunState().clickCount })
+  notifyProgress('resumed', getRunState().clickCount)
+  return true
 }
 
 // Clean up on page unload
 window.addEventListener('beforeunload', () => {
+  if (!IS_FIRST_COPY) return;
   autoDetectionState.stopAutoDetection();
   autoDetectionState.clearTracking();
 });
 
 // Clean up on navigation
 window.addEventListener('pagehide', () => {
+  if (!IS_FIRST_COPY) return;
   autoDetectionState.stopAutoDetection();
   autoDetectionState.clearTracking();
 });
@@ -1131,14 +1728,20 @@ window.addEventListener('pagehide', () => {
  * @param {string} action - The action performed ('clicked', 'scrolled', 'complete', 'error')
  * @param {number} count - Current count of actions performed
  * @param {string} details - Additional details about the action
+ * @param {Object} extra - Extra fields for the popup (e.g. itemCount from the canonical feed)
  */
-function notifyProgress(action, count, details = '') {
+function notifyProgress(action, count, details = '', extra = {}) {
   // Send progress update to popup
   chrome.runtime.sendMessage({
     type: 'EXPANSION_PROGRESS',
     action,
     count,
     details,
+    itemCount: getCurrentContentCount(),
+    // Run-wide figures stay continuous across navigations
+    itemsLoaded: getRunItemsLoaded(),
+    page: getRunState().page ?? 1,
+    ...extra,
     timestamp: Date.now()
   }).catch(() => {
     // Popup might be closed, ignore errors
@@ -1167,7 +1770,9 @@ function notifyProgress(action, count, details = '') {
     scrolled: `Page scrolled to load more content. ${count} actions performed.`,
     complete: `Content expansion complete. Total ${count} items loaded.`,
     error: `Content expansion error: ${details}`,
-    stopped: 'Content expansion stopped by user.'
+    stopped: 'Content expansion stopped by user.',
+    paused: 'Content expansion paused.',
+    resumed: 'Content expansion resumed.'
   }
   
   liveRegion.textContent = messages[action] || `Content expansion: ${action}. Count: ${count}.`
@@ -1175,50 +1780,6 @@ function notifyProgress(action, count, details = '') {
 
 // expandHiddenContent function is now imported from execution module
 
-function findNextPageLink() {
-  // Common selectors for pagination next links
-  const nextPageSelectors = [
-    'a.next', 'a.pagination-next', 'a[rel="next"]',
-    'a[aria-label="Next"]', 'a[aria-label="Next page"]',
-    '.pagination a:last-child', '.pagination li:last-child a',
-    'a:has(> .next-icon)', 'a:has(> .icon-next)',
-    'a:has(> .icon-arrow-right)', 'a:has(> .fa-arrow-right)',
-    'a.page-link:contains("Next")', 'a.page-link:contains(">")'
-  ]
-  
-  // Try each selector
-  for (const selector of nextPageSelectors) {
-    try {
-      const element = queryElements(selector, document, true)
-      if (element && isElementVisible(element)) {
-        return element
-      }
-    } catch (error) {
-      // Some complex selectors might not be supported in all browsers
-      console.warn(`Error with selector "${selector}":`, error)
-    }
-  }
-  
-  // Fallback: look for links with "next" text
-  const allLinks = queryElements('a')
-  for (const link of allLinks) {
-    const text = link.textContent?.toLowerCase().trim() || ''
-    const ariaLabel = link.getAttribute('aria-label')?.toLowerCase() || ''
-    
-    if ((text.includes('next') || ariaLabel.includes('next')) && 
-        !text.includes('previous') && !ariaLabel.includes('previous') &&
-        isElementVisible(link)) {
-      return link
-    }
-  }
-  
-  return null
-}
-
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms))
-}
-
 // Automatic detection and tracking state
 let autoDetectionState = {
   trackedElements: new Set(),
@@ -1314,9 +1875,9 @@ let autoDetectionState = {
       this.lastDetectionTime = now;
       
       // Detect load more buttons
-      const loadMoreButtons = queryElements(SELECTORS.LOAD_MORE_BUTTONS);
-      const loadMoreLinks = queryElements(SELECTORS.LOAD_MORE_LINKS);
-      const paginationElements = queryElements(SELECTORS.PAGINATION);
+      const loadMoreButtons = queryElements(SELECTORS.LOAD_MORE_BUTTONS, document, false, true);
+      const loadMoreLinks = queryElements(SELECTORS.LOAD_MORE_LINKS, document, false, true);
+      const paginationElements = queryElements(SELECTORS.PAGINATION, document, false, true);
       
       // Track new elements
       [...loadMoreButtons, ...loadMoreLinks, ...paginationElements].forEach(element => {
@@ -1327,7 +1888,8 @@ let autoDetectionState = {
       
       // Remove tracking from elements that are no longer visible or valid
       for (const element of this.trackedElements) {
-        if (!document.contains(element) || !isElementVisible(element)) {
+        // isConnected also covers elements living inside shadow roots
+        if (!element.isConnected || !isElementVisible(element)) {
           this.untrackElement(element);
         }
       }
@@ -1351,24 +1913,31 @@ let autoDetectionState = {
 };
 
 // Initialize content script
-console.log('Load More Extension content script loaded')
+if (IS_FIRST_COPY) {
+  console.log('Load More Extension content script loaded')
 
-// Auto-detect on page load
-if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => {
-    setTimeout(() => {
-      const scanResult = scanPageContent()
-      if (scanResult.patterns.buttons.length > 0 || scanResult.patterns.links.length > 0) {
-        console.log('Load More Extension: Detected expandable content')
-      }
+  // Receive reports from injected.js running in the page world
+  startPageBridge()
+
+  // Auto-detect on page load; subframes are only scanned on request
+  if (IS_TOP_FRAME) {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => {
+        setTimeout(() => {
+          const scanResult = scanPageContent()
+          if (scanResult.patterns.buttons.length > 0 || scanResult.patterns.links.length > 0) {
+            console.log('Load More Extension: Detected expandable content')
+          }
       
-      // Start automatic detection after a short delay
-      autoDetectionState.startAutoDetection();
-    }, 1000)
-  })
-} else {
-  // Page already loaded, start detection immediately
-  setTimeout(() => {
-    autoDetectionState.startAutoDetection();
-  }, 500);
+          // Start automatic detection after a short delay
+          autoDetectionState.startAutoDetection();
+        }, 1000)
+      })
+    } else {
+      // Page already loaded, start detection immediately
+      setTimeout(() => {
+        autoDetectionState.startAutoDetection();
+      }, 500);
+    }
+  }
 }
\ No newline at end of file
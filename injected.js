@@ -0,0 +1,386 @@
+// Page-world script for Load More Extension
+// Runs in the page's own JavaScript context (not the content script's isolated
+// world) so it can see how the page itself loads more content. It shares only
+// the DOM and window.postMessage with the content script.
+
+(() => {
+  const PAGE_SOURCE = 'blind-nudist-page';
+  const CONTENT_SOURCE = 'blind-nudist-content';
+  const SENTINEL_ATTRIBUTE = 'data-bn-sentinel';
+  const INSTALLED_FLAG = Symbol.for('blind-nudist.page-hooks');
+
+  // DOM growth (in elements) after an intersection that marks a real loader
+  const GROWTH_THRESHOLD = 3;
+  const GROWTH_WINDOW_MS = 1500;
+  const REPORT_DEBOUNCE_MS = 250;
+
+  // Requests started this soon after a click count as triggered by it
+  const CLICK_WINDOW_MS = 3000;
+  // Larger bodies are not inspected; responses are read only up to this size
+  const MAX_BODY_LENGTH = 512 * 1024;
+  const MAX_REQUEST_BODY_LENGTH = 64 * 1024;
+  // Longest observation window the content script can open at once
+  const MAX_OBSERVATION_MS = 10 * 60 * 1000;
+  const CURSOR_FIELD_PATTERN = /^(next|next_?cursor|next_?page|next_?token|cursor|end_?cursor|after|continuation|page_?token|max_?id|has_?more|has_?next_?page)$/i;
+  // Parameters whose numeric values are posted as they are
+  const PAGING_PARAMETER = /^(p|pg|page|pagenum|page_?number|page_?no|page_?index)$|offset|start|skip|from|begin|first|limit|size|count/i;
+  // Parameters posted as fingerprints, enough to spot a cursor echoed from the last response
+  const CURSOR_PARAMETER = /cursor|after|continuation|page_?token|next_?token|max_?id|since_?id|^next$/i;
+
+  // Messages stay within this window's origin (opaque origins can only use "/")
+  const TARGET_ORIGIN = location.origin === 'null' ? '/' : location.origin;
+
+  const MEDIA_TAGS = new Set(['IMG', 'PICTURE', 'SOURCE', 'VIDEO', 'AUDIO', 'IFRAME']);
+  // Generic words ("more", "bottom") also name footers and read-more links
+  const LOADER_KEYWORDS = /sentinel|loader|loading|spinner|infinite|load-?more|waypoint|scroll-?(trigger|anchor)/i;
+
+  if (window[INSTALLED_FLAG]) return;
+  window[INSTALLED_FLAG] = true;
+
+  const NativeIntersectionObserver = window.IntersectionObserver;
+  if (typeof NativeIntersectionObserver !== 'function') return;
+
+  // element -> { id, observers, rootMargin, intersections, triggeredGrowth };
+  // entries of detached elements are pruned on every report
+  const records = new Map();
+  let nextId = 1;
+  let reportTimer = null;
+
+  function track(target, observer, options) {
+    if (!(target instanceof Element)) return;
+
+    let record = records.get(target);
+    if (!record) {
+      record = {
+        id: String(nextId++),
+        observers: new Set(),
+        rootMargin: options?.rootMargin || '0px',
+        intersections: 0,
+        triggeredGrowth: false
+      };
+      records.set(target, record);
+      target.setAttribute(SENTINEL_ATTRIBUTE, record.id);
+    }
+    record.observers.add(observer);
+    scheduleReport();
+  }
+
+  function untrack(target, observer) {
+    const record = records.get(target);
+    if (!record) return;
+
+    record.observers.delete(observer);
+    if (record.observers.size === 0) {
+      records.delete(target);
+      target.removeAttribute(SENTINEL_ATTRIBUTE);
+      scheduleReport();
+    }
+  }
+
+  function noteIntersection(target) {
+    const record = records.get(target);
+    if (!record) return;
+
+    record.intersections++;
+    const before = document.getElementsByTagName('*').length;
+    setTimeout(() => {
+      if (document.getElementsByTagName('*').length - before >= GROWTH_THRESHOLD && !record.triggeredGrowth) {
+        record.triggeredGrowth = true;
+        scheduleReport();
+      }
+    }, GROWTH_WINDOW_MS);
+  }
+
+  // Lazy media is observed too; only elements that look like loaders are reported
+  function classify(target, record) {
+    if (MEDIA_TAGS.has(target.tagName)) return null;
+    if (record.triggeredGrowth) return 'triggered-growth';
+
+    const name = `${typeof target.className === 'string' ? target.className : ''} ${target.id}`;
+    if (LOADER_KEYWORDS.test(name)) return 'keyword';
+
+    const parent = target.parentElement;
+    if (parent && parent.lastElementChild === target && parent.children.length > 2) return 'trailing-element';
+
+    return null;
+  }
+
+  function report() {
+    reportTimer = null;
+    const sentinels = [];
+
+    records.forEach((record, target) => {
+      if (!target.isConnected) {
+        records.delete(target);
+        target.removeAttribute(SENTINEL_ATTRIBUTE);
+        return;
+      }
+      const reason = classify(target, record);
+      if (!reason) return;
+
+      sentinels.push({
+        id: record.id,
+        reason,
+        tagName: target.tagName.toLowerCase(),
+        rootMargin: record.rootMargin,
+        intersections: record.intersections
+      });
+    });
+
+    window.postMessage({ source: PAGE_SOURCE, type: 'SENTINELS_UPDATED', sentinels }, TARGET_ORIGIN);
+  }
+
+  function scheduleReport() {
+    if (reportTimer) return;
+    reportTimer = setTimeout(report, REPORT_DEBOUNCE_MS);
+  }
+
+  class TrackedIntersectionObserver extends NativeIntersectionObserver {
+    constructor(callback, options) {
+      super(function (entries, observer) {
+        entries.forEach(entry => {
+          if (entry.isIntersecting) noteIntersection(entry.target);
+        });
+        return callback.call(this, entries, observer);
+      }, options);
+      this._bnOptions = options;
+    }
+
+    observe(target) {
+      track(target, this, this._bnOptions);
+      return super.observe(target);
+    }
+
+    unobserve(target) {
+      untrack(target, this);
+      return super.unobserve(target);
+    }
+
+    // Targets are found through the records so the observer holds no references of its own
+    disconnect() {
+      Array.from(records).forEach(([target, record]) => {
+        if (record.observers.has(this)) untrack(target, this);
+      });
+      return super.disconnect();
+    }
+  }
+
+  window.IntersectionObserver = TrackedIntersectionObserver;
+
+  // --- Network observation -------------------------------------------------
+  // While the content script has an observation window open (a run or a
+  // learning window), requests are summarized and posted to it so it can infer
+  // the paging parameter from consecutive calls. Summaries never carry values
+  // other than numeric paging parameters: search terms, tokens and passwords
+  // are dropped and cursors are reduced to fingerprints.
+
+  let observeUntil = 0;
+  let lastClickAt = 0;
+  window.addEventListener('click', () => {
+    lastClickAt = Date.now();
+  }, true);
+
+  function isObserving() {
+    return Date.now() < observeUntil;
+  }
+
+  // Short non-reversible hash (FNV-1a); equal values give equal fingerprints
+  function fingerprint(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return `~${(hash >>> 0).toString(16)}`;
+  }
+
+  function sanitizeValue(name, value) {
+    if (value === null || value === undefined || typeof value === 'object') return undefined;
+    const text = String(value);
+    if (/^\d+$/.test(text) && PAGING_PARAMETER.test(name)) return text;
+    if (text && CURSOR_PARAMETER.test(name)) return fingerprint(text);
+    return undefined;
+  }
+
+  function sanitizeParams(entries) {
+    const params = {};
+    for (const [name, value] of entries) {
+      const safe = sanitizeValue(name, value);
+      if (safe !== undefined) params[name] = safe;
+    }
+    return params;
+  }
+
+  // Size of the largest array at the top two levels of a JSON payload
+  function largestArrayLength(value, depth = 0) {
+    if (Array.isArray(value)) return value.length;
+    if (!value || typeof value !== 'object' || depth >= 2) return 0;
+    return Object.values(value).reduce((max, child) => Math.max(max, largestArrayLength(child, depth + 1)), 0);
+  }
+
+  // Cursor-like fields (next, cursor, endCursor...) anywhere in the top three levels
+  function findCursorFields(value, depth = 0, found = {}) {
+    if (!value || typeof value !== 'object' || Array.isArray(value) || depth > 2) return found;
+    Object.entries(value).forEach(([key, child]) => {
+      if (CURSOR_FIELD_PATTERN.test(key) && ['string', 'number', 'boolean'].includes(typeof child)) {
+        found[key] = typeof child === 'boolean' ? child : fingerprint(String(child));
+      } else {
+        findCursorFields(child, depth + 1, found);
+      }
+    });
+    return found;
+  }
+
+  function summarizeJson(json) {
+    return { kind: 'json', arrayLength: largestArrayLength(json), cursorFields: findCursorFields(json) };
+  }
+
+  function summarizeBody(text, contentType) {
+    if (!text || text.length > MAX_BODY_LENGTH) return { kind: 'other', arrayLength: 0, cursorFields: {} };
+
+    if (/json/i.test(contentType) || /^\s*[[{]/.test(text)) {
+      try {
+        return summarizeJson(JSON.parse(text));
+      } catch (error) {
+        // Not JSON after all
+      }
+    }
+    if (/html/i.test(contentType)) {
+      return { kind: 'html', arrayLength: 0, cursorFields: {} };
+    }
+    return { kind: 'other', arrayLength: 0, cursorFields: {} };
+  }
+
+  function parseBodyParams(body) {
+    if (typeof body !== 'string' || body.length > MAX_REQUEST_BODY_LENGTH) return {};
+    try {
+      const json = JSON.parse(body);
+      if (json && typeof json === 'object' && !Array.isArray(json)) {
+        return sanitizeParams(Object.entries(json));
+      }
+    } catch (error) {
+      // Form-encoded bodies
+      if (body.includes('=')) return sanitizeParams(new URLSearchParams(body));
+    }
+    return {};
+  }
+
+  // Reads a copy of the response, giving up (null) once it grows past MAX_BODY_LENGTH
+  async function readCapped(response) {
+    const reader = response.clone().body?.getReader();
+    if (!reader) return null;
+
+    const decoder = new TextDecoder();
+    let text = '';
+    let length = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) return text + decoder.decode();
+      length += value.byteLength;
+      if (length > MAX_BODY_LENGTH) {
+        reader.cancel().catch(() => {});
+        return null;
+      }
+      text += decoder.decode(value, { stream: true });
+    }
+  }
+
+  function reportRequest({ url, method, body, status, startedAt, summary }) {
+    if (summary.kind === 'other') return;
+
+    let parsed;
+    try {
+      parsed = new URL(url, location.href);
+    } catch (error) {
+      return;
+    }
+    const query = new URLSearchParams(sanitizeParams(parsed.searchParams)).toString();
+
+    window.postMessage({
+      source: PAGE_SOURCE,
+      type: 'NETWORK_REQUEST',
+      request: {
+        url: `${parsed.origin}${parsed.pathname}${query ? `?${query}` : ''}`,
+        method: (method || 'GET').toUpperCase(),
+        bodyParams: parseBodyParams(body),
+        status,
+        startedAt,
+        durationMs: Date.now() - startedAt,
+        afterClick: startedAt - lastClickAt <= CLICK_WINDOW_MS,
+        ...summary
+      }
+    }, TARGET_ORIGIN);
+  }
+
+  const nativeFetch = window.fetch;
+  if (typeof nativeFetch === 'function') {
+    window.fetch = function (input, init) {
+      if (!isObserving()) return nativeFetch.apply(this, arguments);
+
+      const startedAt = Date.now();
+      const url = typeof input === 'string' ? input : (input?.url || String(input));
+      const method = init?.method || input?.method || 'GET';
+      const body = init?.body;
+
+      return nativeFetch.apply(this, arguments).then(response => {
+        const contentType = response.headers.get('content-type') || '';
+        const length = Number(response.headers.get('content-length') || 0);
+        if (length <= MAX_BODY_LENGTH && /json|html/i.test(contentType)) {
+          readCapped(response)
+            .then(text => {
+              if (text !== null) {
+                reportRequest({ url, method, body, status: response.status, startedAt, summary: summarizeBody(text, contentType) });
+              }
+            })
+            .catch(() => {});
+        }
+        return response;
+      });
+    };
+  }
+
+  const NativeXMLHttpRequest = window.XMLHttpRequest;
+  if (typeof NativeXMLHttpRequest === 'function') {
+    const nativeOpen = NativeXMLHttpRequest.prototype.open;
+    const nativeSend = NativeXMLHttpRequest.prototype.send;
+
+    NativeXMLHttpRequest.prototype.open = function (method, url) {
+      this._bnRequest = { method, url };
+      return nativeOpen.apply(this, arguments);
+    };
+
+    NativeXMLHttpRequest.prototype.send = function (body) {
+      const request = this._bnRequest;
+      if (request && isObserving()) {
+        const startedAt = Date.now();
+        this.addEventListener('load', () => {
+          const contentType = this.getResponseHeader('content-type') || '';
+          let summary = null;
+          if (this.responseType === '' || this.responseType === 'text') {
+            summary = summarizeBody(this.responseText, contentType);
+          } else if (this.responseType === 'json' && this.response !== null &&
+                     Number(this.getResponseHeader('content-length') || 0) <= MAX_BODY_LENGTH) {
+            // Already parsed by the browser
+            summary = summarizeJson(this.response);
+          }
+          if (summary) {
+            reportRequest({ url: request.url, method: request.method, body, status: this.status, startedAt, summary });
+          }
+        });
+      }
+      return nativeSend.apply(this, arguments);
+    };
+  }
+
+  // The content script asks for a fresh report when it starts or before expansion,
+  // and opens or closes network observation windows
+  window.addEventListener('message', (event) => {
+    if (event.source !== window || event.data?.source !== CONTENT_SOURCE) return;
+    if (event.data.type === 'REQUEST_SENTINELS') {
+      report();
+    } else if (event.data.type === 'OBSERVE_NETWORK') {
+      const durationMs = Math.min(Number(event.data.durationMs) || 0, MAX_OBSERVATION_MS);
+      observeUntil = durationMs > 0 ? Date.now() + durationMs : 0;
+    }
+  });
+})();
@@ -0,0 +1,39 @@
+/**
+ * Default Rules Module - Built-in rule list shipped with the extension
+ * Written in the rule list syntax (see ruleLists.js). Saved site rules and
+ * subscribed lists take precedence over these entries.
+ */
+
+export const DEFAULT_RULE_LIST = `! Title: Load More Extension built-in rules
+! Version: 1
+!
+! One rule per line: a URL pattern, then "key: value" fields separated by " | "
+!   more:    the load more control
+!   list:    the container holding the items
+!   end:     an element that appears once everything is loaded
+!   method:  auto, button, scroll, expand, stitch or pagination
+!   delay:   pause between steps in ms
+!   exclude: an element never to click (repeatable)
+! Lines starting with "!" are comments.
+!
+! Only the method is given where a site's markup changes often; detection finds the rest.
+
+! Numbered pages behind a "More" or "Next" link: fetched and added to the first page.
+! Only listing paths; item, comment and question pages have their own paging.
+news.ycombinator.com/ | method: stitch
+news.ycombinator.com/?* | method: stitch
+news.ycombinator.com/news* | method: stitch
+news.ycombinator.com/newest* | method: stitch
+news.ycombinator.com/front* | method: stitch
+news.ycombinator.com/ask* | method: stitch
+news.ycombinator.com/show* | method: stitch
+stackoverflow.com/questions | method: stitch
+stackoverflow.com/questions?* | method: stitch
+stackoverflow.com/questions/tagged/* | method: stitch
+
+! Feeds that load as you scroll
+www.reddit.com/* | method: scroll
+x.com/* | method: scroll
+twitter.com/* | method: scroll
+www.instagram.com/* | method: scroll
+`;
@@ -5,13 +5,28 @@
 
 // Import centralized selectors
 import { SELECTORS } from './selectors.js';
-import { queryElements } from './utils.js';
+import { queryElements, resolveSelectorPath, SHADOW_PIERCING_COMBINATOR } from './utils.js';
+import { buildUniqueSelector, getXPath, XPATH_PREFIX } from './selectorGenerator.js';
+import { countFeedItems, getCanonicalFeed, getFeedItems } from './listDetection.js';
+import { getActiveLocalePacks, getLoadMorePhrases, matchLexicon } from './locales.js';
+import { parsePagination } from './pagination.js';
+import { detectPageTotals } from './totals.js';
+import { getScrollTarget } from './scrollContainer.js';
+import { isExcludedByRule } from './siteRules.js';
+import { findActiveRule } from './ruleLists.js';
+
+// Candidates at or below this confidence are reported but never clicked
+export const CANDIDATE_THRESHOLD = 60;
 
 /**
  * Analyzes page content to detect load more patterns
+ * @param {Object} options - Analysis options
+ * @param {Object|null} options.siteRule - Matching rule (default: the page's rule from the user, subscribed
+ *   and built-in rule lists); its load more control is ranked first and its excluded elements are never
+ *   reported. Heuristics based on SELECTORS fill in everything the rule does not name.
  * @returns {Object} Analysis results with detected patterns
  */
-export function analyzePageContent() {
+export function analyzePageContent({ siteRule = findActiveRule() } = {}) {
   const patterns = {
     buttons: [],
     links: [],
@@ -22,8 +37,13 @@ export function analyzePageContent() {
   };
 
   try {
-    // Find all clickable elements that might be load more buttons
-    const clickableElements = queryElements(SELECTORS.CLICKABLE_ELEMENTS);
+    // Pick the lexicon for the page language (falls back to all packs)
+    const localePacks = getActiveLocalePacks();
+    const loadMorePatterns = getLoadMorePhrases(localePacks);
+
+    // Find all clickable elements that might be load more buttons, including
+    // those rendered inside web components' open shadow roots
+    const clickableElements = queryElements(SELECTORS.CLICKABLE_ELEMENTS, document, false, true);
     
     clickableElements.forEach(element => {
       const text = element.textContent?.toLowerCase().trim() || '';
@@ -31,13 +51,11 @@ export function analyzePageContent() {
       const className = element.className?.toLowerCase() || '';
       const id = element.id?.toLowerCase() || '';
       
-      // Check for load more text patterns
-      const loadMorePatterns = [
-        'load more', 'show more', 'view more', 'see more', 'read more',
-        'more results', 'more items', 'more posts', 'more content',
-        'load additional', 'show additional', 'expand', 'continue'
-      ];
+      if (isExcludedByRule(element, siteRule)) {
+        return;
+      }
       
+      // Check for load more text patterns
       const matchesLoadMore = loadMorePatterns.some(pattern => 
         text.includes(pattern) || ariaLabel.includes(pattern) || 
         className.includes(pattern.replace(' ', '-')) || 
@@ -45,47 +63,69 @@ export function analyzePageContent() {
       );
       
       if (matchesLoadMore) {
-        const confidence = calculateElementConfidence(element, text, className, ariaLabel);
+        const { confidence, signals } = scoreElementSignals(element, text, className, ariaLabel, localePacks);
         const selector = generateElementSelector(element);
+        const visible = isElementVisible(element);
+        const rejection = getRejectionReason(element, selector, confidence, visible, signals);
         
+        // Entries are sent to the popup, so they hold selectors rather than live elements
         if (element.tagName.toLowerCase() === 'button') {
           patterns.buttons.push({
-            element,
             selector,
             text: text.slice(0, 50),
             confidence,
-            visible: isElementVisible(element)
+            visible,
+            signals,
+            rejection
           });
         } else if (element.tagName.toLowerCase() === 'a') {
           patterns.links.push({
-            element,
             selector,
             text: text.slice(0, 50),
             href: element.href || '',
+            linkType: classifyLinkHref(element.getAttribute('href')),
             confidence,
-            visible: isElementVisible(element)
+            visible,
+            signals,
+            rejection
           });
         }
       }
     });
 
-    // Detect pagination
-    patterns.pagination = queryElements(SELECTORS.PAGINATION, document, true) !== null;
+    // The rule's control is known to be right, so it leads whatever the heuristics found
+    if (siteRule?.loadMoreSelector) {
+      addRuleCandidate(patterns, siteRule.loadMoreSelector);
+    }
+
+    // Detect pagination; the model carries current/total pages and the next URL
+    const pagination = parsePagination();
+    patterns.pagination = pagination !== null;
     
     // Detect lazy-loaded images
-    const lazyLoadedImages = queryElements(SELECTORS.LAZY_IMAGES);
+    const lazyLoadedImages = queryElements(SELECTORS.LAZY_IMAGES, document, false, true);
     patterns.lazyLoad = lazyLoadedImages.length > 0;
     
     // Detect infinite scroll indicators
     patterns.infiniteScroll = detectInfiniteScroll();
     
     // Detect hidden content
-    const hiddenElements = queryElements(SELECTORS.HIDDEN_CONTENT);
+    const hiddenElements = queryElements(SELECTORS.HIDDEN_CONTENT, document, false, true);
     patterns.hiddenContent = hiddenElements.length > 0;
 
-    // Count content items
-    const contentElements = queryElements(SELECTORS.CONTENT_CONTAINERS);
-    const maxContentCount = contentElements.length;
+    // Count items of the main repeated list (the canonical feed)
+    const feed = getCanonicalFeed(true);
+    const feedItems = getFeedItems(feed);
+
+    // Counts the page displays ("Showing 1–20 of 340", "Show 25 more")
+    const totals = detectPageTotals({
+      feed,
+      controlTexts: [...patterns.buttons, ...patterns.links].map(candidate => candidate.text),
+      itemCount: feedItems.length
+    });
+
+    // What scrolls the feed: the window, an inner overflow container or a modal
+    const scrollTarget = getScrollTarget(feed);
 
     // Sort buttons and links by confidence
     patterns.buttons.sort((a, b) => b.confidence - a.confidence);
@@ -93,7 +133,20 @@ export function analyzePageContent() {
 
     return {
       patterns,
-      contentCount: maxContentCount,
+      contentCount: feedItems.length,
+      pagination,
+      totals,
+      feed: feed ? {
+        selector: generateElementSelector(feed.container),
+        signature: feed.signature,
+        itemCount: feedItems.length
+      } : null,
+      scrollContainer: {
+        selector: scrollTarget.element ? generateElementSelector(scrollTarget.element) : null,
+        isWindow: scrollTarget.isWindow,
+        inModal: scrollTarget.inModal
+      },
+      siteRule: siteRule ? { id: siteRule.id, urlPattern: siteRule.urlPattern, source: siteRule.source || 'user' } : null,
       timestamp: Date.now(),
       url: window.location.href
     };
@@ -103,6 +156,11 @@ export function analyzePageContent() {
     return {
       patterns,
       contentCount: 0,
+      pagination: null,
+      totals: null,
+      feed: null,
+      scrollContainer: null,
+      siteRule: null,
       timestamp: Date.now(),
       url: window.location.href,
       error: error.message
@@ -116,34 +174,129 @@ export function analyzePageContent() {
  * @param {string} text - Element text content
  * @param {string} className - Element class names
  * @param {string} ariaLabel - Element aria label
+ * @param {Object[]} localePacks - Locale packs to score text against (default: active packs)
  * @returns {number} Confidence score (0-100)
  */
-function calculateElementConfidence(element, text, className, ariaLabel) {
-  let confidence = 0;
+export function calculateElementConfidence(element, text, className, ariaLabel, localePacks = getActiveLocalePacks()) {
+  return scoreElementSignals(element, text, className, ariaLabel, localePacks).confidence;
+}
+
+/**
+ * Scores a potential load more element and lists the signals behind the score
+ * @param {Element} element - The element to analyze
+ * @param {string} text - Element text content
+ * @param {string} className - Element class names
+ * @param {string} ariaLabel - Element aria label
+ * @param {Object[]} localePacks - Locale packs to score text against (default: active packs)
+ * @returns {Object} { confidence (0-100), signals: [{ signal, weight }] } - weights are before clamping
+ */
+export function scoreElementSignals(element, text, className, ariaLabel, localePacks = getActiveLocalePacks()) {
+  const signals = [];
+  const textMatch = matchLexicon(text, localePacks);
+  const ariaMatch = matchLexicon(ariaLabel, localePacks);
   
   // Base confidence for matching text
-  if (text.includes('load more') || text.includes('show more')) confidence += 40;
-  else if (text.includes('more')) confidence += 25;
-  else if (text.includes('load') || text.includes('show')) confidence += 15;
+  if (textMatch.phrase) signals.push({ signal: 'text-phrase', weight: 40 });
+  else if (textMatch.keyword) signals.push({ signal: 'text-keyword', weight: 25 });
+  else if (textMatch.verb) signals.push({ signal: 'text-verb', weight: 15 });
   
   // Bonus for specific class names
-  if (className.includes('load-more') || className.includes('show-more')) confidence += 30;
-  else if (className.includes('more') || className.includes('expand')) confidence += 15;
+  if (className.includes('load-more') || className.includes('show-more')) signals.push({ signal: 'class-load-more', weight: 30 });
+  else if (className.includes('more') || className.includes('expand')) signals.push({ signal: 'class-more', weight: 15 });
   
   // Bonus for aria labels
-  if (ariaLabel.includes('load more') || ariaLabel.includes('show more')) confidence += 20;
+  if (ariaMatch.phrase) signals.push({ signal: 'aria-phrase', weight: 20 });
+  
+  // Penalty for each pack's negative phrases ("show less", "weniger anzeigen")
+  if (textMatch.negative || ariaMatch.negative) signals.push({ signal: 'negative-phrase', weight: -50 });
   
   // Bonus for visibility
-  if (isElementVisible(element)) confidence += 10;
+  if (isElementVisible(element)) signals.push({ signal: 'visible', weight: 10 });
   
   // Penalty for disabled elements
-  if (element.disabled || element.getAttribute('aria-disabled') === 'true') confidence -= 20;
+  if (isElementDisabled(element)) signals.push({ signal: 'disabled', weight: -20 });
+  
+  // "Read more" style links usually open another page instead of loading in place
+  if (element.localName === 'a' && element.hasAttribute('href') &&
+      classifyLinkHref(element.getAttribute('href')) === 'navigation') {
+    signals.push({ signal: 'navigates-away', weight: -20 });
+  }
   
-  return Math.min(100, Math.max(0, confidence));
+  const total = signals.reduce((sum, { weight }) => sum + weight, 0);
+  return { confidence: Math.min(100, Math.max(0, total)), signals };
 }
 
 /**
- * Detects infinite scroll patterns on the page
+ * Classifies where a link's href leads relative to the current page
+ * @param {string} href - Raw href attribute value
+ * @param {string} base - URL of the current page (default: window.location.href)
+ * @returns {string} 'same-document' (empty, # or fragment), 'javascript', 'same-path-query'
+ *   (same page with a different query, typical of ?page=2 loaders) or 'navigation'
+ */
+export function classifyLinkHref(href, base = window.location.href) {
+  const raw = (href || '').trim();
+  if (raw === '' || raw.startsWith('#')) return 'same-document';
+  if (/^javascript:/i.test(raw)) return 'javascript';
+
+  let url;
+  try {
+    url = new URL(raw, base);
+  } catch (error) {
+    // Browsers do not navigate to unparseable hrefs
+    return 'same-document';
+  }
+
+  const current = new URL(base);
+  if (url.origin !== current.origin || url.pathname !== current.pathname) return 'navigation';
+  if (url.search !== current.search) return 'same-path-query';
+  return 'same-document';
+}
+
+function isElementDisabled(element) {
+  return element.disabled === true || element.getAttribute('aria-disabled') === 'true';
+}
+
+// Adds the element named by a site rule as the top candidate, replacing its heuristic entry
+function addRuleCandidate(patterns, selector) {
+  const element = resolveSelectorPath(selector);
+  if (!element) return;
+
+  const heuristicSelector = generateElementSelector(element);
+  patterns.buttons = patterns.buttons.filter(candidate => candidate.selector !== heuristicSelector);
+  patterns.links = patterns.links.filter(candidate => candidate.selector !== heuristicSelector);
+
+  const visible = isElementVisible(element);
+  const candidate = {
+    selector,
+    text: element.textContent?.toLowerCase().trim().slice(0, 50) || '',
+    confidence: 100,
+    visible,
+    signals: [{ signal: 'site-rule', weight: 100 }],
+    rejection: visible ? (isElementDisabled(element) ? 'disabled' : null) : 'hidden',
+    fromRule: true
+  };
+
+  if (element.localName === 'a') {
+    patterns.links.unshift({ ...candidate, href: element.href || '', linkType: classifyLinkHref(element.getAttribute('href')) });
+  } else {
+    patterns.buttons.unshift(candidate);
+  }
+}
+
+// Why a candidate would not be clicked, or null if it is eligible
+function getRejectionReason(element, selector, confidence, visible, signals = []) {
+  if (resolveSelectorPath(selector) !== element) return 'selector-mismatch';
+  if (!visible) return 'hidden';
+  if (isElementDisabled(element)) return 'disabled';
+  // "Show less" style controls share vocabulary with load more but undo it
+  if (signals.some(({ signal }) => signal === 'negative-phrase')) return 'negative-phrase';
+  if (confidence <= CANDIDATE_THRESHOLD) return 'below-threshold';
+  return null;
+}
+
+/**
+ * Detects infinite scroll patterns on the page from class names and data attributes.
+ * This is only a guess; probeInfiniteScroll measures actual behavior.
  * @returns {boolean} True if infinite scroll is detected
  */
 function detectInfiniteScroll() {
@@ -156,36 +309,110 @@ function detectInfiniteScroll() {
   ];
   
   return infiniteScrollSelectors.some(selector => 
-    queryElements(selector, document, true) !== null
+    queryElements(selector, document, true, true) !== null
   );
 }
 
 /**
- * Generates a unique CSS selector for an element
- * @param {Element} element - The element to generate selector for
- * @returns {string} CSS selector string
+ * Probes for infinite scroll by scrolling the feed's scroll container (the
+ * window or an inner overflow element) to the bottom and watching DOM growth
+ * and scrollHeight for a short window. The original scroll position is always
+ * restored.
+ * @param {Object} options - Probe options
+ * @param {number} [options.duration=1500] - Observation window in ms
+ * @param {number} [options.bottomOffset=0] - Distance from the bottom to scroll to (px)
+ * @returns {Promise<Object>} Measured evidence { detected, confidence, measured, evidence }
  */
-function generateElementSelector(element) {
-  if (element.id) {
-    return `#${element.id}`;
+export async function probeInfiniteScroll({ duration = 1500, bottomOffset = 0 } = {}) {
+  const target = getScrollTarget();
+  const originalX = window.scrollX;
+  const originalTop = target.scrollTop;
+  const heightBefore = target.scrollHeight;
+  const viewportHeight = target.clientHeight;
+  const itemsBefore = countFeedItems();
+  const startedAt = Date.now();
+  let addedNodes = 0;
+
+  const observer = new MutationObserver((mutations) => {
+    for (const mutation of mutations) {
+      mutation.addedNodes.forEach(node => {
+        if (node.nodeType === Node.ELEMENT_NODE) addedNodes++;
+      });
+    }
+  });
+  observer.observe(document.body, { childList: true, subtree: true });
+
+  try {
+    target.scrollTo(Math.max(0, heightBefore - viewportHeight - bottomOffset));
+    await new Promise(resolve => setTimeout(resolve, duration));
+  } finally {
+    observer.disconnect();
+    if (target.isWindow) {
+      window.scrollTo(originalX, originalTop);
+    } else {
+      target.scrollTo(originalTop);
+    }
   }
-  
-  if (element.className) {
-    const classes = element.className.split(' ').filter(c => c.trim());
-    if (classes.length > 0) {
-      return `${element.tagName.toLowerCase()}.${classes.join('.')}`;
+
+  const heightAfter = target.scrollHeight;
+  const itemsAfter = countFeedItems();
+  const heightGrowth = heightAfter - heightBefore;
+
+  // New feed items are the strongest evidence; height and raw DOM growth support it
+  let confidence = 0;
+  if (itemsAfter > itemsBefore) confidence += 60;
+  if (heightGrowth >= viewportHeight / 2) confidence += 30;
+  else if (heightGrowth > 0) confidence += 15;
+  if (addedNodes >= 5) confidence += 10;
+  else if (addedNodes > 0) confidence += 5;
+  confidence = Math.min(100, confidence);
+
+  return {
+    detected: confidence >= 50,
+    confidence,
+    measured: true,
+    evidence: {
+      heightBefore,
+      heightAfter,
+      heightGrowth,
+      itemsBefore,
+      itemsAfter,
+      addedNodes,
+      scrollContainer: target.isWindow ? 'window' : generateElementSelector(target.element),
+      durationMs: Date.now() - startedAt
     }
+  };
+}
+
+/**
+ * Generates a stable selector that resolves back to exactly this element.
+ * Elements inside open shadow roots get one segment per shadow boundary,
+ * joined with SHADOW_PIERCING_COMBINATOR. If the CSS path does not round-trip,
+ * every segment falls back to a positional XPath.
+ * @param {Element} element - The element to generate selector for
+ * @returns {string} Selector path understood by resolveSelectorPath
+ */
+export function generateElementSelector(element) {
+  const chain = [];
+  let current = element;
+
+  while (current) {
+    const root = current.getRootNode();
+    chain.unshift({ element: current, root });
+    current = root instanceof ShadowRoot ? root.host : null;
   }
-  
-  // Fallback to nth-child selector
-  const parent = element.parentElement;
-  if (parent) {
-    const siblings = Array.from(parent.children);
-    const index = siblings.indexOf(element) + 1;
-    return `${element.tagName.toLowerCase()}:nth-child(${index})`;
+
+  const selector = chain
+    .map(({ element: target, root }) => buildUniqueSelector(target, root))
+    .join(SHADOW_PIERCING_COMBINATOR);
+
+  if (!element.isConnected || resolveSelectorPath(selector) === element) {
+    return selector;
   }
-  
-  return element.tagName.toLowerCase();
+
+  return chain
+    .map(({ element: target, root }) => `${XPATH_PREFIX}${getXPath(target, root)}`)
+    .join(SHADOW_PIERCING_COMBINATOR);
 }
 
 /**
@@ -193,7 +420,7 @@ function generateElementSelector(element) {
  * @param {Element} element - The element to check
  * @returns {boolean} True if element is visible
  */
-function isElementVisible(element) {
+export function isElementVisible(element) {
   if (!element) return false;
   
   const style = window.getComputedStyle(element);
@@ -0,0 +1,128 @@
+/**
+ * End Of Content Module - Tells when a feed has nothing left to load
+ * A run ends on any of three signs: a visible terminal message ("You've
+ * reached the end"), a load-more control that turned disabled or disappeared,
+ * or a page whose height and item count stopped growing.
+ */
+
+import { getActiveLocalePacks, matchEndOfContent } from './locales.js';
+import { isElementVisible } from './detection.js';
+import { getCanonicalFeed, getFeedItems } from './listDetection.js';
+
+// Terminal messages are short; longer text is content that happens to quote one
+const MAX_MESSAGE_LENGTH = 120;
+
+// Cycles without height or item growth before the feed counts as exhausted
+export const DEFAULT_STALL_CYCLES = 3;
+
+/**
+ * Finds a visible end-of-content message
+ * When the page has a feed, only text after or around its list counts: a post
+ * saying "no more results" is content, not the end of the feed.
+ * @param {Element} root - Subtree to search (default: document.body)
+ * @param {Object[]} packs - Locale packs to match against (default: the page's active packs)
+ * @param {Object|null} feed - Feed whose items are skipped (default: the canonical feed)
+ * @returns {Object|null} - { phrase, text, element } or null
+ */
+export function findEndOfContentMessage(root = document.body, packs = getActiveLocalePacks(), feed = getCanonicalFeed()) {
+  if (!root) return null;
+
+  const items = new Set(getFeedItems(feed));
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  const checked = new Set();
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const element = node.parentElement;
+    if (!element || node.nodeValue.length > MAX_MESSAGE_LENGTH || !/\S/.test(node.nodeValue)) continue;
+    if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(element.tagName)) continue;
+    if (feed && isFeedContent(node, feed, items)) continue;
+
+    // The message may be split across inline tags ("You've reached <b>the end</b>")
+    const block = element.closest('p, li, div, section, footer, h1, h2, h3, h4, h5, h6') || element;
+    if (checked.has(block)) continue;
+    checked.add(block);
+
+    const text = (block.textContent || '').replace(/\s+/g, ' ').trim();
+    if (!text || text.length > MAX_MESSAGE_LENGTH) continue;
+
+    const phrase = matchEndOfContent(text, packs);
+    if (phrase && isElementVisible(block)) {
+      return { phrase, text, element: block };
+    }
+  }
+  return null;
+}
+
+/**
+ * Creates a detector that follows one expansion run
+ * @param {Object} options - Detector options
+ * @param {number} [options.stallCycles=DEFAULT_STALL_CYCLES] - Cycles without growth before stopping
+ * @param {Function} [options.measure] - Returns { height, items } for the page; defaults to
+ *   document scrollHeight and no item count
+ * @returns {Object} - Detector with recordClick(element) and check({ candidateAvailable }); check returns
+ *   { reason: 'end-message' | 'button-disabled' | 'button-removed' | 'height-stalled', detail } or null
+ */
+export function createEndOfContentDetector({ stallCycles = DEFAULT_STALL_CYCLES, measure = null } = {}) {
+  const readPage = measure || (() => ({ height: document.documentElement.scrollHeight, items: 0 }));
+  let lastClicked = null;
+  let best = readPage();
+  let stalledCycles = 0;
+
+  return {
+    /**
+     * Remembers the control clicked in this cycle
+     * @param {Element|null} element - Clicked load-more control, or null when the cycle clicked nothing
+     */
+    recordClick(element) {
+      lastClicked = element;
+    },
+
+    /**
+     * Checks for the end of the content after a cycle
+     * @param {Object} state - Cycle state
+     * @param {boolean} state.candidateAvailable - Whether another load-more control can be clicked
+     * @returns {Object|null} - Stop reason or null to keep going
+     */
+    check({ candidateAvailable = false } = {}) {
+      const message = findEndOfContentMessage();
+      if (message) {
+        return { reason: 'end-message', detail: message.text };
+      }
+
+      if (lastClicked) {
+        const control = lastClicked;
+        if (!control.isConnected && !candidateAvailable) {
+          return { reason: 'button-removed', detail: (control.textContent || '').trim().slice(0, 50) };
+        }
+        if (control.isConnected && isDisabled(control)) {
+          return { reason: 'button-disabled', detail: (control.textContent || '').trim().slice(0, 50) };
+        }
+      }
+
+      const current = readPage();
+      if (current.height > best.height || current.items > best.items) {
+        best = { height: Math.max(current.height, best.height), items: Math.max(current.items, best.items) };
+        stalledCycles = 0;
+      } else if (++stalledCycles >= stallCycles) {
+        return { reason: 'height-stalled', detail: `No growth in ${stalledCycles} cycles` };
+      }
+
+      return null;
+    }
+  };
+}
+
+// Text before the list or inside one of its items
+function isFeedContent(node, feed, items) {
+  if (node.compareDocumentPosition(feed.container) & Node.DOCUMENT_POSITION_FOLLOWING) return true;
+  for (let element = node.parentElement; element && element !== feed.container; element = element.parentElement) {
+    if (items.has(element)) return true;
+  }
+  return false;
+}
+
+function isDisabled(element) {
+  const control = element.closest('button, [aria-disabled]') || element;
+  return control.disabled === true ||
+    control.getAttribute('aria-disabled') === 'true' ||
+    /\bdisabled\b/i.test(typeof control.className === 'string' ? control.className : '');
+}
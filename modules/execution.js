@@ -5,9 +5,12 @@
 
 import { queryElements } from './utils.js';
 import { SELECTORS } from './selectors.js';
+import { guardClick } from './safety.js';
+import { getScrollTarget } from './scrollContainer.js';
 
 /**
- * Clicks an element with proper event simulation
+ * Clicks an element with proper event simulation.
+ * Clicks refused by the safety policy are logged and not performed.
  * @param {Element} element - Element to click
  * @returns {boolean} - Success status
  */
@@ -16,6 +19,10 @@ export function clickElement(element) {
     return false;
   }
 
+  if (!guardClick(element, 'clickElement')) {
+    return false;
+  }
+
   try {
     // Simulate proper click events
     const events = ['mousedown', 'mouseup', 'click'];
@@ -42,7 +49,7 @@ export function clickElement(element) {
  * @returns {number} - Number of elements expanded
  */
 export function expandHiddenContent() {
-  const elements = queryElements(SELECTORS.HIDDEN_CONTENT);
+  const elements = queryElements(SELECTORS.HIDDEN_CONTENT, document, false, true);
   let expandedCount = 0;
 
   elements.forEach(element => {
@@ -73,36 +80,36 @@ export function expandHiddenContent() {
 
 /**
  * Scrolls to trigger lazy loading
- * @param {number} scrollAmount - Amount to scroll (default: window height)
+ * @param {number} scrollAmount - Amount to scroll (default: one viewport of the target)
+ * @param {Object} target - Scroll target from getScrollTarget (default: the feed's)
  */
-export function triggerLazyLoading(scrollAmount = window.innerHeight) {
+export function triggerLazyLoading(scrollAmount = null, target = getScrollTarget()) {
+  const amount = scrollAmount ?? target.clientHeight;
+
   // Scroll down to trigger lazy loading
-  window.scrollBy(0, scrollAmount);
+  target.scrollTo(target.scrollTop + amount);
   
   // Wait a bit then scroll back up slightly to ensure visibility
   setTimeout(() => {
-    window.scrollBy(0, -50);
+    target.scrollTo(target.scrollTop - 50);
   }, 100);
 }
 
 /**
  * Handles infinite scroll detection and triggering
+ * Works on the feed's own scroll container when it is not the window.
  * @returns {boolean} - Whether infinite scroll was triggered
  */
 export function handleInfiniteScroll() {
-  const scrollHeight = document.documentElement.scrollHeight;
-  const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
-  const clientHeight = window.innerHeight;
+  const target = getScrollTarget();
   
   // Check if we're near the bottom (within 200px)
-  const nearBottom = scrollHeight - scrollTop - clientHeight < 200;
-  
-  if (nearBottom) {
+  if (target.isNearBottom(200)) {
     // Trigger lazy loading
-    triggerLazyLoading();
+    triggerLazyLoading(null, target);
     
     // Look for lazy loading images and trigger them
-    const lazyImages = queryElements(SELECTORS.LAZY_IMAGES);
+    const lazyImages = queryElements(SELECTORS.LAZY_IMAGES, document, false, true);
     lazyImages.forEach(img => {
       if (img.dataset.src) {
         img.src = img.dataset.src;
@@ -156,7 +163,7 @@ export function executeLoadMore(options = {}) {
     results.expandedContent = expandHiddenContent();
     
     // Look for load more buttons
-    const loadMoreButtons = queryElements(SELECTORS.LOAD_MORE_BUTTONS);
+    const loadMoreButtons = queryElements(SELECTORS.LOAD_MORE_BUTTONS, document, false, true);
     if (loadMoreButtons.length > 0) {
       const button = loadMoreButtons[0];
       if (clickElement(button)) {
@@ -168,7 +175,7 @@ export function executeLoadMore(options = {}) {
     }
 
     // Look for load more links
-    const loadMoreLinks = queryElements(SELECTORS.LOAD_MORE_LINKS);
+    const loadMoreLinks = queryElements(SELECTORS.LOAD_MORE_LINKS, document, false, true);
     if (loadMoreLinks.length > 0) {
       const link = loadMoreLinks[0];
       if (clickElement(link)) {
@@ -0,0 +1,110 @@
+/**
+ * Frames Module - Aggregates per-frame scan results
+ * Used by the background worker to merge SCAN_PAGE_CONTENT responses from
+ * every same-origin frame of a tab, keyed by frameId.
+ */
+
+const TOP_FRAME_ID = 0;
+
+// Frame URLs that take their origin from the parent frame
+const INHERITING_URL = /^about:(blank|srcdoc)([?#]|$)/;
+
+/**
+ * Checks whether a frame shares the top frame's origin and should be scanned
+ * @param {Object} frame - Frame details from chrome.webNavigation.getAllFrames
+ * @param {Object[]} frames - All frames of the tab, used to find the top frame and a frame's parents
+ * @returns {boolean} - True if the frame should be scanned
+ */
+export function isScannableFrame(frame, frames) {
+  if (!frame) return false;
+  if (frame.frameId === TOP_FRAME_ID) return true;
+
+  const topOrigin = getOrigin(frames.find(other => other.frameId === TOP_FRAME_ID)?.url || '');
+  const origin = getOrigin(getOriginUrl(frame, frames) || '');
+  return origin !== null && origin === topOrigin;
+}
+
+/**
+ * Merges scan responses from multiple frames into one result
+ * @param {Array<Object>} responses - Entries of { frameId, parentFrameId, url, response }
+ * @returns {Object} - Per-frame summaries, totals and the best frame to expand
+ */
+export function aggregateFrameResults(responses) {
+  const frames = responses
+    .map(summarizeFrame)
+    .sort((a, b) => a.frameId - b.frameId);
+
+  const totals = frames.reduce((sum, frame) => ({
+    buttons: sum.buttons + frame.buttons,
+    links: sum.links + frame.links,
+    contentCount: sum.contentCount + frame.contentCount
+  }), { buttons: 0, links: 0, contentCount: 0 });
+
+  return {
+    frames,
+    totals,
+    bestFrameId: pickBestFrame(frames)
+  };
+}
+
+/**
+ * Builds the summary of a single frame's scan response
+ * @param {Object} entry - Frame details plus the SCAN_PAGE_CONTENT response
+ * @returns {Object} - Frame summary
+ */
+function summarizeFrame(entry) {
+  const { frameId, parentFrameId = -1, url = '', response } = entry;
+  const result = response?.success ? response.data : null;
+  const patterns = result?.patterns || { buttons: [], links: [] };
+  const candidates = [...patterns.buttons, ...patterns.links];
+
+  return {
+    frameId,
+    parentFrameId,
+    url,
+    isTopFrame: frameId === TOP_FRAME_ID,
+    buttons: patterns.buttons.length,
+    links: patterns.links.length,
+    contentCount: result?.contentCount || 0,
+    topConfidence: candidates.reduce((max, candidate) => Math.max(max, candidate.confidence || 0), 0),
+    recommendedMethod: result?.detectionSummary?.recommendedMethod || 'none',
+    hasInfiniteScroll: !!result?.detectionSummary?.hasInfiniteScroll,
+    infiniteScrollEvidence: patterns.infiniteScrollEvidence || null,
+    result,
+    error: result ? null : (response?.error || 'No response from frame')
+  };
+}
+
+// Prefer the frame with the most confident candidate; ties go to the top frame
+function pickBestFrame(frames) {
+  let best = null;
+
+  for (const frame of frames) {
+    if (frame.error) continue;
+    if (!best || frame.topConfidence > best.topConfidence) {
+      best = frame;
+    }
+  }
+
+  return best ? best.frameId : TOP_FRAME_ID;
+}
+
+function getOrigin(url) {
+  try {
+    return new URL(url).origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+// URL giving a frame its origin: for inheriting frames the nearest parent with a real URL,
+// or null when a parent is missing
+function getOriginUrl(frame, frames) {
+  const seen = new Set();
+  let current = frame;
+  while (current && INHERITING_URL.test(current.url) && !seen.has(current.frameId)) {
+    seen.add(current.frameId);
+    current = frames.find(other => other.frameId === current.parentFrameId);
+  }
+  return current && !INHERITING_URL.test(current.url) ? current.url : null;
+}
@@ -0,0 +1,207 @@
+/**
+ * List Detection Module - Finds the page's main repeated-item list
+ * Items are grouped by structural similarity (tag and class signature plus
+ * subtree shape) instead of matching broad class-name selectors, so wrappers,
+ * navigation and nested nodes are not counted as content.
+ */
+
+import { isHashedClassName } from './selectorGenerator.js';
+import { collectShadowRoots, resolveSelectorPath } from './utils.js';
+
+// A list needs at least this many similar siblings to count as a feed
+const MIN_ITEMS = 3;
+
+// Minimum average shape similarity between items of a group
+const MIN_SIMILARITY = 0.5;
+
+// Subtrees never holding feed items
+const IGNORED_TAGS = new Set(['script', 'style', 'noscript', 'template', 'head', 'select', 'option', 'svg', 'br', 'hr']);
+
+// Ancestors that mark page chrome rather than content
+const CHROME_ANCESTORS = 'nav, header, footer, aside, [role="navigation"], [role="menu"], [role="menubar"], [role="banner"], [role="contentinfo"]';
+
+// Cached canonical feed shared by detection and execution
+let canonicalFeed = null;
+
+// List container named by a site rule; detection looks there first
+let feedContainerSelector = null;
+
+/**
+ * Returns the structural signature of an element: tag plus stable, sorted class names
+ * @param {Element} element - Element to describe
+ * @returns {string} - Signature such as "article|card post"
+ */
+export function getItemSignature(element) {
+  const classes = Array.from(element.classList || [])
+    .filter(cls => !isHashedClassName(cls))
+    .sort();
+  return `${element.localName}|${classes.join(' ')}`;
+}
+
+/**
+ * Finds the main repeated-sibling group on the page
+ * @param {Element} root - Element to search within (default: document.body)
+ * @returns {Object|null} - Feed { container, signature, items, score } or null if no list is found
+ */
+export function detectPrimaryList(root = document.body) {
+  if (!root) return null;
+
+  let best = null;
+  // Lists rendered by web components sit inside their open shadow roots
+  const containers = [root, ...root.querySelectorAll('*')];
+  collectShadowRoots(root).forEach(shadowRoot => containers.push(...shadowRoot.querySelectorAll('*')));
+
+  for (const container of containers) {
+    if (container.children.length < MIN_ITEMS || IGNORED_TAGS.has(container.localName)) continue;
+
+    const candidate = scoreContainer(container);
+    if (candidate && (!best || candidate.score > best.score)) {
+      best = candidate;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Returns the current items of a feed, re-read from the live DOM
+ * @param {Object} feed - Feed returned by detectPrimaryList
+ * @returns {Element[]} - Items matching the feed's signature
+ */
+export function getFeedItems(feed) {
+  if (!feed || !feed.container) return [];
+  return Array.from(feed.container.children).filter(child => matchesFeedItem(child, feed));
+}
+
+/**
+ * Returns the canonical feed, re-detecting it when the cached list was detached
+ * @param {boolean} refresh - Force re-detection
+ * @returns {Object|null} - Feed or null if the page has no repeated list
+ */
+export function getCanonicalFeed(refresh = false) {
+  if (refresh || !canonicalFeed || !canonicalFeed.container.isConnected) {
+    const ruleContainer = feedContainerSelector ? resolveSelectorPath(feedContainerSelector) : null;
+    canonicalFeed = (ruleContainer && detectPrimaryList(ruleContainer)) || detectPrimaryList();
+  }
+  return canonicalFeed;
+}
+
+/**
+ * Names the list container to detect the feed in (from a site rule)
+ * Falls back to the whole page when the container is missing or holds no list.
+ * @param {string|null} selector - Selector path of the container, or null for page-wide detection
+ */
+export function setFeedContainerSelector(selector) {
+  if (selector === feedContainerSelector) return;
+  feedContainerSelector = selector || null;
+  canonicalFeed = null;
+}
+
+/**
+ * Counts the items of the canonical feed
+ * @returns {number} - Item count (0 when the page has no repeated list)
+ */
+export function countFeedItems() {
+  return getFeedItems(getCanonicalFeed()).length;
+}
+
+/**
+ * Forgets the cached canonical feed (e.g. after navigation)
+ */
+export function resetCanonicalFeed() {
+  canonicalFeed = null;
+}
+
+function scoreContainer(container) {
+  // Group direct children by signature, keeping the largest group
+  const groups = new Map();
+  for (const child of container.children) {
+    if (IGNORED_TAGS.has(child.localName)) continue;
+    const signature = getItemSignature(child);
+    if (!groups.has(signature)) groups.set(signature, []);
+    groups.get(signature).push(child);
+  }
+
+  let group = null;
+  let signature = '';
+  for (const [key, members] of groups) {
+    if (!group || members.length > group.length) {
+      group = members;
+      signature = key;
+    }
+  }
+
+  // Items often carry modifier classes ("card featured"); fall back to tag-only grouping
+  const byTag = Array.from(container.children).filter(child => child.localName === signature.split('|')[0]);
+  let tagOnly = false;
+  if (group && byTag.length > group.length && byTag.length >= MIN_ITEMS) {
+    group = byTag;
+    tagOnly = true;
+  }
+
+  if (!group || group.length < MIN_ITEMS) return null;
+
+  const shapes = group.map(getSubtreeShape);
+  const similarity = averageSimilarity(shapes);
+  if (similarity < MIN_SIMILARITY) return null;
+
+  const avgDescendants = group.reduce((sum, item) => sum + item.getElementsByTagName('*').length, 0) / group.length;
+  const avgText = group.reduce((sum, item) => sum + (item.textContent || '').trim().length, 0) / group.length;
+  const hasMedia = group.some(item => item.querySelector('img, picture, video'));
+
+  // Empty placeholders are not content
+  if (avgText === 0 && !hasMedia) return null;
+
+  const richness = Math.log2(2 + avgDescendants) * (0.5 + Math.min(1, avgText / 100));
+  let score = group.length * similarity * richness;
+
+  if (container.closest(CHROME_ANCESTORS)) {
+    score *= 0.2;
+  }
+
+  return {
+    container,
+    signature: tagOnly ? `${signature.split('|')[0]}|*` : signature,
+    items: group,
+    score
+  };
+}
+
+function matchesFeedItem(element, feed) {
+  // Separators (e.g. page dividers between stitched pages) are never items
+  if (element.getAttribute('role') === 'separator') return false;
+  const [tag, classes] = feed.signature.split('|');
+  if (element.localName !== tag) return false;
+  return classes === '*' || getItemSignature(element) === feed.signature;
+}
+
+// Set of tag paths up to three levels deep, e.g. "div>a>img"
+function getSubtreeShape(element, depth = 3, prefix = '') {
+  const shape = new Set();
+  if (depth === 0) return shape;
+
+  for (const child of element.children) {
+    const path = prefix ? `${prefix}>${child.localName}` : child.localName;
+    shape.add(path);
+    getSubtreeShape(child, depth - 1, path).forEach(entry => shape.add(entry));
+  }
+  return shape;
+}
+
+// Average Jaccard similarity of each shape to the first one with the most entries
+function averageSimilarity(shapes) {
+  const reference = shapes.reduce((best, shape) => (shape.size > best.size ? shape : best), shapes[0]);
+  if (reference.size === 0) {
+    // Flat items (e.g. plain <li>text</li>) are similar when all are flat
+    return shapes.every(shape => shape.size === 0) ? 1 : 0;
+  }
+
+  const total = shapes.reduce((sum, shape) => {
+    let shared = 0;
+    shape.forEach(entry => { if (reference.has(entry)) shared++; });
+    const union = shape.size + reference.size - shared;
+    return sum + (union === 0 ? 1 : shared / union);
+  }, 0);
+
+  return total / shapes.length;
+}
@@ -0,0 +1,338 @@
+/**
+ * Locales Module - Pluggable load-more lexicon packs
+ * Each pack lists the phrases a site in that language uses for "load more"
+ * controls, plus the negative phrases that must never be treated as one.
+ */
+
+/**
+ * Built-in locale packs keyed by primary language subtag.
+ * - phrases: explicit load-more phrases (strongest signal)
+ * - related: other phrases that mark a candidate without scoring as strongly
+ * - keywords: standalone "more" words
+ * - verbs: load/show verbs that hint at a loader
+ * - negative: phrases that look similar but collapse or navigate away
+ * - destructive: words for actions that must never be clicked automatically
+ *   (purchases, deletions, sign-outs); matched on word boundaries
+ * - next / previous: pagination link labels
+ * - countNouns: plural nouns that follow a result count ("340 results")
+ * - endOfContent: messages a feed shows once nothing is left to load
+ */
+const LOCALE_PACKS = {
+  en: {
+    phrases: ['load more', 'show more'],
+    related: [
+      'view more', 'see more', 'read more',
+      'more results', 'more items', 'more posts', 'more content',
+      'load additional', 'show additional', 'expand', 'continue'
+    ],
+    keywords: ['more'],
+    verbs: ['load', 'show'],
+    negative: ['show less', 'see less', 'view less', 'load less', 'collapse', 'show fewer'],
+    destructive: [
+      'buy', 'purchase', 'checkout', 'check out', 'add to cart', 'add to basket', 'add to bag',
+      'pay', 'payment', 'place order', 'order now', 'subscribe', 'unsubscribe',
+      'delete', 'remove', 'cancel', 'deactivate', 'sign out', 'log out', 'logout', 'unfollow'
+    ],
+    next: ['next', 'next page', 'older posts'],
+    previous: ['previous', 'prev', 'previous page', 'newer posts'],
+    countNouns: [
+      'results', 'items', 'comments', 'products', 'posts', 'replies', 'reviews',
+      'answers', 'articles', 'entries', 'listings', 'matches', 'videos', 'photos'
+    ],
+    endOfContent: [
+      "you've reached the end", 'you have reached the end', "you're all caught up", 'you are all caught up',
+      'no more results', 'no more items', 'no more posts', 'no more comments', 'no more products',
+      'end of results', 'end of the list', "that's all", 'nothing more to show', 'nothing more to load'
+    ]
+  },
+  de: {
+    phrases: ['mehr laden', 'mehr anzeigen', 'weitere laden', 'weitere anzeigen'],
+    related: ['mehr sehen', 'weitere ergebnisse', 'mehr ergebnisse', 'weiterlesen', 'alle anzeigen'],
+    keywords: ['mehr', 'weitere'],
+    verbs: ['laden', 'anzeigen'],
+    negative: ['weniger anzeigen', 'weniger laden', 'einklappen', 'ausblenden'],
+    destructive: [
+      'kaufen', 'jetzt kaufen', 'in den warenkorb', 'zur kasse', 'bezahlen', 'bestellen',
+      'zahlungspflichtig bestellen', 'löschen', 'entfernen', 'abmelden', 'abbestellen', 'ausloggen', 'kündigen'
+    ],
+    next: ['weiter', 'nächste', 'nächste seite'],
+    previous: ['zurück', 'vorherige', 'vorherige seite'],
+    countNouns: ['ergebnisse', 'treffer', 'artikel', 'kommentare', 'produkte', 'beiträge', 'antworten', 'bewertungen'],
+    endOfContent: [
+      'keine weiteren ergebnisse', 'keine weiteren einträge', 'keine weiteren beiträge', 'keine weiteren artikel',
+      'ende der liste', 'alle ergebnisse geladen', "das war's", 'du bist auf dem neuesten stand'
+    ]
+  },
+  es: {
+    phrases: ['cargar más', 'mostrar más'],
+    related: ['ver más', 'más resultados', 'leer más', 'ver todos'],
+    keywords: ['más'],
+    verbs: ['cargar', 'mostrar'],
+    negative: ['ver menos', 'mostrar menos', 'cargar menos', 'ocultar'],
+    destructive: [
+      'comprar', 'añadir al carrito', 'pagar', 'finalizar compra', 'realizar pedido',
+      'eliminar', 'borrar', 'darse de baja', 'cancelar suscripción', 'cerrar sesión'
+    ],
+    next: ['siguiente', 'página siguiente'],
+    previous: ['anterior', 'página anterior'],
+    countNouns: ['resultados', 'artículos', 'comentarios', 'productos', 'publicaciones', 'respuestas', 'reseñas'],
+    endOfContent: [
+      'no hay más resultados', 'no hay más publicaciones', 'no hay más comentarios', 'no hay más productos',
+      'has llegado al final', 'fin de los resultados', 'eso es todo'
+    ]
+  },
+  fr: {
+    phrases: ['afficher plus', 'charger plus', 'afficher la suite'],
+    related: ['voir plus', 'en voir plus', 'plus de résultats', 'lire la suite', 'voir tout'],
+    keywords: ['plus', 'suite'],
+    verbs: ['charger', 'afficher'],
+    negative: ['afficher moins', 'voir moins', 'réduire', 'masquer'],
+    destructive: [
+      'acheter', 'ajouter au panier', 'payer', 'commander', 'passer la commande',
+      'supprimer', 'se désabonner', 'se déconnecter', 'déconnexion', 'résilier'
+    ],
+    next: ['suivant', 'suivante', 'page suivante'],
+    previous: ['précédent', 'précédente', 'page précédente'],
+    countNouns: ['résultats', 'articles', 'commentaires', 'produits', 'publications', 'réponses', 'avis'],
+    endOfContent: [
+      "il n'y a plus de résultats", 'aucun autre résultat', 'aucun résultat supplémentaire',
+      'vous avez atteint la fin', 'fin des résultats', "c'est tout pour le moment"
+    ]
+  },
+  ja: {
+    phrases: ['さらに表示', 'もっと読み込む', 'さらに読み込む'],
+    related: ['もっと見る', '続きを見る', '続きを読む', 'すべて表示'],
+    keywords: ['もっと', 'さらに'],
+    verbs: ['読み込む', '表示'],
+    negative: ['閉じる', '折りたたむ', '表示を減らす'],
+    destructive: ['購入', 'カートに入れる', '注文', '支払', '削除', '退会', 'ログアウト', '解約', '配信停止'],
+    next: ['次へ', '次のページ'],
+    previous: ['前へ', '前のページ'],
+    countNouns: ['件', '個', 'コメント'],
+    endOfContent: ['これ以上ありません', 'すべて表示しました', '最後まで表示しました', '以上です']
+  },
+  pl: {
+    phrases: ['pokaż więcej', 'załaduj więcej', 'wczytaj więcej'],
+    related: ['zobacz więcej', 'więcej wyników', 'czytaj więcej', 'pokaż wszystkie'],
+    keywords: ['więcej'],
+    verbs: ['załaduj', 'wczytaj', 'pokaż'],
+    negative: ['pokaż mniej', 'zwiń', 'ukryj'],
+    destructive: [
+      'kup', 'kupuję', 'dodaj do koszyka', 'zapłać', 'zamów', 'zamawiam',
+      'usuń', 'wyloguj', 'wypisz się', 'anuluj subskrypcję'
+    ],
+    next: ['następna', 'następna strona', 'dalej'],
+    previous: ['poprzednia', 'poprzednia strona', 'wstecz'],
+    countNouns: ['wyników', 'wyniki', 'produktów', 'komentarzy', 'komentarze', 'artykułów', 'odpowiedzi', 'opinii'],
+    endOfContent: ['brak więcej wyników', 'brak kolejnych wyników', 'to już wszystko', 'koniec listy', 'dotarłeś do końca']
+  },
+  pt: {
+    phrases: ['carregar mais', 'mostrar mais'],
+    related: ['ver mais', 'mais resultados', 'leia mais', 'ler mais', 'ver todos'],
+    keywords: ['mais'],
+    verbs: ['carregar', 'mostrar'],
+    negative: ['ver menos', 'mostrar menos', 'recolher', 'ocultar'],
+    destructive: [
+      'comprar', 'adicionar ao carrinho', 'pagar', 'finalizar compra', 'fazer pedido',
+      'excluir', 'apagar', 'remover', 'cancelar inscrição', 'sair da conta', 'terminar sessão'
+    ],
+    next: ['próxima', 'próxima página', 'seguinte'],
+    previous: ['anterior', 'página anterior'],
+    countNouns: ['resultados', 'itens', 'comentários', 'produtos', 'publicações', 'respostas', 'avaliações'],
+    endOfContent: [
+      'não há mais resultados', 'não há mais itens', 'não há mais publicações', 'não há mais comentários',
+      'você chegou ao fim', 'fim dos resultados', 'isso é tudo'
+    ]
+  }
+};
+
+/**
+ * Registers (or replaces) a locale pack so detection can score against it
+ * @param {string} code - Primary language subtag (e.g. 'it')
+ * @param {Object} pack - Pack with phrases, related, keywords, verbs, negative, destructive, next, previous,
+ *   countNouns and endOfContent arrays
+ */
+export function registerLocalePack(code, pack) {
+  const key = normalizeLanguageCode(code);
+  if (!key || !pack) return;
+
+  LOCALE_PACKS[key] = {
+    phrases: (pack.phrases || []).map(normalizeText),
+    related: (pack.related || []).map(normalizeText),
+    keywords: (pack.keywords || []).map(normalizeText),
+    verbs: (pack.verbs || []).map(normalizeText),
+    negative: (pack.negative || []).map(normalizeText),
+    destructive: (pack.destructive || []).map(normalizeText),
+    next: (pack.next || []).map(normalizeText),
+    previous: (pack.previous || []).map(normalizeText),
+    countNouns: (pack.countNouns || []).map(normalizeText),
+    endOfContent: (pack.endOfContent || []).map(normalizeText)
+  };
+}
+
+/**
+ * Returns the locale pack registered for a language code
+ * @param {string} code - Language tag such as 'de' or 'pt-BR'
+ * @returns {Object|null} - Locale pack or null if none is registered
+ */
+export function getLocalePack(code) {
+  return LOCALE_PACKS[normalizeLanguageCode(code)] || null;
+}
+
+/**
+ * Returns every registered locale pack
+ * @returns {Object[]} - All locale packs
+ */
+export function getAllLocalePacks() {
+  return Object.values(LOCALE_PACKS);
+}
+
+/**
+ * Picks locale packs for the current page.
+ * English is always included because most sites keep English class names
+ * and mixed-language UI; when no known language is found, all packs are used.
+ * @param {Document} doc - Document to read the lang attribute from (default: document)
+ * @param {Navigator} nav - Navigator to read browser locales from (default: navigator)
+ * @returns {Object[]} - Active locale packs
+ */
+export function getActiveLocalePacks(doc = document, nav = typeof navigator !== 'undefined' ? navigator : null) {
+  const candidates = [
+    doc?.documentElement?.lang,
+    ...(nav?.languages || []),
+    nav?.language
+  ];
+
+  const codes = new Set();
+  candidates.forEach(candidate => {
+    const code = normalizeLanguageCode(candidate);
+    if (code && LOCALE_PACKS[code]) {
+      codes.add(code);
+    }
+  });
+
+  // Only English matched (or nothing at all) - the page language is unknown,
+  // so score against every pack rather than miss a foreign-language button
+  if (codes.size === 0 || (codes.size === 1 && codes.has('en') && !pageDeclaresLanguage(doc, 'en'))) {
+    return Object.values(LOCALE_PACKS);
+  }
+
+  codes.add('en');
+  return Array.from(codes).map(code => LOCALE_PACKS[code]);
+}
+
+/**
+ * Matches text against locale packs
+ * @param {string} text - Lower-cased text to check
+ * @param {Object[]} packs - Locale packs to match against
+ * @returns {Object} - Which lexicon categories matched
+ */
+export function matchLexicon(text, packs) {
+  const normalized = normalizeText(text);
+  const result = { phrase: false, keyword: false, verb: false, negative: false };
+  if (!normalized) return result;
+
+  for (const pack of packs) {
+    if (pack.negative.some(phrase => normalized.includes(phrase))) result.negative = true;
+    if (pack.phrases.some(phrase => normalized.includes(phrase))) result.phrase = true;
+    if (pack.keywords.some(word => containsWord(normalized, word))) result.keyword = true;
+    if (pack.verbs.some(word => containsWord(normalized, word))) result.verb = true;
+  }
+
+  return result;
+}
+
+/**
+ * Finds the first destructive phrase contained in text
+ * @param {string} text - Text to check
+ * @param {Object[]} packs - Locale packs to match against
+ * @returns {string|null} - Matched phrase or null
+ */
+export function matchDestructive(text, packs) {
+  const normalized = normalizeText(text);
+  if (!normalized) return null;
+
+  for (const pack of packs) {
+    const phrase = (pack.destructive || []).find(word => containsWord(normalized, word));
+    if (phrase) return phrase;
+  }
+  return null;
+}
+
+/**
+ * Tells whether a pagination label points to the next or the previous page
+ * @param {string} text - Link text, aria-label or rel value
+ * @param {Object[]} packs - Locale packs to match against
+ * @returns {string|null} - 'next', 'previous' or null
+ */
+export function matchPageDirection(text, packs) {
+  const normalized = normalizeText(text);
+  if (!normalized) return null;
+
+  // Previous first: "previous" labels never contain a next word, the reverse is not guaranteed
+  if (packs.some(pack => (pack.previous || []).some(word => containsWord(normalized, word)))) return 'previous';
+  if (packs.some(pack => (pack.next || []).some(word => containsWord(normalized, word)))) return 'next';
+  return null;
+}
+
+/**
+ * Finds the first end-of-content message contained in text
+ * @param {string} text - Text to check
+ * @param {Object[]} packs - Locale packs to match against
+ * @returns {string|null} - Matched message or null
+ */
+export function matchEndOfContent(text, packs) {
+  // Typographic apostrophes ("You’ve reached the end") match the plain ones in the packs
+  const normalized = normalizeText(text).replace(/[\u2018\u2019]/g, "'");
+  if (!normalized) return null;
+
+  for (const pack of packs) {
+    const phrase = (pack.endOfContent || []).find(message => containsWord(normalized, message));
+    if (phrase) return phrase;
+  }
+  return null;
+}
+
+/**
+ * Returns the union of load-more and related phrases of the given packs
+ * @param {Object[]} packs - Locale packs
+ * @returns {string[]} - Phrases that mark a load-more candidate
+ */
+export function getLoadMorePhrases(packs) {
+  return Array.from(new Set(packs.flatMap(pack => [...pack.phrases, ...(pack.related || [])])));
+}
+
+/**
+ * Returns the union of negative phrases of the given packs
+ * @param {Object[]} packs - Locale packs
+ * @returns {string[]} - Negative phrases
+ */
+export function getNegativePhrases(packs) {
+  return Array.from(new Set(packs.flatMap(pack => pack.negative)));
+}
+
+function normalizeLanguageCode(code) {
+  if (!code || typeof code !== 'string') return '';
+  return code.trim().toLowerCase().split(/[-_]/)[0];
+}
+
+function normalizeText(text) {
+  return (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function pageDeclaresLanguage(doc, code) {
+  return normalizeLanguageCode(doc?.documentElement?.lang) === code;
+}
+
+// Scripts without word spacing (e.g. Japanese) can only be matched by substring
+function containsWord(text, word) {
+  // Apostrophes keep a phrase on word boundaries ("that's all" is not "that's allowed")
+  if (!/^[\p{Script=Latin}\s'\u2019]+$/u.test(word)) {
+    return text.includes(word);
+  }
+  const pattern = new RegExp(`(^|[^\\p{L}])${escapeRegExp(word)}($|[^\\p{L}])`, 'u');
+  return pattern.test(text);
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,263 @@
+/**
+ * Network Learning Module - Infers how the page fetches its next batch
+ * injected.js summarizes the page's fetch/XHR traffic (URL, parameters,
+ * response shape). Comparing consecutive requests to the same endpoint reveals
+ * the paging parameter (page number, offset, cursor or `after` token), which
+ * also tells real loading apart from clicks that fetch nothing. Summaries
+ * carry numeric paging values only; cursors arrive as fingerprints, so a
+ * cursor can be recognized but not replayed.
+ */
+
+// Most recent requests kept for inference
+const MAX_RECORDS = 50;
+
+const PAGE_PARAMETER = /^(p|pg|page|pagenum|page_?number|page_?no|page_?index)$/i;
+const OFFSET_PARAMETER = /(offset|start|skip|from|begin|first)/i;
+const CURSOR_PARAMETER = /(cursor|after|token|continuation|max_?id|since_?id|next)/i;
+
+// Numbers this large are timestamps or ids, not page numbers or offsets
+const EPOCH_SECONDS_FLOOR = 1e9;
+
+const requestLog = [];
+
+/**
+ * Stores a request summary posted by injected.js
+ * @param {Object} request - Summary { url, method, bodyParams, status, startedAt, afterClick, kind, arrayLength, cursorFields }
+ * @returns {boolean} True if the summary was well-formed and stored
+ */
+export function recordNetworkRequest(request) {
+  if (!request || typeof request.url !== 'string' || typeof request.startedAt !== 'number') {
+    return false;
+  }
+
+  let url;
+  try {
+    url = new URL(request.url);
+  } catch (error) {
+    return false;
+  }
+
+  requestLog.push({
+    url: url.href,
+    method: String(request.method || 'GET').toUpperCase(),
+    bodyParams: isPlainObject(request.bodyParams) ? request.bodyParams : {},
+    status: Number(request.status) || 0,
+    startedAt: request.startedAt,
+    afterClick: request.afterClick === true,
+    kind: request.kind === 'html' ? 'html' : 'json',
+    arrayLength: Number(request.arrayLength) || 0,
+    cursorFields: isPlainObject(request.cursorFields) ? request.cursorFields : {}
+  });
+
+  if (requestLog.length > MAX_RECORDS) {
+    requestLog.splice(0, requestLog.length - MAX_RECORDS);
+  }
+  return true;
+}
+
+/**
+ * Returns the stored request summaries, oldest first
+ * @returns {Object[]} - Request summaries
+ */
+export function getNetworkRequests() {
+  return requestLog.slice();
+}
+
+/**
+ * Forgets all stored request summaries (e.g. after navigation)
+ */
+export function clearNetworkRequests() {
+  requestLog.length = 0;
+}
+
+/**
+ * Infers the paging parameter of the endpoint that returns the next batch
+ * @param {Object[]} requests - Request summaries, as stored by recordNetworkRequest
+ * @returns {Object|null} - Learned endpoint { endpoint, method, parameter, kind, step, lastValue, nextValue, nextUrl, cursorField, itemsPerResponse, requestCount, clickTriggered, confidence } or null
+ */
+export function inferPagingParameter(requests) {
+  const groups = new Map();
+
+  requests
+    .filter(request => request.status >= 200 && request.status < 300)
+    .forEach(request => {
+      const url = new URL(request.url);
+      const key = `${request.method} ${url.origin}${url.pathname}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push({ ...request, params: getRequestParams(request, url) });
+    });
+
+  let best = null;
+  groups.forEach(group => {
+    group.sort((a, b) => a.startedAt - b.startedAt);
+    const candidate = group.length > 1 ? inferFromSequence(group) : inferFromSingle(group[0]);
+    if (candidate && (!best || candidate.confidence > best.confidence ||
+        (candidate.confidence === best.confidence && candidate.requestCount > best.requestCount))) {
+      best = candidate;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Infers the learned endpoint from the requests seen so far
+ * @returns {Object|null} - Learned endpoint or null if no paging request was seen
+ */
+export function getLearnedEndpoint() {
+  return inferPagingParameter(requestLog);
+}
+
+/**
+ * Checks whether the page fetched content since a point in time
+ * @param {number} timestamp - Epoch ms, e.g. just before a click
+ * @returns {boolean} True if a successful request returned items or HTML
+ */
+export function didLoadFromNetworkSince(timestamp) {
+  return requestLog.some(request =>
+    request.startedAt >= timestamp &&
+    request.status >= 200 && request.status < 300 &&
+    (request.arrayLength > 0 || request.kind === 'html')
+  );
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Query parameters plus scalar body parameters (POST/GraphQL-style APIs)
+function getRequestParams(request, url) {
+  const params = {};
+  url.searchParams.forEach((value, name) => { params[name] = value; });
+  Object.entries(request.bodyParams).forEach(([name, value]) => {
+    if (value !== null && typeof value !== 'object') params[name] = String(value);
+  });
+  return params;
+}
+
+// injected.js posts cursor values as "~" + hash; they can be compared but not sent
+function isFingerprint(value) {
+  return /^~[0-9a-f]+$/.test(value);
+}
+
+function isNumeric(value) {
+  return /^\d+$/.test(value);
+}
+
+function classifyName(name, numeric, step) {
+  if (numeric) {
+    if (PAGE_PARAMETER.test(name)) return 'page';
+    if (OFFSET_PARAMETER.test(name)) return 'offset';
+    return step === 1 ? 'page' : 'offset';
+  }
+  if (/after/i.test(name)) return 'after';
+  return 'cursor';
+}
+
+function inferFromSequence(group) {
+  const names = Object.keys(group[group.length - 1].params);
+  let best = null;
+
+  names.forEach(name => {
+    const values = group.map(request => request.params[name]).filter(value => value !== undefined);
+    if (values.length < 2 || new Set(values).size !== values.length) return;
+
+    let candidate = null;
+    if (values.every(isNumeric)) {
+      // Page numbers and offsets advance by a constant step; timestamps and cache-busters do not
+      const numbers = values.map(Number);
+      const step = numbers[1] - numbers[0];
+      if (step <= 0 || !numbers.every((value, index) => index === 0 || value - numbers[index - 1] === step)) return;
+      if (numbers.some(value => value >= EPOCH_SECONDS_FLOOR)) return;
+      // Two values always share a step, so unnamed parameters need a third
+      const named = PAGE_PARAMETER.test(name) || OFFSET_PARAMETER.test(name);
+      if (!named && numbers.length < 3) return;
+      candidate = { parameter: name, kind: classifyName(name, true, step), step, nextValue: String(numbers[numbers.length - 1] + step) };
+    } else {
+      // A cursor is echoed from the previous response, or at least named like one
+      const cursorField = findEchoedCursorField(group, name);
+      if (!cursorField && !CURSOR_PARAMETER.test(name)) return;
+      const nextField = cursorField ? group[group.length - 1].cursorFields[cursorField] : undefined;
+      candidate = {
+        parameter: name,
+        kind: classifyName(name, false),
+        step: null,
+        cursorField,
+        nextValue: nextField !== undefined && !isFingerprint(String(nextField)) ? String(nextField) : null
+      };
+    }
+
+    const score = (candidate.cursorField ? 2 : 0) + (PAGE_PARAMETER.test(name) || OFFSET_PARAMETER.test(name) || CURSOR_PARAMETER.test(name) ? 1 : 0);
+    if (!best || score > best.score) {
+      best = { ...candidate, lastValue: values[values.length - 1], score };
+    }
+  });
+
+  if (!best) return null;
+
+  const clickTriggered = group.filter(request => request.afterClick).length;
+  let confidence = 70;
+  if (clickTriggered > 0) confidence += 15;
+  if (group.some(request => request.arrayLength > 0 || request.kind === 'html')) confidence += 15;
+
+  return buildEndpoint(group, best, clickTriggered, confidence);
+}
+
+// A lone request only counts when it was clicked for and already asks for a later page
+function inferFromSingle(request) {
+  if (!request.afterClick) return null;
+
+  for (const [name, value] of Object.entries(request.params)) {
+    if (isNumeric(value) && PAGE_PARAMETER.test(name) && Number(value) >= 2) {
+      return buildEndpoint([request], { parameter: name, kind: 'page', step: 1, lastValue: value, nextValue: String(Number(value) + 1) }, 1, 40);
+    }
+    if (isNumeric(value) && OFFSET_PARAMETER.test(name) && Number(value) > 0) {
+      const step = request.arrayLength || null;
+      return buildEndpoint([request], { parameter: name, kind: 'offset', step, lastValue: value, nextValue: step ? String(Number(value) + step) : null }, 1, 40);
+    }
+    if (!isNumeric(value) && CURSOR_PARAMETER.test(name) && value) {
+      return buildEndpoint([request], { parameter: name, kind: classifyName(name, false), step: null, lastValue: value, nextValue: null }, 1, 30);
+    }
+  }
+  return null;
+}
+
+function findEchoedCursorField(group, name) {
+  for (let i = 1; i < group.length; i++) {
+    const value = group[i].params[name];
+    const previousFields = group[i - 1].cursorFields;
+    const field = Object.keys(previousFields).find(key => String(previousFields[key]) === value);
+    if (field) return field;
+  }
+  return null;
+}
+
+function buildEndpoint(group, inferred, clickTriggered, confidence) {
+  const last = group[group.length - 1];
+  const url = new URL(last.url);
+  const lengths = group.map(request => request.arrayLength).filter(length => length > 0).sort((a, b) => a - b);
+
+  // Only query parameters can be replayed as a plain URL
+  let nextUrl = null;
+  if (last.method === 'GET' && inferred.nextValue !== null && url.searchParams.has(inferred.parameter)) {
+    const next = new URL(url.href);
+    next.searchParams.set(inferred.parameter, inferred.nextValue);
+    nextUrl = next.href;
+  }
+
+  return {
+    endpoint: `${url.origin}${url.pathname}`,
+    method: last.method,
+    parameter: inferred.parameter,
+    kind: inferred.kind,
+    step: inferred.step,
+    lastValue: inferred.lastValue,
+    nextValue: inferred.nextValue,
+    nextUrl,
+    cursorField: inferred.cursorField || null,
+    itemsPerResponse: lengths.length ? lengths[Math.floor(lengths.length / 2)] : 0,
+    requestCount: group.length,
+    clickTriggered,
+    confidence: Math.min(100, confidence)
+  };
+}
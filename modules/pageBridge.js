@@ -0,0 +1,137 @@
+/**
+ * Page Bridge Module - Content-script side of the injected.js channel
+ * injected.js runs in the page world and reports what the page itself does
+ * (which elements it watches with IntersectionObserver, which requests it
+ * makes). Reports are
+ * hints only: page scripts can post the same messages, so nothing here is
+ * trusted beyond deciding what to scroll into view.
+ */
+
+import { queryElements } from './utils.js';
+import { recordNetworkRequest } from './networkLearning.js';
+
+export const PAGE_SOURCE = 'blind-nudist-page';
+export const CONTENT_SOURCE = 'blind-nudist-content';
+export const SENTINEL_ATTRIBUTE = 'data-bn-sentinel';
+
+// How long the page's requests are observed after the popup scans, so a
+// load-more click the user makes can still be learned from
+export const NETWORK_LEARNING_WINDOW_MS = 30000;
+
+// Observation window of a run; every step renews it, so it lapses on its own
+// when the run ends without closing it
+export const NETWORK_RUN_WINDOW_MS = 60000;
+
+// Latest sentinel reports from the page, keyed by sentinel id
+const sentinelReports = new Map();
+
+let listening = false;
+
+/**
+ * Starts listening for page-world reports and requests an initial one
+ * @param {Window} win - Window to listen on (default: window)
+ */
+export function startPageBridge(win = window) {
+  if (listening) return;
+  listening = true;
+
+  win.addEventListener('message', (event) => {
+    if (event.source !== win || event.data?.source !== PAGE_SOURCE) return;
+    handlePageMessage(event.data);
+  });
+
+  requestSentinelReport(win);
+}
+
+/**
+ * Asks injected.js to report its current sentinels
+ * @param {Window} win - Window to post to (default: window)
+ */
+export function requestSentinelReport(win = window) {
+  postToPage(win, { type: 'REQUEST_SENTINELS' });
+}
+
+/**
+ * Opens or closes a window in which injected.js observes the page's requests
+ * Outside such windows (runs and learning windows) fetch and XHR are left alone.
+ * @param {number} durationMs - Window length; 0 closes it
+ * @param {Window} win - Window to post to (default: window)
+ */
+export function observeNetwork(durationMs, win = window) {
+  postToPage(win, { type: 'OBSERVE_NETWORK', durationMs });
+}
+
+/**
+ * Returns connected loading sentinels reported by the page, in document order
+ * @param {Document} root - Document to resolve sentinels in (default: document)
+ * @returns {Array<Object>} - Entries of { element, report }
+ */
+export function getLoadingSentinels(root = document) {
+  const sentinels = [];
+
+  sentinelReports.forEach((report, id) => {
+    const element = queryElements(`[${SENTINEL_ATTRIBUTE}="${id}"]`, root, true, true);
+    if (element && element.isConnected) {
+      sentinels.push({ element, report });
+    }
+  });
+
+  return sentinels.sort((a, b) =>
+    a.element.compareDocumentPosition(b.element) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+  );
+}
+
+/**
+ * Orders sentinels by their distance in the tree to the feed's list, nearest first
+ * A sentinel at the end of the feed is the one that loads it; others may belong
+ * to sidebars, comments or lazy widgets.
+ * @param {Array<Object>} sentinels - Entries from getLoadingSentinels
+ * @param {Object|null} feed - Canonical feed, or null to keep document order
+ * @returns {Array<Object>} - The same entries, reordered
+ */
+export function sortSentinelsByFeed(sentinels, feed) {
+  if (!feed?.container) return sentinels;
+  const distances = new Map(sentinels.map(entry => [entry, treeDistance(entry.element, feed.container)]));
+  return sentinels.slice().sort((a, b) => distances.get(a) - distances.get(b));
+}
+
+/**
+ * Handles a message posted by injected.js
+ * @param {Object} data - Message data
+ */
+export function handlePageMessage(data) {
+  switch (data.type) {
+    case 'SENTINELS_UPDATED':
+      sentinelReports.clear();
+      (Array.isArray(data.sentinels) ? data.sentinels : []).forEach(report => {
+        // Ids are generated by injected.js as plain counters
+        if (report && /^\d+$/.test(String(report.id))) {
+          sentinelReports.set(String(report.id), report);
+        }
+      });
+      break;
+    case 'NETWORK_REQUEST':
+      recordNetworkRequest(data.request);
+      break;
+    default:
+      break;
+  }
+}
+
+// Edges between two elements through their closest common ancestor
+function treeDistance(from, to) {
+  const ancestors = new Map();
+  for (let node = to, depth = 0; node; node = node.parentNode, depth++) {
+    ancestors.set(node, depth);
+  }
+  for (let node = from, depth = 0; node; node = node.parentNode, depth++) {
+    if (ancestors.has(node)) return depth + ancestors.get(node);
+  }
+  return Infinity;
+}
+
+// Messages stay within the page's origin (opaque origins can only use "/")
+function postToPage(win, message) {
+  const origin = win.location.origin === 'null' ? '/' : win.location.origin;
+  win.postMessage({ source: CONTENT_SOURCE, ...message }, origin);
+}
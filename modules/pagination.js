@@ -0,0 +1,281 @@
+/**
+ * Pagination Module - Parses page navigation into a structured model
+ * Reads numbered page lists, the current page marker, "Page 3 of 12" texts,
+ * <link rel="next"> and the URL scheme (?page=N, ?offset=N, /page/N) so
+ * expansion can tell how many pages remain and where the next one is.
+ */
+
+import { SELECTORS } from './selectors.js';
+import { queryElements } from './utils.js';
+import { getAllLocalePacks, matchPageDirection } from './locales.js';
+
+const PAGINATION_CONTAINERS = `${SELECTORS.PAGINATION}, nav[aria-label*="pagination" i], nav[aria-label*="page" i]`;
+
+// "Page 3 of 12", "3 / 12", "Seite 3 von 12", "3 de 12", "3 sur 12", "3 z 12"
+const PAGE_OF_TOTAL = /(\d+)\s*(?:of|\/|von|de|sur|z|di)\s*(\d+)/i;
+
+// "Showing 1–20 of 340" counts items, not pages
+const RANGE_OF_TOTAL = /\d+\s*[-–—]\s*\d+\s*(?:of|\/|von|de|sur|z|di)\s*\d+/i;
+
+const NEXT_GLYPHS = /^(›|→|>|⟩|❯)$/;
+const PREVIOUS_GLYPHS = /^(‹|←|<|⟨|❮)$/;
+
+// Generated page URLs are capped so huge archives do not bloat the scan result
+const MAX_PAGE_URLS = 200;
+
+/**
+ * Parses the page's pagination
+ * @param {Document} doc - Document to parse (default: document)
+ * @returns {Object|null} - Model { current, total, nextUrl, prevUrl, pageUrls: [{ page, url }], scheme }
+ *   or null when the page has no pagination. scheme is { type: 'query-page' | 'query-offset' | 'path',
+ *   parameter, perPage } or null.
+ */
+export function parsePagination(doc = document) {
+  const scan = scanPagination(doc);
+  if (!scan) return null;
+
+  const { base, pages, relNext, relPrev, nextLink, prevLink } = scan;
+  const scheme = inferUrlScheme(pages) || inferUrlScheme(new Map(scan.current ? [[scan.current, base]] : []));
+
+  let current = scan.current;
+  if (current === null && scheme) current = pageFromUrl(base, scheme) ?? 1;
+  if (current === null) current = inferCurrentFromGaps(pages);
+
+  // "Last" links and other anchors with a page number in their URL reveal the total
+  let total = scan.total;
+  if (scheme) {
+    scan.anchors.forEach(anchor => {
+      const page = pageFromUrl(anchor.href, scheme);
+      if (page !== null) total = Math.max(total ?? 0, page);
+    });
+  }
+  pages.forEach((url, page) => { total = Math.max(total ?? 0, page); });
+  if (current !== null && total !== null) total = Math.max(total, current);
+
+  // A linked later page keeps the listing's other parameters and path layout
+  const template = Array.from(pages.entries()).find(([page]) => page >= 2)?.[1] || base;
+
+  const pageUrls = [];
+  if (current !== null) pages.set(current, pages.get(current) || base);
+  if (scheme && total !== null) {
+    for (let page = 1; page <= Math.min(total, MAX_PAGE_URLS); page++) {
+      pageUrls.push({ page, url: pages.get(page) || buildPageUrl(template, scheme, page) });
+    }
+  } else {
+    Array.from(pages.keys()).sort((a, b) => a - b).forEach(page => pageUrls.push({ page, url: pages.get(page) }));
+  }
+
+  const urlFor = page => pageUrls.find(entry => entry.page === page)?.url || null;
+  const hasNext = current === null || total === null || current < total;
+
+  return {
+    current,
+    total,
+    nextUrl: relNext || nextLink?.href || (current !== null && hasNext ? urlFor(current + 1) : null),
+    prevUrl: relPrev || prevLink?.href || (current !== null && current > 1 ? urlFor(current - 1) : null),
+    pageUrls,
+    scheme
+  };
+}
+
+/**
+ * Finds the clickable link to the next page
+ * @param {Document} doc - Document to search (default: document)
+ * @returns {Element|null} - Next page anchor or null
+ */
+export function findNextPageLink(doc = document) {
+  const scan = scanPagination(doc);
+  if (scan?.nextLink) return scan.nextLink;
+
+  const model = scan ? parsePagination(doc) : null;
+  const anchors = queryElements('a[href]', doc, false, true);
+
+  // <link rel="next"> or a numbered page: find an anchor pointing there
+  if (model?.nextUrl) {
+    const match = anchors.find(anchor => anchor.href === model.nextUrl);
+    if (match) return match;
+  }
+
+  // Fall back to "next" labels anywhere on the page
+  const packs = getAllLocalePacks();
+  return anchors.find(anchor => getDirection(anchor, packs) === 'next') || null;
+}
+
+/**
+ * Returns the URL of a page under a URL scheme
+ * @param {string} templateUrl - Any URL of the paginated listing
+ * @param {Object} scheme - Scheme from parsePagination
+ * @param {number} page - 1-based page number
+ * @returns {string} - Page URL
+ */
+export function buildPageUrl(templateUrl, scheme, page) {
+  const url = new URL(templateUrl);
+
+  if (scheme.type === 'path') {
+    const segments = url.pathname.split('/');
+    if (scheme.segment < segments.length && /^\d+$/.test(segments[scheme.segment])) {
+      segments[scheme.segment] = String(page);
+    } else {
+      // Page 1 usually lives at the bare listing path
+      segments.splice(segments.length - (segments[segments.length - 1] === '' ? 1 : 0), 0, scheme.parameter, String(page));
+    }
+    url.pathname = segments.join('/').replace(/\/{2,}/g, '/');
+  } else {
+    const value = scheme.type === 'query-offset' ? (page - 1) * scheme.perPage : page;
+    url.searchParams.set(scheme.parameter, String(value));
+  }
+
+  return url.href;
+}
+
+function scanPagination(doc) {
+  // Parsed documents (e.g. fetched pages) have no location but may carry a <base>
+  const base = doc.location?.href || doc.baseURI || window.location.href;
+  const packs = getAllLocalePacks();
+
+  const found = queryElements(PAGINATION_CONTAINERS, doc, false, true);
+  const containers = found.filter(container => !found.some(other => other !== container && other.contains(container)));
+
+  const relNext = absoluteUrl(doc.querySelector('link[rel~="next"][href]')?.getAttribute('href'), base);
+  const relPrev = absoluteUrl(doc.querySelector('link[rel~="prev"][href], link[rel~="previous"][href]')?.getAttribute('href'), base);
+
+  if (containers.length === 0 && !relNext && !relPrev) return null;
+
+  const pages = new Map();
+  const anchors = [];
+  let current = null;
+  let total = null;
+  let nextLink = null;
+  let prevLink = null;
+
+  containers.forEach(container => {
+    container.querySelectorAll('a[href]').forEach(anchor => {
+      anchors.push(anchor);
+      const text = anchor.textContent.trim();
+
+      if (/^\d+$/.test(text)) {
+        if (isCurrentMarker(anchor)) current = Number(text);
+        else pages.set(Number(text), anchor.href);
+        return;
+      }
+
+      const direction = getDirection(anchor, packs);
+      if (direction === 'next' && !nextLink) nextLink = anchor;
+      if (direction === 'previous' && !prevLink) prevLink = anchor;
+    });
+
+    // The current page is often a plain <span> rather than a link
+    if (current === null) {
+      const marker = Array.from(container.querySelectorAll('[aria-current], .active, .current, .selected, [class*="current"]'))
+        .find(element => isCurrentMarker(element) && /^\d+$/.test(element.textContent.trim()));
+      if (marker) current = Number(marker.textContent.trim());
+    }
+
+    const ofTotal = RANGE_OF_TOTAL.test(container.textContent) ? null : container.textContent.match(PAGE_OF_TOTAL);
+    if (ofTotal && Number(ofTotal[1]) <= Number(ofTotal[2])) {
+      current = current ?? Number(ofTotal[1]);
+      total = Math.max(total ?? 0, Number(ofTotal[2]));
+    }
+  });
+
+  // rel="next" on an anchor outside the containers is as explicit as the head link
+  const relNextAnchor = doc.querySelector('a[rel~="next"][href]');
+  if (relNextAnchor) nextLink = relNextAnchor;
+
+  return { base, pages, anchors, current, total, relNext, relPrev, nextLink, prevLink };
+}
+
+function isCurrentMarker(element) {
+  const ariaCurrent = element.getAttribute('aria-current');
+  if (ariaCurrent && ariaCurrent !== 'false') return true;
+  const className = typeof element.className === 'string' ? element.className : '';
+  return /\b(active|current|selected)\b/i.test(className) ||
+    /\b(active|current|selected)\b/i.test(element.parentElement?.className || '');
+}
+
+function getDirection(anchor, packs) {
+  const rel = anchor.getAttribute('rel') || '';
+  if (/\bnext\b/i.test(rel)) return 'next';
+  if (/\bprev(ious)?\b/i.test(rel)) return 'previous';
+
+  const text = anchor.textContent.trim();
+  if (NEXT_GLYPHS.test(text)) return 'next';
+  if (PREVIOUS_GLYPHS.test(text)) return 'previous';
+
+  return matchPageDirection(`${text} ${anchor.getAttribute('aria-label') || ''} ${anchor.getAttribute('title') || ''}`, packs);
+}
+
+function absoluteUrl(href, base) {
+  if (!href) return null;
+  try {
+    return new URL(href, base).href;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Finds the URL part that tracks the page number across known page links
+function inferUrlScheme(pages) {
+  const entries = Array.from(pages.entries()).filter(([page]) => page >= 2);
+  if (entries.length === 0) return null;
+
+  const urls = entries.map(([page, href]) => ({ page, url: new URL(href) }));
+  const [first] = urls;
+
+  for (const [name, value] of first.url.searchParams) {
+    if (!/^\d+$/.test(value)) continue;
+    const values = urls.map(({ url }) => Number(url.searchParams.get(name)));
+
+    if (urls.every(({ page }, index) => values[index] === page)) {
+      return { type: 'query-page', parameter: name, perPage: null };
+    }
+
+    const perPage = Number(value) / (first.page - 1);
+    if (perPage > 1 && Number.isInteger(perPage) && urls.every(({ page }, index) => values[index] === (page - 1) * perPage)) {
+      return { type: 'query-offset', parameter: name, perPage };
+    }
+  }
+
+  const segments = first.url.pathname.split('/');
+  const segment = segments.findIndex((part, index) =>
+    part === String(first.page) && urls.every(({ page, url }) => url.pathname.split('/')[index] === String(page))
+  );
+  if (segment > 0) {
+    return { type: 'path', parameter: segments[segment - 1] || 'page', perPage: null, segment };
+  }
+
+  return null;
+}
+
+function pageFromUrl(href, scheme) {
+  let url;
+  try {
+    url = new URL(href);
+  } catch (error) {
+    return null;
+  }
+
+  if (scheme.type === 'path') {
+    const value = url.pathname.split('/')[scheme.segment];
+    return /^\d+$/.test(value || '') ? Number(value) : null;
+  }
+
+  const value = url.searchParams.get(scheme.parameter);
+  if (value === null) return null;
+  if (!/^\d+$/.test(value)) return null;
+  return scheme.type === 'query-offset' ? Number(value) / scheme.perPage + 1 : Number(value);
+}
+
+// With links to 1, 2, 4, 5 the unlinked 3 is the current page
+function inferCurrentFromGaps(pages) {
+  if (pages.size === 0) return null;
+
+  const numbers = Array.from(pages.keys());
+  const min = Math.min(...numbers);
+  const max = Math.max(...numbers);
+  const missing = [];
+  for (let page = Math.min(min, 1); page <= max; page++) {
+    if (!pages.has(page)) missing.push(page);
+  }
+  return missing.length === 1 ? missing[0] : null;
+}
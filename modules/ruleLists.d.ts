@@ -0,0 +1,58 @@
+// Types for the options page, which imports this module directly
+
+import type { SiteRule } from './siteRules.js'
+
+export type RuleTier = 'user' | 'subscribed' | 'builtin'
+
+export interface ListRule extends SiteRule {
+  source: RuleTier
+  listId?: string
+  line?: number
+}
+
+export interface RuleListReport {
+  title: string
+  version: string
+  homepage: string
+  rules: ListRule[]
+  errors: { line: number, text: string, reason: string }[]
+}
+
+export interface StoredRuleList {
+  id: string
+  name: string
+  text: string
+  addedAt: number
+}
+
+export interface RuleReference {
+  source: RuleTier
+  listId: string | null
+  line: number | null
+  id: string
+}
+
+export interface RuleConflict {
+  urlPattern: string
+  used: RuleReference
+  overridden: RuleReference[]
+}
+
+type RuleTiers = Partial<Record<RuleTier, Partial<ListRule>[]>>
+
+export const RULE_LISTS_KEY: string
+export const SUBSCRIBED_RULES_KEY: string
+export const RULE_TIERS: RuleTier[]
+
+export function parseRuleList(text: string, origin?: { source?: RuleTier, listId?: string }): RuleListReport
+export function setRuleTier(tier: RuleTier, rules: Partial<ListRule>[]): void
+export function findActiveRule(url?: string, tiers?: RuleTiers): ListRule | null
+export function findRuleConflicts(tiers?: RuleTiers): RuleConflict[]
+export function getSubscribedRules(lists: StoredRuleList[]): ListRule[]
+export function loadRuleLists(storageArea?: chrome.storage.StorageArea): Promise<StoredRuleList[]>
+export function loadSubscribedRules(storageArea?: chrome.storage.StorageArea): Promise<ListRule[]>
+export function addRuleList(
+  file: { name: string, text: string },
+  storageArea?: chrome.storage.StorageArea
+): Promise<{ list: StoredRuleList, report: RuleListReport }>
+export function removeRuleList(id: string, storageArea?: chrome.storage.StorageArea): Promise<boolean>
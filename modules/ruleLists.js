@@ -0,0 +1,263 @@
+/**
+ * Rule Lists Module - Curated rule packs in a filter-list style line syntax
+ * Rules come from three tiers: the user's own saved rules, lists the user
+ * added from local files ("subscribed") and the built-in list. The first tier
+ * with a rule matching the page wins; heuristics only apply when none does.
+ *
+ * Line syntax:
+ *   ! Title: My rules            (header fields: Title, Version, Homepage)
+ *   ! any other comment
+ *   forum.example/threads* | more: button.load-more | list: ul.threads | end: .no-more
+ */
+
+import { findSiteRule, normalizeSiteRule } from './siteRules.js';
+import { isCatchAllPattern, MAX_DELAY_MS } from './ruleSchema.js';
+import { DEFAULT_RULE_LIST } from './defaultRules.js';
+
+export const RULE_LISTS_KEY = 'ruleLists';
+
+// Rules of the stored lists, parsed once when the lists change rather than in every frame
+export const SUBSCRIBED_RULES_KEY = 'subscribedRules';
+
+// Highest precedence first
+export const RULE_TIERS = ['user', 'subscribed', 'builtin'];
+
+// Keeps a pasted file from bloating storage or stalling every page scan
+const MAX_LIST_LENGTH = 512 * 1024;
+const MAX_LIST_RULES = 2000;
+
+const FIELD_SEPARATOR = /\s+\|\s+/;
+const HEADER_FIELDS = { title: 'title', version: 'version', homepage: 'homepage' };
+
+// Line keys and the rule fields they set; "exclude" may repeat
+const LINE_FIELDS = {
+  more: 'loadMoreSelector',
+  list: 'listSelector',
+  end: 'endSelector',
+  method: 'method',
+  delay: 'delayMs',
+  exclude: 'excludeSelectors'
+};
+
+// Rules of each tier, kept here so detection can consult them synchronously
+const ruleTiers = {
+  user: [],
+  subscribed: [],
+  builtin: parseRuleList(DEFAULT_RULE_LIST, { source: 'builtin', listId: 'builtin' }).rules
+};
+
+/**
+ * Parses a rule list
+ * @param {string} text - List contents
+ * @param {Object} [origin] - Where the list comes from
+ * @param {string} [origin.source='subscribed'] - Tier of its rules
+ * @param {string} [origin.listId='list'] - List id, used for rule ids
+ * @returns {Object} - { title, version, homepage, rules, errors: [{ line, text, reason }] }; each rule is a
+ *   normalized site rule plus { source, listId, line }
+ * @throws {Error} When the list is too large to load
+ */
+export function parseRuleList(text, { source = 'subscribed', listId = 'list' } = {}) {
+  if (text.length > MAX_LIST_LENGTH) {
+    throw new Error(`Rule list is larger than ${MAX_LIST_LENGTH / 1024} KB`);
+  }
+
+  const list = { title: '', version: '', homepage: '', rules: [], errors: [] };
+  const firstLineOf = new Map();
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const line = index + 1;
+    const trimmed = raw.trim();
+    if (!trimmed) return;
+
+    if (trimmed.startsWith('!')) {
+      const header = trimmed.match(/^!\s*([a-z]+)\s*:\s*(.*)$/i);
+      const field = header && HEADER_FIELDS[header[1].toLowerCase()];
+      if (field && !list[field]) list[field] = header[2].trim();
+      return;
+    }
+
+    try {
+      if (list.rules.length >= MAX_LIST_RULES) {
+        throw new Error(`More than ${MAX_LIST_RULES} rules`);
+      }
+      const rule = parseRuleLine(trimmed);
+      if (firstLineOf.has(rule.urlPattern)) {
+        throw new Error(`Duplicate pattern (first on line ${firstLineOf.get(rule.urlPattern)})`);
+      }
+      firstLineOf.set(rule.urlPattern, line);
+      list.rules.push({ ...rule, id: `${listId}:${line}`, source, listId, line });
+    } catch (error) {
+      list.errors.push({ line, text: trimmed.slice(0, 200), reason: error.message });
+    }
+  });
+
+  return list;
+}
+
+/**
+ * Sets the rules of one tier
+ * @param {string} tier - 'user', 'subscribed' or 'builtin'
+ * @param {Object[]} rules - Rules of that tier
+ */
+export function setRuleTier(tier, rules) {
+  if (!RULE_TIERS.includes(tier)) {
+    throw new Error(`Unknown rule tier: ${tier}`);
+  }
+  ruleTiers[tier] = rules.map(rule => ({ ...rule, source: rule.source || tier }));
+}
+
+/**
+ * Finds the rule for a page: the first tier with a match wins, then the most specific pattern
+ * @param {string} [url=window.location.href] - Page URL
+ * @param {Object} [tiers] - Rules per tier (default: the tiers set with setRuleTier)
+ * @returns {Object|null} - Rule with its source, or null to fall back to heuristics
+ */
+export function findActiveRule(url = window.location.href, tiers = ruleTiers) {
+  for (const tier of RULE_TIERS) {
+    const rule = findSiteRule(tiers[tier], url);
+    if (rule) return { ...rule, source: rule.source || tier };
+  }
+  return null;
+}
+
+/**
+ * Lists patterns defined more than once across tiers and lists
+ * @param {Object} [tiers] - Rules per tier (default: the tiers set with setRuleTier)
+ * @returns {Object[]} - [{ urlPattern, used, overridden }], each rule given as { source, listId, line, id }
+ */
+export function findRuleConflicts(tiers = ruleTiers) {
+  const byPattern = new Map();
+  RULE_TIERS.forEach(tier => {
+    (tiers[tier] || []).forEach(rule => {
+      const entry = { source: rule.source || tier, listId: rule.listId ?? null, line: rule.line ?? null, id: rule.id };
+      if (!byPattern.has(rule.urlPattern)) byPattern.set(rule.urlPattern, []);
+      byPattern.get(rule.urlPattern).push(entry);
+    });
+  });
+
+  return Array.from(byPattern, ([urlPattern, rules]) => ({ urlPattern, used: rules[0], overridden: rules.slice(1) }))
+    .filter(conflict => conflict.overridden.length > 0);
+}
+
+/**
+ * Parses the stored subscribed lists into the rules of the subscribed tier
+ * @param {Object[]} lists - Stored lists { id, name, text, addedAt }
+ * @returns {Object[]} - Rules in list order; earlier lists win pattern ties
+ */
+export function getSubscribedRules(lists) {
+  return lists.flatMap(list => {
+    try {
+      return parseRuleList(list.text, { source: 'subscribed', listId: list.id }).rules;
+    } catch (error) {
+      return [];
+    }
+  });
+}
+
+/**
+ * Reads the subscribed lists
+ * @param {Object} storageArea - chrome.storage area (default: chrome.storage.local)
+ * @returns {Promise<Object[]>} - Stored lists { id, name, text, addedAt }
+ */
+export async function loadRuleLists(storageArea = chrome.storage.local) {
+  const stored = await storageArea.get(RULE_LISTS_KEY);
+  return Array.isArray(stored[RULE_LISTS_KEY]) ? stored[RULE_LISTS_KEY] : [];
+}
+
+/**
+ * Reads the rules of the subscribed lists, as parsed when the lists were stored
+ * @param {Object} storageArea - chrome.storage area (default: chrome.storage.local)
+ * @returns {Promise<Object[]>} - Rules of the subscribed tier
+ */
+export async function loadSubscribedRules(storageArea = chrome.storage.local) {
+  const stored = await storageArea.get(SUBSCRIBED_RULES_KEY);
+  if (Array.isArray(stored[SUBSCRIBED_RULES_KEY])) return stored[SUBSCRIBED_RULES_KEY];
+  // Lists stored before their rules were kept alongside them
+  return getSubscribedRules(await loadRuleLists(storageArea));
+}
+
+/**
+ * Adds a list from a local file, replacing a list with the same name
+ * @param {Object} file - { name, text }
+ * @param {Object} storageArea - chrome.storage area (default: chrome.storage.local)
+ * @returns {Promise<Object>} - { list, report } where report is the parseRuleList result
+ * @throws {Error} When the list has no usable rule
+ */
+export async function addRuleList({ name, text }, storageArea = chrome.storage.local) {
+  const lists = await loadRuleLists(storageArea);
+  const existing = lists.find(list => list.name === name);
+  const id = existing?.id || `list-${Date.now().toString(36)}`;
+
+  const report = parseRuleList(text, { source: 'subscribed', listId: id });
+  if (report.rules.length === 0) {
+    const firstError = report.errors[0];
+    throw new Error(firstError ? `No usable rules (line ${firstError.line}: ${firstError.reason})` : 'The list has no rules');
+  }
+
+  const list = { id, name, text, addedAt: Date.now() };
+  await storeRuleLists([...lists.filter(other => other !== existing), list], storageArea);
+  return { list, report };
+}
+
+/**
+ * Removes a subscribed list
+ * @param {string} id - List id
+ * @param {Object} storageArea - chrome.storage area (default: chrome.storage.local)
+ * @returns {Promise<boolean>} - False when no list had that id
+ */
+export async function removeRuleList(id, storageArea = chrome.storage.local) {
+  const lists = await loadRuleLists(storageArea);
+  const remaining = lists.filter(list => list.id !== id);
+  if (remaining.length === lists.length) return false;
+  await storeRuleLists(remaining, storageArea);
+  return true;
+}
+
+// Stores the lists together with their parsed rules
+async function storeRuleLists(lists, storageArea) {
+  await storageArea.set({ [RULE_LISTS_KEY]: lists, [SUBSCRIBED_RULES_KEY]: getSubscribedRules(lists) });
+}
+
+// Turns "pattern | key: value | ..." into rule fields
+function parseRuleLine(line) {
+  const [urlPattern, ...parts] = line.split(FIELD_SEPARATOR);
+  if (/\s/.test(urlPattern)) {
+    throw new Error('Fields must be separated by " | "');
+  }
+  if (isCatchAllPattern(urlPattern)) {
+    throw new Error(`Pattern matches every site: ${urlPattern}`);
+  }
+  if (parts.length === 0) {
+    throw new Error('Rule has no fields');
+  }
+
+  const fields = { excludeSelectors: [] };
+  parts.forEach(part => {
+    const match = part.match(/^([a-z]+)\s*:\s*(.+)$/i);
+    const field = match && LINE_FIELDS[match[1].toLowerCase()];
+    if (!field) {
+      throw new Error(`Unknown field: ${part}`);
+    }
+    if (field === 'excludeSelectors') {
+      fields.excludeSelectors.push(match[2].trim());
+    } else if (field in fields) {
+      throw new Error(`Field given twice: ${match[1]}`);
+    } else {
+      fields[field] = match[2].trim();
+    }
+  });
+
+  if (fields.delayMs !== undefined && !/^\d+$/.test(fields.delayMs)) {
+    throw new Error(`Invalid delay: ${fields.delayMs}`);
+  }
+  if (Number(fields.delayMs) > MAX_DELAY_MS) {
+    throw new Error(`Delay above ${MAX_DELAY_MS} ms: ${fields.delayMs}`);
+  }
+
+  const { endSelector, ...rule } = fields;
+  return normalizeSiteRule({
+    ...rule,
+    urlPattern,
+    stopConditions: endSelector ? { untilSelector: endSelector } : {}
+  }, 0);
+}
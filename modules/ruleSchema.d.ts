@@ -0,0 +1,35 @@
+// Types for the options page, which imports this module directly
+
+import type { SiteRule } from './siteRules.js'
+
+export type MergeStrategy = 'newest' | 'keep-existing' | 'replace'
+
+export interface RuleFile {
+  format: string
+  version: number
+  exportedAt: string
+  rules: Partial<SiteRule>[]
+}
+
+export interface RuleMerge {
+  rules: SiteRule[]
+  added: number
+  replaced: number
+  kept: number
+  conflicts: { urlPattern: string, resolution: 'imported' | 'existing' }[]
+}
+
+export const RULE_FILE_FORMAT: string
+export const RULE_SCHEMA_VERSION: number
+export const MERGE_STRATEGIES: MergeStrategy[]
+export const MAX_DELAY_MS: number
+
+export function exportRules(rules: SiteRule[], now?: number): RuleFile
+export function parseRuleFile(input: string | object, now?: number): {
+  version: number
+  rules: SiteRule[]
+  rejected: { index: number, urlPattern: string | null, reason: string }[]
+}
+export function validateImportedRule(entry: unknown, now?: number): SiteRule
+export function isCatchAllPattern(pattern: string): boolean
+export function mergeImportedRules(existing: SiteRule[], imported: SiteRule[], strategy?: MergeStrategy): RuleMerge
@@ -0,0 +1,236 @@
+/**
+ * Rule Schema Module - Versioned JSON format for sharing site rules
+ * Exports wrap the rules in { format, version, exportedAt, rules }. Imports are
+ * validated entry by entry: malformed or dangerous rules (bad selectors, patterns
+ * matching every site, non-web schemes) are rejected with a reason while the
+ * rest are merged into the saved rules.
+ */
+
+import { createRuleId, normalizeSiteRule, normalizeUrlPattern } from './siteRules.js';
+
+export const RULE_FILE_FORMAT = 'load-more-extension/site-rules';
+
+// Bumped whenever a rule field changes meaning; older files are still read
+export const RULE_SCHEMA_VERSION = 1;
+
+// How an imported rule is resolved against a saved rule with the same pattern
+export const MERGE_STRATEGIES = ['newest', 'keep-existing', 'replace'];
+
+// Limits keeping a shared file from bloating storage or stalling every page scan
+const MAX_RULES = 500;
+const MAX_SELECTOR_LENGTH = 1000;
+const MAX_TEXT_LENGTH = 500;
+
+// Longest pause between steps a shared rule or rule list may ask for
+export const MAX_DELAY_MS = 60000;
+
+const RULE_FIELDS = new Set([
+  'id', 'urlPattern', 'description', 'loadMoreSelector', 'listSelector', 'method', 'delayMs',
+  'stopConditions', 'excludeSelectors', 'createdAt', 'updatedAt'
+]);
+// Second-level labels under country domains that are suffixes, not sites ("co.uk", "com.au")
+const SECOND_LEVEL_LABELS = new Set(['co', 'com', 'net', 'org', 'gov', 'edu', 'ac', 'ne', 'or', 'go']);
+const STOP_CONDITION_FIELDS = new Set(['itemTarget', 'timeBudgetMinutes', 'untilSelector', 'untilText', 'olderThan', 'dateAttribute']);
+
+/**
+ * Builds the shareable file for a set of rules
+ * @param {Object[]} rules - Saved rules
+ * @param {number} [now=Date.now()] - Export time (ms)
+ * @returns {Object} - { format, version, exportedAt, rules }
+ */
+export function exportRules(rules, now = Date.now()) {
+  return {
+    format: RULE_FILE_FORMAT,
+    version: RULE_SCHEMA_VERSION,
+    exportedAt: new Date(now).toISOString(),
+    rules: rules.map(rule => Object.fromEntries(Object.entries(rule).filter(([key]) => RULE_FIELDS.has(key))))
+  };
+}
+
+/**
+ * Reads and validates a rule file
+ * @param {string|Object} input - File contents or the parsed object
+ * @param {number} [now=Date.now()] - Import time (ms), used for rules without timestamps
+ * @returns {Object} - { version, rules, rejected: [{ index, urlPattern, reason }] }
+ * @throws {Error} When the file itself is unusable (not JSON, wrong format, newer version, too many rules)
+ */
+export function parseRuleFile(input, now = Date.now()) {
+  let file = input;
+  if (typeof input === 'string') {
+    try {
+      file = JSON.parse(input);
+    } catch (error) {
+      throw new Error('The file is not valid JSON');
+    }
+  }
+
+  if (!isPlainObject(file) || file.format !== RULE_FILE_FORMAT) {
+    throw new Error('The file is not a site rules export');
+  }
+  if (!Number.isInteger(file.version) || file.version < 1) {
+    throw new Error(`Invalid rules version: ${file.version}`);
+  }
+  if (file.version > RULE_SCHEMA_VERSION) {
+    throw new Error(`The file uses rules version ${file.version}; this extension reads up to version ${RULE_SCHEMA_VERSION}`);
+  }
+  if (!Array.isArray(file.rules)) {
+    throw new Error('The file has no rules list');
+  }
+  if (file.rules.length > MAX_RULES) {
+    throw new Error(`The file has ${file.rules.length} rules; at most ${MAX_RULES} can be imported`);
+  }
+
+  const rules = [];
+  const rejected = [];
+  const patterns = new Set();
+  file.rules.forEach((entry, index) => {
+    try {
+      const rule = validateImportedRule(entry, now);
+      if (patterns.has(rule.urlPattern)) {
+        throw new Error('Another rule in the file has the same pattern');
+      }
+      patterns.add(rule.urlPattern);
+      rules.push(rule);
+    } catch (error) {
+      rejected.push({ index, urlPattern: typeof entry?.urlPattern === 'string' ? entry.urlPattern : null, reason: error.message });
+    }
+  });
+
+  return { version: file.version, rules, rejected };
+}
+
+/**
+ * Validates one imported rule
+ * @param {Object} entry - Rule from a rule file
+ * @param {number} [now=Date.now()] - Import time (ms)
+ * @returns {Object} - Normalized rule keeping its original timestamps
+ * @throws {Error} Naming the first problem found
+ */
+export function validateImportedRule(entry, now = Date.now()) {
+  if (!isPlainObject(entry)) {
+    throw new Error('Rule is not an object');
+  }
+
+  const unknown = Object.keys(entry).find(key => !RULE_FIELDS.has(key));
+  if (unknown) {
+    throw new Error(`Unknown field: ${unknown}`);
+  }
+
+  expectType(entry, 'urlPattern', 'string');
+  ['id', 'description', 'loadMoreSelector', 'listSelector', 'method'].forEach(field => expectType(entry, field, 'string', true));
+  ['delayMs', 'createdAt', 'updatedAt'].forEach(field => expectType(entry, field, 'number', true));
+
+  if (entry.urlPattern.length > MAX_TEXT_LENGTH || (entry.description || '').length > MAX_TEXT_LENGTH) {
+    throw new Error('Pattern or description is too long');
+  }
+  const scheme = entry.urlPattern.trim().match(/^([a-z*-]+):\/\//i)?.[1].toLowerCase();
+  if (scheme && !['*', 'http', 'https'].includes(scheme)) {
+    throw new Error(`Only http and https pages can have rules: ${entry.urlPattern}`);
+  }
+  if (isCatchAllPattern(entry.urlPattern)) {
+    throw new Error(`Pattern matches every site: ${entry.urlPattern}`);
+  }
+  if (entry.delayMs > MAX_DELAY_MS) {
+    throw new Error(`Delay above ${MAX_DELAY_MS} ms: ${entry.delayMs}`);
+  }
+
+  const excludeSelectors = entry.excludeSelectors ?? [];
+  if (!Array.isArray(excludeSelectors) || excludeSelectors.some(selector => typeof selector !== 'string')) {
+    throw new Error('excludeSelectors must be a list of selectors');
+  }
+  const selectors = [entry.loadMoreSelector, entry.listSelector, ...excludeSelectors];
+  if (selectors.some(selector => selector && selector.length > MAX_SELECTOR_LENGTH)) {
+    throw new Error(`Selector longer than ${MAX_SELECTOR_LENGTH} characters`);
+  }
+
+  const stopConditions = entry.stopConditions ?? {};
+  if (!isPlainObject(stopConditions)) {
+    throw new Error('stopConditions must be an object');
+  }
+  Object.entries(stopConditions).forEach(([key, value]) => {
+    if (!STOP_CONDITION_FIELDS.has(key)) {
+      throw new Error(`Unknown stop condition: ${key}`);
+    }
+    if (value !== null && !['string', 'number'].includes(typeof value)) {
+      throw new Error(`Stop condition ${key} must be text or a number`);
+    }
+  });
+
+  // Selector syntax, method and stop conditions are checked the way local saves are
+  const rule = normalizeSiteRule({ ...entry, excludeSelectors, stopConditions }, now);
+  return { ...rule, updatedAt: entry.updatedAt ?? now };
+}
+
+/**
+ * Tells whether a pattern names no concrete site ("*", "*://*\/*", "*.com/*", "*.co.uk/*", "*google.com/*")
+ * The registrable domain (the last two labels, three under suffixes such as
+ * "co.uk") must be literal, and a leading "*" may only stand for subdomains.
+ * @param {string} pattern - Rule URL pattern
+ * @returns {boolean} - True if the pattern would apply to arbitrary sites
+ */
+export function isCatchAllPattern(pattern) {
+  const withoutScheme = pattern.trim().replace(/^[a-z*-]+:\/\//i, '');
+  const host = withoutScheme.split('/')[0].replace(/:[\d*]*$/, '').toLowerCase();
+  if (host === 'localhost') return false;
+  if (host.startsWith('*') && !host.startsWith('*.')) return true;
+
+  const labels = host.split('.');
+  const underSecondLevel = labels[labels.length - 1].length === 2 && SECOND_LEVEL_LABELS.has(labels[labels.length - 2]);
+  const size = underSecondLevel ? 3 : 2;
+  const registrable = labels.slice(-size);
+  return registrable.length < size || registrable.some(label => !label || label.includes('*'));
+}
+
+/**
+ * Merges imported rules into the saved ones; rules conflict when their patterns are equal
+ * @param {Object[]} existing - Saved rules
+ * @param {Object[]} imported - Rules from parseRuleFile
+ * @param {string} [strategy='newest'] - 'newest' keeps the more recently updated rule, 'keep-existing'
+ *   never overwrites, 'replace' always takes the imported rule
+ * @returns {Object} - { rules, added, replaced, kept, conflicts: [{ urlPattern, resolution }] }
+ * @throws {Error} For an unknown strategy
+ */
+export function mergeImportedRules(existing, imported, strategy = 'newest') {
+  if (!MERGE_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown merge strategy: ${strategy}`);
+  }
+
+  const rules = existing.slice();
+  const conflicts = [];
+  let added = 0;
+
+  imported.forEach(rule => {
+    // Rules saved before path-less patterns were normalized may still lack "/*"
+    const index = rules.findIndex(saved => normalizeUrlPattern(saved.urlPattern) === rule.urlPattern);
+    if (index === -1) {
+      // Ids from another browser may belong to an unrelated local rule
+      const idTaken = rules.some(saved => saved.id === rule.id);
+      rules.push(idTaken ? { ...rule, id: createRuleId() } : rule);
+      added++;
+      return;
+    }
+
+    const current = rules[index];
+    const takeImported = strategy === 'replace' || (strategy === 'newest' && rule.updatedAt > current.updatedAt);
+    if (takeImported) {
+      // The local id stays so runs and the popup keep referring to the same rule
+      rules[index] = { ...rule, id: current.id, createdAt: current.createdAt };
+    }
+    conflicts.push({ urlPattern: rule.urlPattern, resolution: takeImported ? 'imported' : 'existing' });
+  });
+
+  const replaced = conflicts.filter(conflict => conflict.resolution === 'imported').length;
+  return { rules, added, replaced, kept: conflicts.length - replaced, conflicts };
+}
+
+function expectType(entry, field, type, optional = false) {
+  const value = entry[field];
+  if (optional && (value === undefined || value === null)) return;
+  if (typeof value !== type || (type === 'number' && !Number.isFinite(value))) {
+    throw new Error(`${field} must be a ${type}`);
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
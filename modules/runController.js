@@ -0,0 +1,238 @@
+/**
+ * Run Controller Module - State machine for expansion runs
+ * Replaces the window.loadMoreActive / window.loadMoreStopped globals, which
+ * page scripts could read or overwrite. Every run gets an id; steps scheduled
+ * by an earlier run see a different id and do nothing.
+ */
+
+export const RUN_STATES = Object.freeze({
+  IDLE: 'idle',
+  RUNNING: 'running',
+  WAITING: 'waiting',
+  PAUSED: 'paused',
+  FINISHED: 'finished',
+  ERRORED: 'errored'
+});
+
+// Allowed transitions; a new run may start from any state
+const TRANSITIONS = {
+  idle: ['running'],
+  running: ['waiting', 'paused', 'finished', 'errored'],
+  waiting: ['running', 'paused', 'finished', 'errored'],
+  paused: ['running', 'finished', 'errored'],
+  finished: [],
+  errored: []
+};
+
+const ACTIVE_STATES = new Set(['running', 'waiting', 'paused']);
+
+let run = createIdleRun();
+let nextRunId = 1;
+let stepTimer = null;
+let pendingStep = null;
+// A pause requested while waiting takes effect once the wait is over
+let pauseRequested = false;
+
+/**
+ * Starts a new run, superseding any earlier one
+ * @param {Object} details - Serializable run details (e.g. { method, maxClicks })
+ * @returns {number} - Id of the new run
+ */
+export function startRun(details = {}) {
+  clearPendingStep();
+  run = {
+    runId: nextRunId++,
+    state: RUN_STATES.RUNNING,
+    stopReason: null,
+    pauseReason: null,
+    details: '',
+    clickCount: 0,
+    startedAt: Date.now(),
+    updatedAt: Date.now(),
+    ...details
+  };
+  pauseRequested = false;
+  return run.runId;
+}
+
+/**
+ * Tells whether a run id belongs to the current, unfinished run
+ * @param {number} runId - Run id returned by startRun
+ * @returns {boolean} - True while the run may keep acting
+ */
+export function isCurrentRun(runId) {
+  return runId === run.runId && ACTIVE_STATES.has(run.state);
+}
+
+/**
+ * Tells whether any run is in progress (running, waiting or paused)
+ * @returns {boolean} - True while a run is active
+ */
+export function isRunActive() {
+  return ACTIVE_STATES.has(run.state);
+}
+
+/**
+ * Moves the current run to another state
+ * @param {number} runId - Run id returned by startRun
+ * @param {string} state - Target state from RUN_STATES
+ * @param {Object} changes - Fields to merge into the run (e.g. { stopReason, details })
+ * @returns {boolean} - False when the run is stale or the transition is not allowed
+ */
+export function transitionRun(runId, state, changes = {}) {
+  if (runId !== run.runId) return false;
+  if (state !== run.state && !TRANSITIONS[run.state].includes(state)) return false;
+
+  // Waiting ends in the paused state when a pause came in meanwhile
+  const target = state === RUN_STATES.RUNNING && pauseRequested ? RUN_STATES.PAUSED : state;
+  run = { ...run, ...changes, state: target, updatedAt: Date.now() };
+  if (target === RUN_STATES.RUNNING) run.pauseReason = null;
+  if (target !== RUN_STATES.WAITING) pauseRequested = false;
+  if (!ACTIVE_STATES.has(target)) clearPendingStep();
+  return true;
+}
+
+/**
+ * Marks the run as waiting for a batch; a paused run stays paused
+ * @param {number} runId - Run id returned by startRun
+ */
+export function beginWait(runId) {
+  if (runId === run.runId && run.state === RUN_STATES.RUNNING) {
+    transitionRun(runId, RUN_STATES.WAITING);
+  }
+}
+
+/**
+ * Ends a wait; the run continues, or pauses if a pause came in meanwhile
+ * @param {number} runId - Run id returned by startRun
+ */
+export function endWait(runId) {
+  if (runId === run.runId && run.state === RUN_STATES.WAITING) {
+    transitionRun(runId, RUN_STATES.RUNNING);
+  }
+}
+
+/**
+ * Updates counters of the current run without changing its state
+ * @param {number} runId - Run id returned by startRun
+ * @param {Object} changes - Fields to merge (e.g. { clickCount })
+ */
+export function updateRun(runId, changes) {
+  if (runId !== run.runId) return;
+  run = { ...run, ...changes, updatedAt: Date.now() };
+}
+
+/**
+ * Schedules the next step of a run; paused runs keep it until they resume
+ * @param {number} runId - Run id returned by startRun
+ * @param {Function} step - Next cycle of the run
+ * @param {number} delayMs - Pause before the step (ms)
+ * @returns {boolean} - False when the run is stale
+ */
+export function scheduleStep(runId, step, delayMs = 0) {
+  if (!isCurrentRun(runId)) return false;
+  clearPendingStep();
+
+  pendingStep = step;
+  if (run.state === RUN_STATES.PAUSED) return true;
+
+  stepTimer = setTimeout(() => {
+    stepTimer = null;
+    pendingStep = null;
+    if (isCurrentRun(runId)) step();
+  }, delayMs);
+  return true;
+}
+
+/**
+ * Pauses the current run after the step in progress
+ * @param {string} reason - 'user' for explicit pauses, 'activity' for polite-mode pauses
+ * @returns {boolean} - False when no run can be paused
+ */
+export function pauseRun(reason = 'user') {
+  // An explicit pause takes over an activity pause so idling does not resume it
+  if (reason === 'user' && run.pauseReason === 'activity' && (run.state === RUN_STATES.PAUSED || pauseRequested)) {
+    run = { ...run, pauseReason: reason, updatedAt: Date.now() };
+    return true;
+  }
+  if (run.state === RUN_STATES.WAITING) {
+    if (!pauseRequested) run = { ...run, pauseReason: reason };
+    pauseRequested = true;
+    return true;
+  }
+  if (run.state !== RUN_STATES.RUNNING) return false;
+
+  // A step already scheduled is held in pendingStep until resume
+  if (stepTimer !== null) {
+    clearTimeout(stepTimer);
+    stepTimer = null;
+  }
+  run = { ...run, state: RUN_STATES.PAUSED, pauseReason: reason, updatedAt: Date.now() };
+  return true;
+}
+
+/**
+ * Resumes a paused run
+ * @returns {boolean} - False when no run is paused
+ */
+export function resumeRun() {
+  if (run.state === RUN_STATES.WAITING && pauseRequested) {
+    pauseRequested = false;
+    run = { ...run, pauseReason: null };
+    return true;
+  }
+  if (run.state !== RUN_STATES.PAUSED) return false;
+
+  run = { ...run, state: RUN_STATES.RUNNING, pauseReason: null, updatedAt: Date.now() };
+  const step = pendingStep;
+  pendingStep = null;
+  if (step) scheduleStep(run.runId, step, 0);
+  return true;
+}
+
+/**
+ * Stops the current run at the user's request
+ * @returns {boolean} - False when no run was active
+ */
+export function stopRun() {
+  if (!isRunActive()) return false;
+  return transitionRun(run.runId, RUN_STATES.FINISHED, { stopReason: 'stopped', details: 'Stopped by user' });
+}
+
+/**
+ * Returns a serializable snapshot of the current run
+ * @returns {Object} - { runId, state, stopReason, pauseReason, details, clickCount, startedAt, updatedAt, ... }
+ */
+export function getRunState() {
+  return { ...run, state: pauseRequested ? RUN_STATES.PAUSED : run.state };
+}
+
+/**
+ * Forgets all runs (e.g. between tests)
+ */
+export function resetRunController() {
+  clearPendingStep();
+  run = createIdleRun();
+  pauseRequested = false;
+}
+
+function createIdleRun() {
+  return {
+    runId: null,
+    state: RUN_STATES.IDLE,
+    stopReason: null,
+    pauseReason: null,
+    details: '',
+    clickCount: 0,
+    startedAt: null,
+    updatedAt: null
+  };
+}
+
+function clearPendingStep() {
+  if (stepTimer !== null) {
+    clearTimeout(stepTimer);
+    stepTimer = null;
+  }
+  pendingStep = null;
+}
@@ -0,0 +1,42 @@
+/**
+ * Run Log Module - Records what an expansion run did and refused to do
+ * Entries stay in memory for the current page and are cleared when a new run
+ * starts; the popup reads them with GET_RUN_LOG.
+ */
+
+// Oldest entries are dropped beyond this
+const MAX_ENTRIES = 500;
+
+const entries = [];
+
+/**
+ * Appends an event to the run log
+ * @param {string} type - Event type (e.g. 'run-started', 'click-refused')
+ * @param {Object} details - Serializable event details
+ * @returns {Object} - The stored entry
+ */
+export function logRunEvent(type, details = {}) {
+  const entry = { type, timestamp: Date.now(), ...details };
+  entries.push(entry);
+
+  if (entries.length > MAX_ENTRIES) {
+    entries.splice(0, entries.length - MAX_ENTRIES);
+  }
+  return entry;
+}
+
+/**
+ * Returns the run log, oldest first
+ * @param {string} type - Only return entries of this type (optional)
+ * @returns {Object[]} - Log entries
+ */
+export function getRunLog(type = null) {
+  return type ? entries.filter(entry => entry.type === type) : entries.slice();
+}
+
+/**
+ * Empties the run log
+ */
+export function clearRunLog() {
+  entries.length = 0;
+}
@@ -0,0 +1,157 @@
+/**
+ * Run Records Module - One expansion run across page navigations
+ * The background worker owns the record (options, counters, stop conditions,
+ * target tab and frame), so a run that has to navigate (classic pagination,
+ * a "Load more" that is really a link) continues on the next page instead of
+ * ending with the content script that started it.
+ */
+
+// A run the content script announced as navigating waits this long for the next page
+export const NAVIGATION_TIMEOUT_MS = 30000;
+
+// Progress actions that end a run
+const FINAL_ACTIONS = new Set(['complete', 'stopped', 'error']);
+
+/**
+ * Creates the record of a run started by the popup
+ * @param {Object} run - Run details
+ * @param {number} run.tabId - Target tab
+ * @param {number} run.frameId - Target frame
+ * @param {Object} run.options - START_EXPANSION options
+ * @param {string} run.url - URL of the first page
+ * @param {number} [run.now=Date.now()] - Start time (ms)
+ * @returns {Object} - Record { tabId, frameId, options, status, startedAt, clickCount, itemsLoaded,
+ *   pages, expectedNavigation, stopReason, details }; each page is { url, startedAt, clickCount,
+ *   itemsLoaded } plus the run totals it started from (clicksBefore, itemsBefore)
+ */
+export function createRunRecord({ tabId, frameId = 0, options = {}, url = '', now = Date.now() }) {
+  return {
+    tabId,
+    frameId,
+    options,
+    status: 'running',
+    startedAt: now,
+    updatedAt: now,
+    clickCount: 0,
+    itemsLoaded: 0,
+    pages: [createPage(url, now, 0, 0)],
+    expectedNavigation: null,
+    stopReason: null,
+    details: ''
+  };
+}
+
+/**
+ * Applies an EXPANSION_PROGRESS report to the record
+ * @param {Object} record - Run record
+ * @param {Object} message - Progress message { action, count, itemsLoaded, stopReason, details }
+ * @param {number} [now=Date.now()] - Report time (ms)
+ * @returns {Object} - Updated record
+ */
+export function applyProgress(record, message, now = Date.now()) {
+  const clickCount = Math.max(record.clickCount, message.count ?? 0);
+  const itemsLoaded = typeof message.itemsLoaded === 'number' ? message.itemsLoaded : record.itemsLoaded;
+  const pages = record.pages.slice();
+  const page = pages[pages.length - 1];
+  pages[pages.length - 1] = {
+    ...page,
+    clickCount: clickCount - page.clicksBefore,
+    itemsLoaded: Math.max(0, itemsLoaded - page.itemsBefore)
+  };
+
+  const updated = { ...record, clickCount, itemsLoaded, pages, updatedAt: now };
+  if (FINAL_ACTIONS.has(message.action)) {
+    return {
+      ...updated,
+      status: 'finished',
+      expectedNavigation: null,
+      stopReason: message.stopReason || (message.action === 'complete' ? null : message.action),
+      details: message.details || ''
+    };
+  }
+  return updated;
+}
+
+/**
+ * Records that the run is about to navigate to another page
+ * @param {Object} record - Run record
+ * @param {string} url - Destination announced by the content script
+ * @param {number} [now=Date.now()] - Announcement time (ms)
+ * @returns {Object} - Updated record
+ */
+export function expectNavigation(record, url, now = Date.now()) {
+  if (record.status === 'finished') return record;
+  return { ...record, status: 'navigating', expectedNavigation: { url, at: now }, updatedAt: now };
+}
+
+/**
+ * Tells whether a completed navigation is the one the run announced
+ * Redirects are accepted as long as they stay on the announced origin.
+ * @param {Object} record - Run record
+ * @param {string} url - URL the frame finished loading
+ * @param {number} [now=Date.now()] - Completion time (ms)
+ * @returns {boolean} - True if the run should continue on this page
+ */
+export function isExpectedNavigation(record, url, now = Date.now()) {
+  const expected = record?.status === 'navigating' ? record.expectedNavigation : null;
+  if (!expected || now - expected.at > NAVIGATION_TIMEOUT_MS) return false;
+  return getOrigin(url) !== null && getOrigin(url) === getOrigin(expected.url);
+}
+
+/**
+ * Starts the stats of the page the run continues on
+ * @param {Object} record - Run record
+ * @param {string} url - URL of the new page
+ * @param {number} [now=Date.now()] - Load time (ms)
+ * @returns {Object} - Updated record
+ */
+export function beginNextPage(record, url, now = Date.now()) {
+  return {
+    ...record,
+    status: 'running',
+    expectedNavigation: null,
+    pages: [...record.pages, createPage(url, now, record.clickCount, record.itemsLoaded)],
+    updatedAt: now
+  };
+}
+
+/**
+ * Ends a run without a report from the content script (stop request, page left)
+ * @param {Object} record - Run record
+ * @param {string} stopReason - Why the run ended
+ * @param {string} details - Human-readable details
+ * @param {number} [now=Date.now()] - End time (ms)
+ * @returns {Object} - Updated record
+ */
+export function finishRunRecord(record, stopReason, details = '', now = Date.now()) {
+  return { ...record, status: 'finished', expectedNavigation: null, stopReason, details, updatedAt: now };
+}
+
+/**
+ * Builds the options that continue the run on the next page
+ * @param {Object} record - Run record
+ * @returns {Object} - START_EXPANSION options plus continuation { startedAt, clickCount, itemsLoaded, page }
+ */
+export function getContinuationOptions(record) {
+  return {
+    ...record.options,
+    continuation: {
+      startedAt: record.startedAt,
+      clickCount: record.clickCount,
+      itemsLoaded: record.itemsLoaded,
+      page: record.pages.length
+    }
+  };
+}
+
+function createPage(url, now, clicksBefore, itemsBefore) {
+  return { url, startedAt: now, clicksBefore, itemsBefore, clickCount: 0, itemsLoaded: 0 };
+}
+
+function getOrigin(url) {
+  try {
+    return new URL(url).origin;
+  } catch (error) {
+    return null;
+  }
+}
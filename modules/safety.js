@@ -0,0 +1,105 @@
+/**
+ * Safety Module - Decides whether an element may be clicked automatically
+ * Load-more vocabulary overlaps with checkout flows ("Continue", "Next:
+ * Payment"), so every automated click passes through here first. Refusals are
+ * recorded in the run log.
+ */
+
+import { getAllLocalePacks, matchDestructive } from './locales.js';
+import { generateElementSelector } from './detection.js';
+import { logRunEvent } from './runLog.js';
+
+// Parent text longer than this is page content, not the control's own context
+const MAX_CONTEXT_LENGTH = 120;
+
+// Protocols that leave the page without loading anything into it
+const EXTERNAL_PROTOCOLS = new Set(['mailto:', 'tel:', 'sms:', 'ftp:', 'file:']);
+
+/**
+ * Evaluates whether an element is safe to click automatically
+ * @param {Element} element - Element about to be clicked
+ * @param {Object} options - Evaluation options
+ * @param {Location|URL} [options.location=window.location] - Page location for origin checks
+ * @returns {Object} - Verdict { safe, reason, detail }; reason is one of 'form-submit',
+ *   'download-link', 'cross-origin-link', 'destructive-text' or null
+ */
+export function evaluateClickSafety(element, { location = window.location } = {}) {
+  if (!element) {
+    return { safe: false, reason: 'missing-element', detail: '' };
+  }
+
+  // Submitting a form may post data or start a checkout
+  const submitter = element.closest('button, input');
+  if (submitter && submitter.form && ['submit', 'image'].includes(submitter.type)) {
+    return { safe: false, reason: 'form-submit', detail: submitter.form.getAttribute('action') || '' };
+  }
+
+  const anchor = element.closest('a[href]');
+  if (anchor) {
+    if (anchor.hasAttribute('download')) {
+      return { safe: false, reason: 'download-link', detail: anchor.getAttribute('href') };
+    }
+
+    const href = anchor.getAttribute('href');
+    let url = null;
+    try {
+      url = new URL(href, location.href);
+    } catch (error) {
+      // Unparseable hrefs cannot navigate anywhere
+    }
+    if (url && url.protocol !== 'javascript:' &&
+        (EXTERNAL_PROTOCOLS.has(url.protocol) || url.origin !== location.origin)) {
+      return { safe: false, reason: 'cross-origin-link', detail: url.href };
+    }
+  }
+
+  const phrase = matchDestructive(getClickContext(element, anchor), getAllLocalePacks());
+  if (phrase) {
+    return { safe: false, reason: 'destructive-text', detail: phrase };
+  }
+
+  return { safe: true, reason: null, detail: '' };
+}
+
+/**
+ * Evaluates an element and records a refusal in the run log
+ * @param {Element} element - Element about to be clicked
+ * @param {string} source - Code path asking for the click (for the log)
+ * @returns {boolean} - True if the click may go ahead
+ */
+export function guardClick(element, source) {
+  const verdict = evaluateClickSafety(element);
+  if (verdict.safe) return true;
+
+  logRunEvent('click-refused', {
+    source,
+    reason: verdict.reason,
+    detail: verdict.detail,
+    text: (element?.textContent || '').trim().slice(0, 50),
+    selector: element && element.isConnected ? generateElementSelector(element) : ''
+  });
+  console.warn(`Load More Extension: Refused to click (${verdict.reason}: ${verdict.detail})`);
+  return false;
+}
+
+// Text a user would read to decide what the control does, plus hints in its markup
+function getClickContext(element, anchor) {
+  const parts = [
+    element.textContent,
+    element.getAttribute('aria-label'),
+    element.getAttribute('title'),
+    element.getAttribute('value'),
+    // "add-to-cart", "btn_delete" and "/account/logout" read as words
+    `${element.id} ${typeof element.className === 'string' ? element.className : ''}`.replace(/[-_]/g, ' '),
+    anchor ? anchor.getAttribute('href').replace(/[-_/?=&.]/g, ' ') : '',
+    element.closest('form')?.getAttribute('action')?.replace(/[-_/?=&.]/g, ' ')
+  ];
+
+  // Short surrounding text, e.g. "Delete this comment? [Yes]"
+  const parentText = element.parentElement?.textContent?.trim() || '';
+  if (parentText.length <= MAX_CONTEXT_LENGTH) {
+    parts.push(parentText);
+  }
+
+  return parts.filter(Boolean).join(' ');
+}
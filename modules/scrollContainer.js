@@ -0,0 +1,143 @@
+/**
+ * Scroll Container Module - Finds the element that actually scrolls the feed
+ * Mail clients, chat apps, dashboards and modal feeds scroll an inner
+ * overflow:auto element rather than the window, so scrolling and growth
+ * measurements go through a scroll target that wraps either one.
+ */
+
+import { queryElements } from './utils.js';
+import { detectPrimaryList, getCanonicalFeed } from './listDetection.js';
+
+// Dialogs that block the page; the last visible one is on top. Non-modal
+// dialogs (chat widgets, cookie banners, popovers) leave the page scrolling.
+const MODAL_SELECTOR = 'dialog[open], [aria-modal="true"]';
+
+const SCROLLABLE_OVERFLOW = new Set(['auto', 'scroll', 'overlay']);
+
+/**
+ * Tells whether an element scrolls its own content vertically
+ * @param {Element} element - Element to check
+ * @returns {boolean} - True for overflow auto/scroll elements with hidden content
+ */
+export function isScrollable(element) {
+  if (!element || element.nodeType !== Node.ELEMENT_NODE) return false;
+  const style = window.getComputedStyle(element);
+  // Some engines leave overflowY empty when only the overflow shorthand is set
+  const overflowY = style.overflowY || style.overflow.split(' ').pop();
+  return SCROLLABLE_OVERFLOW.has(overflowY) && element.scrollHeight > element.clientHeight + 1;
+}
+
+/**
+ * Finds the nearest scrolling ancestor of an element (the element itself included)
+ * @param {Element} element - Usually the feed container
+ * @param {Element} [boundary=null] - Do not look above this element (e.g. a modal)
+ * @returns {Element|null} - Scrolling element, or null when the window scrolls it
+ */
+export function findScrollContainer(element, boundary = null) {
+  for (let node = element; node; node = getParentAcrossShadow(node)) {
+    if (node === document.body || node === document.documentElement) return null;
+    if (isScrollable(node)) return node;
+    if (node === boundary) return null;
+  }
+  return null;
+}
+
+/**
+ * Returns the topmost visible modal dialog
+ * @param {Document} doc - Document to search (default: document)
+ * @returns {Element|null} - Open modal or null
+ */
+export function findOpenModal(doc = document) {
+  const modals = queryElements(MODAL_SELECTOR, doc, false, true).filter(element => isModal(element) && isShown(element));
+  return modals.length > 0 ? modals[modals.length - 1] : null;
+}
+
+/**
+ * Picks what to scroll for the feed: an open modal's list, the feed's scrolling
+ * ancestor, or the window
+ * @param {Object|null} feed - Canonical feed (default: getCanonicalFeed())
+ * @returns {Object} - Scroll target (see createScrollTarget)
+ */
+export function getScrollTarget(feed = getCanonicalFeed()) {
+  const modal = findOpenModal();
+  // A modal feed replaces the page list behind it; a modal without a list is not a feed
+  const list = modal && (feed && modal.contains(feed.container) ? feed : detectPrimaryList(modal));
+  if (list) {
+    const element = findScrollContainer(list.container, modal) ||
+      (isScrollable(modal) ? modal : findScrollableDescendant(modal));
+    if (element) return createScrollTarget(element, { inModal: true });
+  }
+
+  return createScrollTarget(feed ? findScrollContainer(feed.container) : null);
+}
+
+/**
+ * Wraps an element (or the window) behind one scrolling interface
+ * @param {Element|null} element - Scrolling element, or null for the window
+ * @param {Object} options - Target details
+ * @param {boolean} [options.inModal=false] - Whether the element lives in a modal dialog
+ * @returns {Object} - { element, isWindow, inModal, scrollTop, scrollHeight, clientHeight,
+ *   scrollTo(top), scrollToBottom(), isNearBottom(threshold) }
+ */
+export function createScrollTarget(element, { inModal = false } = {}) {
+  const page = document.scrollingElement || document.documentElement;
+
+  return {
+    element,
+    isWindow: !element,
+    inModal,
+
+    get scrollTop() {
+      return element ? element.scrollTop : (window.pageYOffset || page.scrollTop);
+    },
+
+    get scrollHeight() {
+      return element ? element.scrollHeight : page.scrollHeight;
+    },
+
+    get clientHeight() {
+      return element ? element.clientHeight : window.innerHeight;
+    },
+
+    scrollTo(top) {
+      if (element) {
+        element.scrollTop = top;
+      } else {
+        window.scrollTo(0, top);
+      }
+    },
+
+    scrollToBottom() {
+      this.scrollTo(this.scrollHeight);
+    },
+
+    isNearBottom(threshold = 200) {
+      return this.scrollHeight - this.scrollTop - this.clientHeight < threshold;
+    }
+  };
+}
+
+function getParentAcrossShadow(node) {
+  if (node.parentElement) return node.parentElement;
+  const root = node.getRootNode?.();
+  return root && root.host ? root.host : null;
+}
+
+function findScrollableDescendant(root) {
+  return Array.from(root.querySelectorAll('*')).find(isScrollable) || null;
+}
+
+// <dialog open> without showModal() is an inline dialog
+function isModal(element) {
+  if (element.tagName !== 'DIALOG' || element.getAttribute('aria-modal') === 'true') return true;
+  try {
+    return element.matches(':modal');
+  } catch (error) {
+    return false;
+  }
+}
+
+function isShown(element) {
+  const rect = element.getBoundingClientRect();
+  return rect.width > 0 && rect.height > 0 && window.getComputedStyle(element).visibility !== 'hidden';
+}
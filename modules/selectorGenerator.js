@@ -0,0 +1,207 @@
+/**
+ * Selector Generator Module - Builds stable, verified unique selectors
+ * A generated selector must resolve back to the very element it was built
+ * for, so later re-queries never click a different element.
+ */
+
+/**
+ * Prefix marking a selector segment as an XPath expression
+ */
+export const XPATH_PREFIX = 'xpath:';
+
+/**
+ * Attributes that usually survive re-renders and deploys, in order of preference
+ */
+export const STABLE_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-test', 'data-qa', 'aria-label', 'name'];
+
+// Attribute values longer than this are usually generated content, not identifiers
+const MAX_ATTRIBUTE_LENGTH = 80;
+
+/**
+ * Checks whether a class name or id looks generated by a CSS-in-JS library or
+ * CSS modules build (e.g. "css-1x2y3z", "Button_root__3xYzq", "sc-bdVaJa")
+ * @param {string} name - Class name or id
+ * @returns {boolean} - True if the name is likely to change between builds
+ */
+export function isHashedClassName(name) {
+  if (!name) return false;
+
+  // Library prefixes: emotion/styled-components/styled-jsx/svelte
+  if (/^(css|sc|jsx|emotion|svelte|styled)-[a-z0-9_-]*$/i.test(name) && /\d|[A-Z]/.test(name.slice(name.indexOf('-') + 1))) return true;
+
+  // CSS modules: Component_local__hash or local___hash
+  if (/__[a-zA-Z0-9_-]{5,}$/.test(name) && /\d/.test(name.split('__').pop())) return true;
+
+  // Bare hash tokens mixing letters and digits ("x1a2b3", "_3Kd9s")
+  const token = name.replace(/^_+/, '');
+  if (token.length >= 5 && /\d/.test(token) && /[a-z]/i.test(token) && !/[-_]/.test(token)) {
+    // Allow readable words followed by a short counter ("item12", "col4")
+    return !/^[a-z]+\d{1,3}$/i.test(token);
+  }
+
+  return false;
+}
+
+/**
+ * Builds a selector that matches exactly one element within its root
+ * (document or shadow root), falling back to XPath when no CSS selector
+ * round-trips to the same element
+ * @param {Element} element - Element to build the selector for
+ * @param {Document|ShadowRoot} root - Root the selector is resolved against (default: element's root node)
+ * @returns {string} - CSS selector, or XPATH_PREFIX followed by an XPath expression
+ */
+export function buildUniqueSelector(element, root = element.getRootNode()) {
+  // 1. A single stable attribute, id or class combination that is already unique
+  for (const candidate of getSelectorCandidates(element)) {
+    if (verifySelector(candidate, element, root)) {
+      return candidate;
+    }
+  }
+
+  // 2. Walk up the ancestors until the child-combinator path is unique
+  const path = [];
+  let current = element;
+
+  while (current) {
+    path.unshift(getPathStep(current));
+    const selector = path.join(' > ');
+    if (verifySelector(selector, element, root)) {
+      return selector;
+    }
+
+    const parent = current.parentElement;
+    if (!parent) break;
+
+    // Anchor at an ancestor that is identifiable on its own
+    const anchor = getSelectorCandidates(parent).find(candidate => verifySelector(candidate, parent, root));
+    if (anchor) {
+      const anchored = `${anchor} > ${selector}`;
+      if (verifySelector(anchored, element, root)) {
+        return anchored;
+      }
+    }
+
+    current = parent;
+  }
+
+  // 3. Positional XPath always identifies the element
+  return `${XPATH_PREFIX}${getXPath(element, root)}`;
+}
+
+/**
+ * Checks that a selector matches exactly one element and that it is the expected one
+ * @param {string} selector - CSS selector or XPATH_PREFIX expression
+ * @param {Element} element - Expected element
+ * @param {Document|ShadowRoot} root - Root to resolve against (default: element's root node)
+ * @returns {boolean} - True if the selector round-trips to the element
+ */
+export function verifySelector(selector, element, root = element.getRootNode()) {
+  try {
+    if (selector.startsWith(XPATH_PREFIX)) {
+      return evaluateXPath(selector.slice(XPATH_PREFIX.length), root) === element;
+    }
+    const matches = root.querySelectorAll(selector);
+    return matches.length === 1 && matches[0] === element;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Builds a positional XPath for an element relative to its root
+ * @param {Element} element - Element to describe
+ * @param {Document|ShadowRoot} root - Root the path starts from (default: element's root node)
+ * @returns {string} - Absolute XPath for documents, relative ("./...") for shadow roots
+ */
+export function getXPath(element, root = element.getRootNode()) {
+  const steps = [];
+  let current = element;
+
+  while (current && current !== root && current.nodeType === Node.ELEMENT_NODE) {
+    const siblings = Array.from(current.parentNode?.children || [])
+      .filter(sibling => sibling.localName === current.localName);
+    const index = siblings.indexOf(current) + 1;
+    const name = current.namespaceURI === 'http://www.w3.org/1999/xhtml'
+      ? current.localName
+      : `*[local-name()="${current.localName}"]`;
+
+    steps.unshift(`${name}[${index}]`);
+    current = current.parentNode;
+  }
+
+  const isDocument = root.nodeType === Node.DOCUMENT_NODE;
+  return `${isDocument ? '/' : './'}${steps.join('/')}`;
+}
+
+/**
+ * Evaluates an XPath expression against a root
+ * @param {string} expression - XPath expression
+ * @param {Document|ShadowRoot} root - Context node (default: document)
+ * @returns {Element|null} - First matching element or null
+ */
+export function evaluateXPath(expression, root = document) {
+  try {
+    const doc = root.nodeType === Node.DOCUMENT_NODE ? root : root.ownerDocument;
+    const result = doc.evaluate(expression, root, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null);
+    return result.singleNodeValue;
+  } catch (error) {
+    console.warn('Invalid XPath:', expression, error);
+    return null;
+  }
+}
+
+// Ordered single-step candidates: stable attributes, id, stable classes, tag
+function getSelectorCandidates(element) {
+  const tag = element.localName;
+  const candidates = [];
+
+  for (const attribute of STABLE_ATTRIBUTES) {
+    const value = element.getAttribute(attribute);
+    if (value && value.length <= MAX_ATTRIBUTE_LENGTH) {
+      candidates.push(`${tag}[${attribute}="${escapeAttributeValue(value)}"]`);
+    }
+  }
+
+  if (element.id && !isHashedClassName(element.id)) {
+    candidates.push(`#${escapeIdentifier(element.id)}`);
+  }
+
+  const classes = getStableClasses(element);
+  if (classes.length > 0) {
+    candidates.push(`${tag}${classes.map(cls => `.${escapeIdentifier(cls)}`).join('')}`);
+  }
+
+  candidates.push(tag);
+  return candidates;
+}
+
+// One step of an ancestor path: tag, stable classes and position among same-tag siblings
+function getPathStep(element) {
+  const tag = element.localName;
+  const classes = getStableClasses(element).map(cls => `.${escapeIdentifier(cls)}`).join('');
+  const siblings = Array.from(element.parentNode?.children || [])
+    .filter(sibling => sibling.localName === tag);
+
+  if (siblings.length <= 1) {
+    return `${tag}${classes}`;
+  }
+  return `${tag}${classes}:nth-of-type(${siblings.indexOf(element) + 1})`;
+}
+
+function getStableClasses(element) {
+  return Array.from(element.classList || [])
+    .filter(cls => cls && !isHashedClassName(cls));
+}
+
+function escapeIdentifier(value) {
+  if (typeof CSS !== 'undefined' && CSS.escape) {
+    return CSS.escape(value);
+  }
+  return value
+    .replace(/[^a-zA-Z0-9_\u00A0-\uFFFF-]/g, '\\$&')
+    .replace(/^(\d)/, '\\3$1 ');
+}
+
+function escapeAttributeValue(value) {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
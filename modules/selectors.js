@@ -8,8 +8,7 @@ export const SELECTORS = {
   LOAD_MORE_LINKS: 'a[class*="load-more"], a[class*="show-more"], a[class*="view-more"]',
   LAZY_IMAGES: 'img[loading="lazy"], img[data-src], img[data-lazy], img[data-lazy-src], [data-lazy-load], [data-lazyload]',
   PAGINATION: '.pagination, .pager, [class*="pagination"], [class*="page-nav"]',
-  CONTENT_CONTAINERS: 'article, .post, .item, .card, .entry, [class*="content"], [class*="item"], [class*="post"]',
+  RESULT_COUNT: '[class*="count"], [class*="result"], [class*="total"], [id*="count"], [id*="result"], [id*="total"], [data-total], [role="status"]',
   HIDDEN_CONTENT: '.hidden, .collapse:not(.show), [aria-hidden="true"], [style*="display: none"], [style*="display:none"], [style*="visibility: hidden"], [style*="visibility:hidden"], .accordion-content:not(.active), .tab-content:not(.active), [data-hidden="true"], [data-collapsed="true"]',
-  CACHE_KEY_ELEMENTS: 'button, a[href], [role="button"]',
-  ALL_ELEMENTS: '*'
+  CACHE_KEY_ELEMENTS: 'button, a[href], [role="button"]'
 };
\ No newline at end of file
@@ -0,0 +1,33 @@
+// Types for the options page, which imports this module directly
+
+export type RuleMethod = 'auto' | 'button' | 'scroll' | 'expand' | 'stitch' | 'pagination'
+
+export interface SiteRule {
+  id: string
+  urlPattern: string
+  description: string
+  loadMoreSelector: string | null
+  listSelector: string | null
+  method: RuleMethod
+  delayMs: number | null
+  stopConditions: Record<string, string | number | null>
+  excludeSelectors: string[]
+  createdAt: number
+  updatedAt: number
+}
+
+export const SITE_RULES_KEY: string
+export const RULE_METHODS: RuleMethod[]
+
+export function matchesUrlPattern(pattern: string, url: string): boolean
+export function normalizeUrlPattern(pattern: string): string
+export function findSiteRule<T extends { urlPattern: string }>(rules: T[], url: string): T | null
+export function normalizeSiteRule(rule: Partial<SiteRule>, now?: number): SiteRule
+export function createRuleId(now?: number): string
+export function mergeRuleOptions<T extends object>(options?: T, rule?: SiteRule | null): T
+export function isExcludedByRule(element: Element, rule: SiteRule | null): boolean
+export function loadSiteRules(storageArea?: chrome.storage.StorageArea): Promise<SiteRule[]>
+export function saveSiteRule(rule: Partial<SiteRule>, storageArea?: chrome.storage.StorageArea): Promise<SiteRule>
+export function replaceSiteRules(rules: SiteRule[], storageArea?: chrome.storage.StorageArea): Promise<void>
+export function deleteSiteRule(id: string, storageArea?: chrome.storage.StorageArea): Promise<boolean>
+export function suggestUrlPattern(url: string): string
@@ -0,0 +1,255 @@
+/**
+ * Site Rules Module - Saved per-site settings that take precedence over heuristics
+ * A rule holds a URL pattern, the exact load-more selector, the list container,
+ * the method, the delay between steps, stop conditions and elements never to
+ * click. Rules live in chrome.storage.local and the most specific matching
+ * pattern wins.
+ */
+
+import { isValidSelectorPath, resolveSelectorPath } from './utils.js';
+import { normalizeStopConditions } from './stopConditions.js';
+
+export const SITE_RULES_KEY = 'siteRules';
+
+export const RULE_METHODS = ['auto', 'button', 'scroll', 'expand', 'stitch', 'pagination'];
+
+/**
+ * Tells whether a URL matches a rule pattern
+ * "*" matches any characters in the path and query, but never crosses a "/" in
+ * the host. Patterns without a scheme ("news.example.com/forum/*") match host,
+ * path and query of any http(s) URL; a leading "*." also matches the bare domain.
+ * A pattern without a path ("example.com") covers every page of the host.
+ * @param {string} pattern - Rule URL pattern
+ * @param {string} url - URL to test
+ * @returns {boolean} - True on a match
+ */
+export function matchesUrlPattern(pattern, url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return false;
+  }
+
+  const trimmed = normalizeUrlPattern(pattern);
+  const scheme = trimmed.match(/^([a-z*-]+):\/\//i);
+  const subject = scheme
+    ? `${parsed.protocol}//${parsed.host}${parsed.pathname}${parsed.search}`
+    : `${parsed.host}${parsed.pathname}${parsed.search}`;
+
+  const rest = scheme ? trimmed.slice(scheme[0].length) : trimmed;
+  const slash = rest.indexOf('/');
+  const host = slash === -1 ? rest : rest.slice(0, slash);
+  const path = rest.slice(slash);
+
+  const source = (scheme ? `${globToRegExp(scheme[1], '[a-z-]*')}://` : '') +
+    (host.startsWith('*.') ? `(?:[^/]*\\.)?${globToRegExp(host.slice(2), '[^/]*')}` : globToRegExp(host, '[^/]*')) +
+    globToRegExp(path, '.*');
+  return new RegExp(`^${source}$`, 'i').test(subject);
+}
+
+/**
+ * Gives a pattern without a path the path "/*", so "example.com" covers the whole site
+ * @param {string} pattern - Rule URL pattern
+ * @returns {string} - Trimmed pattern with a path
+ */
+export function normalizeUrlPattern(pattern) {
+  const trimmed = pattern.trim();
+  const scheme = trimmed.match(/^[a-z*-]+:\/\//i)?.[0] || '';
+  return trimmed && !trimmed.slice(scheme.length).includes('/') ? `${trimmed}/*` : trimmed;
+}
+
+/**
+ * Picks the rule for a URL; the most specific pattern (most literal characters) wins
+ * @param {Object[]} rules - Saved rules
+ * @param {string} url - Page URL
+ * @returns {Object|null} - Matching rule or null
+ */
+export function findSiteRule(rules, url) {
+  const matches = (rules || []).filter(rule => rule?.urlPattern && matchesUrlPattern(rule.urlPattern, url));
+  if (matches.length === 0) return null;
+  return matches.reduce((best, rule) => (specificity(rule.urlPattern) > specificity(best.urlPattern) ? rule : best));
+}
+
+/**
+ * Validates a rule and fills in defaults
+ * @param {Object} rule - Rule fields { id, urlPattern, description, loadMoreSelector, listSelector, method,
+ *   delayMs, stopConditions, excludeSelectors }
+ * @param {number} [now=Date.now()] - Save time (ms)
+ * @returns {Object} - Normalized rule
+ * @throws {Error} When the pattern, a selector, the method, the delay or a stop condition is unusable
+ */
+export function normalizeSiteRule(rule, now = Date.now()) {
+  const urlPattern = normalizeUrlPattern(rule?.urlPattern || '');
+  if (!urlPattern) {
+    throw new Error('A site rule needs a URL pattern');
+  }
+
+  const loadMoreSelector = optionalSelector(rule.loadMoreSelector, 'load more');
+  const listSelector = optionalSelector(rule.listSelector, 'list');
+  const excludeSelectors = (rule.excludeSelectors || [])
+    .map(selector => optionalSelector(selector, 'excluded'))
+    .filter(Boolean);
+
+  const method = rule.method || 'auto';
+  if (!RULE_METHODS.includes(method)) {
+    throw new Error(`Unknown method: ${method}`);
+  }
+
+  let delayMs = null;
+  if (rule.delayMs !== undefined && rule.delayMs !== null && rule.delayMs !== '') {
+    delayMs = Number(rule.delayMs);
+    if (!Number.isFinite(delayMs) || delayMs < 0) {
+      throw new Error(`Invalid delay: ${rule.delayMs}`);
+    }
+  }
+
+  // Stored as entered so the popup can show them; validated the way runs read them
+  const stopConditions = { ...(rule.stopConditions || {}) };
+  normalizeStopConditions(stopConditions);
+
+  return {
+    id: rule.id || createRuleId(now),
+    urlPattern,
+    description: (rule.description || '').trim(),
+    loadMoreSelector,
+    listSelector,
+    method,
+    delayMs,
+    stopConditions,
+    excludeSelectors,
+    createdAt: rule.createdAt ?? now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Creates an id for a new rule
+ * @param {number} [now=Date.now()] - Creation time (ms)
+ * @returns {string} - Id such as "rule-lx2k9c-4f7a1b"
+ */
+export function createRuleId(now = Date.now()) {
+  return `rule-${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Fills expansion options from a rule; options set explicitly still win
+ * @param {Object} options - START_EXPANSION options
+ * @param {Object|null} rule - Matching site rule
+ * @returns {Object} - Options with the rule's method, delay and stop conditions applied
+ */
+export function mergeRuleOptions(options = {}, rule = null) {
+  if (!rule) return options;
+
+  const stopConditions = { ...(rule.stopConditions || {}) };
+  Object.entries(options.stopConditions || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && String(value).trim() !== '') stopConditions[key] = value;
+  });
+
+  return {
+    ...options,
+    method: options.method && options.method !== 'auto' ? options.method : rule.method || 'auto',
+    delayMs: options.delayMs ?? rule.delayMs ?? undefined,
+    stopConditions
+  };
+}
+
+/**
+ * Tells whether a rule excludes an element (it or an ancestor matches an excluded selector)
+ * @param {Element} element - Candidate control
+ * @param {Object|null} rule - Matching site rule
+ * @returns {boolean} - True if the element must not be clicked
+ */
+export function isExcludedByRule(element, rule) {
+  if (!element || !rule?.excludeSelectors?.length) return false;
+  return rule.excludeSelectors.some(selector => {
+    try {
+      if (element.closest(selector)) return true;
+    } catch (error) {
+      // Shadow-piercing paths and XPath are not plain CSS; resolve them below
+    }
+    return Boolean(resolveSelectorPath(selector)?.contains(element));
+  });
+}
+
+/**
+ * Reads the saved rules
+ * @param {Object} storageArea - chrome.storage area (default: chrome.storage.local)
+ * @returns {Promise<Object[]>} - Saved rules
+ */
+export async function loadSiteRules(storageArea = chrome.storage.local) {
+  const stored = await storageArea.get(SITE_RULES_KEY);
+  return Array.isArray(stored[SITE_RULES_KEY]) ? stored[SITE_RULES_KEY] : [];
+}
+
+/**
+ * Saves a rule, replacing the rule with the same id or, failing that, the same pattern
+ * @param {Object} rule - Rule fields (see normalizeSiteRule)
+ * @param {Object} storageArea - chrome.storage area (default: chrome.storage.local)
+ * @returns {Promise<Object>} - The saved rule
+ */
+export async function saveSiteRule(rule, storageArea = chrome.storage.local) {
+  const rules = await loadSiteRules(storageArea);
+  const existing = rules.find(saved => (rule.id ? saved.id === rule.id : saved.urlPattern === normalizeUrlPattern(rule.urlPattern || '')));
+  const saved = normalizeSiteRule({ ...rule, id: existing?.id ?? rule.id, createdAt: existing?.createdAt });
+
+  const others = rules.filter(other => other !== existing);
+  await storageArea.set({ [SITE_RULES_KEY]: [...others, saved] });
+  return saved;
+}
+
+/**
+ * Replaces all saved rules (e.g. after an import)
+ * @param {Object[]} rules - Normalized rules
+ * @param {Object} storageArea - chrome.storage area (default: chrome.storage.local)
+ * @returns {Promise<void>}
+ */
+export async function replaceSiteRules(rules, storageArea = chrome.storage.local) {
+  await storageArea.set({ [SITE_RULES_KEY]: rules });
+}
+
+/**
+ * Deletes a rule
+ * @param {string} id - Rule id
+ * @param {Object} storageArea - chrome.storage area (default: chrome.storage.local)
+ * @returns {Promise<boolean>} - False when no rule had that id
+ */
+export async function deleteSiteRule(id, storageArea = chrome.storage.local) {
+  const rules = await loadSiteRules(storageArea);
+  const remaining = rules.filter(rule => rule.id !== id);
+  if (remaining.length === rules.length) return false;
+  await storageArea.set({ [SITE_RULES_KEY]: remaining });
+  return true;
+}
+
+/**
+ * Suggests a pattern covering the current listing: same origin and path, any query
+ * @param {string} url - Page URL
+ * @returns {string} - Pattern such as "https://forum.example/threads*"
+ */
+export function suggestUrlPattern(url) {
+  const parsed = new URL(url);
+  return `${parsed.origin}${parsed.pathname.replace(/\/(page\/)?\d+\/?$/, '/')}*`;
+}
+
+function optionalSelector(selector, label) {
+  const trimmed = (selector || '').trim();
+  if (!trimmed) return null;
+  if (!isValidSelectorPath(trimmed)) {
+    throw new Error(`Invalid ${label} selector: ${trimmed}`);
+  }
+  return trimmed;
+}
+
+function specificity(pattern) {
+  return pattern.replace(/\*/g, '').length;
+}
+
+// "*" becomes the given wildcard; everything else matches literally
+function globToRegExp(glob, wildcard) {
+  return glob.split('*').map(escapeRegExp).join(wildcard);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
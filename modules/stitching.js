@@ -0,0 +1,224 @@
+/**
+ * Stitching Module - Appends the items of following pages to the current list
+ * Classic paginated sites (forums, search results, blogs) serve every page as
+ * a new document. Instead of navigating away, the next page is fetched with
+ * the page's own credentials, the items matching the current list's structure
+ * are extracted, and they are appended after a page divider.
+ */
+
+import { detectPrimaryList, getFeedItems, getItemSignature } from './listDetection.js';
+import { findNextPageLink, parsePagination } from './pagination.js';
+
+// Marks dividers so they are never mistaken for items or stitched twice
+export const STITCH_DIVIDER_CLASS = 'load-more-stitch-divider';
+
+// Guards against pagers that loop or never end
+export const MAX_STITCHED_PAGES = 100;
+
+// Attributes holding URLs that must keep pointing at the fetched page's targets
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'poster'];
+
+/**
+ * Tells whether a URL can be fetched and stitched into this page
+ * @param {string} url - Candidate page URL
+ * @returns {boolean} - True for same-origin http(s) URLs
+ */
+export function isStitchableUrl(url) {
+  try {
+    const parsed = new URL(url, window.location.href);
+    return /^https?:$/.test(parsed.protocol) && parsed.origin === window.location.origin;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Parses fetched HTML so relative URLs resolve against the fetched page
+ * @param {string} html - Page markup
+ * @param {string} url - Address the markup came from
+ * @returns {Document} - Inert parsed document
+ */
+export function parsePageHtml(html, url) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  if (!doc.querySelector('base[href]')) {
+    const base = doc.createElement('base');
+    base.setAttribute('href', url);
+    doc.head.prepend(base);
+  }
+  return doc;
+}
+
+/**
+ * Finds the items of a fetched page that belong to the current feed
+ * @param {Document} doc - Parsed page
+ * @param {Object} feed - Canonical feed of the live page
+ * @returns {Element[]} - Matching items in document order
+ */
+export function extractPageItems(doc, feed) {
+  if (!feed || !doc.body) return [];
+
+  const list = detectPrimaryList(doc.body);
+  if (list && list.signature === feed.signature) {
+    return getFeedItems(list);
+  }
+
+  // The fetched page's biggest list may differ (e.g. a short last page);
+  // take the container holding the most items of the feed's signature
+  const feedTag = feed.signature.split('|')[0];
+  const matches = (element) => (feed.signature.endsWith('|*')
+    ? element.localName === feedTag
+    : getItemSignature(element) === feed.signature);
+
+  let best = [];
+  [doc.body, ...doc.body.querySelectorAll('*')].forEach(container => {
+    const items = Array.from(container.children).filter(matches);
+    if (items.length > best.length) best = items;
+  });
+  return best;
+}
+
+/**
+ * Appends items from another page to the feed, after a divider naming the page
+ * @param {Object} feed - Canonical feed of the live page
+ * @param {Element[]} items - Items from extractPageItems
+ * @param {Object} page - Source page
+ * @param {number} page.page - Page number shown on the divider
+ * @param {string} page.url - Page address, used to resolve relative URLs
+ * @returns {Element[]} - The inserted items
+ */
+export function appendStitchedItems(feed, items, { page, url }) {
+  const container = feed.container;
+
+  // Insert after the last item so trailing pagers and footers stay at the end
+  const lastItem = getFeedItems(feed).pop();
+  const before = lastItem ? lastItem.nextSibling : null;
+
+  container.insertBefore(createDivider(container, page, url), before);
+  return items.map(item => {
+    const node = document.importNode(item, true);
+    node.querySelectorAll('script').forEach(script => script.remove());
+    absolutizeUrls(node, url);
+    container.insertBefore(node, before);
+    return node;
+  });
+}
+
+/**
+ * Creates a stitcher that walks a paginated listing one page at a time
+ * @param {Object} options - Stitcher options
+ * @param {Object} options.feed - Canonical feed to append to
+ * @param {string} options.nextUrl - URL of the first page to stitch
+ * @param {number} [options.startPage=1] - Number of the page currently shown
+ * @param {Function} [options.fetchImpl=fetch] - Fetch implementation
+ * @param {number} [options.maxPages=MAX_STITCHED_PAGES] - Most pages to stitch
+ * @returns {Object} - { nextUrl, pagesStitched, stitchNext() }
+ */
+export function createStitcher({ feed, nextUrl, startPage = 1, fetchImpl = (...args) => fetch(...args), maxPages = MAX_STITCHED_PAGES }) {
+  const visited = new Set([stripHash(window.location.href)]);
+  let pendingUrl = nextUrl && isStitchableUrl(nextUrl) ? nextUrl : null;
+  let currentPage = startPage;
+  let pagesStitched = 0;
+
+  return {
+    get nextUrl() {
+      return pendingUrl;
+    },
+
+    get pagesStitched() {
+      return pagesStitched;
+    },
+
+    /**
+     * Fetches the next page and appends its items
+     * @returns {Promise<Object>} - { outcome: 'stitched' | 'no-next' | 'repeat' | 'page-limit' | 'no-items',
+     *   url, page, itemsAdded, latencyMs }
+     * @throws {Error} When the page cannot be fetched
+     */
+    async stitchNext() {
+      const url = pendingUrl;
+      if (!url) return { outcome: 'no-next', url: null, page: currentPage, itemsAdded: 0, latencyMs: 0 };
+      if (visited.has(stripHash(url))) return { outcome: 'repeat', url, page: currentPage, itemsAdded: 0, latencyMs: 0 };
+      if (pagesStitched >= maxPages) return { outcome: 'page-limit', url, page: currentPage, itemsAdded: 0, latencyMs: 0 };
+      visited.add(stripHash(url));
+
+      const startedAt = Date.now();
+      const response = await fetchImpl(url, { credentials: 'include', headers: { Accept: 'text/html' } });
+      if (!response.ok) {
+        throw new Error(`Fetching ${url} failed with status ${response.status}`);
+      }
+      const doc = parsePageHtml(await response.text(), response.url || url);
+      const latencyMs = Date.now() - startedAt;
+
+      // The fetched page's own pager knows where to go next
+      const model = parsePagination(doc);
+      const link = findNextPageLink(doc);
+      const candidate = link?.getAttribute('href') ? new URL(link.getAttribute('href'), response.url || url).href : model?.nextUrl;
+      pendingUrl = candidate && isStitchableUrl(candidate) ? candidate : null;
+
+      const items = extractPageItems(doc, feed);
+      if (items.length === 0) {
+        pendingUrl = null;
+        return { outcome: 'no-items', url, page: currentPage + 1, itemsAdded: 0, latencyMs };
+      }
+
+      currentPage = model?.current ?? currentPage + 1;
+      appendStitchedItems(feed, items, { page: currentPage, url });
+      pagesStitched++;
+      return { outcome: 'stitched', url, page: currentPage, itemsAdded: items.length, latencyMs };
+    }
+  };
+}
+
+// Divider matching the container's content model (li in lists, tr in tables)
+function createDivider(container, page, url) {
+  const tag = container.localName;
+  let divider;
+  if (tag === 'ul' || tag === 'ol') {
+    divider = document.createElement('li');
+  } else if (tag === 'tbody' || tag === 'table' || tag === 'thead' || tag === 'tfoot') {
+    divider = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.colSpan = 100;
+    divider.appendChild(cell);
+  } else {
+    divider = document.createElement('div');
+  }
+
+  divider.className = STITCH_DIVIDER_CLASS;
+  divider.setAttribute('role', 'separator');
+  divider.setAttribute('aria-label', `Page ${page}`);
+  divider.dataset.stitchedFrom = url;
+  divider.style.cssText = 'list-style: none; margin: 16px 0; padding: 4px 0; border-top: 1px dashed #9ca3af; color: #6b7280; font: 12px sans-serif; text-align: center;';
+  (divider.firstElementChild || divider).textContent = `Page ${page}`;
+  return divider;
+}
+
+function absolutizeUrls(root, baseUrl) {
+  [root, ...root.querySelectorAll('*')].forEach(element => {
+    URL_ATTRIBUTES.forEach(name => {
+      const value = element.getAttribute(name);
+      if (!value || value.startsWith('#') || /^(javascript|data|mailto|tel):/i.test(value)) return;
+      try {
+        element.setAttribute(name, new URL(value, baseUrl).href);
+      } catch (error) {
+        // Leave unparseable values as they were
+      }
+    });
+
+    const srcset = element.getAttribute('srcset');
+    if (srcset) {
+      element.setAttribute('srcset', srcset.split(',').map(candidate => {
+        const [src, ...descriptor] = candidate.trim().split(/\s+/);
+        try {
+          return [new URL(src, baseUrl).href, ...descriptor].join(' ');
+        } catch (error) {
+          return candidate.trim();
+        }
+      }).join(', '));
+    }
+  });
+}
+
+function stripHash(url) {
+  return url.split('#')[0];
+}
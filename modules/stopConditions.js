@@ -0,0 +1,130 @@
+/**
+ * Stop Conditions Module - User-defined reasons to end an expansion run
+ * Besides maxClicks a run can stop after loading N items, after a time budget,
+ * once a selector or text shows up ("load until I see the post from March
+ * 3rd"), or once an item is dated before a cutoff.
+ */
+
+import { isValidSelectorPath, resolveSelectorPath } from './utils.js';
+
+// Attributes holding an item's publication date, checked in order
+const DATE_ATTRIBUTES = ['datetime', 'data-date', 'data-time', 'data-timestamp', 'data-published', 'data-created'];
+
+/**
+ * Validates START_EXPANSION stop conditions and converts them to internal units
+ * @param {Object} conditions - { itemTarget, timeBudgetMinutes, untilSelector, untilText, olderThan, dateAttribute }
+ * @returns {Object} - { itemTarget, timeBudgetMs, untilSelector, untilText, olderThan (ms), dateAttribute };
+ *   unset conditions are null
+ * @throws {Error} When a selector or date cannot be used
+ */
+export function normalizeStopConditions(conditions = {}) {
+  const itemTarget = positiveNumber(conditions.itemTarget);
+  const timeBudgetMinutes = positiveNumber(conditions.timeBudgetMinutes);
+  const untilSelector = (conditions.untilSelector || '').trim() || null;
+  const untilText = (conditions.untilText || '').trim() || null;
+
+  if (untilSelector && !isValidSelectorPath(untilSelector)) {
+    throw new Error(`Invalid stop selector: ${untilSelector}`);
+  }
+
+  let olderThan = null;
+  if (conditions.olderThan) {
+    olderThan = new Date(conditions.olderThan).getTime();
+    if (Number.isNaN(olderThan)) {
+      throw new Error(`Invalid cutoff date: ${conditions.olderThan}`);
+    }
+  }
+
+  return {
+    itemTarget: itemTarget !== null ? Math.floor(itemTarget) : null,
+    timeBudgetMs: timeBudgetMinutes !== null ? timeBudgetMinutes * 60 * 1000 : null,
+    untilSelector,
+    untilText,
+    olderThan,
+    dateAttribute: (conditions.dateAttribute || '').trim() || null
+  };
+}
+
+/**
+ * Checks whether any stop condition is met
+ * @param {Object} conditions - Conditions from normalizeStopConditions
+ * @param {Object} state - Run state
+ * @param {number} state.startedAt - Run start (ms)
+ * @param {number} state.itemsLoaded - Items added since the run started
+ * @param {Element[]} [state.items=[]] - Current feed items, for the date cutoff
+ * @param {Element} [state.textRoot=document.body] - Subtree searched for untilText
+ * @param {number} [state.now=Date.now()] - Current time (ms)
+ * @returns {Object|null} - { reason: 'item-target' | 'time-budget' | 'selector-found' | 'text-found' |
+ *   'date-cutoff', detail } or null
+ */
+export function checkStopConditions(conditions, { startedAt, itemsLoaded, items = [], textRoot = document.body, now = Date.now() }) {
+  if (!conditions) return null;
+
+  if (conditions.itemTarget !== null && itemsLoaded >= conditions.itemTarget) {
+    return { reason: 'item-target', detail: `Loaded ${itemsLoaded} of ${conditions.itemTarget} items` };
+  }
+
+  if (conditions.timeBudgetMs !== null && now - startedAt >= conditions.timeBudgetMs) {
+    return { reason: 'time-budget', detail: `Ran for ${Math.round((now - startedAt) / 60000)} min` };
+  }
+
+  if (conditions.untilSelector && resolveSelectorPath(conditions.untilSelector)) {
+    return { reason: 'selector-found', detail: conditions.untilSelector };
+  }
+
+  if (conditions.untilText && (textRoot?.textContent || '').toLowerCase().includes(conditions.untilText.toLowerCase())) {
+    return { reason: 'text-found', detail: conditions.untilText };
+  }
+
+  if (conditions.olderThan !== null) {
+    const oldItem = items.find(item => {
+      const date = getItemDate(item, conditions.dateAttribute);
+      return date !== null && date < conditions.olderThan;
+    });
+    if (oldItem) {
+      return { reason: 'date-cutoff', detail: new Date(getItemDate(oldItem, conditions.dateAttribute)).toISOString().slice(0, 10) };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Reads an item's date from its own attributes or a dated descendant (e.g. <time datetime>)
+ * @param {Element} item - Feed item
+ * @param {string|null} attribute - Site-specific date attribute to prefer
+ * @returns {number|null} - Timestamp (ms) or null when the item carries no date
+ */
+export function getItemDate(item, attribute = null) {
+  const attributes = attribute ? [attribute, ...DATE_ATTRIBUTES] : DATE_ATTRIBUTES;
+
+  for (const name of attributes) {
+    let holder = null;
+    try {
+      holder = item.hasAttribute(name) ? item : item.querySelector(`[${name}]`);
+    } catch (error) {
+      // A site-specific attribute name that is not a valid selector
+      continue;
+    }
+    const value = holder?.getAttribute(name);
+    if (!value) continue;
+
+    const date = parseDateValue(value.trim());
+    if (date !== null) return date;
+  }
+  return null;
+}
+
+function parseDateValue(value) {
+  // Unix timestamps in seconds or milliseconds
+  if (/^\d{10}$/.test(value)) return Number(value) * 1000;
+  if (/^\d{13}$/.test(value)) return Number(value);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : date;
+}
+
+function positiveNumber(value) {
+  const number = Number(value);
+  return value !== null && value !== undefined && value !== '' && Number.isFinite(number) && number > 0 ? number : null;
+}
@@ -0,0 +1,154 @@
+/**
+ * Totals Module - Reads result counts the page itself displays
+ * Texts such as "Showing 1–20 of 340", "1,234 results", "Show 25 more" or
+ * "View all 87 comments" give the real total and batch size, so progress can
+ * be measured instead of guessed.
+ */
+
+import { SELECTORS } from './selectors.js';
+import { queryElements } from './utils.js';
+import { getAllLocalePacks } from './locales.js';
+
+// Longer texts are page content that merely mentions numbers
+const MAX_TEXT_LENGTH = 120;
+
+// "1,234", "1.234", "1 234", "1'234", "1.2k"
+const NUMBER = '(\\d+(?:[.,]\\d+)?\\s*k(?![\\p{L}])|\\d{1,3}(?:[,.\\u00a0\\u202f\' ]\\d{3})+(?!\\d)|\\d+)';
+const OF = '(?:of|von|de|sur|z|di|/)';
+
+const RANGE = new RegExp(`${NUMBER}\\s*[-–—~〜]\\s*${NUMBER}\\s*${OF}\\s*${NUMBER}`, 'u');
+const SHOWN_OF_TOTAL = new RegExp(
+  `(?:showing|displaying|viewing|zeige|mostrando|affichage de|wyświetlanie|exibindo)\\s+${NUMBER}\\s*${OF}\\s*${NUMBER}`, 'u'
+);
+const ALL_COUNT = new RegExp(`(?:^|[^\\p{L}])(?:all|alle|todos|todas|tous les|toutes les|wszystkie)\\s+(?:the\\s+)?${NUMBER}`, 'u');
+const REMAINING = new RegExp(`${NUMBER}\\s+(?:remaining|left|verbleibend|restantes?|restants?|pozostał[eoy]?)(?![\\p{L}])`, 'u');
+// "Load more (120)" usually counts what is left
+const MORE_IN_PARENS = new RegExp(`(?:more|mehr|weitere|más|plus|więcej|mais|もっと見る|さらに表示)\\s*\\(${NUMBER}\\)`, 'u');
+const COUNT_MORE = new RegExp(`${NUMBER}\\s+(?:more|weitere|mehr|más|(?:de\\s+)?plus|więcej|mais)(?![\\p{L}])`, 'u');
+
+/**
+ * Parses a count text
+ * @param {string} text - Text of a control or a status line
+ * @param {Object[]} packs - Locale packs providing count nouns (default: all packs)
+ * @returns {Object|null} - { total, shown, perBatch, remaining } (each null when not stated)
+ *   or null when the text holds no count
+ */
+export function parseCountText(text, packs = getAllLocalePacks()) {
+  const normalized = (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  if (!normalized || !/\d/.test(normalized)) return null;
+
+  const counts = { total: null, shown: null, perBatch: null, remaining: null };
+  let match;
+
+  if ((match = normalized.match(RANGE))) {
+    const [from, to, total] = match.slice(1, 4).map(parseNumber);
+    if (from <= to && to <= total) {
+      Object.assign(counts, { total, shown: to, perBatch: to - from + 1 });
+    }
+  }
+
+  if (counts.total === null && (match = normalized.match(SHOWN_OF_TOTAL))) {
+    const [shown, total] = match.slice(1, 3).map(parseNumber);
+    if (shown <= total) Object.assign(counts, { total, shown });
+  }
+
+  if (counts.total === null && (match = normalized.match(ALL_COUNT))) {
+    counts.total = parseNumber(match[1]);
+  }
+
+  if ((match = normalized.match(REMAINING) || normalized.match(MORE_IN_PARENS))) {
+    counts.remaining = parseNumber(match[1]);
+  } else if ((match = normalized.match(COUNT_MORE))) {
+    counts.perBatch = parseNumber(match[1]);
+  }
+
+  if (counts.total === null) {
+    const nouns = Array.from(new Set(packs.flatMap(pack => pack.countNouns || [])));
+    if (nouns.length > 0) {
+      const pattern = new RegExp(`${NUMBER}\\s*(?:${nouns.map(escapeRegExp).join('|')})(?![\\p{L}])`, 'u');
+      if ((match = normalized.match(pattern))) counts.total = parseNumber(match[1]);
+    }
+  }
+
+  return Object.values(counts).some(value => value !== null) ? counts : null;
+}
+
+/**
+ * Finds the counts displayed around the main list and in its load-more controls
+ * @param {Object} options - Detection inputs
+ * @param {Object|null} options.feed - Canonical feed ({ container }) or null
+ * @param {string[]} options.controlTexts - Texts of load-more candidates
+ * @param {number} options.itemCount - Items currently in the feed
+ * @returns {Object|null} - { total, perBatch, remaining, sources } or null when the page shows no counts;
+ *   sources lists the texts the figures were read from
+ */
+export function detectPageTotals({ feed = null, controlTexts = [], itemCount = 0 } = {}) {
+  const packs = getAllLocalePacks();
+  const container = feed?.container || null;
+  const totals = { total: null, perBatch: null, remaining: null, sources: [] };
+
+  // Nearest texts first: status lines beside the list beat generic count badges
+  const texts = [...getNearbyTexts(container), ...controlTexts];
+  const seen = new Set();
+
+  texts.forEach(text => {
+    const trimmed = (text || '').replace(/\s+/g, ' ').trim();
+    if (!trimmed || trimmed.length > MAX_TEXT_LENGTH || seen.has(trimmed)) return;
+    seen.add(trimmed);
+
+    const counts = parseCountText(trimmed, packs);
+    if (!counts) return;
+
+    let used = false;
+    ['total', 'perBatch', 'remaining'].forEach(key => {
+      if (totals[key] === null && counts[key] !== null) {
+        totals[key] = counts[key];
+        used = true;
+      }
+    });
+    if (used) totals.sources.push(trimmed);
+  });
+
+  if (totals.sources.length === 0) return null;
+
+  // A total smaller than what is already loaded was some other count
+  if (totals.total !== null && totals.total < itemCount) totals.total = null;
+  if (totals.total === null && totals.remaining !== null) totals.total = itemCount + totals.remaining;
+  if (totals.remaining === null && totals.total !== null) totals.remaining = Math.max(0, totals.total - itemCount);
+
+  return totals;
+}
+
+// Siblings and headings around the list, then count-like elements outside it
+function getNearbyTexts(container) {
+  const elements = [];
+
+  if (container) {
+    const parent = container.parentElement;
+    elements.push(
+      container.previousElementSibling,
+      container.nextElementSibling,
+      parent?.previousElementSibling,
+      ...(parent ? Array.from(parent.querySelectorAll(':scope > h1, :scope > h2, :scope > h3, :scope > header')) : [])
+    );
+  }
+
+  queryElements(SELECTORS.RESULT_COUNT, document, false, true).forEach(element => {
+    // Per-item badges ("12 comments" under each post) are not list totals
+    if (!container || !container.contains(element)) elements.push(element);
+  });
+
+  return elements.filter(Boolean).map(element => element.textContent);
+}
+
+function parseNumber(value) {
+  const compact = value.replace(/\s/g, '');
+  if (/k$/.test(compact)) {
+    return Math.round(parseFloat(compact.slice(0, -1).replace(',', '.')) * 1000);
+  }
+  return Number(compact.replace(/[^\d]/g, ''));
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
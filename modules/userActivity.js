@@ -0,0 +1,126 @@
+/**
+ * User Activity Module - Keeps expansion runs from fighting the user for the viewport
+ * In polite mode a run pauses while the user wheels, touches, types or selects
+ * text and resumes after an idle period. In background mode the run never
+ * moves the viewport on purpose and puts back any scrolling it needs.
+ */
+
+export const VIEWPORT_MODES = Object.freeze({
+  // Scrolls to buttons and newly loaded items (the original behavior)
+  FOLLOW: 'follow',
+  POLITE: 'polite',
+  BACKGROUND: 'background'
+});
+
+export const DEFAULT_IDLE_MS = 3000;
+
+// Input that means the user is reading or steering the page
+const ACTIVITY_EVENTS = ['wheel', 'touchstart', 'touchmove', 'keydown'];
+
+/**
+ * Validates a START_EXPANSION viewport mode
+ * @param {string} mode - One of VIEWPORT_MODES (default: follow)
+ * @returns {string} - The mode
+ * @throws {Error} When the mode is unknown
+ */
+export function normalizeViewportMode(mode) {
+  if (mode === undefined || mode === null || mode === '') return VIEWPORT_MODES.FOLLOW;
+  if (!Object.values(VIEWPORT_MODES).includes(mode)) {
+    throw new Error(`Unknown viewport mode: ${mode}`);
+  }
+  return mode;
+}
+
+/**
+ * Watches for user input and reports when the user becomes active and idle again
+ * @param {Object} options - Monitor options
+ * @param {number} [options.idleMs=DEFAULT_IDLE_MS] - Quiet period before the user counts as idle
+ * @param {Function} [options.onActive] - Called with the event type when activity starts
+ * @param {Function} [options.onIdle] - Called once the user has been idle for idleMs
+ * @param {boolean} [options.trustedOnly=true] - Ignore events synthesized by page scripts
+ * @returns {Object} - { start(), stop(), isActive() }
+ */
+export function createActivityMonitor({ idleMs = DEFAULT_IDLE_MS, onActive, onIdle, trustedOnly = true } = {}) {
+  let active = false;
+  let idleTimer = null;
+
+  const scheduleIdle = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      idleTimer = null;
+      // A selection the user is still holding (e.g. to copy) keeps them active
+      if (hasTextSelection()) {
+        scheduleIdle();
+        return;
+      }
+      active = false;
+      onIdle?.();
+    }, idleMs);
+  };
+
+  const handleActivity = (event) => {
+    if (trustedOnly && !event.isTrusted) return;
+    if (event.type === 'selectionchange' && !hasTextSelection()) return;
+
+    if (!active) {
+      active = true;
+      onActive?.(event.type);
+    }
+    scheduleIdle();
+  };
+
+  return {
+    start() {
+      ACTIVITY_EVENTS.forEach(type => {
+        window.addEventListener(type, handleActivity, { capture: true, passive: true });
+      });
+      document.addEventListener('selectionchange', handleActivity);
+    },
+
+    stop() {
+      ACTIVITY_EVENTS.forEach(type => {
+        window.removeEventListener(type, handleActivity, { capture: true });
+      });
+      document.removeEventListener('selectionchange', handleActivity);
+      clearTimeout(idleTimer);
+      idleTimer = null;
+      active = false;
+    },
+
+    isActive() {
+      return active;
+    }
+  };
+}
+
+/**
+ * Records the window and scroll container positions so they can be put back
+ * @param {Object|null} scrollTarget - Feed scroll target from getScrollTarget
+ * @returns {Object} - { restore() } returning true if anything had moved
+ */
+export function captureViewport(scrollTarget = null) {
+  const windowX = window.scrollX;
+  const windowY = window.scrollY;
+  const element = scrollTarget?.element || null;
+  const elementTop = element ? element.scrollTop : 0;
+
+  return {
+    restore() {
+      let moved = false;
+      if (element && element.isConnected && element.scrollTop !== elementTop) {
+        element.scrollTop = elementTop;
+        moved = true;
+      }
+      if (window.scrollX !== windowX || window.scrollY !== windowY) {
+        window.scrollTo(windowX, windowY);
+        moved = true;
+      }
+      return moved;
+    }
+  };
+}
+
+function hasTextSelection() {
+  const selection = document.getSelection?.();
+  return Boolean(selection && !selection.isCollapsed && selection.toString().trim());
+}
@@ -2,15 +2,27 @@
  * Utility functions for DOM manipulation and performance optimization
  */
 
+import { XPATH_PREFIX, evaluateXPath } from './selectorGenerator.js';
+
+/**
+ * Combinator used to join selector segments across shadow root boundaries
+ * e.g. "my-feed >>> button.load-more"
+ */
+export const SHADOW_PIERCING_COMBINATOR = ' >>> ';
+
 /**
  * Query elements with enhanced error handling and optional single element return
  * @param {string} selector - CSS selector
- * @param {Document|Element} context - Context to search within (default: document)
+ * @param {Document|Element|ShadowRoot} context - Context to search within (default: document)
  * @param {boolean} single - Return single element instead of array
+ * @param {boolean} deep - Also search inside open shadow roots, recursively
  * @returns {Element[]|Element|null} - Found elements or single element
  */
-export function queryElements(selector, context = document, single = false) {
+export function queryElements(selector, context = document, single = false, deep = false) {
   try {
+    if (deep) {
+      return queryDeep(selector, context, single);
+    }
     if (single) {
       return context.querySelector(selector);
     }
@@ -21,6 +33,146 @@ export function queryElements(selector, context = document, single = false) {
   }
 }
 
+/**
+ * Collects all open shadow roots below a context, including nested ones
+ * @param {Document|Element|ShadowRoot} context - Context to search within (default: document)
+ * @returns {ShadowRoot[]} - Open shadow roots in tree order
+ */
+export function collectShadowRoots(context = document) {
+  const roots = [];
+
+  const walk = (root) => {
+    for (const element of root.querySelectorAll('*')) {
+      if (element.shadowRoot) {
+        roots.push(element.shadowRoot);
+        walk(element.shadowRoot);
+      }
+    }
+  };
+
+  if (context.shadowRoot) {
+    roots.push(context.shadowRoot);
+    walk(context.shadowRoot);
+  }
+  walk(context);
+
+  return roots;
+}
+
+/**
+ * Splits a selector path into its segments. The combinator only separates
+ * segments outside quotes, brackets and parentheses, so attribute values and
+ * XPath string literals may contain ">>>".
+ * @param {string} path - Selector segments joined by SHADOW_PIERCING_COMBINATOR
+ * @returns {string[]} - Trimmed segments
+ */
+export function splitSelectorPath(path) {
+  const combinator = SHADOW_PIERCING_COMBINATOR.trim();
+  const segments = [];
+  let start = 0;
+  let quote = null;
+  let depth = 0;
+
+  for (let i = 0; i < path.length; i++) {
+    const char = path[i];
+    if (quote) {
+      // CSS escapes a quote with a backslash; XPath string literals have no escapes
+      if (char === '\\' && !isXPathSegment(path, start)) i++;
+      else if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '[' || char === '(') {
+      depth++;
+    } else if ((char === ']' || char === ')') && depth > 0) {
+      depth--;
+    } else if (char === '\\') {
+      i++;
+    } else if (depth === 0 && path.startsWith(combinator, i)) {
+      segments.push(path.slice(start, i).trim());
+      start = i + combinator.length;
+      i = start - 1;
+    }
+  }
+  segments.push(path.slice(start).trim());
+
+  return segments;
+}
+
+/**
+ * Resolves a selector path produced by generateElementSelector, descending
+ * into the shadow root of each host segment. Segments may be CSS selectors
+ * or XPath expressions prefixed with XPATH_PREFIX.
+ * @param {string} path - Selector segments joined by SHADOW_PIERCING_COMBINATOR
+ * @param {Document|Element|ShadowRoot} context - Context to start from (default: document)
+ * @returns {Element|null} - Resolved element or null
+ */
+export function resolveSelectorPath(path, context = document) {
+  if (!path) return null;
+
+  const segments = splitSelectorPath(path);
+  let root = context;
+
+  for (let i = 0; i < segments.length; i++) {
+    const element = segments[i].startsWith(XPATH_PREFIX)
+      ? evaluateXPath(segments[i].slice(XPATH_PREFIX.length), root)
+      : queryElements(segments[i], root, true);
+    if (!element) return null;
+    if (i === segments.length - 1) return element;
+
+    root = element.shadowRoot;
+    if (!root) return null;
+  }
+
+  return null;
+}
+
+/**
+ * Checks the syntax of a selector path; queryElements swallows selector errors,
+ * so user-entered selectors are checked up front. Checking needs a DOM: rules
+ * are validated in content scripts and on the options page, never in the
+ * background worker.
+ * @param {string} path - Selector segments joined by SHADOW_PIERCING_COMBINATOR
+ * @returns {boolean} - True if every segment is a valid CSS selector or XPath expression
+ * @throws {Error} When called without a document
+ */
+export function isValidSelectorPath(path) {
+  if (typeof document === 'undefined') {
+    throw new Error('Selectors can only be checked where a DOM exists');
+  }
+  if (typeof path !== 'string') return false;
+  return splitSelectorPath(path).every(segment => {
+    try {
+      if (segment.startsWith(XPATH_PREFIX)) {
+        document.createExpression(segment.slice(XPATH_PREFIX.length));
+      } else {
+        document.createDocumentFragment().querySelector(segment);
+      }
+      return segment.length > 0;
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+// Whether the segment starting at an index of a path is an XPath expression
+function isXPathSegment(path, start) {
+  return path.slice(start).trimStart().startsWith(XPATH_PREFIX);
+}
+
+function queryDeep(selector, context, single) {
+  const roots = [context, ...collectShadowRoots(context)];
+
+  if (single) {
+    for (const root of roots) {
+      const match = root.querySelector(selector);
+      if (match) return match;
+    }
+    return null;
+  }
+
+  return roots.flatMap(root => Array.from(root.querySelectorAll(selector)));
+}
+
 /**
  * Throttle function execution to improve performance
  * @param {Function} func - Function to throttle
@@ -0,0 +1,111 @@
+/**
+ * Waiting Module - Waits for a batch of content instead of sleeping
+ * After an action the expansion loop waits until the list has grown and the
+ * DOM has been quiet for a settle window, or until the clicked control has
+ * left its busy state, whichever comes first, up to a timeout.
+ */
+
+// DOM quiet time that marks a batch as fully rendered
+export const DEFAULT_SETTLE_MS = 300;
+
+// Longest wait for a batch before the loop moves on
+export const DEFAULT_BATCH_TIMEOUT_MS = 8000;
+
+// Loading indicators rendered inside a busy control
+const SPINNER_SELECTOR = '[class*="spinner"], [class*="loading"], [class*="loader"], [role="progressbar"], [aria-busy="true"]';
+
+/**
+ * Tells whether a control is busy loading
+ * @param {Element} element - Load-more control
+ * @returns {boolean} - True while aria-busy, disabled or showing a spinner
+ */
+export function isBusy(element) {
+  if (!element || !element.isConnected) return false;
+
+  const className = typeof element.className === 'string' ? element.className : '';
+  return element.closest('[aria-busy="true"]') !== null ||
+    element.disabled === true ||
+    element.getAttribute('aria-disabled') === 'true' ||
+    /\b(is-)?(loading|busy)\b/i.test(className) ||
+    element.querySelector(SPINNER_SELECTOR) !== null;
+}
+
+/**
+ * Waits for the batch triggered by an action
+ * @param {Object} options - Wait options
+ * @param {number} options.baselineCount - Item count before the action
+ * @param {Function} options.countItems - Returns the current item count
+ * @param {Element} [options.control=null] - Clicked control whose busy state is followed
+ * @param {Node} [options.root=document.body] - Subtree observed for DOM activity
+ * @param {boolean} [options.requireGrowth=true] - False when the action replaces items instead of
+ *   adding them (in-place pagination); any DOM change followed by quiet then completes the wait
+ * @param {number} [options.settleMs=DEFAULT_SETTLE_MS] - DOM quiet time after growth
+ * @param {number} [options.timeout=DEFAULT_BATCH_TIMEOUT_MS] - Upper bound for the wait
+ * @returns {Promise<Object>} - { outcome: 'grew' | 'settled' | 'control-ready' | 'timeout', latencyMs, waitedMs,
+ *   itemCount }; latencyMs is the time until the batch first showed up (null on timeout)
+ */
+export function waitForBatch({
+  baselineCount,
+  countItems,
+  control = null,
+  root = document.body,
+  requireGrowth = true,
+  settleMs = DEFAULT_SETTLE_MS,
+  timeout = DEFAULT_BATCH_TIMEOUT_MS
+}) {
+  return new Promise(resolve => {
+    const startedAt = Date.now();
+    let firstChangeAt = null;
+    let sawBusy = isBusy(control);
+    let settleTimer = null;
+    let observer = null;
+    let timeoutTimer = null;
+    let done = false;
+
+    const finish = (outcome) => {
+      if (done) return;
+      done = true;
+      clearTimeout(settleTimer);
+      clearTimeout(timeoutTimer);
+      observer?.disconnect();
+
+      const now = Date.now();
+      resolve({
+        outcome,
+        latencyMs: outcome === 'timeout' ? null : (firstChangeAt ?? now) - startedAt,
+        waitedMs: now - startedAt,
+        itemCount: countItems()
+      });
+    };
+
+    const evaluate = () => {
+      if (control) {
+        if (isBusy(control)) {
+          sawBusy = true;
+        } else if (sawBusy) {
+          finish('control-ready');
+          return;
+        }
+      }
+
+      const grew = countItems() > baselineCount;
+      if (!grew && requireGrowth) return;
+      if (firstChangeAt === null) firstChangeAt = Date.now();
+
+      // Every mutation restarts the settle window
+      clearTimeout(settleTimer);
+      settleTimer = setTimeout(() => finish(grew ? 'grew' : 'settled'), settleMs);
+    };
+
+    // Pages that never go quiet (tickers, carousels) still count as grown
+    timeoutTimer = setTimeout(() => finish(countItems() > baselineCount ? 'grew' : 'timeout'), timeout);
+
+    if (root && typeof MutationObserver !== 'undefined') {
+      observer = new MutationObserver(evaluate);
+      observer.observe(root, { childList: true, subtree: true, attributes: true, characterData: true });
+    }
+
+    // The batch may already be in when the wait starts (synchronous renders)
+    if (countItems() > baselineCount) evaluate();
+  });
+}
@@ -1,56 +1,434 @@
-import React, { useState, useEffect } from 'react'
-
-interface ContentStats {
-  detectedButtons: number
-  detectedLinks: number
-  loadingMethod: string
-  contentElements: number
-  estimatedTotal: number
-  estimatedPerBatch: number
-  pageUrl: string
+import React, { useState, useEffect, useRef } from 'react'
+
+// Mirrors the serializable result of content.js#scanPageContent
+type RecommendedMethod = 'button' | 'scroll' | 'pagination' | 'stitch' | 'expand' | 'auto' | 'none'
+
+type RejectionReason = 'hidden' | 'disabled' | 'below-threshold' | 'selector-mismatch' | 'negative-phrase'
+
+interface ConfidenceSignal {
+  signal: string
+  weight: number
+}
+
+type LinkType = 'same-document' | 'javascript' | 'same-path-query' | 'navigation'
+
+interface DetectedCandidate {
+  selector: string
+  text: string
+  confidence: number
+  visible: boolean
+  href?: string
+  linkType?: LinkType
+  signals: ConfidenceSignal[]
+  rejection: RejectionReason | null
+}
+
+interface InfiniteScrollEvidence {
+  detected: boolean
+  confidence: number
+  measured: boolean
+}
+
+interface LearnedEndpoint {
+  endpoint: string
+  method: string
+  parameter: string
+  kind: 'page' | 'offset' | 'cursor' | 'after'
+  nextUrl: string | null
+  itemsPerResponse: number
+  confidence: number
+}
+
+interface PaginationModel {
+  current: number | null
+  total: number | null
+  nextUrl: string | null
+  prevUrl: string | null
+  pageUrls: { page: number, url: string }[]
+  scheme: { type: 'query-page' | 'query-offset' | 'path', parameter: string, perPage: number | null } | null
+}
+
+interface PageTotals {
+  total: number | null
+  perBatch: number | null
+  remaining: number | null
+  sources: string[]
+}
+
+interface ScrollContainer {
+  selector: string | null
+  isWindow: boolean
+  inModal: boolean
+}
+
+interface ScanResult {
+  patterns: {
+    buttons: DetectedCandidate[]
+    links: DetectedCandidate[]
+    pagination: boolean
+    lazyLoad: boolean
+    infiniteScroll: boolean
+    hiddenContent: boolean
+    infiniteScrollEvidence?: InfiniteScrollEvidence
+  }
+  contentCount: number
+  feed: { selector: string, signature: string, itemCount: number } | null
+  pagination: PaginationModel | null
+  totals: PageTotals | null
+  scrollContainer: ScrollContainer | null
+  siteRule: { id: string, urlPattern: string, source: RuleSource } | null
+  learnedEndpoint: LearnedEndpoint | null
+  estimatedTotal: number | null
+  pageInfo: {
+    url: string
+    title: string
+    isTopFrame: boolean
+    scrollHeight: number
+    clientHeight: number
+  }
+  detectionSummary: {
+    hasLoadMoreButtons: boolean
+    hasLoadMoreLinks: boolean
+    hasInfiniteScroll: boolean
+    hasPagination: boolean
+    hasLazyLoadedImages: boolean
+    hasHiddenContent: boolean
+    recommendedMethod: RecommendedMethod
+  }
+  error?: string
+}
+
+interface FrameSummary {
+  frameId: number
+  url: string
+  isTopFrame: boolean
+  buttons: number
+  links: number
+  contentCount: number
+  topConfidence: number
+  recommendedMethod: RecommendedMethod
   hasInfiniteScroll: boolean
-  hasPagination: boolean
-  detectionConfidence: number
+  infiniteScrollEvidence: InfiniteScrollEvidence | null
+  result: ScanResult | null
+  error: string | null
+}
+
+type RunState = 'idle' | 'running' | 'waiting' | 'paused' | 'finished' | 'errored'
+
+interface RunSnapshot {
+  runId: number | null
+  state: RunState
+  stopReason: StopReason | 'stopped' | null
+  details: string
+  clickCount: number
+}
+
+// Kept by the background worker so a run spans the pages it navigates through
+interface RunPageStats {
+  url: string
+  startedAt: number
+  clickCount: number
+  itemsLoaded: number
+}
+
+interface RunRecord {
+  tabId: number
+  frameId: number
+  status: 'running' | 'navigating' | 'finished'
+  startedAt: number
+  clickCount: number
+  itemsLoaded: number
+  pages: RunPageStats[]
+  stopReason: string | null
+  details: string
+}
+
+interface RunRecordMessage {
+  type: 'RUN_RECORD_UPDATED'
+  tabId: number
+  record: RunRecord
 }
 
 interface LoadingProgress {
   isLoading: boolean
+  isPaused: boolean
   progress: number
   currentAction: string
   itemsLoaded: number
   clickCount: number
   estimatedRemaining: number
+  startItemCount: number
+  expectedItems: number
 }
 
-const LoadMoreExpander: React.FC = () => {
-  const [stats, setStats] = useState<ContentStats>({
-    detectedButtons: 0,
-    detectedLinks: 0,
-    loadingMethod: 'Unknown',
-    contentElements: 0,
-    estimatedTotal: 0,
-    estimatedPerBatch: 0,
-    pageUrl: '',
-    hasInfiniteScroll: false,
+type StopReason =
+  | 'end-message'
+  | 'button-disabled'
+  | 'button-removed'
+  | 'height-stalled'
+  | 'no-op-clicks'
+  | 'last-page'
+  | 'max-clicks'
+  | 'no-action'
+  | 'item-target'
+  | 'time-budget'
+  | 'selector-found'
+  | 'text-found'
+  | 'date-cutoff'
+  | 'page-left'
+
+type ViewportMode = 'follow' | 'polite' | 'background'
+// 'stitch' fetches pages that open separately and appends their items here;
+// 'pagination' goes to each page, and the run continues there
+type RunMethod = 'auto' | 'stitch' | 'pagination'
+
+type RuleSource = 'user' | 'subscribed' | 'builtin'
+
+interface StopConditions {
+  itemTarget: string
+  timeBudgetMinutes: string
+  untilSelector: string
+  untilText: string
+  olderThan: string
+}
+
+interface ProgressMessage {
+  type: 'EXPANSION_PROGRESS'
+  action: string
+  count: number
+  details: string
+  itemCount: number
+  itemsLoaded?: number
+  page?: number
+  stopReason?: StopReason
+  pauseReason?: 'user' | 'activity'
+  timestamp: number
+}
+
+const FINAL_PROGRESS_ACTIONS: Record<string, string> = {
+  complete: 'All content loaded!',
+  stopped: 'Stopped',
+  error: 'Loading failed'
+}
+
+const STOP_REASON_LABELS: Record<StopReason, string> = {
+  'end-message': 'Reached the end of the content',
+  'button-disabled': 'Load more button was disabled',
+  'button-removed': 'Load more button disappeared',
+  'height-stalled': 'Page stopped growing',
+  'no-op-clicks': 'Load more button stopped loading',
+  'last-page': 'Reached the last page',
+  'max-clicks': 'Click limit reached',
+  'no-action': 'All content loaded!',
+  'item-target': 'Item target reached',
+  'time-budget': 'Time budget used up',
+  'selector-found': 'Target element appeared',
+  'text-found': 'Target text appeared',
+  'date-cutoff': 'Reached items older than the cutoff',
+  'page-left': 'The page navigated away'
+}
+
+const VIEWPORT_MODE_LABELS: Record<ViewportMode, string> = {
+  follow: 'Follow new content',
+  polite: 'Pause while I use the page',
+  background: 'Keep my place'
+}
+
+const RUN_METHOD_LABELS: Record<RunMethod, string> = {
+  auto: 'Choose for this page',
+  stitch: 'Add them to this page',
+  pagination: 'Go to each page in turn'
+}
+
+const RULE_SOURCE_LABELS: Record<RuleSource, string> = {
+  user: 'Site rule',
+  subscribed: 'List rule',
+  builtin: 'Built-in rule'
+}
+
+// With stop conditions set, Load All runs until one of them is met
+const MAX_CLICKS_WITH_CONDITIONS = 500
+
+const EMPTY_STOP_CONDITIONS: StopConditions = {
+  itemTarget: '',
+  timeBudgetMinutes: '',
+  untilSelector: '',
+  untilText: '',
+  olderThan: ''
+}
+
+const REJECTION_LABELS: Record<RejectionReason, string> = {
+  hidden: 'hidden',
+  disabled: 'disabled',
+  'below-threshold': 'low score',
+  'selector-mismatch': 'selector failed',
+  'negative-phrase': 'shows less'
+}
+
+const METHOD_LABELS: Record<RecommendedMethod, string> = {
+  button: 'Load More Button',
+  scroll: 'Infinite Scroll',
+  pagination: 'Pagination',
+  stitch: 'Page Stitching',
+  expand: 'Hidden Content',
+  auto: 'Auto',
+  none: 'Unknown'
+}
+
+// Shown when the popup is opened outside the extension (e.g. vite dev server)
+const DEMO_SCAN: ScanResult = {
+  patterns: {
+    buttons: [{
+      selector: 'button.load-more',
+      text: 'load more',
+      confidence: 85,
+      visible: true,
+      signals: [{ signal: 'text-phrase', weight: 40 }, { signal: 'class-load-more', weight: 30 }, { signal: 'visible', weight: 10 }],
+      rejection: null
+    }],
+    links: [{
+      selector: 'a.next',
+      text: 'next page',
+      confidence: 30,
+      visible: true,
+      href: 'demo://localhost/page/2',
+      linkType: 'navigation',
+      signals: [
+        { signal: 'text-keyword', weight: 25 },
+        { signal: 'class-more', weight: 15 },
+        { signal: 'visible', weight: 10 },
+        { signal: 'navigates-away', weight: -20 }
+      ],
+      rejection: 'below-threshold'
+    }],
+    pagination: false,
+    lazyLoad: false,
+    infiniteScroll: true,
+    hiddenContent: false
+  },
+  contentCount: 25,
+  feed: { selector: 'main > ul', signature: 'li|card', itemCount: 25 },
+  pagination: null,
+  totals: { total: 100, perBatch: 25, remaining: 75, sources: ['Showing 1–25 of 100'] },
+  scrollContainer: { selector: null, isWindow: true, inModal: false },
+  siteRule: null,
+  learnedEndpoint: null,
+  estimatedTotal: 100,
+  pageInfo: { url: 'demo://localhost', title: 'Demo', isTopFrame: true, scrollHeight: 0, clientHeight: 0 },
+  detectionSummary: {
+    hasLoadMoreButtons: true,
+    hasLoadMoreLinks: true,
+    hasInfiniteScroll: true,
     hasPagination: false,
-    detectionConfidence: 0
-  })
+    hasLazyLoadedImages: false,
+    hasHiddenContent: false,
+    recommendedMethod: 'button'
+  }
+}
+
+const DEMO_FRAME: FrameSummary = {
+  frameId: 0,
+  url: 'demo://localhost',
+  isTopFrame: true,
+  buttons: 1,
+  links: 1,
+  contentCount: 25,
+  topConfidence: 85,
+  recommendedMethod: 'button',
+  hasInfiniteScroll: true,
+  infiniteScrollEvidence: null,
+  result: DEMO_SCAN,
+  error: null
+}
+
+// Confidence of whatever the recommended method will act on
+function getDetectionConfidence(scan: ScanResult | null): number {
+  if (!scan) return 0
 
+  const { buttons, links, infiniteScrollEvidence } = scan.patterns
+  switch (scan.detectionSummary.recommendedMethod) {
+    case 'scroll':
+      return infiniteScrollEvidence?.detected ? infiniteScrollEvidence.confidence : 50
+    default:
+      // A button run may act on an in-page link, and pagination on a link to the next page
+      return Math.max(buttons[0]?.confidence ?? 0, links[0]?.confidence ?? 0)
+  }
+}
+
+const LoadMoreExpander: React.FC = () => {
   const [progress, setProgress] = useState<LoadingProgress>({
     isLoading: false,
+    isPaused: false,
     progress: 0,
     currentAction: '',
     itemsLoaded: 0,
     clickCount: 0,
-    estimatedRemaining: 0
+    estimatedRemaining: 0,
+    startItemCount: 0,
+    expectedItems: 0
   })
 
+  const [frames, setFrames] = useState<FrameSummary[]>([])
+  const [targetFrameId, setTargetFrameId] = useState(0)
+  const [expandedCandidate, setExpandedCandidate] = useState<string | null>(null)
+  const [stopConditions, setStopConditions] = useState<StopConditions>(EMPTY_STOP_CONDITIONS)
+  const [showRunOptions, setShowRunOptions] = useState(false)
+  const [viewportMode, setViewportMode] = useState<ViewportMode>('follow')
+  const [runMethod, setRunMethod] = useState<RunMethod>('auto')
+  const [runRecord, setRunRecord] = useState<RunRecord | null>(null)
+  // A run that finished on its own can be saved as a rule for the site
+  const [canSaveRule, setCanSaveRule] = useState(false)
+  const [savedRulePattern, setSavedRulePattern] = useState<string | null>(null)
+  const activeTabId = useRef<number | null>(null)
+  const hasStopConditions = Object.values(stopConditions).some(value => value.trim() !== '')
+
   const [isAnalyzing, setIsAnalyzing] = useState(false)
   const [error, setError] = useState('')
   const [showEscapeNotification, setShowEscapeNotification] = useState(false)
 
   useEffect(() => {
     analyzePage()
+    restoreRunState()
+  }, [])
+
+  // Progress reported by the content script; item counts come from its canonical feed
+  useEffect(() => {
+    if (typeof chrome === 'undefined' || !chrome.runtime?.onMessage) return
+
+    const handleProgressMessage = (message: ProgressMessage | RunRecordMessage) => {
+      if (message?.type === 'RUN_RECORD_UPDATED') {
+        if (message.tabId === activeTabId.current) setRunRecord(message.record)
+        return
+      }
+      if (message?.type !== 'EXPANSION_PROGRESS') return
+      if (message.action === 'complete') setCanSaveRule(true)
+
+      setProgress(prev => {
+        if (!prev.isLoading) return prev
+
+        // Run-wide counts keep growing across the pages a run navigates through
+        const itemsLoaded = message.itemsLoaded ?? Math.max(0, message.itemCount - prev.startItemCount)
+        const expected = Math.max(prev.expectedItems, itemsLoaded)
+        const finalAction = (message.stopReason && STOP_REASON_LABELS[message.stopReason]) ||
+          FINAL_PROGRESS_ACTIONS[message.action]
+
+        return {
+          ...prev,
+          isLoading: !finalAction,
+          isPaused: message.action === 'paused' || (prev.isPaused && message.action !== 'resumed'),
+          clickCount: Math.max(prev.clickCount, message.count),
+          itemsLoaded,
+          estimatedRemaining: finalAction ? 0 : Math.max(0, expected - itemsLoaded),
+          progress: finalAction ? 100 : (expected > 0 ? Math.min(100, Math.round((itemsLoaded / expected) * 100)) : prev.progress),
+          currentAction: finalAction
+            ? (message.details ? `${finalAction} (${message.details})` : finalAction)
+            : `${message.action}${message.details ? `: ${message.details}` : ''}`
+        }
+      })
+    }
+
+    chrome.runtime.onMessage.addListener(handleProgressMessage)
+    return () => chrome.runtime.onMessage.removeListener(handleProgressMessage)
   }, [])
 
   useEffect(() => {
@@ -66,89 +444,17 @@ const LoadMoreExpander: React.FC = () => {
     return () => document.removeEventListener('keydown', handleKeyPress)
   }, [progress.isLoading])
 
-  // Enhanced smooth scrolling function with proper positioning
-  const smoothScrollToLoadMore = () => {
-    if (typeof chrome !== 'undefined' && chrome.tabs) {
-      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-        if (tabs[0]?.id) {
-          chrome.scripting.executeScript({
-            target: { tabId: tabs[0].id },
-            func: () => {
-              const loadMoreSelectors = [
-                'button[class*="load"], button[class*="more"], button[class*="show"]',
-                'a[class*="load"], a[class*="more"], a[class*="show"]',
-                '[class*="load-more"], [class*="show-more"], [class*="view-more"]',
-                '.pagination a, .pager a',
-                '[data-testid*="load"], [data-testid*="more"]',
-                'button:contains("Load"), button:contains("More"), button:contains("Show")',
-                'a:contains("Load"), a:contains("More"), a:contains("Show")'
-              ]
-              
-              let targetElement = null
-              for (const selector of loadMoreSelectors) {
-                try {
-                  const elements = document.querySelectorAll(selector)
-                  if (elements.length > 0) {
-                    // Find the first visible element
-                    for (const element of elements) {
-                      const rect = element.getBoundingClientRect()
-                      const isVisible = rect.width > 0 && rect.height > 0 && 
-                                      rect.top >= 0 && rect.left >= 0 &&
-                                      rect.bottom <= window.innerHeight && 
-                                      rect.right <= window.innerWidth
-                      if (isVisible || rect.top > 0) {
-                        targetElement = element as HTMLElement
-                        break
-                      }
-                    }
-                    if (targetElement) break
-                  }
-                } catch (e) {
-                  // Skip invalid selectors
-                  continue
-                }
-              }
-              
-              if (targetElement) {
-                // Calculate position to place button at top of viewport with some margin
-                const rect = targetElement.getBoundingClientRect()
-                const scrollTop = window.pageYOffset || document.documentElement.scrollTop
-                const targetY = scrollTop + rect.top - 80 // 80px margin from top
-                
-                // Smooth scroll to position
-                window.scrollTo({
-                  top: Math.max(0, targetY),
-                  behavior: 'smooth'
-                })
-                
-                // Add visual highlight for 500ms
-                const originalStyle = targetElement.style.cssText
-                const originalTransition = targetElement.style.transition
-                
-                targetElement.style.transition = 'all 300ms ease'
-                targetElement.style.boxShadow = '0 0 0 3px #3B82F6, 0 0 20px rgba(59, 130, 246, 0.3)'
-                targetElement.style.transform = 'scale(1.02)'
-                
-                setTimeout(() => {
-                  targetElement.style.transition = originalTransition
-                  targetElement.style.boxShadow = ''
-                  targetElement.style.transform = ''
-                  setTimeout(() => {
-                    targetElement.style.cssText = originalStyle
-                  }, 300)
-                }, 500)
-                
-                return true // Success
-              }
-              return false // No element found
-            }
-          }).then((results) => {
-            // Scroll operation completed
-          }).catch((error) => {
-            // Error during scroll operation
-          })
-        }
-      })
+  // Scrolls the target frame to the load more button content.js would click
+  const scrollToLoadMore = async () => {
+    if (typeof chrome === 'undefined' || !chrome.tabs) return
+
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true })
+      if (tab?.id) {
+        await chrome.tabs.sendMessage(tab.id, { type: 'SCROLL_TO_LOAD_MORE' }, { frameId: targetFrameId })
+      }
+    } catch (error) {
+      // Scrolling is cosmetic; expansion finds the button itself
     }
   }
 
@@ -164,115 +470,13 @@ const LoadMoreExpander: React.FC = () => {
           throw new Error('No active tab found')
         }
 
-        const results = await chrome.scripting.executeScript({
-          target: { tabId: tab.id },
-          func: () => {
-            const buttonSelectors = [
-              'button[class*="load"], button[class*="more"], button[class*="show"]',
-              'a[class*="load"], a[class*="more"], a[class*="show"]',
-              '[class*="load-more"], [class*="show-more"], [class*="view-more"]',
-              '.pagination a, .pager a',
-              '[data-testid*="load"], [data-testid*="more"]'
-            ]
-
-            const linkSelectors = [
-              'a[href*="page="], a[href*="p="], a[href*="offset="]',
-              'a[class*="next"], a[class*="continue"]',
-              '.pagination a:not(.current):not(.active)'
-            ]
-
-            let detectedButtons = 0
-            let detectedLinks = 0
-            let confidence = 0
-
-            buttonSelectors.forEach((selector, index) => {
-              try {
-                const elements = document.querySelectorAll(selector)
-                const weight = 1 - (index * 0.1)
-                detectedButtons += elements.length
-                confidence += elements.length * weight
-              } catch (e) {
-                // Ignore selector errors
-              }
-            })
-
-            linkSelectors.forEach((selector, index) => {
-              try {
-                const elements = document.querySelectorAll(selector)
-                const weight = 1 - (index * 0.1)
-                detectedLinks += elements.length
-                confidence += elements.length * weight
-              } catch (e) {
-                // Ignore selector errors
-              }
-            })
-
-            const contentSelectors = [
-              'article', '.post', '.item', '.card', '.product',
-              '[class*="item"]', '[class*="post"]', '[class*="card"]',
-              'li:not(nav li):not(.menu li)', '.entry', '.listing'
-            ]
-
-            let contentElements = 0
-            contentSelectors.forEach(selector => {
-              try {
-                const elements = document.querySelectorAll(selector)
-                contentElements = Math.max(contentElements, elements.length)
-              } catch (e) {
-                // Ignore selector errors
-              }
-            })
-
-            const hasInfiniteScroll = !!(
-              document.querySelector('[class*="infinite"]') ||
-              document.querySelector('[data-infinite]') ||
-              window.IntersectionObserver
-            )
-
-            const hasPagination = !!(
-              document.querySelector('.pagination') ||
-              document.querySelector('.pager') ||
-              document.querySelector('[class*="page-nav"]')
-            )
-
-            const estimatedPerBatch = Math.max(5, Math.floor(contentElements * 0.3))
-            const estimatedTotal = contentElements + (estimatedPerBatch * Math.max(1, detectedButtons + detectedLinks))
-            const normalizedConfidence = Math.min(100, Math.max(0, confidence * 20))
-
-            return {
-              detectedButtons,
-              detectedLinks,
-              loadingMethod: hasInfiniteScroll ? 'Infinite Scroll' : 
-                           hasPagination ? 'Pagination' : 
-                           detectedButtons > 0 ? 'Load More Buttons' : 'Unknown',
-              contentElements,
-              estimatedTotal,
-              estimatedPerBatch,
-              pageUrl: window.location.href,
-              hasInfiniteScroll,
-              hasPagination,
-              detectionConfidence: normalizedConfidence
-            }
-          }
-        })
-
-        if (results && results[0] && results[0].result) {
-          const result = results[0].result
-          setStats(result)
+        const scannedFrames = await loadFrameResults(tab.id)
+        if (!scannedFrames.some(frame => frame.result)) {
+          throw new Error('No frame returned a scan result')
         }
       } else {
-        setStats({
-          detectedButtons: 2,
-          detectedLinks: 1,
-          loadingMethod: 'Demo Mode',
-          contentElements: 25,
-          estimatedTotal: 100,
-          estimatedPerBatch: 12,
-          pageUrl: 'demo://localhost',
-          hasInfiniteScroll: true,
-          hasPagination: false,
-          detectionConfidence: 85
-        })
+        setFrames([DEMO_FRAME])
+        setTargetFrameId(DEMO_FRAME.frameId)
       }
     } catch (error) {
       setError('Failed to analyze page. Make sure you\'re on a web page.')
@@ -281,37 +485,99 @@ const LoadMoreExpander: React.FC = () => {
     }
   }
 
+  // Ask the background worker for per-frame scan results (same-origin iframes included)
+  const loadFrameResults = async (tabId: number, options: { probeScroll?: boolean } = {}): Promise<FrameSummary[]> => {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'SCAN_ALL_FRAMES', tabId, options })
+      if (response?.success) {
+        setFrames(response.data.frames)
+        setTargetFrameId(response.data.bestFrameId)
+        return response.data.frames
+      }
+    } catch (error) {
+      // Reported below as a failed analysis
+    }
+    setFrames([])
+    return []
+  }
+
+  // Opt-in probe: briefly scrolls the page to measure whether it really loads more on scroll
+  const handleProbeScroll = async () => {
+    if (typeof chrome === 'undefined' || !chrome.tabs) return
+
+    setIsAnalyzing(true)
+    setError('')
+
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true })
+      if (!tab.id) {
+        throw new Error('No active tab found')
+      }
+
+      // Probe evidence arrives in each frame's scan result
+      const probedFrames = await loadFrameResults(tab.id, { probeScroll: true })
+      if (!probedFrames.some(frame => frame.result)) {
+        throw new Error('No frame returned a scan result')
+      }
+    } catch (error) {
+      setError('Failed to probe scrolling behavior')
+    } finally {
+      setIsAnalyzing(false)
+    }
+  }
+
+  const startExpansionInTargetFrame = async (options: {
+    maxClicks: number
+    method: string
+    timeout?: number
+    stopConditions?: StopConditions
+    viewportMode?: ViewportMode
+  }) => {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true })
+
+    if (!tab.id) {
+      throw new Error('No active tab found')
+    }
+
+    const response = await chrome.runtime.sendMessage({
+      type: 'START_FRAME_EXPANSION',
+      tabId: tab.id,
+      frameId: targetFrameId,
+      options
+    })
+
+    if (response?.error) {
+      throw new Error(response.details || response.error)
+    }
+  }
+
+  // Runs a new expansion; the previous run can no longer be saved as a rule
+  const resetSaveRule = () => {
+    setCanSaveRule(false)
+    setSavedRulePattern(null)
+  }
+
   const handleLoadNext = async () => {
-    smoothScrollToLoadMore()
+    if (viewportMode !== 'background') scrollToLoadMore()
+    resetSaveRule()
     
-    const estimatedItems = stats.estimatedPerBatch
+    const estimatedItems = estimatedPerBatch
     setProgress({ 
       isLoading: true, 
+      isPaused: false,
       progress: 0, 
-      currentAction: `Loading next ${estimatedItems} items...`, 
+      currentAction: estimatedItems > 0 ? `Loading next ${estimatedItems} items...` : 'Loading next batch...', 
       itemsLoaded: 0,
       clickCount: 0,
-      estimatedRemaining: estimatedItems
+      estimatedRemaining: estimatedItems,
+      startItemCount: contentCount,
+      expectedItems: estimatedItems
     })
     setError('')
     
     try {
       if (typeof chrome !== 'undefined' && chrome.tabs) {
-        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true })
-        
-        if (!tab.id) {
-          throw new Error('No active tab found')
-        }
-
-        await chrome.scripting.executeScript({
-          target: { tabId: tab.id },
-          files: ['content.js']
-        })
-
-        await chrome.tabs.sendMessage(tab.id, {
-          type: 'START_EXPANSION',
-          options: { maxClicks: 1, delay: 1500, method: 'single' }
-        })
+        await startExpansionInTargetFrame({ maxClicks: 1, method: 'auto', viewportMode })
       } else {
         simulateProgress('single')
       }
@@ -322,41 +588,39 @@ const LoadMoreExpander: React.FC = () => {
   }
 
   const handleLoadAll = async () => {
-    smoothScrollToLoadMore()
+    if (viewportMode !== 'background') scrollToLoadMore()
+    resetSaveRule()
     
-    const estimatedItems = stats.estimatedTotal - stats.contentElements
+    const estimatedItems = estimatedRemaining ?? 0
     setProgress({ 
       isLoading: true, 
+      isPaused: false,
       progress: 0, 
-      currentAction: `Loading all remaining content (~${estimatedItems} items)...`, 
+      currentAction: estimatedRemaining !== null
+        ? `Loading all remaining content (~${estimatedItems} items)...`
+        : 'Loading all remaining content...', 
       itemsLoaded: 0,
       clickCount: 0,
-      estimatedRemaining: estimatedItems
+      estimatedRemaining: estimatedItems,
+      startItemCount: contentCount,
+      expectedItems: estimatedItems
     })
     setError('')
     
     try {
       if (typeof chrome !== 'undefined' && chrome.tabs) {
-        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true })
-        
-        if (!tab.id) {
-          throw new Error('No active tab found')
-        }
-
-        await chrome.scripting.executeScript({
-          target: { tabId: tab.id },
-          files: ['content.js']
-        })
-
-        await chrome.tabs.sendMessage(tab.id, {
-          type: 'START_EXPANSION',
-          options: { maxClicks: 20, delay: 2000, method: 'all' }
+        await startExpansionInTargetFrame({
+          maxClicks: hasStopConditions ? MAX_CLICKS_WITH_CONDITIONS : 20,
+          method: runMethod,
+          stopConditions,
+          viewportMode
         })
       } else {
         simulateProgress('all')
       }
     } catch (error) {
-      setError('Failed to load all content')
+      // Details name the rejected stop condition, if that was the cause
+      setError(`Failed to load all content${error instanceof Error && error.message ? `: ${error.message}` : ''}`)
       setProgress(prev => ({ ...prev, isLoading: false }))
     }
   }
@@ -367,7 +631,7 @@ const LoadMoreExpander: React.FC = () => {
         const [tab] = await chrome.tabs.query({ active: true, currentWindow: true })
         
         if (tab.id) {
-          await chrome.tabs.sendMessage(tab.id, { type: 'STOP_EXPANSION' })
+          await chrome.runtime.sendMessage({ type: 'STOP_FRAME_EXPANSION', tabId: tab.id })
         }
       }
       
@@ -377,11 +641,96 @@ const LoadMoreExpander: React.FC = () => {
     }
   }
 
+  // Stores the finished run's method, selectors and stop conditions for pages matching this one
+  const handleSaveRule = async () => {
+    if (typeof chrome === 'undefined' || !chrome.tabs) return
+
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true })
+      if (!tab?.id) return
+
+      const response = await chrome.tabs.sendMessage(tab.id, { type: 'SAVE_SITE_RULE' }, { frameId: targetFrameId })
+      if (!response?.success) {
+        throw new Error(response?.details || response?.error)
+      }
+      setSavedRulePattern(response.data.urlPattern)
+      setCanSaveRule(false)
+    } catch (error) {
+      setError(`Failed to save the rule${error instanceof Error && error.message ? `: ${error.message}` : ''}`)
+    }
+  }
+
+  // Rule files and lists are managed on the options page; a file chooser would close the popup
+  const handleManageRules = () => {
+    if (typeof chrome !== 'undefined' && chrome.runtime) chrome.runtime.openOptionsPage()
+  }
+
+  // The popup closes while a run goes on; pick it up again when reopened
+  const restoreRunState = async () => {
+    if (typeof chrome === 'undefined' || !chrome.tabs) return
+
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true })
+      if (!tab?.id) return
+      activeTabId.current = tab.id
+
+      const recordResponse = await chrome.runtime.sendMessage({ type: 'GET_RUN_RECORD', tabId: tab.id })
+      const record: RunRecord | null = recordResponse?.data ?? null
+      setRunRecord(record)
+      if (record && record.status !== 'finished') {
+        setProgress(prev => ({
+          ...prev,
+          isLoading: true,
+          clickCount: record.clickCount,
+          itemsLoaded: record.itemsLoaded,
+          currentAction: record.status === 'navigating' ? 'Loading next page...' : 'Loading...'
+        }))
+      }
+
+      const response = await chrome.runtime.sendMessage({ type: 'GET_FRAME_EXPANSION_STATE', tabId: tab.id })
+      const run: RunSnapshot | undefined = response?.data
+      if (run && ['running', 'waiting', 'paused'].includes(run.state)) {
+        setProgress(prev => ({
+          ...prev,
+          isLoading: true,
+          isPaused: run.state === 'paused',
+          clickCount: Math.max(prev.clickCount, run.clickCount),
+          currentAction: run.state === 'paused' ? 'Paused' : 'Loading...'
+        }))
+      }
+    } catch (error) {
+      // No content script in this tab yet, so nothing is running
+    }
+  }
+
+  const handlePauseResume = async () => {
+    const type = progress.isPaused ? 'RESUME_FRAME_EXPANSION' : 'PAUSE_FRAME_EXPANSION'
+    try {
+      if (typeof chrome !== 'undefined' && chrome.tabs) {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true })
+        if (!tab.id) return
+
+        const response = await chrome.runtime.sendMessage({ type, tabId: tab.id })
+        if (response?.error) {
+          throw new Error(response.error)
+        }
+      }
+
+      setProgress(prev => ({
+        ...prev,
+        isPaused: !prev.isPaused,
+        currentAction: prev.isPaused ? 'Resuming...' : 'Paused'
+      }))
+    } catch (error) {
+      setError(progress.isPaused ? 'Failed to resume loading.' : 'Failed to pause loading.')
+    }
+  }
+
   const simulateProgress = (mode: 'single' | 'all') => {
     let currentProgress = 0
     const maxProgress = mode === 'single' ? 100 : 100
     const increment = mode === 'single' ? 25 : 10
-    const itemsPerStep = mode === 'single' ? stats.estimatedPerBatch / 4 : stats.estimatedPerBatch / 10
+    const itemsPerStep = mode === 'single' ? estimatedPerBatch / 4 : estimatedPerBatch / 10
     
     const interval = setInterval(() => {
       currentProgress += increment
@@ -408,8 +757,26 @@ const LoadMoreExpander: React.FC = () => {
     }, mode === 'single' ? 400 : 800)
   }
 
-  const totalDetected = stats.detectedButtons + stats.detectedLinks
-  const canExpand = totalDetected > 0 || stats.hasInfiniteScroll
+  const targetFrame = frames.find(frame => frame.frameId === targetFrameId) || frames[0]
+  const scan = targetFrame?.result ?? null
+  const buttons = scan?.patterns.buttons ?? []
+  const links = scan?.patterns.links ?? []
+  const contentCount = scan?.contentCount ?? 0
+  // Counts come from the page itself; unknown figures stay null rather than guessed
+  const estimatedTotal = scan?.estimatedTotal ?? null
+  const estimatedPerBatch = scan?.totals?.perBatch || scan?.learnedEndpoint?.itemsPerResponse || 0
+  const estimatedRemaining = scan?.totals?.remaining ?? (estimatedTotal !== null ? Math.max(0, estimatedTotal - contentCount) : null)
+  const hasInfiniteScroll = scan?.detectionSummary.hasInfiniteScroll ?? false
+  const hasPagination = scan?.detectionSummary.hasPagination ?? false
+  const pagination = scan?.pagination ?? null
+  const siteRule = scan?.siteRule ?? null
+  const innerScroller = scan?.scrollContainer && !scan.scrollContainer.isWindow ? scan.scrollContainer : null
+  const recommendedMethod: RecommendedMethod = scan?.detectionSummary.recommendedMethod ?? 'none'
+  const detectionConfidence = getDetectionConfidence(scan)
+  const candidates = [...buttons, ...links].sort((a, b) => b.confidence - a.confidence).slice(0, 5)
+
+  const totalDetected = buttons.length + links.length
+  const canExpand = totalDetected > 0 || hasInfiniteScroll
 
   return (
     <>
@@ -442,6 +809,102 @@ const LoadMoreExpander: React.FC = () => {
           </button>
         </div>
 
+        {/* Viewport mode, next pages and stop conditions for Load All */}
+        <div className="-mt-2">
+          <button
+            onClick={() => setShowRunOptions(!showRunOptions)}
+            className="text-xs text-gray-500 hover:text-gray-700 font-medium"
+          >
+            {showRunOptions ? '▾' : '▸'} Run options{hasStopConditions ? ' (stop conditions set)' : ''}
+          </button>
+          {showRunOptions && (
+            <div className="mt-2 grid grid-cols-2 gap-2 text-xs">
+              <label className="col-span-2 flex flex-col gap-1 text-gray-600">
+                While loading
+                <select
+                  value={viewportMode}
+                  onChange={event => setViewportMode(event.target.value as ViewportMode)}
+                  className="px-2 py-1 border border-gray-200 rounded bg-white"
+                >
+                  {(Object.keys(VIEWPORT_MODE_LABELS) as ViewportMode[]).map(mode => (
+                    <option key={mode} value={mode}>{VIEWPORT_MODE_LABELS[mode]}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="col-span-2 flex flex-col gap-1 text-gray-600">
+                Next pages
+                <select
+                  value={runMethod}
+                  onChange={event => setRunMethod(event.target.value as RunMethod)}
+                  className="px-2 py-1 border border-gray-200 rounded bg-white"
+                >
+                  {(Object.keys(RUN_METHOD_LABELS) as RunMethod[]).map(method => (
+                    <option key={method} value={method}>{RUN_METHOD_LABELS[method]}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex flex-col gap-1 text-gray-600">
+                Items to load
+                <input
+                  type="number"
+                  min="1"
+                  value={stopConditions.itemTarget}
+                  onChange={event => setStopConditions({ ...stopConditions, itemTarget: event.target.value })}
+                  className="px-2 py-1 border border-gray-200 rounded"
+                />
+              </label>
+              <label className="flex flex-col gap-1 text-gray-600">
+                Minutes
+                <input
+                  type="number"
+                  min="1"
+                  value={stopConditions.timeBudgetMinutes}
+                  onChange={event => setStopConditions({ ...stopConditions, timeBudgetMinutes: event.target.value })}
+                  className="px-2 py-1 border border-gray-200 rounded"
+                />
+              </label>
+              <label className="col-span-2 flex flex-col gap-1 text-gray-600">
+                Until this text appears
+                <input
+                  type="text"
+                  placeholder="e.g. March 3"
+                  value={stopConditions.untilText}
+                  onChange={event => setStopConditions({ ...stopConditions, untilText: event.target.value })}
+                  className="px-2 py-1 border border-gray-200 rounded"
+                />
+              </label>
+              <label className="col-span-2 flex flex-col gap-1 text-gray-600">
+                Until this selector matches
+                <input
+                  type="text"
+                  placeholder="e.g. #post-1234"
+                  value={stopConditions.untilSelector}
+                  onChange={event => setStopConditions({ ...stopConditions, untilSelector: event.target.value })}
+                  className="px-2 py-1 border border-gray-200 rounded font-mono"
+                />
+              </label>
+              <label className="col-span-2 flex flex-col gap-1 text-gray-600">
+                Until items are older than
+                <input
+                  type="date"
+                  value={stopConditions.olderThan}
+                  onChange={event => setStopConditions({ ...stopConditions, olderThan: event.target.value })}
+                  className="px-2 py-1 border border-gray-200 rounded"
+                />
+              </label>
+              <div className="col-span-2 flex items-center justify-between pt-2 border-t border-gray-100 text-gray-600">
+                Site rules and lists
+                <button
+                  onClick={handleManageRules}
+                  className="px-2 py-1 border border-gray-200 rounded hover:text-gray-900"
+                >
+                  Manage
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+
         <div className="rounded-2xl border border-gray-200 bg-white shadow-xl">
           <div className="p-4 space-y-4">
             {error && (
@@ -459,19 +922,19 @@ const LoadMoreExpander: React.FC = () => {
             <div className="space-y-3">
               <div className="grid grid-cols-2 gap-3">
                 <div className="bg-gray-50 p-3 rounded-xl border border-gray-100 text-center">
-                  <div className="text-xl font-bold text-gray-900">{stats.detectedButtons}</div>
+                  <div className="text-xl font-bold text-gray-900">{buttons.length}</div>
                   <div className="text-xs text-gray-600 font-medium">Load Buttons</div>
                 </div>
                 <div className="bg-gray-50 p-3 rounded-xl border border-gray-100 text-center">
-                  <div className="text-xl font-bold text-gray-900">{stats.detectedLinks}</div>
+                  <div className="text-xl font-bold text-gray-900">{links.length}</div>
                   <div className="text-xs text-gray-600 font-medium">Page Links</div>
                 </div>
                 <div className="bg-gray-50 p-3 rounded-xl border border-gray-100 text-center">
-                  <div className="text-xl font-bold text-gray-900">{stats.contentElements}</div>
+                  <div className="text-xl font-bold text-gray-900">{contentCount}</div>
                   <div className="text-xs text-gray-600 font-medium">Current Items</div>
                 </div>
-                <div className="bg-gray-50 p-3 rounded-xl border border-gray-100 text-center">
-                  <div className="text-xl font-bold text-gray-900">{stats.estimatedTotal}</div>
+                <div className="bg-gray-50 p-3 rounded-xl border border-gray-100 text-center" title={scan?.totals?.sources.join('\n')}>
+                  <div className="text-xl font-bold text-gray-900">{estimatedTotal ?? '—'}</div>
                   <div className="text-xs text-gray-600 font-medium">Est. Total</div>
                 </div>
               </div>
@@ -479,7 +942,7 @@ const LoadMoreExpander: React.FC = () => {
               <div className="bg-gray-50 p-3 rounded-xl border border-gray-100">
                 <div className="flex items-center justify-between mb-2">
                   <span className="text-xs font-medium text-gray-700">Detection Method</span>
-                  <span className="text-xs font-semibold text-gray-900">{stats.loadingMethod}</span>
+                  <span className="text-xs font-semibold text-gray-900">{METHOD_LABELS[recommendedMethod]}</span>
                 </div>
                 <div className="flex items-center justify-between">
                   <span className="text-xs font-medium text-gray-700">Confidence</span>
@@ -487,24 +950,97 @@ const LoadMoreExpander: React.FC = () => {
                     <div className="w-16 h-2 bg-gray-200 rounded-full overflow-hidden">
                       <div 
                         className={`h-full transition-all duration-500 ${
-                          stats.detectionConfidence >= 70 ? 'bg-blue-500' :
-                          stats.detectionConfidence >= 40 ? 'bg-yellow-500' : 'bg-red-500'
+                          detectionConfidence >= 70 ? 'bg-blue-500' :
+                          detectionConfidence >= 40 ? 'bg-yellow-500' : 'bg-red-500'
                         }`}
-                        style={{ width: `${stats.detectionConfidence}%` }}
+                        style={{ width: `${detectionConfidence}%` }}
                       ></div>
                     </div>
-                    <span className="text-xs font-semibold text-gray-900 min-w-[2.5rem]">{Math.round(stats.detectionConfidence)}%</span>
+                    <span className="text-xs font-semibold text-gray-900 min-w-[2.5rem]">{Math.round(detectionConfidence)}%</span>
                   </div>
                 </div>
               </div>
 
-              {(stats.hasInfiniteScroll || stats.hasPagination) && (
+              {candidates.length > 0 && (
+                <div className="bg-gray-50 p-3 rounded-xl border border-gray-100 space-y-1">
+                  <div className="text-xs font-medium text-gray-700">Detected</div>
+                  {candidates.map(candidate => (
+                    <div key={candidate.selector}>
+                      {/* Expanding a candidate shows the signals behind its score */}
+                      <button
+                        type="button"
+                        onClick={() => setExpandedCandidate(expandedCandidate === candidate.selector ? null : candidate.selector)}
+                        className="w-full flex items-center gap-2 text-xs text-gray-700 text-left"
+                      >
+                        <span className="text-gray-400">{expandedCandidate === candidate.selector ? '▾' : '▸'}</span>
+                        <span className="flex-1 truncate" title={candidate.selector}>
+                          {candidate.text || candidate.selector}
+                        </span>
+                        {candidate.linkType === 'navigation' && <span className="text-gray-400">opens page</span>}
+                        {candidate.rejection && <span className="text-gray-400">{REJECTION_LABELS[candidate.rejection]}</span>}
+                        <span className="font-semibold text-gray-900">{candidate.confidence}%</span>
+                      </button>
+                      {expandedCandidate === candidate.selector && (
+                        <div className="ml-4 mt-1 space-y-0.5 text-xs text-gray-600">
+                          {candidate.signals.map(({ signal, weight }) => (
+                            <div key={signal} className="flex justify-between">
+                              <span>{signal}</span>
+                              <span className={weight < 0 ? 'text-red-600' : 'text-gray-900'}>{weight > 0 ? `+${weight}` : weight}</span>
+                            </div>
+                          ))}
+                          <div className="truncate font-mono text-gray-400" title={candidate.selector}>{candidate.selector}</div>
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {frames.length > 1 && (
+                <div className="bg-gray-50 p-3 rounded-xl border border-gray-100 space-y-2">
+                  <div className="text-xs font-medium text-gray-700">Frames</div>
+                  {frames.map(frame => (
+                    <label key={frame.frameId} className="flex items-center gap-2 text-xs text-gray-700">
+                      <input
+                        type="radio"
+                        name="target-frame"
+                        checked={targetFrameId === frame.frameId}
+                        disabled={!!frame.error}
+                        onChange={() => setTargetFrameId(frame.frameId)}
+                      />
+                      <span className="flex-1 truncate" title={frame.url}>
+                        {frame.isTopFrame ? 'Main page' : frame.url}
+                      </span>
+                      <span className="font-semibold text-gray-900">
+                        {frame.error ? 'n/a' : `${frame.buttons + frame.links} found`}
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              )}
+
+              {(hasInfiniteScroll || hasPagination || siteRule) && (
                 <div className="flex gap-2">
-                  {stats.hasInfiniteScroll && (
-                    <span className="bg-blue-100 text-blue-800 px-2 py-1 rounded-full text-xs font-medium">∞ Infinite Scroll</span>
+                  {siteRule && (
+                    <span
+                      className="bg-green-100 text-green-800 px-2 py-1 rounded-full text-xs font-medium"
+                      title={siteRule.urlPattern}
+                    >
+                      📌 {RULE_SOURCE_LABELS[siteRule.source]}
+                    </span>
+                  )}
+                  {hasInfiniteScroll && (
+                    <span
+                      className="bg-blue-100 text-blue-800 px-2 py-1 rounded-full text-xs font-medium"
+                      title={innerScroller?.selector ?? undefined}
+                    >
+                      ∞ Infinite Scroll{innerScroller ? (innerScroller.inModal ? ' (dialog)' : ' (inner panel)') : ''}
+                    </span>
                   )}
-                  {stats.hasPagination && (
-                    <span className="bg-blue-100 text-blue-800 px-2 py-1 rounded-full text-xs font-medium">📄 Pagination</span>
+                  {hasPagination && (
+                    <span className="bg-blue-100 text-blue-800 px-2 py-1 rounded-full text-xs font-medium">📄 {pagination?.current && pagination.total
+                        ? `Page ${pagination.current} of ${pagination.total}`
+                        : 'Pagination'}</span>
                   )}
                 </div>
               )}
@@ -532,14 +1068,40 @@ const LoadMoreExpander: React.FC = () => {
                       <div className="text-xs text-gray-600">Loaded</div>
                     </div>
                     <div>
-                      <div className="text-lg font-bold text-gray-900">{progress.estimatedRemaining}</div>
+                      <div className="text-lg font-bold text-gray-900">{progress.expectedItems > 0 ? progress.estimatedRemaining : '—'}</div>
                       <div className="text-xs text-gray-600">Remaining</div>
                     </div>
                   </div>
+                  {runRecord && runRecord.pages.length > 1 && (
+                    <ul className="text-xs text-gray-600 space-y-1 max-h-24 overflow-y-auto">
+                      {runRecord.pages.map((page, index) => (
+                        <li key={`${index}-${page.url}`} className="flex justify-between gap-2" title={page.url}>
+                          <span>Page {index + 1}</span>
+                          <span>{page.clickCount} clicks · {page.itemsLoaded} items</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
                 </div>
               </div>
             )}
 
+            {/* Save the finished run's settings for this site */}
+            {!progress.isLoading && (canSaveRule || savedRulePattern) && (
+              <div className="flex items-center justify-between gap-2 text-xs">
+                {savedRulePattern ? (
+                  <span className="text-green-700 truncate" title={savedRulePattern}>Saved rule for {savedRulePattern}</span>
+                ) : (
+                  <button
+                    onClick={handleSaveRule}
+                    className="px-2 py-1 text-xs text-gray-700 hover:text-gray-900 font-medium transition-colors duration-200 border border-gray-200 rounded"
+                  >
+                    Save as rule for this site
+                  </button>
+                )}
+              </div>
+            )}
+
             {/* Bottom Section - Single Row with SHOW BN and Re-analyze buttons */}
             <div className="pt-4 border-t border-gray-100">
               <div className="flex items-center justify-between gap-2">
@@ -552,7 +1114,7 @@ const LoadMoreExpander: React.FC = () => {
                     <h3 className="text-sm font-bold text-gray-900">Blind nudist</h3>
                     <p className="text-xs text-gray-600 flex items-center gap-2">
                       <span className="w-2 h-2 bg-blue-500 rounded-full"></span>
-                      {stats.pageUrl ? new URL(stats.pageUrl).hostname : 'Analyzing...'}
+                      {scan?.pageInfo.url ? new URL(scan.pageInfo.url).hostname : 'Analyzing...'}
                       {isAnalyzing && (
                         <div className="w-3 h-3 border border-gray-300 border-t-blue-500 rounded-full animate-spin ml-1"></div>
                       )}
@@ -562,6 +1124,17 @@ const LoadMoreExpander: React.FC = () => {
 
                 {/* Right - Buttons */}
                 <div className="flex items-center gap-2">
+                  {/* Probe infinite scroll by measuring page growth */}
+                  <button
+                    onClick={handleProbeScroll}
+                    disabled={isAnalyzing}
+                    title="Scroll briefly to test for infinite scroll"
+                    className="px-2 py-1 text-xs text-gray-500 hover:text-gray-700 disabled:opacity-50 font-medium transition-colors duration-200 border border-gray-200 rounded"
+                    style={{width: 'auto', minWidth: '0'}}
+                  >
+                    ∞?
+                  </button>
+
                   {/* Re-analyze Page button with minimal width */}
                   <button
                     onClick={analyzePage}
@@ -576,14 +1149,22 @@ const LoadMoreExpander: React.FC = () => {
                   {!progress.isLoading && (
                     <button
                       onClick={handleLoadNext}
-                      disabled={!stats.detectedButtons && !stats.detectedLinks}
+                      disabled={totalDetected === 0}
                       className="px-4 py-2 bg-blue-500 text-white rounded-lg font-semibold text-xs hover:bg-blue-600 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors duration-200 shadow-md"
                     >
                       SHOW BN
                     </button>
                   )}
                   
-                  {/* Stop button when loading */}
+                  {/* Pause / resume and stop buttons when loading */}
+                  {progress.isLoading && (
+                    <button
+                      onClick={handlePauseResume}
+                      className="px-4 py-2 bg-gray-500 text-white rounded-lg font-semibold text-xs hover:bg-gray-600 transition-colors duration-200 shadow-md"
+                    >
+                      {progress.isPaused ? '▶ Resume' : '⏸ Pause'}
+                    </button>
+                  )}
                   {progress.isLoading && (
                     <button
                       onClick={handleStop}
@@ -0,0 +1,202 @@
+import React, { useEffect, useState } from 'react'
+import {
+  addRuleList,
+  findRuleConflicts,
+  getSubscribedRules,
+  loadRuleLists,
+  parseRuleList,
+  removeRuleList,
+  setRuleTier,
+  type RuleConflict,
+  type RuleTier
+} from '../../modules/ruleLists.js'
+import { exportRules, mergeImportedRules, parseRuleFile, type MergeStrategy } from '../../modules/ruleSchema.js'
+import { loadSiteRules, replaceSiteRules } from '../../modules/siteRules.js'
+
+interface RuleListSummary {
+  id: string
+  name: string
+  title: string
+  version: string
+  ruleCount: number
+  errors: { line: number, text: string, reason: string }[]
+  addedAt: number
+}
+
+const RULE_SOURCE_LABELS: Record<RuleTier, string> = {
+  user: 'Site rule',
+  subscribed: 'List rule',
+  builtin: 'Built-in rule'
+}
+
+const RULE_MERGE_STRATEGY_LABELS: Record<MergeStrategy, string> = {
+  newest: 'Keep the newer rule',
+  'keep-existing': 'Keep my rules',
+  replace: 'Use imported rules'
+}
+
+// The browser reads a download's object URL after the click returns
+const DOWNLOAD_URL_LIFETIME_MS = 60000
+
+// Options page: rule files are handled here because the popup closes when a file chooser
+// opens, and because checking selectors needs a DOM, which the background worker lacks
+export default function RuleSettings() {
+  const [ruleMergeStrategy, setRuleMergeStrategy] = useState<MergeStrategy>('newest')
+  const [ruleTransferStatus, setRuleTransferStatus] = useState('')
+  const [ruleLists, setRuleLists] = useState<RuleListSummary[]>([])
+  const [ruleConflicts, setRuleConflicts] = useState<RuleConflict[]>([])
+  const [error, setError] = useState<string | null>(null)
+
+  // Summarizes the subscribed lists and the patterns defined more than once
+  const refreshRuleLists = async () => {
+    const [rules, lists] = await Promise.all([loadSiteRules(), loadRuleLists()])
+    setRuleTier('user', rules)
+    setRuleTier('subscribed', getSubscribedRules(lists))
+
+    setRuleLists(lists.map(list => {
+      const { title, version, rules: listRules, errors } = parseRuleList(list.text, { listId: list.id })
+      return { id: list.id, name: list.name, title, version, ruleCount: listRules.length, errors, addedAt: list.addedAt }
+    }))
+    setRuleConflicts(findRuleConflicts())
+  }
+
+  // Applies a change to the stored lists, if any, and shows the result
+  const updateRuleLists = async (change?: () => Promise<unknown>) => {
+    setError(null)
+    try {
+      await change?.()
+      await refreshRuleLists()
+    } catch (error) {
+      setError(`Failed to update rule lists${error instanceof Error && error.message ? `: ${error.message}` : ''}`)
+    }
+  }
+
+  useEffect(() => {
+    updateRuleLists()
+  }, [])
+
+  // Downloads all site rules as a versioned JSON file to share
+  const handleExportRules = async () => {
+    setError(null)
+    try {
+      const file = exportRules(await loadSiteRules())
+      const url = URL.createObjectURL(new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' }))
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `load-more-rules-${file.exportedAt.slice(0, 10)}.json`
+      link.click()
+      setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME_MS)
+      setRuleTransferStatus(`Exported ${file.rules.length} rule(s)`)
+    } catch (error) {
+      setError(`Failed to export rules${error instanceof Error && error.message ? `: ${error.message}` : ''}`)
+    }
+  }
+
+  // Validates a shared rule file and merges it into the saved rules
+  const handleImportRules = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+
+    setError(null)
+    try {
+      const { rules: imported, rejected } = parseRuleFile(await file.text())
+      const { rules, added, replaced, kept } = mergeImportedRules(await loadSiteRules(), imported, ruleMergeStrategy)
+      await replaceSiteRules(rules)
+      await refreshRuleLists()
+
+      setRuleTransferStatus(
+        `${added} added, ${replaced} replaced, ${kept} kept` +
+        (rejected.length > 0
+          ? `; rejected ${rejected.map(entry => `#${entry.index + 1} (${entry.reason})`).join(', ')}`
+          : '')
+      )
+    } catch (error) {
+      setError(`Failed to import rules${error instanceof Error && error.message ? `: ${error.message}` : ''}`)
+    }
+  }
+
+  const handleAddRuleList = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (file) await updateRuleLists(async () => addRuleList({ name: file.name, text: await file.text() }))
+  }
+
+  return (
+    <div className="w-full max-w-2xl mx-auto p-6 space-y-4 text-sm">
+      <h1 className="text-lg font-semibold text-gray-900">Rules</h1>
+
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-xl text-red-700 flex items-center gap-3">
+          <span className="text-lg">⚠️</span>
+          <span className="font-medium">{error}</span>
+        </div>
+      )}
+
+      <section className="rounded-2xl border border-gray-200 bg-white shadow p-4 flex flex-col gap-2 text-gray-600">
+        <h2 className="font-semibold text-gray-900">Site rules</h2>
+        <div className="flex items-center gap-2">
+          <select
+            value={ruleMergeStrategy}
+            onChange={event => setRuleMergeStrategy(event.target.value as MergeStrategy)}
+            title="When an imported rule has the same pattern as one of yours"
+            className="flex-1 px-2 py-1 border border-gray-200 rounded bg-white"
+          >
+            {(Object.keys(RULE_MERGE_STRATEGY_LABELS) as MergeStrategy[]).map(strategy => (
+              <option key={strategy} value={strategy}>{RULE_MERGE_STRATEGY_LABELS[strategy]}</option>
+            ))}
+          </select>
+          <label className="px-2 py-1 border border-gray-200 rounded cursor-pointer hover:text-gray-900">
+            Import
+            <input type="file" accept="application/json,.json" onChange={handleImportRules} className="hidden" />
+          </label>
+          <button
+            onClick={handleExportRules}
+            className="px-2 py-1 border border-gray-200 rounded hover:text-gray-900"
+          >
+            Export
+          </button>
+        </div>
+        {ruleTransferStatus && <span className="text-gray-500">{ruleTransferStatus}</span>}
+      </section>
+
+      <section className="rounded-2xl border border-gray-200 bg-white shadow p-4 flex flex-col gap-2 text-gray-600">
+        <div className="flex items-center justify-between">
+          <h2 className="font-semibold text-gray-900">Rule lists</h2>
+          <label className="px-2 py-1 border border-gray-200 rounded cursor-pointer hover:text-gray-900">
+            Add list
+            <input type="file" accept="text/plain,.txt" onChange={handleAddRuleList} className="hidden" />
+          </label>
+        </div>
+        {ruleLists.map(list => (
+          <div key={list.id} className="flex items-center gap-2">
+            <span className="flex-1 truncate" title={list.name}>{list.title || list.name}</span>
+            <span
+              className={list.errors.length > 0 ? 'text-amber-700' : 'text-gray-500'}
+              title={list.errors.map(error => `Line ${error.line}: ${error.reason}`).join('\n') || undefined}
+            >
+              {list.ruleCount} rules{list.errors.length > 0 ? `, ${list.errors.length} skipped` : ''}
+            </span>
+            <button
+              onClick={() => updateRuleLists(() => removeRuleList(list.id))}
+              title="Remove list"
+              className="px-1 text-gray-400 hover:text-red-600"
+            >
+              ×
+            </button>
+          </div>
+        ))}
+        {ruleConflicts.length > 0 && (
+          <span
+            className="text-amber-700"
+            title={ruleConflicts.map(conflict =>
+              `${conflict.urlPattern}: ${RULE_SOURCE_LABELS[conflict.used.source]} overrides ${conflict.overridden.length} other(s)`
+            ).join('\n')}
+          >
+            {ruleConflicts.length} pattern(s) defined more than once; saved rules win over lists, lists over built-in rules
+          </span>
+        )}
+      </section>
+    </div>
+  )
+}
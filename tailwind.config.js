@@ -2,6 +2,7 @@
 export default {
   content: [
     "./popup.html",
+    "./options.html",
     "./src/**/*.{js,ts,jsx,tsx}",
   ],
   theme: {
@@ -9,6 +9,7 @@ export default defineConfig({
     rollupOptions: {
       input: {
         popup: resolve(__dirname, 'popup.html'),
+        options: resolve(__dirname, 'options.html'),
       },
       output: {
         entryFileNames: '[name].js',